@@ -217,6 +217,21 @@ CREATE TABLE `canvas_layers` (
   PRIMARY KEY (`canvas_id`,`layer_id`),
   CONSTRAINT `canvas_layers_ibfk_1` FOREIGN KEY (`canvas_id`) REFERENCES `canvases` (`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `canvas_public_links` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `canvas_id` int(11) NOT NULL,
+  `token` char(64) NOT NULL,
+  `layer_id` int(11) DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `expires_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `last_accessed_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_public_token` (`token`),
+  KEY `idx_public_canvas` (`canvas_id`),
+  CONSTRAINT `canvas_public_links_ibfk_1` FOREIGN KEY (`canvas_id`) REFERENCES `canvases` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `canvas_public_links_ibfk_2` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 CREATE TABLE `canvas_shares` (
   `canvas_id` int(11) NOT NULL,
   `user_id` int(11) NOT NULL,
@@ -237,6 +252,7 @@ CREATE TABLE `canvases` (
   `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
   `password_hash` varchar(255) DEFAULT NULL,
   `lock_version` int(11) DEFAULT 0,
+  `default_template_id` int(11) DEFAULT NULL,
   PRIMARY KEY (`id`),
   KEY `user_id` (`user_id`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -301,6 +317,26 @@ CREATE TABLE `chores` (
   CONSTRAINT `fk_chore_assign` FOREIGN KEY (`assigned_to`) REFERENCES `users` (`id`) ON DELETE SET NULL,
   CONSTRAINT `fk_chore_complete` FOREIGN KEY (`completed_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `client_telemetry` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `fingerprint` char(40) NOT NULL,
+  `kind` enum('error','rejection','api','slow_render') NOT NULL,
+  `module` varchar(64) NOT NULL,
+  `message` varchar(500) NOT NULL,
+  `source` varchar(255) DEFAULT NULL,
+  `detail` text DEFAULT NULL,
+  `occurrences` int(11) NOT NULL DEFAULT 1,
+  `username` varchar(50) DEFAULT NULL,
+  `app_version` varchar(32) DEFAULT NULL,
+  `client` varchar(16) DEFAULT NULL,
+  `platform` varchar(32) DEFAULT NULL,
+  `page` varchar(255) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_client_telemetry_fingerprint` (`fingerprint`,`created_at`),
+  KEY `idx_client_telemetry_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 CREATE TABLE `connect4_sessions` (
   `id` int(11) NOT NULL AUTO_INCREMENT,
   `game_type` varchar(20) DEFAULT 'connect4',
@@ -455,6 +491,13 @@ CREATE TABLE `imposter_players` (
   PRIMARY KEY (`id`),
   UNIQUE KEY `name` (`name`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+CREATE TABLE `live_topics` (
+  `topic` varchar(64) NOT NULL,
+  `version` bigint(20) unsigned NOT NULL DEFAULT 0,
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`topic`),
+  KEY `idx_live_topics_updated_at` (`updated_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 CREATE TABLE `login_failures` (
   `id` int(11) NOT NULL AUTO_INCREMENT,
   `username_key` varchar(50) NOT NULL,
@@ -626,11 +669,48 @@ CREATE TABLE `note_blobs` (
   `file_data` longblob DEFAULT NULL,
   `created_at` timestamp NULL DEFAULT current_timestamp(),
   `filename` varchar(255) DEFAULT NULL,
+  `ocr_text` mediumtext DEFAULT NULL,
   PRIMARY KEY (`id`),
   KEY `idx_note` (`note_id`),
   KEY `idx_blobs_note` (`note_id`,`id`),
   CONSTRAINT `fk_blobs_note` FOREIGN KEY (`note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `note_calendar_links` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `note_id` int(11) NOT NULL,
+  `slot` smallint(5) unsigned NOT NULL,
+  `event_id` int(11) NOT NULL,
+  `spec` varchar(255) NOT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_note_slot` (`note_id`,`slot`),
+  KEY `idx_calendar_event` (`event_id`),
+  CONSTRAINT `fk_calendar_link_note` FOREIGN KEY (`note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_calendar_link_event` FOREIGN KEY (`event_id`) REFERENCES `calendar_events` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `note_connectors` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `source_note_id` int(11) NOT NULL,
+  `target_note_id` int(11) NOT NULL,
+  `style` enum('straight','elbow') NOT NULL DEFAULT 'straight',
+  `label` varchar(255) DEFAULT NULL,
+  `color` varchar(20) DEFAULT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_connector` (`source_note_id`,`target_note_id`),
+  KEY `idx_connector_target` (`target_note_id`),
+  CONSTRAINT `fk_connector_source` FOREIGN KEY (`source_note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_connector_target` FOREIGN KEY (`target_note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `note_groups` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name` varchar(100) DEFAULT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 CREATE TABLE `note_links` (
   `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
   `source_note_id` int(11) NOT NULL,
@@ -644,6 +724,41 @@ CREATE TABLE `note_links` (
   CONSTRAINT `note_links_ibfk_1` FOREIGN KEY (`source_note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE,
   CONSTRAINT `note_links_ibfk_2` FOREIGN KEY (`target_note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_uca1400_ai_ci;
+CREATE TABLE `note_ops` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `note_id` int(11) NOT NULL,
+  `version` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `session_id` varchar(32) DEFAULT NULL,
+  `op` mediumtext NOT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_note_ops_version` (`note_id`,`version`),
+  CONSTRAINT `fk_note_ops_note` FOREIGN KEY (`note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `note_revisions` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `note_id` int(11) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `title` varchar(255) DEFAULT NULL,
+  `content` text DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_note_revisions_note` (`note_id`,`id`),
+  CONSTRAINT `fk_note_revisions_note` FOREIGN KEY (`note_id`) REFERENCES `notes` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `note_templates` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `title` varchar(255) DEFAULT NULL,
+  `content` text DEFAULT NULL,
+  `color` varchar(20) DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_note_templates_user` (`user_id`,`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 CREATE TABLE `notes` (
   `id` int(11) NOT NULL AUTO_INCREMENT,
   `user_id` int(11) NOT NULL,
@@ -667,11 +782,30 @@ CREATE TABLE `notes` (
   `locked_by_user_id` int(11) DEFAULT NULL,
   `locked_by_session_id` varchar(32) DEFAULT NULL,
   `locked_at` timestamp NULL DEFAULT NULL,
+  `content_version` int(11) NOT NULL DEFAULT 0,
+  `group_id` int(11) DEFAULT NULL,
   PRIMARY KEY (`id`),
   KEY `idx_user` (`user_id`),
   KEY `idx_notes_sync` (`canvas_id`,`is_deleted`,`updated_at`),
+  KEY `idx_notes_group` (`group_id`),
+  CONSTRAINT `fk_notes_group` FOREIGN KEY (`group_id`) REFERENCES `note_groups` (`id`) ON DELETE SET NULL,
   CONSTRAINT `fk_notes_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+CREATE TABLE `notes_presence` (
+  `user_id` int(11) NOT NULL,
+  `session_id` varchar(32) NOT NULL,
+  `canvas_id` int(11) NOT NULL,
+  `layer_id` int(11) NOT NULL DEFAULT 1,
+  `view_x` int(11) NOT NULL DEFAULT 0,
+  `view_y` int(11) NOT NULL DEFAULT 0,
+  `view_w` int(11) NOT NULL DEFAULT 0,
+  `view_h` int(11) NOT NULL DEFAULT 0,
+  `editing_note_id` int(11) DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`user_id`,`session_id`),
+  KEY `idx_notes_presence_canvas` (`canvas_id`,`updated_at`),
+  CONSTRAINT `fk_notes_presence_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 CREATE TABLE `notes_viewport` (
   `user_id` int(11) NOT NULL,
   `canvas_id` int(11) NOT NULL DEFAULT 1,
@@ -1164,6 +1298,7 @@ CREATE TABLE `users` (
   `status` varchar(20) NOT NULL DEFAULT 'pending',
   `is_child` tinyint(1) DEFAULT 0,
   `emoji` varchar(10) DEFAULT '?',
+  `locale` varchar(8) NOT NULL DEFAULT 'en',
   `quick_sort_order` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`quick_sort_order`)),
   PRIMARY KEY (`id`),
   UNIQUE KEY `username` (`username`),
@@ -0,0 +1,74 @@
+# /lib/DB/Live.pm
+
+package DB::Live;
+
+use strict;
+use warnings;
+
+# Database helper for the live state channel.
+# Features:
+#   - Per-module change counters ("topics") bumped on every successful mutation
+#   - Version lookup for the topics a worker's sockets subscribe to
+#   - Pruning of topics that have not changed recently
+# Integration points:
+#   - Extends the core DB package via direct method injection
+#   - Bumped from the global after_dispatch hook in MyApp.pm
+#   - Polled by MyApp::Controller::Live so every Hypnotoad worker sees changes
+#   - Pruned by System.pm run_live_topic_maintenance
+
+# Increments the version counter for a topic, creating it on first use.
+# Parameters:
+#   topic : Module key, e.g. 'shopping' or 'admin/files' (String)
+# Returns:
+#   Result of execute() (true on success)
+sub DB::bump_live_topic {
+    my ($self, $topic) = @_;
+
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare("
+        INSERT INTO live_topics (topic, version)
+        VALUES (?, 1)
+        ON DUPLICATE KEY UPDATE version = version + 1
+    ");
+    $sth->execute($topic);
+}
+
+# Retrieves the current versions of the given topics.
+# Parameters:
+#   topics : ArrayRef of topic keys (String)
+# Returns:
+#   HashRef mapping topic => version; topics without a row are omitted
+sub DB::get_live_topic_versions {
+    my ($self, $topics) = @_;
+    return {} unless $topics && @$topics;
+
+    $self->ensure_connection;
+
+    my $rows = $self->{dbh}->selectall_arrayref(
+        "SELECT topic, version FROM live_topics WHERE topic IN (" . join(',', map { '?' } @$topics) . ")",
+        undef, @$topics
+    );
+    return { map { $_->[0] => $_->[1] } @$rows };
+}
+
+# Deletes topics that have not been bumped for a number of days.
+# A pruned topic restarts at version 1 on its next bump, which subscribers
+# still see as a change.
+# Parameters:
+#   days : Age threshold in days (Integer)
+# Returns:
+#   Number of rows deleted
+sub DB::prune_live_topics {
+    my ($self, $days) = @_;
+
+    $self->ensure_connection;
+
+    my $rows = $self->{dbh}->do(
+        "DELETE FROM live_topics WHERE updated_at < DATE_SUB(NOW(), INTERVAL ? DAY)",
+        undef, int($days || 1)
+    );
+    return $rows eq '0E0' ? 0 : $rows;
+}
+
+1;
@@ -6,6 +6,9 @@ use strict;
 use warnings;
 use DBI qw(:sql_types);
 use Crypt::Eksblowfish::Bcrypt qw(bcrypt en_base64);
+use Mojo::JSON qw(to_json from_json);
+use Time::Piece;
+use Time::Seconds qw(ONE_HOUR);
 
 # Database library for the /notes module.
 #
@@ -15,11 +18,25 @@ use Crypt::Eksblowfish::Bcrypt qw(bcrypt en_base64);
 #   - SQL-level privacy isolation for registered users.
 #   - Atomic synchronization of z-index, collapse states, and viewport scale.
 #   - Multi-canvas management with collaborative sharing and ACL.
+#   - Per-note revision history with capped retention.
+#   - Operational-transform text editing and board presence for live collaboration.
+#   - Whole-board export snapshots and transactional board import.
+#   - Connector arrows between notes that travel with copied and moved notes.
+#   - Cross-board link graph of wikilinks and inline note references.
+#   - Reusable note templates with per-board defaults.
+#   - Cross-board checkbox task aggregation with in-place toggling.
+#   - Ranked full-text search with field filters over note text and OCR'd attachment text.
+#   - Date tags linked to family calendar events and reminders, kept in sync with the note.
+#   - Persistent note groups that are selected and moved as one.
+#   - Presentation paths kept as [slide:N] tags in note content.
+#   - Revocable, expiring read-only public links to a board or a single level.
 #
 # Integration Points:
 #   - Automatically loaded by the core DB package.
 #   - Primary data source for the MyApp::Controller::Notes module.
-#   - Depends on 'notes', 'note_blobs', 'canvases', 'canvas_shares', and 'notes_viewport' tables.
+#   - Depends on 'notes', 'note_blobs', 'note_calendar_links', 'note_connectors', 'note_groups', 'note_revisions',
+#     'note_ops', 'note_templates', 'notes_presence', 'canvases', 'canvas_public_links', 'canvas_shares',
+#     and 'notes_viewport' tables, and on the calendar library for 'calendar_events'.
 
 # Retrieves all notes for a specific user and canvas, respecting sharing permissions and lock status.
 # Parameters:
@@ -48,11 +65,13 @@ sub DB::get_user_notes {
         SELECT 
             n.*,
             lu.username as locking_user_name,
+            g.name as group_name,
             b.id as blob_id, b.note_id as blob_note_id, b.filename as blob_filename, 
             b.mime_type as blob_mime, b.file_size as blob_size
         FROM notes n
         LEFT JOIN note_blobs b ON n.id = b.note_id
         LEFT JOIN users lu ON n.locked_by_user_id = lu.id
+        LEFT JOIN note_groups g ON n.group_id = g.id
         WHERE n.canvas_id = ? AND n.is_deleted = 0 
         ORDER BY n.z_index ASC, n.updated_at DESC, b.id ASC
     ";
@@ -85,67 +104,27 @@ sub DB::get_user_notes {
             };
         }
     }
+
+    # Calendar Links: Events behind [date:...|cal|remind=...] tags, for the date badges
+    $_->{calendar_links} = [] for @$notesArr;
+    my $sth_cal = $self->{dbh}->prepare("
+        SELECT l.note_id, l.event_id, l.spec, e.start_date, e.all_day, e.is_private,
+               e.notification_minutes, e.created_by
+        FROM note_calendar_links l
+        JOIN notes n ON l.note_id = n.id
+        JOIN calendar_events e ON l.event_id = e.id
+        WHERE n.canvas_id = ? AND n.is_deleted = 0
+        ORDER BY l.note_id, l.slot ASC
+    ");
+    $sth_cal->execute($canvas_id);
+    while (my $link = $sth_cal->fetchrow_hashref()) {
+        my $note = $note_map{ delete $link->{note_id} } or next;
+        push @{$note->{calendar_links}}, $link;
+    }
     
     return $notesArr;
 }
 
-# Performs an ACL-aware search across all whiteboards accessible to the user.
-# Parameters:
-#   user_id      : Integer identifier for the active user.
-#   query        : Search term (string).
-#   unlocked_ids : ArrayRef of currently session-unlocked canvas IDs.
-# Returns:
-#   ArrayRef of HashRefs containing notes and their parent board names.
-sub DB::get_global_search_notes {
-    my ($self, $user_id, $query, $unlocked_ids) = @_;
-    $self->ensure_connection;
-
-    (my $escaped = $query) =~ s/([%_\\])/\\$1/g;
-    my $term = "%$escaped%";
-
-    # Logic-Pure: Handle SQL IN clause for unlocked markers
-    my $in_clause = (@{$unlocked_ids // []})
-        ? 'OR c.id IN (' . join(',', map { '?' } @$unlocked_ids) . ')'
-        : '';
-
-    # Combine notes with parent canvases while enforcing ACL visibility and Privacy Locks
-    my $sql = "
-        SELECT n.*, c.name as canvas_name, cl.alias as layer_alias
-        FROM notes n
-        JOIN canvases c ON n.canvas_id = c.id
-        LEFT JOIN canvas_layers cl ON n.canvas_id = cl.canvas_id AND n.layer_id = cl.layer_id
-        WHERE (c.user_id = ? OR c.id IN (SELECT canvas_id FROM canvas_shares WHERE user_id = ?))
-        AND (c.password_hash IS NULL $in_clause)
-        AND n.is_deleted = 0
-        AND (n.title IS NULL OR n.title NOT LIKE BINARY 'FENCE:%')
-        AND (n.title LIKE ? OR n.content LIKE ? OR n.filename LIKE ? OR cl.alias LIKE ?)
-        ORDER BY n.updated_at DESC
-        LIMIT 50
-        ";
-
-        my $sth = $self->{dbh}->prepare($sql);
-        $sth->execute($user_id, $user_id, @{$unlocked_ids // []}, $term, $term, $term, $term);
-        my $notes = $sth->fetchall_arrayref({});
-        
-        if (@$notes) {
-            my @note_ids = map { $_->{id} } @$notes;
-            my $placeholders = join(',', map { '?' } @note_ids);
-            my $sql_blobs = "SELECT id as blob_id, note_id, filename, mime_type, file_size FROM note_blobs WHERE note_id IN ($placeholders)";
-            my $sth_blobs = $self->{dbh}->prepare($sql_blobs);
-            $sth_blobs->execute(@note_ids);
-            
-            my %blobs;
-            while (my $row = $sth_blobs->fetchrow_hashref()) {
-                push @{$blobs{$row->{note_id}}}, $row;
-            }
-            foreach my $n (@$notes) {
-                $n->{attachments} = $blobs{$n->{id}} || [];
-            }
-        }
-        
-        return $notes;
-}
-
 # Synchronizes or creates a sticky note, respecting EDIT permissions.
 # Parameters:
 #   params : HashRef { id, user_id, canvas_id, type, content, x, y, width, height, color, z_index, is_collapsed }
@@ -177,7 +156,11 @@ sub DB::save_note {
         # 4. The lock has expired (5-minute window)
         return -1 unless defined $p->{session_id} && length $p->{session_id};
 
-        my $sql = "UPDATE notes SET title = ?, content = ?, filename = ?, x = ?, y = ?, width = ?, height = ?, 
+        # content_version is assigned first so the comparison sees the stored content;
+        # out-of-band content changes force collaborative editors to resync.
+        # An undef content keeps the stored text (collaborative sessions own it via the op log).
+        my $sql = "UPDATE notes SET content_version = IF(? IS NULL OR content <=> ?, content_version, content_version + 1),
+                   title = ?, content = COALESCE(?, content), filename = ?, x = ?, y = ?, width = ?, height = ?, 
                    color = ?, z_index = ?, is_collapsed = ?, is_options_expanded = ?, layer_id = ? 
                    WHERE id = ? 
                    AND (
@@ -187,7 +170,7 @@ sub DB::save_note {
                    )";
         my $sth = $self->{dbh}->prepare($sql);
         $sth->execute(
-            $p->{title}, $p->{content}, $p->{filename}, $p->{x}, $p->{y}, $p->{width}, $p->{height},
+            $p->{content}, $p->{content}, $p->{title}, $p->{content}, $p->{filename}, $p->{x}, $p->{y}, $p->{width}, $p->{height},
             $p->{color}, $p->{z_index}, $p->{is_collapsed}, $p->{is_options_expanded} // 0,
             $p->{layer_id} // 1, $p->{id}, $p->{session_id}
         );
@@ -242,8 +225,8 @@ sub DB::save_note {
                 return undef unless $is_unlocked;
             }
 
-            my $sql_b = "INSERT INTO note_blobs (note_id, file_data, mime_type, file_size, filename) 
-                         SELECT ?, file_data, mime_type, file_size, filename FROM note_blobs WHERE note_id = ?";
+            my $sql_b = "INSERT INTO note_blobs (note_id, file_data, mime_type, file_size, filename, ocr_text) 
+                         SELECT ?, file_data, mime_type, file_size, filename, ocr_text FROM note_blobs WHERE note_id = ?";
             my $sth_b = $self->{dbh}->prepare($sql_b);
             $sth_b->execute($id, $p->{source_id});
         }
@@ -615,6 +598,7 @@ sub DB::delete_note {
     $self->{dbh}->do(
         "DELETE FROM note_links WHERE source_note_id = ?", undef, $note_id
     );
+    $self->clear_note_calendar_links($note_id);
 
     $self->touch_canvas($cid);
     return 1;
@@ -664,6 +648,7 @@ sub DB::delete_batch_notes {
             if ($sth->rows > 0) {
                 push @deleted_ids, $note_id;
                 $dbh->do("DELETE FROM note_links WHERE source_note_id = ?", undef, $note_id);
+                $self->clear_note_calendar_links($note_id);
             } else {
                 die "Note #" . $note_id . " is locked or missing";
             }
@@ -1063,6 +1048,16 @@ sub DB::delete_canvas {
     my ($self, $canvas_id, $user_id) = @_;
     $self->ensure_connection;
 
+    # Linked calendar events outlive the cascade unless removed first
+    $self->{dbh}->do(
+        "DELETE e FROM calendar_events e
+         JOIN note_calendar_links l ON l.event_id = e.id
+         JOIN notes n ON l.note_id = n.id
+         JOIN canvases c ON n.canvas_id = c.id
+         WHERE c.id = ? AND c.user_id = ?",
+        undef, $canvas_id, $user_id
+    );
+
     # Integrity Sync: Only owner can purge the board foundation
     my $sth = $self->{dbh}->prepare("DELETE FROM canvases WHERE id = ? AND user_id = ?");
     $sth->execute($canvas_id, $user_id);
@@ -1152,8 +1147,8 @@ sub DB::copy_note {
 
     # 3. Binary Deep-Copy: Replicate the BLOB for binary types
     if (($note->{type} eq 'image' || $note->{type} eq 'file') && $new_id) {
-        my $sql_b = "INSERT INTO note_blobs (note_id, file_data, mime_type, file_size, filename)
-                     SELECT ?, file_data, mime_type, file_size, filename FROM note_blobs WHERE note_id = ?";
+        my $sql_b = "INSERT INTO note_blobs (note_id, file_data, mime_type, file_size, filename, ocr_text)
+                     SELECT ?, file_data, mime_type, file_size, filename, ocr_text FROM note_blobs WHERE note_id = ?";
         my $sth_b = $self->{dbh}->prepare($sql_b);
         $sth_b->execute($new_id, $note_id);
     }
@@ -1193,6 +1188,14 @@ sub DB::move_notes_to_canvas {
     }
 
     if ($count) {
+        # Connectors only travel when both endpoints moved; arrows left spanning two boards are dropped
+        $self->{dbh}->do(
+            "DELETE c FROM note_connectors c
+             JOIN notes s ON c.source_note_id = s.id
+             JOIN notes t ON c.target_note_id = t.id
+             WHERE s.canvas_id <> t.canvas_id AND (s.canvas_id = ? OR t.canvas_id = ?)",
+            undef, $target_canvas_id, $target_canvas_id
+        );
         $self->touch_canvas($source_canvas_id);
         $self->touch_canvas($target_canvas_id);
     }
@@ -1236,8 +1239,10 @@ sub DB::set_notes_layer {
 #   canvas_id       : Canvas the notes belong to.
 #   target_layer_id : Destination layer (1-99).
 #   user_id         : Active user identifier.
+# Connectors running between the cloned notes are duplicated onto the clones.
 # Returns:
-#   Integer count of notes successfully cloned.
+#   Integer count of notes successfully cloned in scalar context,
+#   or (count, ArrayRef of new note IDs) in list context.
 sub DB::clone_notes_to_layer {
     my ($self, $note_ids, $canvas_id, $target_layer_id, $user_id) = @_;
     $self->ensure_connection;
@@ -1251,11 +1256,12 @@ sub DB::clone_notes_to_layer {
          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
     );
     my $sth_b = $self->{dbh}->prepare(
-        "INSERT INTO note_blobs (note_id, file_data, mime_type, file_size, filename)
-         SELECT ?, file_data, mime_type, file_size, filename FROM note_blobs WHERE note_id = ?"
+        "INSERT INTO note_blobs (note_id, file_data, mime_type, file_size, filename, ocr_text)
+         SELECT ?, file_data, mime_type, file_size, filename, ocr_text FROM note_blobs WHERE note_id = ?"
     );
 
     my $count = 0;
+    my (@new_ids, %id_map);
     for my $id (@$note_ids) {
         next unless defined $id && $id =~ /\A\d+\z/;
 
@@ -1275,11 +1281,16 @@ sub DB::clone_notes_to_layer {
             $sth_b->execute($new_id, $id);
         }
 
-        $count++ if $new_id;
+        if ($new_id) {
+            $count++;
+            push @new_ids, $new_id;
+            $id_map{$id} = $new_id;
+        }
     }
 
+    $self->copy_note_connectors(\%id_map) if $count;
     $self->touch_canvas($canvas_id) if $count;
-    return $count;
+    return wantarray ? ($count, \@new_ids) : $count;
 }
 
 # Updates the name of a canvas, respecting ownership.
@@ -1395,6 +1406,42 @@ sub DB::restore_note {
     return 1;
 }
 
+# Reverses a soft-delete in place, keeping each note's canvas, layer and position.
+# Used by the whiteboard undo stack; unlike restore_note this only requires EDIT
+# access to the note's canvas, so collaborators can undo their own deletions.
+# Parameters:
+#   note_ids : ArrayRef of integer note IDs.
+#   user_id  : Active user identifier.
+# Returns:
+#   ArrayRef of note IDs that were restored.
+sub DB::undelete_notes {
+    my ($self, $note_ids, $user_id) = @_;
+    $self->ensure_connection;
+
+    return [] unless $note_ids && @$note_ids;
+
+    my $sth = $self->{dbh}->prepare(
+        "UPDATE notes SET is_deleted = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_deleted = 1"
+    );
+
+    my (@restored, %canvases);
+    for my $note_id (@$note_ids) {
+        next unless defined $note_id && $note_id =~ /\A\d+\z/;
+
+        my $cid = $self->get_canvas_for_note_id($note_id, $user_id);
+        next unless $cid && $self->check_canvas_access($cid, $user_id, 1);
+
+        $sth->execute($note_id);
+        next unless $sth->rows;
+
+        push @restored, $note_id;
+        $canvases{$cid} = 1;
+    }
+
+    $self->touch_canvas($_) for keys %canvases;
+    return \@restored;
+}
+
 # Permanently removes a note and its binary blob.
 # Authority Check: Only canonical owners can permanently purge.
 sub DB::purge_note {
@@ -1587,6 +1634,192 @@ sub DB::verify_canvas_password {
     return $diff == 0 ? 1 : 0;
 }
 
+# --- Public Share Links ---
+
+# Note columns exposed to anonymous viewers. Authorship, lock and session metadata stay private.
+my @PUBLIC_NOTE_COLUMNS = qw(id layer_id type title content x y width height color z_index is_collapsed group_id);
+
+# Issues a revocable read-only link to a board. Owner-only.
+# Parameters:
+#   canvas_id   : ID of the board.
+#   user_id     : ID of the active user.
+#   layer_id    : Level the link is restricted to, or undef for every level.
+#   expiry_days : Days until the link stops resolving, or undef/0 for no expiry.
+# Returns:
+#   HashRef of the new link (see get_canvas_public_links), or undef if the user is not the owner.
+sub DB::create_canvas_public_link {
+    my ($self, $canvas_id, $user_id, $layer_id, $expiry_days) = @_;
+    $self->ensure_connection;
+
+    my ($is_owner) = $self->{dbh}->selectrow_array(
+        "SELECT 1 FROM canvases WHERE id = ? AND user_id = ?", undef, $canvas_id, $user_id
+    );
+    return undef unless $is_owner;
+
+    my $token_raw = '';
+    if (open my $fh, '<:raw', '/dev/urandom') {
+        read($fh, $token_raw, 32);
+        close $fh;
+    }
+
+    # Hard-fail: The token is the only credential guarding the board, so it must be unguessable.
+    die "FATAL: Cannot generate cryptographically secure link token: /dev/urandom unavailable"
+        unless length($token_raw) == 32;
+
+    my $token = unpack('H*', $token_raw);
+    $self->{dbh}->do(
+        "INSERT INTO canvas_public_links (canvas_id, token, layer_id, created_by, expires_at)
+         VALUES (?, ?, ?, ?, IF(? > 0, DATE_ADD(NOW(), INTERVAL ? DAY), NULL))",
+        undef, $canvas_id, $token, $layer_id, $user_id, $expiry_days || 0, $expiry_days || 0
+    );
+
+    my $id = $self->{dbh}->last_insert_id(undef, undef, 'canvas_public_links', 'id');
+    my ($link) = grep { $_->{id} == $id } @{ $self->get_canvas_public_links($canvas_id) };
+    return $link;
+}
+
+# Lists the public links of a board, newest first (Owner only).
+# Parameters:
+#   canvas_id : ID of the board.
+# Returns:
+#   ArrayRef of HashRefs { id, token, layer_id, expires_at, is_expired, created_at, last_accessed_at }.
+sub DB::get_canvas_public_links {
+    my ($self, $canvas_id) = @_;
+    $self->ensure_connection;
+
+    return $self->{dbh}->selectall_arrayref(
+        "SELECT id, token, layer_id, expires_at, (expires_at IS NOT NULL AND expires_at <= NOW()) AS is_expired,
+                created_at, last_accessed_at
+         FROM canvas_public_links
+         WHERE canvas_id = ?
+         ORDER BY id DESC",
+        { Slice => {} }, $canvas_id
+    );
+}
+
+# Revokes a public link. The token stops resolving immediately.
+# Parameters:
+#   canvas_id : ID of the board the link belongs to.
+#   link_id   : ID of the link.
+# Returns:
+#   Boolean success status.
+sub DB::revoke_canvas_public_link {
+    my ($self, $canvas_id, $link_id) = @_;
+    $self->ensure_connection;
+
+    my $rows = $self->{dbh}->do(
+        "DELETE FROM canvas_public_links WHERE id = ? AND canvas_id = ?", undef, $link_id, $canvas_id
+    );
+    return ($rows && $rows > 0) ? 1 : 0;
+}
+
+# Resolves a public token to the board it exposes.
+# Expired links and links to password-protected boards do not resolve.
+# Parameters:
+#   token : 64-character hex token from the link URL.
+# Returns:
+#   HashRef { id, canvas_id, layer_id, expires_at, canvas_name } or undef.
+sub DB::resolve_canvas_public_link {
+    my ($self, $token) = @_;
+    $self->ensure_connection;
+
+    return undef unless defined $token && $token =~ /^[0-9a-f]{64}$/;
+
+    my $link = $self->{dbh}->selectrow_hashref(
+        "SELECT l.id, l.canvas_id, l.layer_id, l.expires_at, c.name AS canvas_name
+         FROM canvas_public_links l
+         JOIN canvases c ON l.canvas_id = c.id
+         WHERE l.token = ?
+         AND (l.expires_at IS NULL OR l.expires_at > NOW())
+         AND c.password_hash IS NULL",
+        undef, $token
+    );
+    return undef unless $link;
+
+    $self->{dbh}->do("UPDATE canvas_public_links SET last_accessed_at = NOW() WHERE id = ?", undef, $link->{id});
+    return $link;
+}
+
+# Retrieves the notes a public link exposes, reduced to display fields.
+# Parameters:
+#   link : HashRef from resolve_canvas_public_link.
+# Returns:
+#   ArrayRef of note HashRefs with an 'attachments' list of blob metadata.
+sub DB::get_public_board_notes {
+    my ($self, $link) = @_;
+    $self->ensure_connection;
+
+    my $cols = join(', ', map { "n.$_" } @PUBLIC_NOTE_COLUMNS);
+    my @bind = ($link->{canvas_id});
+    my $layer_sql = '';
+    if (defined $link->{layer_id}) {
+        $layer_sql = 'AND n.layer_id = ?';
+        push @bind, $link->{layer_id};
+    }
+
+    my $sth = $self->{dbh}->prepare("
+        SELECT $cols, g.name AS group_name,
+               b.id AS blob_id, b.filename AS blob_filename, b.mime_type AS blob_mime, b.file_size AS blob_size
+        FROM notes n
+        LEFT JOIN note_blobs b ON n.id = b.note_id
+        LEFT JOIN note_groups g ON n.group_id = g.id
+        WHERE n.canvas_id = ? AND n.is_deleted = 0 $layer_sql
+        ORDER BY n.z_index ASC, n.updated_at DESC, b.id ASC
+    ");
+    $sth->execute(@bind);
+
+    my (@notes, %note_map);
+    while (my $row = $sth->fetchrow_hashref()) {
+        my $nid = $row->{id};
+        if (!$note_map{$nid}) {
+            my $note = { map { $_ => $row->{$_} } grep { !/^blob_/ } keys %$row };
+            $note->{attachments} = [];
+            $note_map{$nid} = $note;
+            push @notes, $note;
+        }
+        if ($row->{blob_id}) {
+            push @{$note_map{$nid}->{attachments}}, {
+                blob_id   => $row->{blob_id},
+                note_id   => $nid,
+                filename  => $row->{blob_filename},
+                mime_type => $row->{blob_mime},
+                file_size => $row->{blob_size}
+            };
+        }
+    }
+    return \@notes;
+}
+
+# Fetches an attachment for a public link, only if its note is within the link's scope.
+# Parameters:
+#   link    : HashRef from resolve_canvas_public_link.
+#   blob_id : Attachment ID, or undef to look up by note.
+#   note_id : Note ID whose first attachment is served when blob_id is undef.
+# Returns:
+#   HashRef of binary metadata and content, or undef.
+sub DB::get_public_blob {
+    my ($self, $link, $blob_id, $note_id) = @_;
+    $self->ensure_connection;
+
+    my @bind = ($link->{canvas_id});
+    my $where = defined $blob_id ? 'nb.id = ?' : 'nb.note_id = ?';
+    push @bind, defined $blob_id ? $blob_id : $note_id;
+    my $layer_sql = '';
+    if (defined $link->{layer_id}) {
+        $layer_sql = 'AND n.layer_id = ?';
+        push @bind, $link->{layer_id};
+    }
+
+    return $self->{dbh}->selectrow_hashref(
+        "SELECT nb.*, n.canvas_id
+         FROM note_blobs nb
+         JOIN notes n ON nb.note_id = n.id
+         WHERE n.canvas_id = ? AND $where AND n.is_deleted = 0 $layer_sql
+         ORDER BY nb.id ASC LIMIT 1",
+        undef, @bind
+    );
+}
+
 # --- Background Maintenance Operations ---
 
 # Attempts to clean up deleted notes that have no blobs or dependencies.
@@ -1710,10 +1943,11 @@ sub DB::set_note_in_place {
     return undef unless $note;
     my $sth = $self->{dbh}->prepare(
         "UPDATE notes
-         SET title = ?, content = ?, updated_at = CURRENT_TIMESTAMP
+         SET content_version = IF(content <=> ?, content_version, content_version + 1),
+             title = ?, content = ?, updated_at = CURRENT_TIMESTAMP
          WHERE id = ? AND canvas_id = ? AND is_deleted = 0"
     );
-    $sth->execute($title, $content, $note_id, $note->{canvas_id});
+    $sth->execute($content, $title, $content, $note_id, $note->{canvas_id});
     return undef unless $sth->rows;
     return $self->get_note_for_ai_format($note_id, $user_id);
 }
@@ -1754,6 +1988,7 @@ sub DB::complete_ai_format_note {
         die "Could not update AI formatted note" unless $note;
         $self->sync_note_links($args{note_id}, $args{content}, $args{user_id});
         $self->sync_bookmark_links($args{note_id}, $args{content}, $args{user_id});
+        $self->sync_note_calendar_links($args{note_id}, $args{content}, $args{user_id});
         $self->reconcile_bookmark_links($note->{canvas_id}, $note->{layer_id}, $args{user_id});
         $self->{dbh}->commit if $started_transaction;
         1;
@@ -1798,10 +2033,11 @@ sub DB::update_ai_formatted_note {
 
     my $sth = $self->{dbh}->prepare(
         "UPDATE notes
-         SET title = ?, content = ?, x = x + 24, y = y + 24, z_index = ?, updated_at = CURRENT_TIMESTAMP
+         SET content_version = IF(content <=> ?, content_version, content_version + 1),
+             title = ?, content = ?, x = x + 24, y = y + 24, z_index = ?, updated_at = CURRENT_TIMESTAMP
          WHERE id = ? AND canvas_id = ? AND is_deleted = 0"
     );
-    $sth->execute($title, $content, int($max_z || 1) + 1, $note_id, $note->{canvas_id});
+    $sth->execute($content, $title, $content, int($max_z || 1) + 1, $note_id, $note->{canvas_id});
     return undef unless $sth->rows;
     $self->touch_canvas($note->{canvas_id});
     return $self->get_note_for_ai_format($note_id, $user_id);
@@ -2144,7 +2380,7 @@ sub DB::cascade_rename_links {
     );
     my $sth_content = $self->{dbh}->prepare("SELECT content FROM notes WHERE id = ?");
     my $sth_update  = $self->{dbh}->prepare(
-        "UPDATE notes SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?"
+        "UPDATE notes SET content = ?, content_version = content_version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?"
     );
 
     for my $sid (@source_ids) {
@@ -2257,4 +2493,1805 @@ sub DB::get_note_for_embed {
     return $sth->fetchrow_hashref();
 }
 
+# --- Revision History ---
+
+# Upper bound on stored revisions per note; older entries are pruned on insert.
+my $MAX_NOTE_REVISIONS = 100;
+
+# Returns the title, content and last editor context needed to seed a note's
+# revision history before it is first overwritten.
+# Parameters:
+#   note_id : Integer note ID.
+# Returns:
+#   HashRef { user_id, title, content, updated_at } or undef if not found.
+sub DB::get_note_revision_baseline {
+    my ($self, $note_id) = @_;
+    $self->ensure_connection;
+    my $sth = $self->{dbh}->prepare(
+        "SELECT user_id, title, content, updated_at FROM notes WHERE id = ? AND is_deleted = 0"
+    );
+    $sth->execute($note_id);
+    return $sth->fetchrow_hashref();
+}
+
+# Stores a saved note state as a revision.
+# Skips the insert when title and content match the latest revision. For notes
+# that predate revision tracking, the pre-save state (baseline) is stored first
+# so the very first overwrite can still be undone.
+# Parameters:
+#   note_id  : Integer note ID.
+#   user_id  : ID of the saving user (revision author).
+#   title    : Saved title.
+#   content  : Saved content.
+#   baseline : Optional HashRef from get_note_revision_baseline (pre-save state).
+# Returns:
+#   Integer revision ID, or 0 when nothing changed.
+sub DB::add_note_revision {
+    my ($self, $note_id, $user_id, $title, $content, $baseline) = @_;
+    $self->ensure_connection;
+    $title   //= '';
+    $content //= '';
+
+    my $latest = $self->{dbh}->selectrow_hashref(
+        "SELECT title, content FROM note_revisions WHERE note_id = ? ORDER BY id DESC LIMIT 1",
+        undef, $note_id
+    );
+
+    if (!$latest && $baseline) {
+        my ($b_title, $b_content) = ($baseline->{title} // '', $baseline->{content} // '');
+        if ($b_title ne $title || $b_content ne $content) {
+            $self->{dbh}->do(
+                "INSERT INTO note_revisions (note_id, user_id, title, content, created_at) VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))",
+                undef, $note_id, $baseline->{user_id}, $b_title, $b_content, $baseline->{updated_at}
+            );
+        }
+    }
+
+    return 0 if $latest && ($latest->{title} // '') eq $title && ($latest->{content} // '') eq $content;
+
+    $self->{dbh}->do(
+        "INSERT INTO note_revisions (note_id, user_id, title, content) VALUES (?, ?, ?, ?)",
+        undef, $note_id, $user_id, $title, $content
+    );
+    my $id = int($self->{dbh}->last_insert_id(undef, undef, 'note_revisions', 'id'));
+
+    # Retention: Keep only the newest revisions for this note
+    $self->{dbh}->do(
+        "DELETE FROM note_revisions
+         WHERE note_id = ? AND id < (
+             SELECT min_id FROM (
+                 SELECT id AS min_id FROM note_revisions WHERE note_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+             ) AS cutoff
+         )",
+        undef, $note_id, $note_id, $MAX_NOTE_REVISIONS - 1
+    );
+
+    return $id;
+}
+
+# Lists a note's revisions (newest first) without their content.
+# Parameters:
+#   note_id : Integer note ID.
+#   user_id : Requesting user's ID (canvas read access required).
+# Returns:
+#   ArrayRef of HashRefs { id, title, author, created_at, created_epoch, content_length }.
+sub DB::get_note_revisions {
+    my ($self, $note_id, $user_id) = @_;
+    $self->ensure_connection;
+    return [] unless $self->get_canvas_for_note_id($note_id, $user_id);
+
+    my $sth = $self->{dbh}->prepare(
+        "SELECT r.id, r.title, COALESCE(u.username, 'Unknown') AS author, r.created_at,
+                UNIX_TIMESTAMP(r.created_at) AS created_epoch, CHAR_LENGTH(r.content) AS content_length
+         FROM note_revisions r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.note_id = ?
+         ORDER BY r.id DESC"
+    );
+    $sth->execute($note_id);
+    return $sth->fetchall_arrayref({});
+}
+
+# Fetches one revision with its content.
+# Parameters:
+#   revision_id : Integer revision ID.
+#   user_id     : Requesting user's ID (canvas read access required).
+# Returns:
+#   HashRef { id, note_id, canvas_id, title, content, author, created_at, created_epoch } or undef.
+sub DB::get_note_revision {
+    my ($self, $revision_id, $user_id) = @_;
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare(
+        "SELECT r.id, r.note_id, n.canvas_id, r.title, r.content, COALESCE(u.username, 'Unknown') AS author,
+                r.created_at, UNIX_TIMESTAMP(r.created_at) AS created_epoch
+         FROM note_revisions r
+         JOIN notes n ON r.note_id = n.id
+         JOIN canvases c ON n.canvas_id = c.id
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.id = ?
+         AND (c.user_id = ? OR c.id IN (SELECT canvas_id FROM canvas_shares WHERE user_id = ?))"
+    );
+    $sth->execute($revision_id, $user_id, $user_id);
+    return $sth->fetchrow_hashref();
+}
+
+# --- Canvas Connectors ---
+
+# Retrieves the arrows drawn between notes on a canvas.
+# Connectors whose endpoints are soft-deleted stay stored and reappear on restore.
+# Parameters:
+#   canvas_id : Integer ID of the board.
+# Returns:
+#   ArrayRef of HashRefs { id, source_note_id, target_note_id, style, label, color }.
+sub DB::get_canvas_connectors {
+    my ($self, $canvas_id) = @_;
+    $self->ensure_connection;
+
+    return $self->{dbh}->selectall_arrayref(
+        "SELECT c.id, c.source_note_id, c.target_note_id, c.style, c.label, c.color
+         FROM note_connectors c
+         JOIN notes s ON c.source_note_id = s.id
+         JOIN notes t ON c.target_note_id = t.id
+         WHERE s.canvas_id = ? AND t.canvas_id = ? AND s.is_deleted = 0 AND t.is_deleted = 0
+         ORDER BY c.id",
+        { Slice => {} }, $canvas_id, $canvas_id
+    );
+}
+
+# Creates a connector between two notes of the same canvas, or restyles an existing one.
+# Creating an arrow that already exists for the same source/target pair updates it instead.
+# Parameters:
+#   canvas_id : Board both notes must belong to.
+#   user_id   : Creating user's ID.
+#   p         : HashRef { id?, source_note_id, target_note_id, style, label, color }.
+# Returns:
+#   Integer connector ID, or 0 if the notes or connector are not on the board.
+sub DB::save_note_connector {
+    my ($self, $canvas_id, $user_id, $p) = @_;
+    $self->ensure_connection;
+    my $dbh = $self->{dbh};
+
+    my $id;
+    if ($p->{id}) {
+        my ($exists) = $dbh->selectrow_array(
+            "SELECT 1 FROM note_connectors c JOIN notes s ON c.source_note_id = s.id
+             WHERE c.id = ? AND s.canvas_id = ?",
+            undef, $p->{id}, $canvas_id
+        );
+        return 0 unless $exists;
+
+        $dbh->do(
+            "UPDATE note_connectors SET style = ?, label = ?, color = ? WHERE id = ?",
+            undef, $p->{style}, $p->{label}, $p->{color}, $p->{id}
+        );
+        $id = int($p->{id});
+    } else {
+        return 0 if $p->{source_note_id} == $p->{target_note_id};
+
+        my ($found) = $dbh->selectrow_array(
+            "SELECT COUNT(*) FROM notes WHERE id IN (?, ?) AND canvas_id = ? AND is_deleted = 0",
+            undef, $p->{source_note_id}, $p->{target_note_id}, $canvas_id
+        );
+        return 0 unless $found == 2;
+
+        $dbh->do(
+            "INSERT INTO note_connectors (source_note_id, target_note_id, style, label, color, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE style = VALUES(style), label = VALUES(label), color = VALUES(color),
+                                     id = LAST_INSERT_ID(id)",
+            undef, $p->{source_note_id}, $p->{target_note_id}, $p->{style}, $p->{label}, $p->{color}, $user_id
+        );
+        $id = int($dbh->last_insert_id(undef, undef, 'note_connectors', 'id'));
+    }
+
+    $self->touch_canvas($canvas_id);
+    return $id;
+}
+
+# Removes a connector, addressed either by ID or by its source/target pair.
+# The pair form lets undo/redo replay deletions after the connector was re-created.
+# Parameters:
+#   canvas_id : Board the connector belongs to.
+#   p         : HashRef { id } or { source_note_id, target_note_id }.
+# Returns:
+#   Integer count of removed connectors.
+sub DB::delete_note_connector {
+    my ($self, $canvas_id, $p) = @_;
+    $self->ensure_connection;
+
+    my $rows = $self->{dbh}->do(
+        "DELETE c FROM note_connectors c
+         JOIN notes s ON c.source_note_id = s.id
+         WHERE s.canvas_id = ? AND (c.id = ? OR (c.source_note_id = ? AND c.target_note_id = ?))",
+        undef, $canvas_id, $p->{id} // 0, $p->{source_note_id} // 0, $p->{target_note_id} // 0
+    );
+    $rows = 0 if !$rows || $rows eq '0E0';
+
+    $self->touch_canvas($canvas_id) if $rows;
+    return $rows;
+}
+
+# Duplicates the connectors running between copied notes onto their copies.
+# Arrows with only one endpoint inside the copied set are not carried over.
+# Parameters:
+#   id_map : HashRef { original note ID => copied note ID }.
+# Returns:
+#   Integer count of connectors created.
+sub DB::copy_note_connectors {
+    my ($self, $id_map) = @_;
+    $self->ensure_connection;
+
+    my @ids = grep { $id_map->{$_} } keys %$id_map;
+    return 0 unless @ids;
+
+    my $in = join ',', ('?') x @ids;
+    my $connectors = $self->{dbh}->selectall_arrayref(
+        "SELECT source_note_id, target_note_id, style, label, color, created_by
+         FROM note_connectors
+         WHERE source_note_id IN ($in) AND target_note_id IN ($in)",
+        { Slice => {} }, @ids, @ids
+    );
+
+    my $sth = $self->{dbh}->prepare(
+        "INSERT IGNORE INTO note_connectors (source_note_id, target_note_id, style, label, color, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)"
+    );
+    my $count = 0;
+    for my $cn (@$connectors) {
+        $count += $sth->execute(
+            $id_map->{ $cn->{source_note_id} }, $id_map->{ $cn->{target_note_id} },
+            $cn->{style}, $cn->{label}, $cn->{color}, $cn->{created_by}
+        ) || 0;
+    }
+    return $count;
+}
+
+# --- Note Groups ---
+
+# Dissolves groups left with fewer than two members and removes empty group rows.
+# Soft-deleted members still count, so restoring a note puts it back in its group.
+sub _prune_note_groups {
+    my ($dbh) = @_;
+    $dbh->do(
+        "UPDATE notes n
+         JOIN (SELECT group_id FROM notes WHERE group_id IS NOT NULL
+               GROUP BY group_id HAVING COUNT(*) < 2) lone ON n.group_id = lone.group_id
+         SET n.group_id = NULL"
+    );
+    $dbh->do(
+        "DELETE g FROM note_groups g LEFT JOIN notes n ON n.group_id = g.id WHERE n.id IS NULL"
+    );
+}
+
+# Groups notes of one canvas so they are selected and moved together.
+# Notes already in another group leave it; groups left with a single member dissolve.
+# Parameters:
+#   canvas_id : Board every note must belong to.
+#   user_id   : Creating user's ID.
+#   note_ids  : ArrayRef of note IDs (at least two).
+#   name      : Optional group label.
+# Returns:
+#   Integer group ID, or 0 if fewer than two of the notes are live on the board.
+sub DB::create_note_group {
+    my ($self, $canvas_id, $user_id, $note_ids, $name) = @_;
+    $self->ensure_connection;
+    my $dbh = $self->{dbh};
+
+    my @ids = grep { defined && /\A\d+\z/ } @{$note_ids // []};
+    return 0 unless @ids >= 2;
+
+    my $in = join ',', ('?') x @ids;
+    my $live = $dbh->selectcol_arrayref(
+        "SELECT id FROM notes WHERE id IN ($in) AND canvas_id = ? AND is_deleted = 0",
+        undef, @ids, $canvas_id
+    );
+    return 0 unless @$live >= 2;
+
+    $dbh->do("INSERT INTO note_groups (name, created_by) VALUES (?, ?)", undef, $name, $user_id);
+    my $group_id = int($dbh->last_insert_id(undef, undef, 'note_groups', 'id'));
+
+    my $live_in = join ',', ('?') x @$live;
+    $dbh->do(
+        "UPDATE notes SET group_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id IN ($live_in)",
+        undef, $group_id, @$live
+    );
+    _prune_note_groups($dbh);
+    $self->touch_canvas($canvas_id);
+    return $group_id;
+}
+
+# Removes notes from their groups; groups left with a single member dissolve.
+# Parameters:
+#   canvas_id : Board the notes belong to.
+#   note_ids  : ArrayRef of note IDs.
+# Returns:
+#   Number of notes taken out of a group.
+sub DB::ungroup_notes {
+    my ($self, $canvas_id, $note_ids) = @_;
+    $self->ensure_connection;
+
+    my @ids = grep { defined && /\A\d+\z/ } @{$note_ids // []};
+    return 0 unless @ids;
+
+    my $in = join ',', ('?') x @ids;
+    my $count = $self->{dbh}->do(
+        "UPDATE notes SET group_id = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id IN ($in) AND canvas_id = ? AND group_id IS NOT NULL",
+        undef, @ids, $canvas_id
+    );
+    $count = 0 if !$count || $count eq '0E0';
+
+    _prune_note_groups($self->{dbh}) if $count;
+    $self->touch_canvas($canvas_id);
+    return $count;
+}
+
+# Renames a group that has members on the canvas.
+# Parameters:
+#   canvas_id : Board holding the group's notes.
+#   group_id  : Group to rename.
+#   name      : New label, or undef to clear it.
+# Returns:
+#   Boolean success.
+sub DB::rename_note_group {
+    my ($self, $canvas_id, $group_id, $name) = @_;
+    $self->ensure_connection;
+    my $dbh = $self->{dbh};
+
+    my ($exists) = $dbh->selectrow_array(
+        "SELECT 1 FROM notes WHERE group_id = ? AND canvas_id = ? LIMIT 1",
+        undef, $group_id, $canvas_id
+    );
+    return 0 unless $exists;
+
+    $dbh->do("UPDATE note_groups SET name = ? WHERE id = ?", undef, $name, $group_id);
+    $self->touch_canvas($canvas_id);
+    return 1;
+}
+
+# --- Board Export & Import ---
+
+# Note reference tags whose numeric IDs are remapped when a board is imported.
+my $NOTE_REF_RE = qr/\[(note|copy|embed|image|img|file):(\d+)\]/;
+
+# Collects everything needed to archive a board: notes, level aliases, attachments and links.
+# Parameters:
+#   canvas_id : Integer ID of the board (read access required).
+#   user_id   : Requesting user's ID.
+# Returns:
+#   HashRef { name, layer_map, notes, blobs, links, connectors } or undef if denied.
+#   blobs carry file_data; links are [[wikilink]] edges whose target is on the same board.
+sub DB::get_canvas_export {
+    my ($self, $canvas_id, $user_id) = @_;
+    $self->ensure_connection;
+    return undef unless $self->check_canvas_access($canvas_id, $user_id, 0);
+
+    my ($name) = $self->{dbh}->selectrow_array("SELECT name FROM canvases WHERE id = ?", undef, $canvas_id);
+
+    my $notes = $self->{dbh}->selectall_arrayref(
+        "SELECT id, type, title, content, filename, x, y, width, height, color, z_index, is_collapsed, layer_id
+         FROM notes WHERE canvas_id = ? AND is_deleted = 0
+         ORDER BY layer_id, id",
+        { Slice => {} }, $canvas_id
+    );
+
+    my $blobs = $self->{dbh}->selectall_arrayref(
+        "SELECT b.id, b.note_id, b.mime_type, b.filename, b.file_data
+         FROM note_blobs b
+         JOIN notes n ON b.note_id = n.id
+         WHERE n.canvas_id = ? AND n.is_deleted = 0
+         ORDER BY b.note_id, b.id",
+        { Slice => {} }, $canvas_id
+    );
+
+    my $links = $self->{dbh}->selectall_arrayref(
+        "SELECT l.source_note_id AS source, l.target_note_id AS target, l.link_text AS text
+         FROM note_links l
+         JOIN notes s ON l.source_note_id = s.id
+         JOIN notes t ON l.target_note_id = t.id
+         WHERE s.canvas_id = ? AND t.canvas_id = s.canvas_id AND s.is_deleted = 0 AND t.is_deleted = 0
+         ORDER BY l.source_note_id, l.target_note_id",
+        { Slice => {} }, $canvas_id
+    );
+
+    return {
+        name       => $name,
+        layer_map  => $self->get_canvas_layers($canvas_id),
+        notes      => $notes,
+        blobs      => $blobs,
+        links      => $links,
+        connectors => $self->get_canvas_connectors($canvas_id)
+    };
+}
+
+# Recreates a board from an imported bundle in a single transaction.
+# [note:/copy:/embed:/image:/img:/file:<id>] references to notes inside the bundle
+# are rewritten to the new IDs; references to other notes are left untouched.
+# Parameters:
+#   user_id : Owner of the new board.
+#   bundle  : HashRef { name, layer_map => { layer_id => alias }, notes => [ { key, type, title,
+#             content, filename, x, y, width, height, color, z_index, is_collapsed, layer_id,
+#             blobs => [ { filename, mime_type, data } ] } ], connectors => [ { source, target, style,
+#             label, color } ] }. key is the exported note ID (optional); connectors refer to keys.
+# Returns:
+#   HashRef { canvas_id, notes => [ { id, layer_id, content } ] } with the rewritten content.
+sub DB::import_canvas_bundle {
+    my ($self, $user_id, $bundle) = @_;
+    $self->ensure_connection;
+    my $dbh = $self->{dbh};
+
+    my ($canvas_id, %id_map, @created);
+    eval {
+        $dbh->begin_work;
+
+        $canvas_id = int($self->create_canvas($user_id, $bundle->{name}));
+        for my $layer_id (keys %{ $bundle->{layer_map} // {} }) {
+            $self->save_layer_alias($canvas_id, $layer_id, $bundle->{layer_map}{$layer_id});
+        }
+
+        my $sth = $dbh->prepare(
+            "INSERT INTO notes (user_id, canvas_id, type, title, content, filename, x, y, width, height, color, z_index, is_collapsed, layer_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+        );
+        for my $n (@{ $bundle->{notes} }) {
+            $sth->execute(
+                $user_id, $canvas_id, $n->{type}, $n->{title}, $n->{content}, $n->{filename},
+                $n->{x}, $n->{y}, $n->{width}, $n->{height}, $n->{color}, $n->{z_index},
+                $n->{is_collapsed}, $n->{layer_id}
+            );
+            my $id = int($dbh->last_insert_id(undef, undef, 'notes', 'id'));
+            $id_map{ $n->{key} } = $id if defined $n->{key};
+            push @created, { id => $id, layer_id => $n->{layer_id}, content => $n->{content} };
+
+            for my $blob (@{ $n->{blobs} // [] }) {
+                $self->store_note_blob($id, $blob->{data}, $blob->{mime_type}, length $blob->{data}, $blob->{filename});
+            }
+        }
+
+        my $sth_c = $dbh->prepare(
+            "INSERT IGNORE INTO note_connectors (source_note_id, target_note_id, style, label, color, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)"
+        );
+        for my $cn (@{ $bundle->{connectors} // [] }) {
+            my ($source, $target) = ($id_map{ $cn->{source} }, $id_map{ $cn->{target} });
+            next unless $source && $target && $source != $target;
+            $sth_c->execute($source, $target, $cn->{style}, $cn->{label}, $cn->{color}, $user_id);
+        }
+
+        if (%id_map) {
+            my $upd = $dbh->prepare("UPDATE notes SET content = ? WHERE id = ?");
+            for my $note (@created) {
+                next unless defined $note->{content} && $note->{content} =~ $NOTE_REF_RE;
+                (my $rewritten = $note->{content}) =~ s/$NOTE_REF_RE/exists $id_map{$2} ? "[$1:$id_map{$2}]" : "[$1:$2]"/ge;
+                next if $rewritten eq $note->{content};
+                $upd->execute($rewritten, $note->{id});
+                $note->{content} = $rewritten;
+            }
+        }
+
+        $dbh->commit;
+    };
+    if ($@) {
+        my $err = $@;
+        eval { $dbh->rollback };
+        die $err;
+    }
+
+    return { canvas_id => $canvas_id, notes => \@created };
+}
+
+# --- Note Graph ---
+
+# Inline reference tags that count as graph edges, captured as (kind, value).
+my $GRAPH_REF_RE = qr/\[(note|copy|embed):([^\]\|\n]+)\]/;
+
+# Builds the cross-board link graph for every note the user can read.
+# Wikilink edges come from the note_links table; [note:], [copy:] and [embed:]
+# references are parsed from content and resolved by ID or case-insensitive title.
+# Content is only read for notes that contain a reference tag, one row at a time,
+# so the request does not load every note body the user can access.
+# Parameters:
+#   user_id      : ID of the active user.
+#   unlocked_ids : ArrayRef of currently session-unlocked canvas IDs.
+# Returns:
+#   HashRef { nodes => [{ id, title, canvas_id, canvas_name, layer_id, color }],
+#             edges => [{ source, target, kind }] }.
+sub DB::get_note_graph {
+    my ($self, $user_id, $unlocked_ids) = @_;
+    $self->ensure_connection;
+
+    my $in_clause = (@{$unlocked_ids // []})
+        ? 'OR c.id IN (' . join(',', map { '?' } @$unlocked_ids) . ')'
+        : '';
+
+    my $access = "
+        FROM notes n
+        JOIN canvases c ON n.canvas_id = c.id
+        WHERE (c.user_id = ? OR c.id IN (SELECT canvas_id FROM canvas_shares WHERE user_id = ?))
+        AND (c.password_hash IS NULL $in_clause)
+        AND n.is_deleted = 0
+    ";
+    my @bind = ($user_id, $user_id, @{$unlocked_ids // []});
+
+    my $rows = $self->{dbh}->selectall_arrayref(
+        "SELECT n.id, n.title, n.canvas_id, n.layer_id, n.color, c.name AS canvas_name
+         $access ORDER BY c.sort_order ASC, n.id ASC",
+        { Slice => {} }, @bind
+    );
+
+    # Title resolution mirrors the client parser, which searches the same accessible
+    # note map (get_all_accessible_note_metadata) in ascending ID order: lowest ID wins.
+    my (%nodes, %by_title);
+    for my $row (sort { $a->{id} <=> $b->{id} } @$rows) {
+        $nodes{$row->{id}} = $row;
+        my $title = lc($row->{title} // '');
+        $by_title{$title} //= $row->{id} if length $title;
+    }
+
+    my (@edges, %seen);
+    my $add_edge = sub {
+        my ($source, $target, $kind) = @_;
+        return unless $target && exists $nodes{$target} && $source != $target;
+        return if $seen{"$source:$target:$kind"}++;
+        push @edges, { source => int($source), target => int($target), kind => $kind };
+    };
+
+    if (%nodes) {
+        my @ids = keys %nodes;
+        my $links = $self->{dbh}->selectall_arrayref(
+            "SELECT source_note_id, target_note_id FROM note_links
+             WHERE link_text <> '[bookmarks]'
+             AND source_note_id IN (" . join(',', map { '?' } @ids) . ")",
+            undef, @ids
+        );
+        $add_edge->($_->[0], $_->[1], 'wikilink') for @$links;
+    }
+
+    my $sth = $self->{dbh}->prepare("
+        SELECT n.id, n.content
+        $access
+        AND (n.content LIKE '%[note:%' OR n.content LIKE '%[copy:%' OR n.content LIKE '%[embed:%')
+    ");
+    $sth->execute(@bind);
+    while (my ($id, $content) = $sth->fetchrow_array) {
+        $content //= '';
+        while ($content =~ /$GRAPH_REF_RE/g) {
+            my ($kind, $value) = ($1, $2);
+            $value =~ s/^\s+|\s+$//g;
+            my $target = $value =~ /^\d+$/ ? $value : $by_title{lc $value};
+            $add_edge->($id, $target, $kind);
+        }
+    }
+
+    my @nodes = map {
+        my $n = $nodes{$_->{id}};
+        {
+            id          => int($n->{id}),
+            title       => $n->{title},
+            canvas_id   => int($n->{canvas_id}),
+            canvas_name => $n->{canvas_name},
+            layer_id    => int($n->{layer_id} // 1),
+            color       => $n->{color},
+        }
+    } @$rows;
+
+    return { nodes => \@nodes, edges => \@edges };
+}
+
+# --- Note Templates ---
+
+# Lists a user's saved note templates.
+# Parameters:
+#   user_id : ID of the active user.
+# Returns:
+#   ArrayRef of HashRefs { id, name, title, content, color, updated_at } ordered by name.
+sub DB::get_note_templates {
+    my ($self, $user_id) = @_;
+    $self->ensure_connection;
+
+    return $self->{dbh}->selectall_arrayref(
+        "SELECT id, name, title, content, color, updated_at
+         FROM note_templates WHERE user_id = ? ORDER BY name ASC, id ASC",
+        { Slice => {} }, $user_id
+    );
+}
+
+# Fetches the default template assigned to a board, regardless of who created it,
+# so collaborators on a shared board start from the same template.
+# Parameters:
+#   canvas_id : ID of the board.
+# Returns:
+#   HashRef { id, name, title, content, color } or undef when none is set.
+sub DB::get_canvas_default_template {
+    my ($self, $canvas_id) = @_;
+    $self->ensure_connection;
+
+    return $self->{dbh}->selectrow_hashref(
+        "SELECT t.id, t.name, t.title, t.content, t.color
+         FROM canvases c
+         JOIN note_templates t ON t.id = c.default_template_id
+         WHERE c.id = ?",
+        undef, $canvas_id
+    );
+}
+
+# Creates or updates one of the user's templates.
+# Parameters:
+#   user_id : ID of the active user.
+#   p       : HashRef { id (optional), name, title, content, color }.
+# Returns:
+#   Integer template ID, or 0 when updating a template the user does not own.
+sub DB::save_note_template {
+    my ($self, $user_id, $p) = @_;
+    $self->ensure_connection;
+
+    if ($p->{id}) {
+        my ($owned) = $self->{dbh}->selectrow_array(
+            "SELECT 1 FROM note_templates WHERE id = ? AND user_id = ?", undef, $p->{id}, $user_id
+        );
+        return 0 unless $owned;
+
+        $self->{dbh}->do(
+            "UPDATE note_templates SET name = ?, title = ?, content = ?, color = ? WHERE id = ?",
+            undef, $p->{name}, $p->{title}, $p->{content}, $p->{color}, $p->{id}
+        );
+        return int($p->{id});
+    }
+
+    $self->{dbh}->do(
+        "INSERT INTO note_templates (user_id, name, title, content, color) VALUES (?, ?, ?, ?, ?)",
+        undef, $user_id, $p->{name}, $p->{title}, $p->{content}, $p->{color}
+    );
+    return int($self->{dbh}->last_insert_id(undef, undef, 'note_templates', 'id'));
+}
+
+# Deletes one of the user's templates and detaches it from any board using it as default.
+# Parameters:
+#   user_id     : ID of the active user.
+#   template_id : ID of the template.
+# Returns:
+#   Boolean success status.
+sub DB::delete_note_template {
+    my ($self, $user_id, $template_id) = @_;
+    $self->ensure_connection;
+
+    my $deleted = $self->{dbh}->do(
+        "DELETE FROM note_templates WHERE id = ? AND user_id = ?", undef, $template_id, $user_id
+    );
+    return 0 unless $deleted && $deleted > 0;
+
+    $self->{dbh}->do(
+        "UPDATE canvases SET default_template_id = NULL WHERE default_template_id = ?", undef, $template_id
+    );
+    return 1;
+}
+
+# Sets or clears the template new notes on a board start from. Owner-only; the
+# template must belong to the owner.
+# Parameters:
+#   canvas_id   : ID of the board.
+#   user_id     : ID of the active user.
+#   template_id : Template ID, or undef to clear.
+# Returns:
+#   Boolean success status.
+sub DB::set_canvas_default_template {
+    my ($self, $canvas_id, $user_id, $template_id) = @_;
+    $self->ensure_connection;
+
+    my ($is_owner) = $self->{dbh}->selectrow_array(
+        "SELECT 1 FROM canvases WHERE id = ? AND user_id = ?", undef, $canvas_id, $user_id
+    );
+    return 0 unless $is_owner;
+
+    if ($template_id) {
+        my ($owned) = $self->{dbh}->selectrow_array(
+            "SELECT 1 FROM note_templates WHERE id = ? AND user_id = ?", undef, $template_id, $user_id
+        );
+        return 0 unless $owned;
+    }
+
+    $self->{dbh}->do(
+        "UPDATE canvases SET default_template_id = ? WHERE id = ?", undef, $template_id, $canvas_id
+    );
+    return 1;
+}
+
+# --- Task Aggregation ---
+
+# Checkbox line as rendered by the note parser: optional indent and list marker, then [ ] / [x].
+my $TASK_LINE_RE = qr/^([ \t]*(?:[-*]\s+|\d+\.\s+)?)\[([ xX]?)\](.*)$/;
+
+# Extracts checkbox tasks from note content, skipping fenced code blocks.
+# Returns a list of HashRefs { line, done, text, offset } where offset is the
+# character position of the box's state character (or of ']' for an empty '[]').
+sub _extract_note_tasks {
+    my ($content) = @_;
+    my (@tasks, $in_fence);
+    my $offset = 0;
+    my $line   = 0;
+    for my $row (split /\n/, $content // '', -1) {
+        if ($row =~ /^\s*```/) {
+            $in_fence = !$in_fence;
+        } elsif (!$in_fence && $row =~ $TASK_LINE_RE) {
+            my ($prefix, $state, $text) = ($1, $2, $3);
+            $text =~ s/^\s+|\s+$//g;
+            push @tasks, {
+                line   => $line,
+                done   => lc($state) eq 'x' ? 1 : 0,
+                state  => $state,
+                text   => $text,
+                offset => $offset + length($prefix) + 1
+            };
+        }
+        $offset += length($row) + 1;
+        $line++;
+    }
+    return @tasks;
+}
+
+# Collects checkbox tasks from every note the user can read, with the tags and
+# first [date:YYYY-MM-DD] on each task line for filtering.
+# Parameters:
+#   user_id      : ID of the active user.
+#   unlocked_ids : ArrayRef of currently session-unlocked canvas IDs.
+# Returns:
+#   ArrayRef of HashRefs { note_id, note_title, canvas_id, canvas_name, layer_id, color,
+#                          line, done, text, tags, note_tags, due }.
+sub DB::get_note_tasks {
+    my ($self, $user_id, $unlocked_ids) = @_;
+    $self->ensure_connection;
+
+    my $in_clause = (@{$unlocked_ids // []})
+        ? 'OR c.id IN (' . join(',', map { '?' } @$unlocked_ids) . ')'
+        : '';
+
+    my $sth = $self->{dbh}->prepare("
+        SELECT n.id, n.title, n.canvas_id, n.layer_id, n.color, n.content, c.name AS canvas_name
+        FROM notes n
+        JOIN canvases c ON n.canvas_id = c.id
+        WHERE (c.user_id = ? OR c.id IN (SELECT canvas_id FROM canvas_shares WHERE user_id = ?))
+        AND (c.password_hash IS NULL $in_clause)
+        AND n.is_deleted = 0
+        AND n.content LIKE '%[%]%'
+        ORDER BY c.sort_order ASC, n.layer_id ASC, n.y ASC, n.x ASC
+    ");
+    $sth->execute($user_id, $user_id, @{$unlocked_ids // []});
+
+    my @tasks;
+    while (my $note = $sth->fetchrow_hashref()) {
+        my @found = _extract_note_tasks($note->{content});
+        next unless @found;
+
+        my %note_tags = map { lc($_) => 1 } ($note->{content} =~ /\[tag:([^\]\|\n]+)/g);
+        for my $task (@found) {
+            my @tags = map { lc } ($task->{text} =~ /\[tag:([^\]\|\n]+)/g);
+            my ($due) = $task->{text} =~ /\[date:\s*(\d{4}-\d{2}-\d{2})/;
+            push @tasks, {
+                note_id     => int($note->{id}),
+                note_title  => $note->{title},
+                canvas_id   => int($note->{canvas_id}),
+                canvas_name => $note->{canvas_name},
+                layer_id    => int($note->{layer_id} // 1),
+                color       => $note->{color},
+                line        => $task->{line},
+                done        => $task->{done},
+                text        => $task->{text},
+                tags        => \@tags,
+                note_tags   => [sort keys %note_tags],
+                due         => $due
+            };
+        }
+    }
+
+    return \@tasks;
+}
+
+# Flips one checkbox in a note by applying a one-character text operation, so
+# people editing the note live receive the change like any other keystroke.
+# The task is located by line index and confirmed by its text; if lines moved
+# since the list was loaded, the first checkbox with the same text is used.
+# Parameters:
+#   note_id : Integer note ID.
+#   user_id : Editing user's ID (canvas edit access required).
+#   line    : Line index the task was reported on.
+#   text    : Task text (after the box) as reported by get_note_tasks.
+# Returns:
+#   HashRef { success, done, canvas_id } or { success => 0, error }.
+sub DB::toggle_note_task {
+    my ($self, $note_id, $user_id, $line, $text) = @_;
+    $self->ensure_connection;
+
+    my ($content, $version) = $self->{dbh}->selectrow_array(
+        "SELECT content, content_version FROM notes WHERE id = ? AND is_deleted = 0", undef, $note_id
+    );
+    return { success => 0, error => 'Note not found' } unless defined $version;
+
+    my @tasks = _extract_note_tasks($content);
+    my ($task) = grep { $_->{line} == $line && $_->{text} eq $text } @tasks;
+    ($task) = grep { $_->{text} eq $text } @tasks unless $task;
+    return { success => 0, error => 'Task has changed, reload the list' } unless $task;
+
+    my $total = length($content // '');
+    my $op = [ { r => $task->{offset} } ];
+    push @$op, { d => 1 } if length $task->{state};
+    push @$op, { i => $task->{done} ? ' ' : 'x' };
+    my $rest = $total - $task->{offset} - length($task->{state});
+    push @$op, { r => $rest } if $rest > 0;
+
+    my $result = $self->apply_note_op($note_id, $user_id, undef, $version, $op);
+    $result->{done} = $task->{done} ? 0 : 1 if $result->{success};
+    return $result;
+}
+
+# --- Presentation Slides ---
+
+# Matches a [slide:N] tag, which puts a note on its board's presentation path.
+my $SLIDE_TAG_RE = qr/\[slide:\s*(\d+)\s*\]/;
+
+# Gives a note's content exactly one [slide:N] tag, or none when number is undef.
+# The first tag outside code fences is renumbered in place and any others are dropped;
+# lines left holding nothing but a removed tag disappear with it. A missing tag is
+# appended on its own line.
+# Returns: New content (equal to the input when nothing needed changing).
+sub _retag_slide {
+    my ($content, $number) = @_;
+    my (@rows, $in_fence, $placed);
+    for my $row (split /\n/, $content // '', -1) {
+        if ($row =~ /^\s*```/) {
+            $in_fence = !$in_fence;
+        } elsif (!$in_fence && $row =~ $SLIDE_TAG_RE) {
+            $row =~ s{([ \t]*)$SLIDE_TAG_RE}{ defined $number && !$placed++ ? "$1\[slide:$number\]" : '' }ge;
+            next unless $row =~ /\S/;
+        }
+        push @rows, $row;
+    }
+
+    my $out = join "\n", @rows;
+    if (defined $number && !$placed) {
+        $out =~ s/\s+\z//;
+        $out = length $out ? "$out\n[slide:$number]" : "[slide:$number]";
+    }
+    return $out;
+}
+
+# Builds the single replace operation (see apply_note_op) that turns one text into another.
+# Returns: ArrayRef operation keeping the common prefix and suffix.
+sub _text_replace_op {
+    my ($old, $new) = @_;
+    my ($old_len, $new_len) = (length $old, length $new);
+
+    my $head = 0;
+    $head++ while $head < $old_len && $head < $new_len
+        && substr($old, $head, 1) eq substr($new, $head, 1);
+    my $tail = 0;
+    $tail++ while $tail < $old_len - $head && $tail < $new_len - $head
+        && substr($old, $old_len - $tail - 1, 1) eq substr($new, $new_len - $tail - 1, 1);
+
+    my @op;
+    push @op, { r => $head } if $head;
+    push @op, { d => $old_len - $head - $tail } if $old_len > $head + $tail;
+    push @op, { i => substr($new, $head, $new_len - $head - $tail) } if $new_len > $head + $tail;
+    push @op, { r => $tail } if $tail;
+    return \@op;
+}
+
+# Sets a board's presentation path by rewriting the [slide:N] tags of its notes.
+# Listed notes are numbered 1..n in order and every other note on the board loses
+# its slide tag. Edits go through apply_note_op, so open editors merge them live.
+# Parameters:
+#   canvas_id : Board whose path is being set.
+#   user_id   : Editing user's ID (canvas edit access required).
+#   note_ids  : ArrayRef of note IDs in presentation order; unknown IDs are skipped.
+# Returns:
+#   ArrayRef of the IDs of notes whose content changed.
+sub DB::set_slide_order {
+    my ($self, $canvas_id, $user_id, $note_ids) = @_;
+    $self->ensure_connection;
+
+    my $notes = $self->{dbh}->selectall_arrayref(
+        "SELECT id, content, content_version FROM notes WHERE canvas_id = ? AND is_deleted = 0",
+        { Slice => {} }, $canvas_id
+    );
+    my %live = map { $_->{id} => 1 } @$notes;
+
+    my (%number, $count);
+    for my $id (grep { defined && /\A\d+\z/ } @{$note_ids // []}) {
+        $number{$id} = ++$count if $live{$id} && !$number{$id};
+    }
+
+    my @changed;
+    for my $note (@$notes) {
+        my $content = $note->{content} // '';
+        next unless $number{ $note->{id} } || $content =~ $SLIDE_TAG_RE;
+
+        my $retagged = _retag_slide($content, $number{ $note->{id} });
+        next if $retagged eq $content;
+
+        my $result = $self->apply_note_op(
+            $note->{id}, $user_id, undef, $note->{content_version}, _text_replace_op($content, $retagged)
+        );
+        push @changed, $note->{id} if $result->{success};
+    }
+    return \@changed;
+}
+
+# --- Full-Text Search ---
+
+# Candidate rows fetched before relevance ranking, and results returned after it.
+my $SEARCH_CANDIDATES = 300;
+my $SEARCH_RESULTS    = 50;
+
+# Attachments above this size are not sent through OCR.
+my $OCR_MAX_BYTES = 20 * 1024 * 1024;
+
+# File signatures of the raster image and PDF formats sent through OCR and
+# accepted from imported bundles. Declared MIME types are client-supplied, so the
+# content decides (SVG and other text-based formats never reach ImageMagick or
+# Tesseract, and never keep a script-capable type).
+my @OCR_SIGNATURES = (
+    [ qr/\A\x89PNG\r\n\x1a\n/,        'image/png'  ],
+    [ qr/\A\xff\xd8\xff/,              'image/jpeg' ],
+    [ qr/\AGIF8[79]a/,                 'image/gif'  ],
+    [ qr/\ARIFF.{4}WEBP/s,             'image/webp' ],
+    [ qr/\A(?:II\x2a\x00|MM\x00\x2a)/, 'image/tiff' ],
+    [ qr/\ABM/,                        'image/bmp'  ],
+    [ qr/\A%PDF-/,                     'application/pdf' ],
+);
+
+# Hex values of the named note colours, for color: filters.
+my %SEARCH_PALETTE_HEX = (
+    yellow => 'f59e0b', blue => '3b82f6', pink    => 'ec4899', orange  => 'f97316', violet => '8b5cf6',
+    indigo => '6366f1', slate => '64748b', green  => '22c55e', red     => 'ef4444', accent => '8b5cf6',
+    info   => '0ea5e9', success => '10b981', danger => 'ef4444', warning => 'f59e0b',
+);
+
+# Splits a search string into free-text terms and field filters.
+# Supports "quoted phrases", tag:, canvas: (or board:), level:, color:, type:,
+# after: and before: (YYYY-MM-DD or a relative 7d / 2w / 3m). Filter values may be quoted.
+# Unknown prefixes (e.g. URLs) are kept as ordinary terms.
+# Parameters:
+#   query : Raw search string.
+# Returns:
+#   HashRef { terms => [ { text, phrase } ], filters => { name => [values] } }
+sub _parse_search_query {
+    my ($query) = @_;
+    my (@terms, %filters);
+    my %known = map { $_ => 1 } qw(tag canvas board level color type after before);
+
+    while (($query // '') =~ /(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g) {
+        my ($key, $quoted, $bare) = ($1, $2, $3);
+        my $value = defined $quoted ? $quoted : $bare;
+        $value =~ s/^\s+|\s+$//g;
+
+        if (defined $key && $known{lc $key}) {
+            my $name = lc $key;
+            $name = 'canvas' if $name eq 'board';
+            push @{ $filters{$name} }, $value if length $value;
+            next;
+        }
+
+        $value = "$key:$value" if defined $key;
+        next unless length $value;
+        push @terms, { text => $value, phrase => defined $quoted ? 1 : 0 };
+    }
+
+    return { terms => \@terms, filters => \%filters };
+}
+
+# Converts an after:/before: value into an SQL expression and its bind value.
+sub _search_date_bound {
+    my ($value) = @_;
+    return ('?', $1) if $value =~ /^(\d{4}-\d{2}-\d{2})$/;
+    if ($value =~ /^(\d+)([dwm])$/i) {
+        my $unit = { d => 'DAY', w => 'WEEK', m => 'MONTH' }->{lc $2};
+        return ("DATE_SUB(NOW(), INTERVAL ? $unit)", $1);
+    }
+    return;
+}
+
+# Counts case-insensitive occurrences of a term, up to a cap.
+sub _count_matches {
+    my ($haystack, $needle, $cap) = @_;
+    return 0 unless length($haystack // '') && length $needle;
+    my ($count, $pos) = (0, 0);
+    while ($count < $cap && ($pos = index($haystack, $needle, $pos)) >= 0) {
+        $count++;
+        $pos += length $needle;
+    }
+    return $count;
+}
+
+# Builds a ~160 character excerpt around the first term match.
+# Parameters:
+#   text  : Source text.
+#   terms : ArrayRef of lowercased terms.
+# Returns:
+#   String excerpt (with ellipses when clipped), or undef when no term occurs in the text.
+sub _search_snippet {
+    my ($text, $terms) = @_;
+    (my $flat = $text // '') =~ s/\s+/ /g;
+    my $lc = lc $flat;
+
+    my $first;
+    for my $term (@$terms) {
+        my $pos = index($lc, $term);
+        $first = $pos if $pos >= 0 && (!defined $first || $pos < $first);
+    }
+    return undef unless defined $first;
+
+    my $start = $first > 50 ? $first - 50 : 0;
+    if ($start > 0) {
+        my $space = index($flat, ' ', $start);
+        $start = $space + 1 if $space >= 0 && $space < $first;
+    }
+    my $snippet = substr($flat, $start, 160);
+    $snippet = "…$snippet" if $start > 0;
+    $snippet .= '…' if $start + 160 < length $flat;
+    return $snippet;
+}
+
+# Performs an ACL-aware, ranked search across all whiteboards accessible to the user.
+# Every free-text term must match the note title, content, filename, level alias or
+# the OCR text of one of its attachments. Results are ranked by where and how often
+# the terms occur, with a small boost for recently edited notes.
+# Parameters:
+#   user_id      : Integer identifier for the active user.
+#   query        : Search string (see _parse_search_query).
+#   unlocked_ids : ArrayRef of currently session-unlocked canvas IDs.
+#   canvas_id    : Optional board to restrict the search to.
+# Returns:
+#   HashRef { results => [ note rows with canvas_name, layer_alias, attachments, score,
+#             snippet, snippet_source, snippet_file ], terms => [ highlight strings ] }
+sub DB::get_global_search_notes {
+    my ($self, $user_id, $query, $unlocked_ids, $canvas_id) = @_;
+    $self->ensure_connection;
+
+    my $parsed  = _parse_search_query($query);
+    my @terms   = @{ $parsed->{terms} };
+    my %filters = %{ $parsed->{filters} };
+    return { results => [], terms => [] } unless @terms || %filters;
+
+    # Logic-Pure: Handle SQL IN clause for unlocked markers
+    my $in_clause = (@{$unlocked_ids // []})
+        ? 'OR c.id IN (' . join(',', map { '?' } @$unlocked_ids) . ')'
+        : '';
+
+    my @where = (
+        "(c.user_id = ? OR c.id IN (SELECT canvas_id FROM canvas_shares WHERE user_id = ?))",
+        "(c.password_hash IS NULL $in_clause)",
+        "n.is_deleted = 0",
+        "(n.title IS NULL OR n.title NOT LIKE BINARY 'FENCE:%')",
+    );
+    my @params = ($user_id, $user_id, @{$unlocked_ids // []});
+
+    my $like = sub { (my $v = shift) =~ s/([%_\\])/\\$1/g; return $v };
+
+    if ($canvas_id) {
+        push @where, "n.canvas_id = ?";
+        push @params, $canvas_id;
+    }
+
+    for my $term (@terms) {
+        my $t = '%' . $like->($term->{text}) . '%';
+        push @where, "(n.title LIKE ? OR n.content LIKE ? OR n.filename LIKE ? OR cl.alias LIKE ?
+            OR EXISTS (SELECT 1 FROM note_blobs ob WHERE ob.note_id = n.id AND ob.ocr_text LIKE ?))";
+        push @params, ($t) x 5;
+    }
+
+    for my $tag (@{ $filters{tag} // [] }) {
+        my $t = $like->($tag);
+        push @where, "(n.content LIKE ? OR n.content LIKE ?)";
+        push @params, "%[tag:$t]%", "%[tag:$t|%";
+    }
+
+    for my $board (@{ $filters{canvas} // [] }) {
+        if ($board =~ /^\d+$/) {
+            push @where, "c.id = ?";
+            push @params, $board;
+        } else {
+            push @where, "c.name LIKE ?";
+            push @params, '%' . $like->($board) . '%';
+        }
+    }
+
+    for my $level (@{ $filters{level} // [] }) {
+        if ($level =~ /^\d+$/) {
+            push @where, "n.layer_id = ?";
+            push @params, $level;
+        } else {
+            push @where, "cl.alias LIKE ?";
+            push @params, '%' . $like->($level) . '%';
+        }
+    }
+
+    for my $color (@{ $filters{color} // [] }) {
+        (my $value = lc $color) =~ s/^#//;
+        my @names = grep { $SEARCH_PALETTE_HEX{$_} eq $value } keys %SEARCH_PALETTE_HEX;
+        my @match = ($value, $SEARCH_PALETTE_HEX{$value} // (), @names);
+        push @where, "LOWER(REPLACE(n.color, '#', '')) IN (" . join(',', map { '?' } @match) . ")";
+        push @params, @match;
+    }
+
+    for my $type (@{ $filters{type} // [] }) {
+        push @where, "n.type = ?";
+        push @params, lc $type;
+    }
+
+    for my $bound (['after', '>='], ['before', '<']) {
+        for my $value (@{ $filters{$bound->[0]} // [] }) {
+            my ($expr, $bind) = _search_date_bound($value);
+            next unless $expr;
+            # A plain date in before: excludes that day; after: includes it
+            push @where, "n.updated_at $bound->[1] $expr";
+            push @params, $bind;
+        }
+    }
+
+    my $sql = "
+        SELECT n.*, c.name as canvas_name, cl.alias as layer_alias,
+               DATEDIFF(NOW(), n.updated_at) as age_days
+        FROM notes n
+        JOIN canvases c ON n.canvas_id = c.id
+        LEFT JOIN canvas_layers cl ON n.canvas_id = cl.canvas_id AND n.layer_id = cl.layer_id
+        WHERE " . join("\n        AND ", @where) . "
+        ORDER BY n.updated_at DESC
+        LIMIT $SEARCH_CANDIDATES
+    ";
+
+    my $sth = $self->{dbh}->prepare($sql);
+    $sth->execute(@params);
+    my $notes = $sth->fetchall_arrayref({});
+
+    my %blobs;
+    if (@$notes) {
+        my $placeholders = join(',', map { '?' } @$notes);
+        my $sth_blobs = $self->{dbh}->prepare(
+            "SELECT id as blob_id, note_id, filename, mime_type, file_size, ocr_text FROM note_blobs WHERE note_id IN ($placeholders)"
+        );
+        $sth_blobs->execute(map { $_->{id} } @$notes);
+        while (my $row = $sth_blobs->fetchrow_hashref()) {
+            push @{ $blobs{$row->{note_id}} }, $row;
+        }
+    }
+
+    my @needles = map { lc $_->{text} } @terms;
+    for my $n (@$notes) {
+        my $attachments = $blobs{$n->{id}} || [];
+        my $title = lc($n->{title} // '');
+        my $score = 0;
+
+        for my $i (0 .. $#terms) {
+            my $needle = $needles[$i];
+            my $weight = $terms[$i]{phrase} ? 1.5 : 1;
+            my $s = 0;
+            $s += 20 if $title eq $needle;
+            $s += 10 if index($title, $needle) >= 0;
+            $s += 4  if index(lc($n->{filename} // ''), $needle) >= 0;
+            $s += 3  if index(lc($n->{layer_alias} // ''), $needle) >= 0;
+            $s += 2 * _count_matches(lc($n->{content} // ''), $needle, 5);
+            $s += _count_matches(lc($_->{ocr_text} // ''), $needle, 3) for @$attachments;
+            $score += $s * $weight;
+        }
+
+        my $age = $n->{age_days} // 999;
+        $score += $age <= 7 ? 2 : $age <= 30 ? 1 : 0;
+        $n->{score} = $score;
+
+        # Excerpt from the note text, or from the attachment whose OCR text matched
+        $n->{snippet_source} = 'content';
+        $n->{snippet} = @needles ? _search_snippet($n->{content}, \@needles) : undef;
+        unless (defined $n->{snippet}) {
+            for my $blob (@$attachments) {
+                my $snippet = @needles ? _search_snippet($blob->{ocr_text}, \@needles) : undef;
+                next unless defined $snippet;
+                @$n{qw(snippet snippet_source snippet_file)} = ($snippet, 'attachment', $blob->{filename});
+                last;
+            }
+        }
+        $n->{snippet} //= _search_snippet($n->{content}, ['']) // '';
+
+        delete $_->{ocr_text} for @$attachments;
+        delete $n->{age_days};
+        $n->{attachments} = $attachments;
+    }
+
+    my @ranked = sort { $b->{score} <=> $a->{score} || ($b->{updated_at} // '') cmp ($a->{updated_at} // '') } @$notes;
+    splice(@ranked, $SEARCH_RESULTS) if @ranked > $SEARCH_RESULTS;
+
+    return { results => \@ranked, terms => [ map { $_->{text} } @terms ] };
+}
+
+# Lists image and PDF attachments whose text has not been extracted yet, newest first.
+# Used by the background indexing task for attachments stored before extraction existed
+# or whose upload-time extraction never ran.
+# Parameters:
+#   limit   : Maximum number of blobs.
+# Returns:
+#   ArrayRef of blob IDs.
+sub DB::get_blobs_pending_ocr {
+    my ($self, $limit) = @_;
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare("
+        SELECT b.id
+        FROM note_blobs b
+        JOIN notes n ON n.id = b.note_id
+        WHERE b.ocr_text IS NULL
+        AND (b.mime_type LIKE 'image/%' OR b.mime_type = 'application/pdf')
+        AND b.file_size <= ?
+        AND n.is_deleted = 0
+        ORDER BY b.id DESC
+        LIMIT ?
+    ");
+    $sth->execute($OCR_MAX_BYTES, int($limit || 1));
+    return [ map { $_->[0] } @{ $sth->fetchall_arrayref } ];
+}
+
+# Claims an attachment for text extraction so concurrent requests do not process it twice.
+# The blob is marked as processed (empty text) until set_blob_ocr_text stores the result.
+# Parameters:
+#   blob_id : Attachment identifier.
+# Returns:
+#   HashRef { file_data, mime_type } when claimed, where mime_type is detected from the content,
+#   or undef if already claimed, too large, or not a raster image or PDF.
+sub DB::claim_blob_for_ocr {
+    my ($self, $blob_id) = @_;
+    $self->ensure_connection;
+
+    my $rows = $self->{dbh}->do(
+        "UPDATE note_blobs SET ocr_text = '' WHERE id = ? AND ocr_text IS NULL
+         AND (mime_type LIKE 'image/%' OR mime_type = 'application/pdf') AND file_size <= ?",
+        undef, $blob_id, $OCR_MAX_BYTES
+    );
+    return undef unless $rows && $rows > 0;
+
+    my $sth = $self->{dbh}->prepare("SELECT file_data FROM note_blobs WHERE id = ?");
+    $sth->execute($blob_id);
+    my $blob = $sth->fetchrow_hashref() or return undef;
+
+    # Unsupported content keeps the empty text written by the claim, so it is never retried
+    my $mime_type = $self->detect_blob_mime_type($blob->{file_data}) or return undef;
+
+    $blob->{mime_type} = $mime_type;
+    return $blob;
+}
+
+# Detects a raster image or PDF type from file content.
+# Parameters:
+#   data : Binary file content.
+# Returns:
+#   MIME type string (e.g. 'image/png'), or undef for any other content.
+sub DB::detect_blob_mime_type {
+    my ($self, $data) = @_;
+    my $head = substr($data // '', 0, 16);
+    my ($match) = grep { $head =~ $_->[0] } @OCR_SIGNATURES;
+    return $match ? $match->[1] : undef;
+}
+
+# Stores text extracted from an attachment.
+# Parameters:
+#   blob_id : Attachment identifier.
+#   text    : Extracted text (empty string when none was found).
+# Returns: Void.
+sub DB::set_blob_ocr_text {
+    my ($self, $blob_id, $text) = @_;
+    $self->ensure_connection;
+    $self->{dbh}->do("UPDATE note_blobs SET ocr_text = ? WHERE id = ?", undef, $text // '', $blob_id);
+}
+
+# --- Calendar Date Tags ---
+
+# [date:YYYY-MM-DD HH:MM|remind=1h|cal] — the time and both flags are optional;
+# a tag without 'cal' or 'remind=' stays purely decorative.
+my $DATE_TAG_RE = qr/\[date:([^\[\]\n]+)\]/;
+my %REMIND_UNIT_MINUTES = (m => 1, h => 60, d => 1440);
+my $MAX_REMIND_MINUTES  = 60 * 24 * 30;
+
+# Parses the value of a date tag into an event spec.
+# Returns a HashRef { spec, date, time, cal, remind } for tags that request a
+# calendar link, or undef for decorative, malformed or impossible dates.
+sub _parse_date_tag {
+    my ($raw) = @_;
+    my ($when, @params) = map { my $p = $_; $p =~ s/^\s+|\s+$//g; $p } split /\|/, $raw;
+    return undef unless defined $when
+        && $when =~ /\A(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?\z/;
+    my ($y, $mo, $d, $h, $mi) = ($1, $2, $3, $4, $5);
+    return undef if defined $h && ($h > 23 || $mi > 59);
+
+    my $day = eval { Time::Piece->strptime("$y-$mo-$d", '%Y-%m-%d') };
+    return undef unless $day && $day->ymd eq "$y-$mo-$d";
+
+    my ($cal, $remind) = (0, 0);
+    for my $p (@params) {
+        if (lc $p eq 'cal') {
+            $cal = 1;
+        } elsif ($p =~ /\Aremind=(\d{1,4})([mhd])\z/i) {
+            $remind = $1 * $REMIND_UNIT_MINUTES{lc $2};
+        }
+    }
+    $remind = $MAX_REMIND_MINUTES if $remind > $MAX_REMIND_MINUTES;
+    return undef unless $cal || $remind;
+
+    my $time = defined $h ? sprintf('%02d:%02d', $h, $mi) : undef;
+    my $spec = join '|', grep { defined } (
+        "$y-$mo-$d" . (defined $time ? " $time" : ''),
+        $remind ? "remind=${remind}m" : undef,
+        $cal    ? 'cal'               : undef
+    );
+    return { spec => $spec, date => "$y-$mo-$d", time => $time, cal => $cal, remind => $remind };
+}
+
+# Extracts linking date tags from note content in document order, skipping
+# fenced code blocks. Repeated identical tags collapse onto one event.
+sub _extract_date_links {
+    my ($content) = @_;
+    my (@links, %seen, $in_fence);
+    for my $row (split /\n/, $content // '') {
+        if ($row =~ /^\s*```/) {
+            $in_fence = !$in_fence;
+            next;
+        }
+        next if $in_fence;
+        while ($row =~ /$DATE_TAG_RE/g) {
+            my $tag = _parse_date_tag($1) or next;
+            push @links, $tag unless $seen{ $tag->{spec} }++;
+        }
+    }
+    return @links;
+}
+
+# Creates, moves or removes the calendar events behind a note's linking date tags.
+# Events are matched to tags by ordinal slot, so editing a tag's date or flags
+# updates its event in place rather than recreating it. Timed tags become one-hour
+# events; date-only tags become all-day events. 'cal' publishes the event to the
+# family calendar, while a bare 'remind=' creates a private event that only the
+# member who wrote the tag is notified about.
+# Re-syncing a link whose tag is unchanged keeps the event's stored owner and
+# attendees, so another member editing the note does not take over the reminder;
+# they are recomputed (to the saving user) only when the tag itself changes.
+# Parameters:
+#   note_id : ID of the note whose content was saved.
+#   content : Saved note content.
+#   user_id : ID of the user who saved it (owner and attendee of new or changed tags).
+# Returns:
+#   ArrayRef of the note's links after syncing (see get_note_calendar_links).
+sub DB::sync_note_calendar_links {
+    my ($self, $note_id, $content, $user_id) = @_;
+    $self->ensure_connection;
+    my $dbh = $self->{dbh};
+
+    # The calendar is family-only; other users' tags stay decorative and leave
+    # existing links untouched.
+    my $user = $self->get_user_by_id($user_id);
+    return $self->get_note_calendar_links($note_id) unless $user && $user->{is_family};
+
+    my ($title, $canvas_name) = $dbh->selectrow_array(
+        "SELECT n.title, c.name FROM notes n JOIN canvases c ON n.canvas_id = c.id WHERE n.id = ?",
+        undef, $note_id
+    );
+    return [] unless defined $canvas_name;
+    $title = 'Untitled Note' unless defined $title && length $title;
+    my $description = "From the note \"$title\" on the board \"$canvas_name\".";
+
+    my @desired = _extract_date_links($content);
+
+    my $sth_ex = $dbh->prepare(
+        "SELECT l.slot, l.event_id, l.spec, e.title, e.description, e.attendees, e.created_by
+         FROM note_calendar_links l
+         JOIN calendar_events e ON l.event_id = e.id
+         WHERE l.note_id = ?"
+    );
+    $sth_ex->execute($note_id);
+    my %existing = map { $_->{slot} => $_ } @{ $sth_ex->fetchall_arrayref({}) };
+
+    my $sth_link = $dbh->prepare(
+        "INSERT INTO note_calendar_links (note_id, slot, event_id, spec) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE event_id = VALUES(event_id), spec = VALUES(spec)"
+    );
+
+    for my $slot (0 .. $#desired) {
+        my $tag = $desired[$slot];
+        my $all_day = defined $tag->{time} ? 0 : 1;
+        my ($start, $end);
+        if ($all_day) {
+            ($start, $end) = ("$tag->{date} 00:00:00", "$tag->{date} 23:59:59");
+        } else {
+            my $t = Time::Piece->strptime("$tag->{date} $tag->{time}", '%Y-%m-%d %H:%M');
+            ($start, $end) = map { $_->strftime('%Y-%m-%d %H:%M:%S') } ($t, $t + ONE_HOUR);
+        }
+        my @event = (
+            substr($title, 0, 255), $description, $start, $end, $all_day,
+            $tag->{cal} ? 'Notes' : 'Reminder',
+            $tag->{cal} ? '#3788d8' : '#f59e0b'
+        );
+
+        my $row = $existing{$slot};
+        if ($row) {
+            my $tag_changed = $row->{spec} ne $tag->{spec};
+            next if !$tag_changed
+                && $row->{title} eq $event[0] && ($row->{description} // '') eq $description;
+            $self->update_calendar_event(
+                $row->{event_id}, @event, $tag_changed ? $user_id : $row->{attendees}, $tag->{cal} ? 0 : 1,
+                $tag->{remind}, $tag_changed ? 1 : 0, undef, 1, undef
+            );
+            if ($tag_changed && ($row->{created_by} // 0) != $user_id) {
+                $dbh->do("UPDATE calendar_events SET created_by = ? WHERE id = ?", undef, $user_id, $row->{event_id});
+            }
+            $sth_link->execute($note_id, $slot, $row->{event_id}, $tag->{spec});
+        } else {
+            my $event_id = $self->add_calendar_event(
+                @event, $user_id, $user_id, $tag->{cal} ? 0 : 1,
+                $tag->{remind}, undef, 1, undef
+            );
+            $sth_link->execute($note_id, $slot, $event_id, $tag->{spec}) if $event_id;
+        }
+    }
+
+    # Tags removed from the note take their events with them; the link rows cascade.
+    my @stale = map { $existing{$_}{event_id} } grep { $_ > $#desired } keys %existing;
+    $self->delete_calendar_event($_) for @stale;
+
+    return $self->get_note_calendar_links($note_id);
+}
+
+# Deletes every calendar event linked from a note (used when the note is deleted;
+# restoring the note re-creates them from its tags).
+# Parameters:
+#   note_id : ID of the note.
+# Returns: Void.
+sub DB::clear_note_calendar_links {
+    my ($self, $note_id) = @_;
+    $self->ensure_connection;
+    $self->{dbh}->do(
+        "DELETE e FROM calendar_events e
+         JOIN note_calendar_links l ON l.event_id = e.id
+         WHERE l.note_id = ?",
+        undef, $note_id
+    );
+}
+
+# Retrieves the calendar events linked from a note's date tags.
+# Parameters:
+#   note_id : ID of the note.
+# Returns:
+#   ArrayRef of HashRefs { slot, event_id, spec, start_date, all_day, is_private,
+#                          notification_minutes }.
+sub DB::get_note_calendar_links {
+    my ($self, $note_id) = @_;
+    $self->ensure_connection;
+    my $sth = $self->{dbh}->prepare(
+        "SELECT l.slot, l.event_id, l.spec, e.start_date, e.all_day, e.is_private, e.notification_minutes
+         FROM note_calendar_links l
+         JOIN calendar_events e ON l.event_id = e.id
+         WHERE l.note_id = ?
+         ORDER BY l.slot ASC"
+    );
+    $sth->execute($note_id);
+    return $sth->fetchall_arrayref({});
+}
+
+# --- Live Collaboration ---
+
+# Number of applied text operations kept per note for rebasing late arrivals.
+my $MAX_NOTE_OPS = 500;
+
+# Seconds after which a presence heartbeat no longer counts as "on the board".
+my $PRESENCE_TTL = 45;
+
+# Text operations are ArrayRefs of components measured in Unicode code points:
+#   { r => n } retain n, { i => 'str' } insert str, { d => n } delete n.
+# An operation must span the whole document it is applied to.
+
+# Appends a component, merging with a trailing component of the same kind and
+# keeping inserts ahead of deletes so equivalent ops share one canonical form.
+sub _ot_push {
+    my ($op, $type, $val) = @_;
+    return unless $type eq 'i' ? length $val : $val > 0;
+    my $last = $op->[-1];
+    if ($last && exists $last->{$type}) {
+        if ($type eq 'i') { $last->{i} .= $val } else { $last->{$type} += $val }
+    } elsif ($type eq 'i' && $last && exists $last->{d}) {
+        my $prev = @$op > 1 ? $op->[-2] : undef;
+        if ($prev && exists $prev->{i}) { $prev->{i} .= $val }
+        else { splice @$op, -1, 0, { i => $val } }
+    } else {
+        push @$op, { $type => $val };
+    }
+}
+
+# Validates a client-supplied operation and returns a normalised copy, or undef.
+sub _ot_normalize {
+    my ($op) = @_;
+    return undef unless ref $op eq 'ARRAY' && @$op <= 10000;
+    my @out;
+    for my $c (@$op) {
+        return undef unless ref $c eq 'HASH' && keys %$c == 1;
+        my ($type) = keys %$c;
+        my $val = $c->{$type};
+        return undef if !defined $val || ref $val;
+        if ($type eq 'i') {
+            _ot_push(\@out, 'i', "$val");
+        } elsif (($type eq 'r' || $type eq 'd') && $val =~ /\A\d+\z/) {
+            _ot_push(\@out, $type, int $val);
+        } else {
+            return undef;
+        }
+    }
+    return \@out;
+}
+
+# Applies an operation to a string. Dies with an "OT:" message when the
+# operation does not span the string exactly.
+sub _ot_apply {
+    my ($text, $op) = @_;
+    my ($pos, $out, $len) = (0, '', length $text);
+    for my $c (@$op) {
+        if (exists $c->{i}) {
+            $out .= $c->{i};
+            next;
+        }
+        my $n = $c->{r} // $c->{d};
+        die "OT: operation exceeds document length\n" if $pos + $n > $len;
+        $out .= substr($text, $pos, $n) if exists $c->{r};
+        $pos += $n;
+    }
+    die "OT: operation does not span document\n" unless $pos == $len;
+    return $out;
+}
+
+# Transforms two concurrent operations on the same document.
+# Returns (a', b') where applying a then b' equals applying b then a'.
+# On an insert position tie the first operation's insert goes first.
+sub _ot_transform {
+    my ($op_a, $op_b) = @_;
+    my @qa = map { { %$_ } } @$op_a;
+    my @qb = map { { %$_ } } @$op_b;
+    my (@a1, @b1);
+    my ($x, $y) = (shift @qa, shift @qb);
+
+    while ($x || $y) {
+        if ($x && exists $x->{i}) {
+            _ot_push(\@a1, 'i', $x->{i});
+            _ot_push(\@b1, 'r', length $x->{i});
+            $x = shift @qa;
+            next;
+        }
+        if ($y && exists $y->{i}) {
+            _ot_push(\@a1, 'r', length $y->{i});
+            _ot_push(\@b1, 'i', $y->{i});
+            $y = shift @qb;
+            next;
+        }
+        die "OT: concurrent operations span different lengths\n" unless $x && $y;
+
+        my ($tx) = keys %$x;
+        my ($ty) = keys %$y;
+        my $n = $x->{$tx} < $y->{$ty} ? $x->{$tx} : $y->{$ty};
+        if ($tx eq 'r' && $ty eq 'r') {
+            _ot_push(\@a1, 'r', $n);
+            _ot_push(\@b1, 'r', $n);
+        } elsif ($tx eq 'd' && $ty eq 'r') {
+            _ot_push(\@a1, 'd', $n);
+        } elsif ($tx eq 'r' && $ty eq 'd') {
+            _ot_push(\@b1, 'd', $n);
+        }
+        # Both deleting the same span: nothing left for either side to do
+
+        $x->{$tx} -= $n;
+        $y->{$ty} -= $n;
+        $x = shift @qa unless $x->{$tx};
+        $y = shift @qb unless $y->{$ty};
+    }
+    return (\@a1, \@b1);
+}
+
+# Applies a client text operation to a note using operational transformation.
+# The operation is rebased over every op stored after base_version, so several
+# editors can type into the same note without holding the exclusive edit lock.
+# Parameters:
+#   note_id      : Integer note ID.
+#   user_id      : Editing user's ID (canvas edit access required).
+#   session_id   : Originating UI session, stored so clients can recognise their own acks.
+#   base_version : content_version the operation was generated against.
+#   op           : ArrayRef operation (see above).
+# Returns:
+#   HashRef { success, version, canvas_id } or { success => 0, error }.
+#   error is 'resync' when the client's base is no longer covered by the op log.
+sub DB::apply_note_op {
+    my ($self, $note_id, $user_id, $session_id, $base_version, $op) = @_;
+    $self->ensure_connection;
+    my $dbh = $self->{dbh};
+
+    $op = _ot_normalize($op);
+    return { success => 0, error => 'Invalid operation' } unless $op;
+
+    my $cid = $self->get_canvas_for_note_id($note_id, $user_id);
+    return { success => 0, error => 'Permission denied' }
+        unless $cid && $self->check_canvas_access($cid, $user_id, 1);
+
+    my $result;
+    eval {
+        $dbh->begin_work;
+
+        my ($content, $version) = $dbh->selectrow_array(
+            "SELECT content, content_version FROM notes WHERE id = ? AND is_deleted = 0 FOR UPDATE",
+            undef, $note_id
+        );
+
+        if (!defined $version) {
+            $result = { success => 0, error => 'Note not found' };
+        } elsif ($base_version > $version) {
+            $result = { success => 0, error => 'resync' };
+        } else {
+            my $concurrent = $dbh->selectall_arrayref(
+                "SELECT op FROM note_ops WHERE note_id = ? AND version > ? ORDER BY version",
+                undef, $note_id, $base_version
+            );
+
+            if (@$concurrent != $version - $base_version) {
+                $result = { success => 0, error => 'resync' };
+            } else {
+                ($op) = _ot_transform($op, from_json($_->[0])) for @$concurrent;
+                my $new_content = _ot_apply($content // '', $op);
+                $version++;
+
+                $dbh->do(
+                    "INSERT INTO note_ops (note_id, version, user_id, session_id, op) VALUES (?, ?, ?, ?, ?)",
+                    undef, $note_id, $version, $user_id, $session_id, to_json($op)
+                );
+                $dbh->do(
+                    "UPDATE notes SET content = ?, content_version = ? WHERE id = ?",
+                    undef, $new_content, $version, $note_id
+                );
+
+                # Retention: Keep only the newest ops for this note
+                $dbh->do(
+                    "DELETE FROM note_ops WHERE note_id = ? AND version <= ?",
+                    undef, $note_id, $version - $MAX_NOTE_OPS
+                );
+
+                $result = { success => 1, version => $version, canvas_id => $cid };
+            }
+        }
+
+        $dbh->commit;
+    };
+    if ($@) {
+        my $err = $@;
+        eval { $dbh->rollback };
+        return { success => 0, error => 'resync' } if $err =~ /^OT: /;
+        die $err;
+    }
+
+    $self->touch_canvas($cid) if $result->{success};
+    return $result;
+}
+
+# Returns the operations applied to a note after a given version, falling back
+# to the full content when the retained log no longer reaches back that far.
+# Parameters:
+#   note_id    : Integer note ID.
+#   user_id    : Requesting user's ID (canvas read access required).
+#   session_id : Requesting session; its own ops are flagged as acknowledgements.
+#   since      : Client's current content_version (undef to always get content).
+# Returns:
+#   HashRef { version, ops => [{ version, own, op }] } or { version, content, resync => 1 };
+#   undef when the note is not visible to the user.
+sub DB::get_note_ops_since {
+    my ($self, $note_id, $user_id, $session_id, $since) = @_;
+    $self->ensure_connection;
+    return undef unless $self->get_canvas_for_note_id($note_id, $user_id);
+
+    my ($content, $version) = $self->{dbh}->selectrow_array(
+        "SELECT content, content_version FROM notes WHERE id = ? AND is_deleted = 0",
+        undef, $note_id
+    );
+    return undef unless defined $version;
+
+    if (defined $since && $since <= $version) {
+        my $rows = $self->{dbh}->selectall_arrayref(
+            "SELECT version, (session_id <=> ?) AS own, op FROM note_ops
+             WHERE note_id = ? AND version > ? AND version <= ?
+             ORDER BY version",
+            { Slice => {} }, $session_id, $note_id, $since, $version
+        );
+        if (@$rows == $version - $since) {
+            for my $row (@$rows) {
+                $row->{version} = int $row->{version};
+                $row->{own}     = int $row->{own};
+                $row->{op}      = from_json($row->{op});
+            }
+            return { version => int $version, ops => $rows };
+        }
+    }
+
+    return { version => int $version, content => $content // '', resync => 1 };
+}
+
+# Records a session's presence heartbeat (viewport and edited note) on a canvas.
+# Parameters:
+#   user_id    : Integer ID of the active user.
+#   session_id : UI session identifier (one row per browser tab).
+#   p          : HashRef { canvas_id, layer_id, view_x, view_y, view_w, view_h, editing_note_id }.
+# Returns:
+#   List (changed, previous_canvas_id). changed is 1 when peers should be told:
+#   a new or returning session, or a moved viewport / edit target.
+sub DB::touch_note_presence {
+    my ($self, $user_id, $session_id, $p) = @_;
+    $self->ensure_connection;
+    my @fields = qw(canvas_id layer_id view_x view_y view_w view_h editing_note_id);
+
+    my $prev = $self->{dbh}->selectrow_hashref(
+        "SELECT canvas_id, layer_id, view_x, view_y, view_w, view_h, editing_note_id,
+                updated_at >= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND) AS is_fresh
+         FROM notes_presence WHERE user_id = ? AND session_id = ?",
+        undef, $PRESENCE_TTL, $user_id, $session_id
+    );
+    my $changed = (!$prev || !$prev->{is_fresh} || grep { ($prev->{$_} // '') ne ($p->{$_} // '') } @fields) ? 1 : 0;
+
+    $self->{dbh}->do(
+        "INSERT INTO notes_presence (user_id, session_id, canvas_id, layer_id, view_x, view_y, view_w, view_h, editing_note_id, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON DUPLICATE KEY UPDATE canvas_id = VALUES(canvas_id), layer_id = VALUES(layer_id),
+             view_x = VALUES(view_x), view_y = VALUES(view_y), view_w = VALUES(view_w), view_h = VALUES(view_h),
+             editing_note_id = VALUES(editing_note_id), updated_at = CURRENT_TIMESTAMP",
+        undef, $user_id, $session_id, @{$p}{@fields}
+    );
+
+    # Housekeeping: Drop sessions that vanished without a leave beacon
+    $self->{dbh}->do("DELETE FROM notes_presence WHERE updated_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 1 DAY)");
+
+    return ($changed, $prev ? $prev->{canvas_id} : undef);
+}
+
+# Lists the other sessions currently present on a canvas.
+# Parameters:
+#   canvas_id  : Integer canvas ID (caller verifies read access).
+#   session_id : Requesting session, excluded from the result.
+# Returns:
+#   ArrayRef of HashRefs { user_id, username, layer_id, view_x, view_y, view_w, view_h,
+#   editing_note_id, editing_title }.
+sub DB::get_note_presence {
+    my ($self, $canvas_id, $session_id) = @_;
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare(
+        "SELECT p.user_id, u.username, p.layer_id, p.view_x, p.view_y, p.view_w, p.view_h,
+                n.id AS editing_note_id, n.title AS editing_title
+         FROM notes_presence p
+         JOIN users u ON p.user_id = u.id
+         LEFT JOIN notes n ON n.id = p.editing_note_id AND n.canvas_id = p.canvas_id AND n.is_deleted = 0
+         WHERE p.canvas_id = ?
+         AND p.session_id <> ?
+         AND p.updated_at >= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? SECOND)
+         ORDER BY u.username, p.updated_at DESC"
+    );
+    $sth->execute($canvas_id, $session_id // '', $PRESENCE_TTL);
+    return $sth->fetchall_arrayref({});
+}
+
+# Removes a session's presence row (tab closed or board left).
+# Parameters:
+#   user_id    : Integer ID of the active user.
+#   session_id : UI session identifier.
+# Returns:
+#   Canvas ID the session was on, or undef when it had no presence.
+sub DB::clear_note_presence {
+    my ($self, $user_id, $session_id) = @_;
+    $self->ensure_connection;
+
+    my ($canvas_id) = $self->{dbh}->selectrow_array(
+        "SELECT canvas_id FROM notes_presence WHERE user_id = ? AND session_id = ?",
+        undef, $user_id, $session_id
+    );
+    return undef unless $canvas_id;
+
+    $self->{dbh}->do(
+        "DELETE FROM notes_presence WHERE user_id = ? AND session_id = ?",
+        undef, $user_id, $session_id
+    );
+    return $canvas_id;
+}
+
 1;
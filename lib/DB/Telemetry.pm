@@ -0,0 +1,163 @@
+# /lib/DB/Telemetry.pm
+
+package DB::Telemetry;
+
+use strict;
+use warnings;
+use utf8;
+
+# Database helper for client-side error and performance telemetry.
+# Features:
+#   - Stores batched client events (errors, rejections, API failures, slow renders)
+#   - Groups occurrences by fingerprint for the admin triage view
+#   - Summarises event volume per client type, platform and app version
+#   - Retention cleanup for the centralized maintenance scheduler
+# Integration Points:
+#   - Extends DB package via package injection
+#   - Written by MyApp::Controller::Telemetry (POST /api/telemetry)
+#   - Read by MyApp::Controller::Admin::Telemetry
+#   - Pruned by System.pm run_telemetry_maintenance
+
+# Inserts a single normalized telemetry event.
+# Parameters:
+#   event : HashRef { fingerprint, kind, module, message, source, detail,
+#           occurrences, username, app_version, client, platform, page, user_agent }
+# Returns:
+#   Result of execute() (true on success)
+sub DB::add_telemetry_event {
+    my ($self, $event) = @_;
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare("
+        INSERT INTO client_telemetry
+            (fingerprint, kind, module, message, source, detail, occurrences,
+             username, app_version, client, platform, page, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ");
+    $sth->execute(
+        @$event{qw(fingerprint kind module message source detail occurrences
+                   username app_version client platform page user_agent)}
+    );
+}
+
+# Retrieves telemetry grouped by fingerprint for a recent window.
+# Parameters:
+#   days : Look-back window in days (Integer)
+#   kind : Optional kind filter ('error', 'rejection', 'api', 'slow_render')
+# Returns:
+#   ArrayRef of HashRefs { fingerprint, kind, module, message, source, occurrences,
+#   users, usernames, clients, platforms, versions, first_seen, last_seen }
+sub DB::get_telemetry_groups {
+    my ($self, $days, $kind) = @_;
+    $self->ensure_connection;
+
+    my @binds = (int($days || 7));
+    my $kind_sql = '';
+    if ($kind) {
+        $kind_sql = 'AND kind = ?';
+        push @binds, $kind;
+    }
+
+    my $sth = $self->{dbh}->prepare("
+        SELECT fingerprint, kind, module,
+               MAX(message) AS message,
+               MAX(source) AS source,
+               SUM(occurrences) AS occurrences,
+               COUNT(DISTINCT username) AS users,
+               GROUP_CONCAT(DISTINCT username ORDER BY username SEPARATOR ', ') AS usernames,
+               GROUP_CONCAT(DISTINCT client ORDER BY client SEPARATOR ', ') AS clients,
+               GROUP_CONCAT(DISTINCT platform ORDER BY platform SEPARATOR ', ') AS platforms,
+               GROUP_CONCAT(DISTINCT app_version ORDER BY app_version SEPARATOR ', ') AS versions,
+               UNIX_TIMESTAMP(MIN(created_at)) AS first_seen,
+               UNIX_TIMESTAMP(MAX(created_at)) AS last_seen
+        FROM client_telemetry
+        WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+          $kind_sql
+        GROUP BY fingerprint, kind, module
+        ORDER BY last_seen DESC
+        LIMIT 200
+    ");
+    $sth->execute(@binds);
+
+    return $sth->fetchall_arrayref({});
+}
+
+# Summarises event volume per client type, platform and app version.
+# Parameters:
+#   days : Look-back window in days (Integer)
+# Returns:
+#   ArrayRef of HashRefs { client, platform, app_version, occurrences, groups, last_seen }
+sub DB::get_telemetry_client_summary {
+    my ($self, $days) = @_;
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare("
+        SELECT client, platform, app_version,
+               SUM(occurrences) AS occurrences,
+               COUNT(DISTINCT fingerprint) AS `groups`,
+               UNIX_TIMESTAMP(MAX(created_at)) AS last_seen
+        FROM client_telemetry
+        WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        GROUP BY client, platform, app_version
+        ORDER BY occurrences DESC
+        LIMIT 50
+    ");
+    $sth->execute(int($days || 7));
+
+    return $sth->fetchall_arrayref({});
+}
+
+# Retrieves the most recent individual occurrences of a grouped event.
+# Parameters:
+#   fingerprint : Group fingerprint (String)
+#   limit       : Maximum rows to return (Integer)
+# Returns:
+#   ArrayRef of HashRefs with every stored column plus created_epoch
+sub DB::get_telemetry_occurrences {
+    my ($self, $fingerprint, $limit) = @_;
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare("
+        SELECT id, kind, module, message, source, detail, occurrences, username,
+               app_version, client, platform, page, user_agent,
+               UNIX_TIMESTAMP(created_at) AS created_epoch
+        FROM client_telemetry
+        WHERE fingerprint = ?
+        ORDER BY created_at DESC
+        LIMIT ?
+    ");
+    $sth->execute($fingerprint, int($limit || 50));
+
+    return $sth->fetchall_arrayref({});
+}
+
+# Deletes a single group, or every event when no fingerprint is given.
+# Parameters:
+#   fingerprint : Optional group fingerprint (String)
+# Returns:
+#   Number of rows deleted
+sub DB::delete_telemetry {
+    my ($self, $fingerprint) = @_;
+    $self->ensure_connection;
+
+    return $self->{dbh}->do("DELETE FROM client_telemetry WHERE fingerprint = ?", undef, $fingerprint)
+        if $fingerprint;
+    return $self->{dbh}->do("DELETE FROM client_telemetry");
+}
+
+# Removes telemetry older than the retention window.
+# Parameters:
+#   days : Retention in days (Integer, default 30)
+# Returns:
+#   Number of rows deleted
+sub DB::prune_telemetry {
+    my ($self, $days) = @_;
+    $self->ensure_connection;
+
+    return $self->{dbh}->do(
+        "DELETE FROM client_telemetry WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)",
+        undef, int($days || 30)
+    );
+}
+
+1;
@@ -22,7 +22,7 @@ use constant MAX_NOTIFICATION_CHANNELS => 3;
 # Parameters:
 #   user_id : Target user ID.
 # Returns:
-#   HashRef with keys: id, username, email, discord_id, emoji, has_fcm,
+#   HashRef with keys: id, username, email, discord_id, emoji, locale, has_fcm,
 #   and pref_discord, pref_email, pref_fcm (defaulting to 1 if no row exists yet).
 sub DB::get_user_settings {
     my ($self, $user_id) = @_;
@@ -30,7 +30,7 @@ sub DB::get_user_settings {
 
     my $sth = $self->{dbh}->prepare(q{
         SELECT
-            u.id, u.username, u.email, u.discord_id, u.emoji,
+            u.id, u.username, u.email, u.discord_id, u.emoji, u.locale,
             COUNT(ft.id) > 0        AS has_fcm,
             COALESCE(p.discord, 1)  AS pref_discord,
             COALESCE(p.email,   1)  AS pref_email,
@@ -139,6 +139,33 @@ sub DB::update_user_profile {
     $sth->execute($email, $discord_id || undef, $emoji || undef, $user_id);
 }
 
+# Returns the UI locale preference for a username.
+# Parameters:
+#   username : Session username.
+# Returns: Locale key (e.g. 'en', 'th'), or undef for unknown users.
+sub DB::get_user_locale {
+    my ($self, $username) = @_;
+    $self->ensure_connection;
+
+    my ($locale) = $self->{dbh}->selectrow_array(
+        "SELECT locale FROM users WHERE username = ?", undef, $username
+    );
+    return $locale;
+}
+
+# Persists the UI locale preference for a user.
+# Parameters:
+#   user_id : Target user ID.
+#   locale  : Supported locale key (validated by the controller).
+# Returns: Void.
+sub DB::set_user_locale {
+    my ($self, $user_id, $locale) = @_;
+    $self->ensure_connection;
+
+    my $sth = $self->{dbh}->prepare("UPDATE users SET locale = ? WHERE id = ?");
+    $sth->execute($locale, $user_id);
+}
+
 # Returns the persisted quick tile order for a user.
 sub DB::get_quick_sort_order {
     my ($self, $user_id) = @_;
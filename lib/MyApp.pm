@@ -72,6 +72,32 @@ sub startup {
         });
     }
 
+    # Global Hook: Live channel topic bump.
+    # A successful POST to the API of a module whose page subscribes to its live
+    # topic (subscribeLiveTopic) increments that topic's version so subscribed
+    # clients re-fetch state immediately instead of waiting for their next poll
+    # (see MyApp::Controller::Live). Other modules, and read-style POSTs, never
+    # bump; Notes bumps its own per-note and per-board topics explicitly.
+    my %live_topics = map { $_ => 1 } qw(
+        birthdays calendar chores fuel go meals medication points
+        reminders room shopping swear timers todo
+    );
+    my %live_read_only_posts = map { $_ => 1 } qw(/calendar/api/ai_parse);
+
+    $self->hook(after_dispatch => sub {
+        my $c = shift;
+        return unless $c->req->method eq 'POST';
+        return unless ($c->res->code // 0) == 200;
+
+        my $path = $c->req->url->path->to_string;
+        return unless $path =~ m{\A/([a-z0-9_/-]{1,64}?)/api/};
+        my $topic = $1;
+        return unless $live_topics{$topic} && !$live_read_only_posts{$path};
+
+        eval { $c->db->bump_live_topic($topic) };
+        $c->app->log->warn("Live topic bump failed for $topic: $@") if $@;
+    });
+
     # Global Hook: Auto-set navbar title visibility from menu_links DB based on current URL.
     # The menu_links.hide_navbar_title value is the only source of truth for hiding
     # the navbar title; template-level hide_navbar_title stash values are ignored.
@@ -0,0 +1,102 @@
+# /lib/MyApp/Controller/Admin/Telemetry.pm
+
+package MyApp::Controller::Admin::Telemetry;
+
+use Mojo::Base 'Mojolicious::Controller';
+use Mojo::Util qw(trim);
+
+# Admin controller for the Client Telemetry triage view.
+# All routes require the $admin bridge (is_admin check).
+#
+# Routes:
+#   GET  /admin/telemetry                  — renders template
+#   GET  /admin/telemetry/api/state        — grouped events + per-client summary
+#   GET  /admin/telemetry/api/occurrences  — recent rows for one group
+#   POST /admin/telemetry/api/clear        — deletes one group or everything
+
+# Accepted filter values for the state endpoint.
+my %KINDS = map { $_ => 1 } qw(error rejection api slow_render);
+my %DAYS  = map { $_ => 1 } qw(1 7 30);
+
+# Renders the telemetry triage page.
+sub index {
+    my $c = shift;
+    return $c->render('noperm') unless $c->is_admin;
+    $c->render('admin/telemetry');
+}
+
+# Returns grouped telemetry and a per-client/version summary.
+# Route: GET /admin/telemetry/api/state
+# Parameters: days (1|7|30, default 7), kind (optional)
+# Returns: JSON { success, groups[], clients[] }
+sub api_state {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403)
+        unless $c->is_admin;
+
+    my $days = $c->param('days') // 7;
+    $days = 7 unless $DAYS{$days};
+    my $kind = $c->param('kind') // '';
+    $kind = '' unless $KINDS{$kind};
+
+    my ($groups, $clients) = eval {
+        ($c->db->get_telemetry_groups($days, $kind), $c->db->get_telemetry_client_summary($days))
+    };
+    if ($@) {
+        $c->app->log->error("Telemetry state failed: $@");
+        return $c->render(json => { success => 0, error => 'Database error' });
+    }
+
+    $c->render(json => { success => 1, groups => $groups, clients => $clients });
+}
+
+# Returns the most recent occurrences of one grouped event.
+# Route: GET /admin/telemetry/api/occurrences
+# Parameters: fingerprint (40-char hex)
+# Returns: JSON { success, occurrences[] }
+sub api_occurrences {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403)
+        unless $c->is_admin;
+
+    my $fingerprint = trim($c->param('fingerprint') // '');
+    return $c->render(json => { success => 0, error => 'Invalid fingerprint' })
+        unless $fingerprint =~ /\A[0-9a-f]{40}\z/;
+
+    my $rows = $c->db->get_telemetry_occurrences($fingerprint, 50);
+    $c->render(json => { success => 1, occurrences => $rows });
+}
+
+# Deletes one group (fingerprint) or, with all=1, every stored event.
+# Route: POST /admin/telemetry/api/clear
+# Parameters: fingerprint | all (0|1)
+# Returns: JSON { success, message }
+sub api_clear {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403)
+        unless $c->is_admin;
+
+    my $fingerprint = trim($c->param('fingerprint') // '');
+    my $all         = $c->param('all') ? 1 : 0;
+
+    return $c->render(json => { success => 0, error => 'Nothing to clear' })
+        unless $all || $fingerprint =~ /\A[0-9a-f]{40}\z/;
+
+    eval { $c->db->delete_telemetry($all ? undef : $fingerprint) };
+    if ($@) {
+        $c->app->log->error("Telemetry clear failed: $@");
+        return $c->render(json => { success => 0, error => 'Database error' });
+    }
+
+    $c->render(json => { success => 1, message => $all ? 'All telemetry cleared' : 'Group cleared' });
+}
+
+sub register_routes {
+    my ($class, $r) = @_;
+    $r->{admin}->get( '/admin/telemetry'                 )->to('admin-telemetry#index'          );
+    $r->{admin}->get( '/admin/telemetry/api/state'       )->to('admin-telemetry#api_state'      );
+    $r->{admin}->get( '/admin/telemetry/api/occurrences' )->to('admin-telemetry#api_occurrences');
+    $r->{admin}->post('/admin/telemetry/api/clear'       )->to('admin-telemetry#api_clear'      );
+}
+
+1;
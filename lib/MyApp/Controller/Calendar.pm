@@ -264,6 +264,7 @@ sub _normalise_ai_calendar_parse {
 
 # Renders the main calendar interface.
 # Route: GET /calendar
+# Route: GET /calendar/event/:id (client-routed deep link to an event)
 sub index {
     my $c = shift;
     return $c->redirect_to('/login') unless $c->is_logged_in;
@@ -686,6 +687,7 @@ sub api_delete {
 sub register_routes {
     my ($class, $r) = @_;
     $r->{family}->get('/calendar')->to('calendar#index');
+    $r->{family}->get('/calendar/event/:id' => [id => qr/\d+/])->to('calendar#index');
     $r->{family}->get('/calendar/api/state')->to('calendar#api_state');
     $r->{family}->get('/calendar/api/events')->to('calendar#api_events');
     $r->{family}->post('/calendar/api/ai_parse')->to('calendar#api_ai_parse');
@@ -0,0 +1,136 @@
+# /lib/MyApp/Controller/Live.pm
+
+package MyApp::Controller::Live;
+
+use Mojo::Base 'Mojolicious::Controller';
+use Mojo::IOLoop;
+use Mojo::JSON qw(decode_json);
+
+# Clients connected to this worker: tx => { c => controller, topics => { topic => 1 } }
+my %CLIENTS;
+
+# Last topic versions seen by this worker's fan-out loop
+my %VERSIONS;
+my $FANOUT_TIMER;
+
+# Controller for the shared live state channel.
+#
+# Features:
+#   - Single WebSocket per page that subscribes to per-module topics.
+#   - One recurring poll per worker of only the topics its sockets subscribe to,
+#     fanned out to all sockets.
+#   - Change notifications only; clients re-fetch state through their own
+#     /module/api/state endpoint so permissions stay where they are.
+# Integration Points:
+#   - DB::Live: Topic version counters bumped by the after_dispatch hook.
+#   - default.js: subscribeLiveTopic() client and menubar connection indicator.
+
+# Accepts a live channel WebSocket and manages its topic subscriptions.
+# Route: WS /api/live
+# Messages (client -> server):
+#   { action => 'subscribe',   topics => [...] }
+#   { action => 'unsubscribe', topics => [...] }
+#   { action => 'ping' }
+# Messages (server -> client):
+#   { type => 'subscribed', topics => [...] }
+#   { type => 'changed', topic => '...', version => N }
+#   { type => 'pong' }
+sub ws {
+    my $c = shift;
+
+    $c->inactivity_timeout(120);
+    my $id = $c->tx . '';
+    $CLIENTS{$id} = { c => $c, topics => {} };
+    _ensure_fanout($c->app);
+
+    $c->on(message => sub {
+        my ($c, $raw) = @_;
+        my $msg = eval { decode_json($raw) };
+        return unless ref $msg eq 'HASH';
+
+        my $action = $msg->{action} // '';
+        if ($action eq 'ping') {
+            $c->send({ json => { type => 'pong' } });
+            return;
+        }
+
+        return unless $action eq 'subscribe' || $action eq 'unsubscribe';
+        my @topics = grep { defined && m{\A[a-z0-9_/-]{1,64}\z} }
+            @{ ref $msg->{topics} eq 'ARRAY' ? $msg->{topics} : [] };
+
+        my $client = $CLIENTS{$id} or return;
+        for my $topic (@topics) {
+            if ($action eq 'subscribe') { $client->{topics}{$topic} = 1 }
+            else                        { delete $client->{topics}{$topic} }
+        }
+        _seed_versions($c->app, [ grep { !exists $VERSIONS{$_} } @topics ]) if $action eq 'subscribe';
+        $c->send({ json => { type => 'subscribed', topics => [sort keys %{ $client->{topics} }] } });
+    });
+
+    $c->on(finish => sub {
+        delete $CLIENTS{$id};
+        _stop_fanout() unless %CLIENTS;
+    });
+}
+
+# Records the current version of newly subscribed topics as their baseline, so
+# subscribing is not reported as a change. Topics without a row start at 0.
+# Parameters:
+#   app    : Mojolicious application (for DB access)
+#   topics : ArrayRef of topic keys
+# Returns: Void
+sub _seed_versions {
+    my ($app, $topics) = @_;
+    return unless @$topics;
+    my $versions = eval { $app->db->get_live_topic_versions($topics) } || {};
+    $VERSIONS{$_} = $versions->{$_} // 0 for @$topics;
+}
+
+# Starts the per-worker polling loop that detects topic changes.
+# Parameters:
+#   app : Mojolicious application (for DB access and logging)
+# Returns: Void
+sub _ensure_fanout {
+    my $app = shift;
+    return if $FANOUT_TIMER;
+
+    $FANOUT_TIMER = Mojo::IOLoop->recurring(1 => sub {
+        # Only topics someone on this worker watches; forget the rest
+        my %watched = map { %{ $_->{topics} } } values %CLIENTS;
+        delete @VERSIONS{ grep { !$watched{$_} } keys %VERSIONS };
+        return unless %watched;
+
+        my $versions = eval { $app->db->get_live_topic_versions([ keys %watched ]) };
+        if ($@) {
+            $app->log->warn("Live channel: version poll failed: $@");
+            return;
+        }
+
+        for my $topic (keys %$versions) {
+            my $version = $versions->{$topic};
+            next if defined $VERSIONS{$topic} && $VERSIONS{$topic} == $version;
+            $VERSIONS{$topic} = $version;
+
+            for my $client (values %CLIENTS) {
+                next unless $client->{topics}{$topic};
+                $client->{c}->send({ json => { type => 'changed', topic => $topic, version => $version } });
+            }
+        }
+    });
+}
+
+# Stops the polling loop once the last client on this worker disconnects.
+# Parameters: None
+# Returns: Void
+sub _stop_fanout {
+    return unless $FANOUT_TIMER;
+    Mojo::IOLoop->remove($FANOUT_TIMER);
+    undef $FANOUT_TIMER;
+}
+
+sub register_routes {
+    my ($class, $r) = @_;
+    $r->{auth}->websocket('/api/live')->to('live#ws');
+}
+
+1;
@@ -3,7 +3,10 @@
 package MyApp::Controller::Notes;
 
 use Mojo::Base 'Mojolicious::Controller';
-use Mojo::Util qw(trim);
+use Mojo::Util qw(trim encode decode);
+use Mojo::JSON qw(encode_json decode_json);
+use IO::Compress::Zip qw($ZipError);
+use IO::Uncompress::Unzip qw($UnzipError);
 use DB;
 
 # Checks if a note title indicates a FENCE-type note.
@@ -20,6 +23,19 @@ sub _is_fence_note_title {
 #   - Atomic persistence for draggable sticky note coordinates.
 #   - Multipart image upload processing with binary BLOB storage.
 #   - Multi-canvas management with collaborative sharing and permission-aware ACL.
+#   - Per-note revision history with restore for accidental overwrites.
+#   - In-place undelete endpoint backing the client-side undo/redo stack.
+#   - Live collaboration: OT text operations and board presence fanned out over the live channel.
+#   - Board export to a Markdown + JSON manifest zip, and import from a bundle or Markdown folder.
+#   - Connector arrows between notes, carried along by bulk copy and move.
+#   - Cross-board link graph of wikilinks and note references for the graph view.
+#   - Note templates with per-board defaults for the create modal and edit ribbon.
+#   - Checkbox task aggregation across boards with toggling back into the source note.
+#   - Ranked full-text search with field filters, including OCR text of image and PDF attachments.
+#   - Date tags that create and track family calendar events and reminders for family members.
+#   - Persistent note groups that select and move as one, alongside FENCE: frames.
+#   - Presentation path ordering written back to the notes' [slide:N] tags.
+#   - Public read-only links with expiry and level restriction, served without login.
 #   - Unified access for all registered and shared users.
 #
 # Integration Points:
@@ -29,6 +45,7 @@ sub _is_fence_note_title {
 
 # Renders the main whiteboard skeleton.
 # Route: GET /notes
+# Route: GET /notes/board/:canvas_id[/note/:note_id] (client-routed deep links)
 # Description: Serves the Pure Skeleton template.
 sub index {
     my $c = shift;
@@ -116,12 +133,14 @@ sub api_state {
         canvas_id     => int($cid),
         notes         => $notes,
         user_id       => $user_id,
+        username      => $c->session('user'),
         canvases      => $canvases,
         viewport      => $viewport,
         share_list    => $share_list,
         note_map      => $note_map,
         note_map_hash => $fingerprint,
         layer_map     => $c->db->get_canvas_layers($cid),
+        connectors    => $is_locked ? [] : $c->db->get_canvas_connectors($cid),
         last_mutation => $c->db->get_board_mutation_time($cid),
         is_locked     => $is_locked,
         unlocked_canvases => $unlocked_ids
@@ -168,8 +187,13 @@ sub api_save {
     }
     $params->{session_id} = $sid;
 
+    # Collaborative sessions stream content through the op log; keep the stored text.
+    my $collab = $params->{id} && $c->param('collab') ? 1 : 0;
+    $params->{content} = undef if $collab;
+
     my $old_title = $params->{id} ? $c->db->get_note_title($params->{id}) : undef;
     my $old_layer = $params->{id} ? $c->db->get_note_layer($params->{id}, $user_id) : undef;
+    my $baseline  = $params->{id} ? $c->db->get_note_revision_baseline($params->{id}) : undef;
 
     my $result_id = $c->db->save_note($params);
 
@@ -183,12 +207,19 @@ sub api_save {
 
     $c->refresh_canvas_lock($canvas_id) if defined $canvas_id;
 
+    $params->{content} = $c->db->get_note_content($result_id, $user_id) // '' if $collab;
+
+    $c->_record_note_revision($result_id, $user_id, $params->{title}, $params->{content}, $baseline);
+
     $c->db->sync_note_links($result_id, $params->{content}, $user_id)
         if defined $params->{content};
 
     $c->db->sync_bookmark_links($result_id, $params->{content}, $user_id)
         if defined $params->{content};
 
+    $c->db->sync_note_calendar_links($result_id, $params->{content}, $user_id)
+        if defined $params->{content};
+
     $c->db->reconcile_bookmark_links($canvas_id, $params->{layer_id}, $user_id);
 
     if ($params->{id} && defined $old_layer && $old_layer != $params->{layer_id}) {
@@ -464,6 +495,51 @@ sub api_batch_delete {
     }
 }
 
+# Reverses a (batch) soft-delete in place for the whiteboard undo stack.
+# Route: POST /notes/api/undelete
+# Parameters: ids (JSON Array), canvas_id
+# Returns: JSON { success, restored_ids, notes, last_mutation }
+sub api_undelete {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+    my $ids       = eval { Mojo::JSON::decode_json($c->param('ids') // '[]') } // [];
+    return $c->render(json => { success => 0, error => 'Invalid ids' }) unless ref $ids eq 'ARRAY' && @$ids;
+
+    my %layers_per_canvas;
+    for my $note_id (@$ids) {
+        my ($cid, $lid) = $c->db->get_note_canvas_and_layer($note_id, $user_id);
+        next unless $cid;
+        return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+            if $c->is_canvas_locked($cid);
+        $layers_per_canvas{$cid}{$lid} = 1 if defined $lid;
+    }
+
+    my $restored = $c->db->undelete_notes($ids, $user_id);
+    return $c->render(json => { success => 0, error => 'Nothing to restore' }) unless @$restored;
+
+    # Outgoing links were dropped on delete; rebuild them from the note content.
+    for my $note_id (@$restored) {
+        my $content = $c->db->get_note_content($note_id, $user_id);
+        next unless defined $content;
+        $c->db->sync_note_links($note_id, $content, $user_id);
+        $c->db->sync_bookmark_links($note_id, $content, $user_id);
+        $c->db->sync_note_calendar_links($note_id, $content, $user_id);
+    }
+    $c->_reconcile_bookmark_map(\%layers_per_canvas, $user_id);
+    $c->refresh_canvas_lock($canvas_id) if defined $canvas_id;
+
+    my $unlocked_ids = $c->_get_unlocked_ids;
+    $c->render(json => {
+        success       => 1,
+        restored_ids  => $restored,
+        notes         => $c->db->get_user_notes($user_id, $canvas_id, $unlocked_ids),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
 # Acquires an exclusive collaborative lock.
 # Route: POST /notes/api/lock
 sub api_lock {
@@ -497,6 +573,139 @@ sub api_unlock {
     return $c->render(json => { success => 0, error => 'Unlock denied or note not found' }, status => 403);
 }
 
+# Returns a note's operations since a version, or its full content to (re)join.
+# Route: GET /notes/api/collab/:note_id
+# Parameters: since (optional content_version), session_id
+# Returns: JSON { success, version, ops[] } or { success, version, content, resync }
+sub api_collab_state {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id = $c->current_user_id();
+    my $note_id = int($c->stash('note_id'));
+    my $since   = $c->param('since');
+    $since = undef unless defined $since && $since =~ /\A\d+\z/;
+
+    my $cid = $c->db->get_canvas_for_note_id($note_id, $user_id);
+    return $c->render(json => { success => 0, error => 'Note not found' }, status => 404) unless $cid;
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($cid);
+
+    my $state = $c->db->get_note_ops_since($note_id, $user_id, $c->param('session_id'), $since);
+    return $c->render(json => { success => 0, error => 'Note not found' }, status => 404) unless $state;
+
+    $c->render(json => { success => 1, %$state });
+}
+
+# Applies a text operation from a collaborative editor and notifies other editors.
+# Route: POST /notes/api/collab/op
+# Parameters: note_id, version (base content_version), op (JSON), session_id
+# Returns: JSON { success, version, ops[] } — ops are everything after the base, own op included as ack.
+sub api_collab_op {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id = $c->current_user_id();
+    my $note_id = int($c->param('note_id') // 0);
+    my $base    = $c->param('version') // '';
+    my $sid     = $c->param('session_id');
+    return $c->render(json => { success => 0, error => 'Missing or invalid session_id' }, status => 400)
+        unless defined $sid && $sid =~ /\A[\w-]{1,32}\z/a;
+    return $c->render(json => { success => 0, error => 'Invalid version' }) unless $base =~ /\A\d+\z/;
+
+    my $op = eval { Mojo::JSON::from_json($c->param('op') // '') };
+    return $c->render(json => { success => 0, error => 'Invalid operation' }) unless ref $op eq 'ARRAY';
+
+    my $cid = $c->db->get_canvas_for_note_id($note_id, $user_id);
+    return $c->render(json => { success => 0, error => 'Note not found' }, status => 404) unless $cid;
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($cid);
+
+    my $result = eval { $c->db->apply_note_op($note_id, $user_id, $sid, int $base, $op) };
+    if ($@) {
+        $c->app->log->error("Note op failed for $note_id: $@");
+        return $c->render(json => { success => 0, error => 'Database error' });
+    }
+    return $c->render(json => $result) unless $result->{success};
+
+    eval { $c->db->bump_live_topic("notes/collab/$note_id") };
+    $c->app->log->warn("Live topic bump failed for note $note_id: $@") if $@;
+
+    my $state = $c->db->get_note_ops_since($note_id, $user_id, $sid, int $base);
+    $c->render(json => { success => 1, %$state });
+}
+
+# Records this tab's viewport on a board and returns who else is there.
+# Route: POST /notes/api/presence
+# Parameters: canvas_id, layer_id, view_x, view_y, view_w, view_h, editing_note_id, session_id
+# Returns: JSON { success, peers[] }
+sub api_presence {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = int($c->param('canvas_id') // 0);
+    my $sid       = $c->param('session_id');
+    return $c->render(json => { success => 0, error => 'Missing or invalid session_id' }, status => 400)
+        unless defined $sid && $sid =~ /\A[\w-]{1,32}\z/a;
+    return $c->render(json => { success => 0, error => 'Permission denied' }, status => 403)
+        unless $canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 0);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my $editing = int($c->param('editing_note_id') // 0);
+    my ($changed, $prev_canvas) = $c->db->touch_note_presence($user_id, $sid, {
+        canvas_id       => $canvas_id,
+        layer_id        => int($c->param('layer_id') // 1),
+        view_x          => int($c->param('view_x') // 0),
+        view_y          => int($c->param('view_y') // 0),
+        view_w          => int($c->param('view_w') // 0),
+        view_h          => int($c->param('view_h') // 0),
+        editing_note_id => $editing || undef
+    });
+
+    if ($changed) {
+        for my $cid (grep { defined } $canvas_id, ($prev_canvas && $prev_canvas != $canvas_id ? $prev_canvas : undef)) {
+            eval { $c->db->bump_live_topic("notes/presence/$cid") };
+            $c->app->log->warn("Live topic bump failed for presence $cid: $@") if $@;
+        }
+    }
+
+    $c->render(json => { success => 1, peers => $c->db->get_note_presence($canvas_id, $sid) });
+}
+
+# Lists the other sessions on a board (live-topic refresh path).
+# Route: GET /notes/api/presence/:canvas_id
+# Returns: JSON { success, peers[] }
+sub api_presence_state {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $canvas_id = int($c->stash('canvas_id'));
+    return $c->render(json => { success => 0, error => 'Permission denied' }, status => 403)
+        unless $c->db->check_canvas_access($canvas_id, $c->current_user_id(), 0);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    $c->render(json => { success => 1, peers => $c->db->get_note_presence($canvas_id, $c->param('session_id')) });
+}
+
+# Drops this tab's presence (sendBeacon on pagehide or board switch).
+# Route: POST /notes/api/presence/leave
+# Parameters: session_id
+sub api_presence_leave {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $sid = $c->param('session_id') // '';
+    my $canvas_id = length $sid ? $c->db->clear_note_presence($c->current_user_id(), $sid) : undef;
+    if ($canvas_id) {
+        eval { $c->db->bump_live_topic("notes/presence/$canvas_id") };
+        $c->app->log->warn("Live topic bump failed for presence $canvas_id: $@") if $@;
+    }
+    $c->render(json => { success => 1 });
+}
+
 # Persists the user's viewport scale and scroll position.
 # Route: POST /notes/api/viewport
 # Parameters: canvas_id, scale, scroll_x, scroll_y
@@ -596,7 +805,8 @@ sub api_upload {
     $mime_type = $upload->headers->content_type || ($type eq 'image' ? 'image/png' : 'application/octet-stream');
     my $file_size = $upload->size;
 
-    $c->db->store_note_blob($note_id, $file_data, $mime_type, $file_size, $upload->filename);
+    my $blob_id = $c->db->store_note_blob($note_id, $file_data, $mime_type, $file_size, $upload->filename);
+    $c->_index_attachment_text($blob_id) if $blob_id;
 
     $c->refresh_canvas_lock($cid) if defined $cid;
 
@@ -736,6 +946,733 @@ sub serve_attachment_blob {
     $c->res->headers->header('Access-Control-Allow-Origin' => '*');
     $c->render(data => $blob->{file_data});
 }
+
+# --- Canvas Connectors ---
+
+# Normalizes connector styling params from the request.
+# Returns: HashRef { style, label, color } with unknown styles and colors dropped.
+sub _connector_style_params {
+    my ($c) = @_;
+    my $style = $c->param('style') // '';
+    my $color = $c->param('color') // '';
+    my $label = trim($c->param('label') // '');
+    return {
+        style => $style eq 'elbow' ? 'elbow' : 'straight',
+        label => length $label ? substr($label, 0, 255) : undef,
+        color => $color =~ /^#[0-9a-fA-F]{6}$/ ? $color : undef
+    };
+}
+
+# Creates or restyles an arrow between two notes.
+# Route: POST /notes/api/connectors/save
+# Parameters: canvas_id, id (update) or source_note_id + target_note_id (create), style, label, color
+sub api_connector_save {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+
+    return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
+        unless $canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 1);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my $p = _connector_style_params($c);
+    for my $key (qw(id source_note_id target_note_id)) {
+        my $v = $c->param($key);
+        $p->{$key} = int($v) if defined $v && $v =~ /\A\d+\z/;
+    }
+    unless ($p->{id} || ($p->{source_note_id} && $p->{target_note_id})) {
+        return $c->render(json => { success => 0, error => 'Missing connector endpoints' }, status => 400);
+    }
+
+    my $id = $c->db->save_note_connector($canvas_id, $user_id, $p);
+    return $c->render(json => { success => 0, error => 'Notes must be on this board' }) unless $id;
+
+    $c->refresh_canvas_lock($canvas_id);
+    $c->render(json => {
+        success       => 1,
+        id            => $id,
+        connectors    => $c->db->get_canvas_connectors($canvas_id),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
+# Removes an arrow by ID or by its source/target pair.
+# Route: POST /notes/api/connectors/delete
+# Parameters: canvas_id, id or source_note_id + target_note_id
+sub api_connector_delete {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+
+    return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
+        unless $canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 1);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my %p;
+    for my $key (qw(id source_note_id target_note_id)) {
+        my $v = $c->param($key);
+        $p{$key} = int($v) if defined $v && $v =~ /\A\d+\z/;
+    }
+
+    my $count = $c->db->delete_note_connector($canvas_id, \%p);
+
+    $c->refresh_canvas_lock($canvas_id);
+    $c->render(json => {
+        success       => 1,
+        count         => $count,
+        connectors    => $c->db->get_canvas_connectors($canvas_id),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
+# --- Note Groups ---
+
+# Groups notes so they are selected and moved together.
+# Route: POST /notes/api/groups/create
+# Parameters: canvas_id, ids (JSON array), name (optional)
+sub api_group_create {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+    return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
+        unless $canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 1);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my $ids = eval { Mojo::JSON::decode_json($c->param('ids') // '[]') } // [];
+    return $c->render(json => { success => 0, error => 'Invalid ids' }) unless ref $ids eq 'ARRAY';
+
+    my $name = trim($c->param('name') // '');
+    my $group_id = $c->db->create_note_group($canvas_id, $user_id, $ids, length $name ? substr($name, 0, 100) : undef);
+    return $c->render(json => { success => 0, error => 'Select at least two notes on this board' }) unless $group_id;
+
+    $c->refresh_canvas_lock($canvas_id);
+    $c->render(json => {
+        success       => 1,
+        group_id      => $group_id,
+        notes         => $c->db->get_user_notes($user_id, $canvas_id, $c->_get_unlocked_ids),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
+# Takes notes out of their groups.
+# Route: POST /notes/api/groups/ungroup
+# Parameters: canvas_id, ids (JSON array)
+sub api_group_ungroup {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+    return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
+        unless $canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 1);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my $ids = eval { Mojo::JSON::decode_json($c->param('ids') // '[]') } // [];
+    return $c->render(json => { success => 0, error => 'Invalid ids' }) unless ref $ids eq 'ARRAY' && @$ids;
+
+    my $count = $c->db->ungroup_notes($canvas_id, $ids);
+
+    $c->refresh_canvas_lock($canvas_id);
+    $c->render(json => {
+        success       => 1,
+        count         => $count,
+        notes         => $c->db->get_user_notes($user_id, $canvas_id, $c->_get_unlocked_ids),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
+# Renames a group.
+# Route: POST /notes/api/groups/rename
+# Parameters: canvas_id, group_id, name (empty clears the label)
+sub api_group_rename {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+    return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
+        unless $canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 1);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my $group_id = $c->param('group_id') // '';
+    return $c->render(json => { success => 0, error => 'Invalid group' }, status => 400)
+        unless $group_id =~ /\A\d+\z/;
+
+    my $name = trim($c->param('name') // '');
+    return $c->render(json => { success => 0, error => 'Group not found' })
+        unless $c->db->rename_note_group($canvas_id, $group_id, length $name ? substr($name, 0, 100) : undef);
+
+    $c->refresh_canvas_lock($canvas_id);
+    $c->render(json => {
+        success       => 1,
+        notes         => $c->db->get_user_notes($user_id, $canvas_id, $c->_get_unlocked_ids),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
+# --- Note Templates ---
+
+# Lists the user's templates and, when canvas_id is given, the board's default template.
+# Route: GET /notes/api/templates
+# Parameters: canvas_id (optional)
+# Returns: JSON { success, templates: [...], default_template: {...}|null }
+sub api_templates {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+
+    my $default;
+    if ($canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 0) && !$c->is_canvas_locked($canvas_id)) {
+        $default = $c->db->get_canvas_default_template($canvas_id);
+    }
+
+    $c->render(json => {
+        success          => 1,
+        templates        => $c->db->get_note_templates($user_id),
+        default_template => $default
+    });
+}
+
+# Creates or updates a note template.
+# Route: POST /notes/api/templates/save
+# Parameters: id (optional), name, title, content, color
+sub api_template_save {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id = $c->current_user_id();
+    my $name    = trim($c->param('name') // '');
+    my $color   = $c->param('color') // '';
+
+    return $c->render(json => { success => 0, error => 'Template name is required' })
+        unless length $name;
+
+    my $id = $c->db->save_note_template($user_id, {
+        id      => $c->param('id'),
+        name    => substr($name, 0, 100),
+        title   => substr(trim($c->param('title') // ''), 0, 255),
+        content => $c->param('content') // '',
+        color   => $color =~ /^(?:#[0-9a-fA-F]{6}|[a-z]{1,19})$/ ? $color : undef
+    });
+    return $c->render(json => { success => 0, error => 'Template not found' }) unless $id;
+
+    $c->render(json => { success => 1, id => $id, templates => $c->db->get_note_templates($user_id) });
+}
+
+# Deletes a note template.
+# Route: POST /notes/api/templates/delete
+# Parameters: id
+sub api_template_delete {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id = $c->current_user_id();
+    return $c->render(json => { success => 0, error => 'Template not found' })
+        unless $c->db->delete_note_template($user_id, int($c->param('id') // 0));
+
+    $c->render(json => { success => 1, templates => $c->db->get_note_templates($user_id) });
+}
+
+# Sets or clears the template that new notes on a board start from (owner only).
+# Route: POST /notes/api/canvas/default-template
+# Parameters: canvas_id, template_id (empty to clear)
+sub api_canvas_default_template {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $canvas_id   = $c->param('canvas_id');
+    my $template_id = $c->param('template_id') || undef;
+
+    return $c->render(json => { success => 0, error => 'Permission denied' })
+        unless $canvas_id && $c->db->set_canvas_default_template($canvas_id, $c->current_user_id(), $template_id);
+
+    $c->render(json => { success => 1, default_template => $template_id ? $c->db->get_canvas_default_template($canvas_id) : undef });
+}
+
+# --- Task Aggregation ---
+
+# Lists checkbox tasks from every note the user can read, for the Tasks panel and [tasks] blocks.
+# Route: GET /notes/api/tasks
+# Returns: JSON { success, tasks: [{ note_id, note_title, canvas_id, canvas_name, layer_id,
+#                                    line, done, text, tags, note_tags, due }] }
+sub api_tasks {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $tasks = $c->db->get_note_tasks($c->current_user_id(), $c->_get_unlocked_ids);
+    $c->render(json => { success => 1, tasks => $tasks });
+}
+
+# Toggles one aggregated task in its source note.
+# Route: POST /notes/api/tasks/toggle
+# Parameters: note_id, line, text
+# Returns: JSON { success, done, last_mutation }
+sub api_task_toggle {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id = $c->current_user_id();
+    my $note_id = int($c->param('note_id') // 0);
+    my $line    = $c->param('line') // '';
+    return $c->render(json => { success => 0, error => 'Invalid line' }) unless $line =~ /\A\d+\z/;
+
+    my $cid = $c->db->get_canvas_for_note_id($note_id, $user_id);
+    return $c->render(json => { success => 0, error => 'Note not found' }, status => 404) unless $cid;
+    return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
+        unless $c->db->check_canvas_access($cid, $user_id, 1);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($cid);
+
+    my $result = eval { $c->db->toggle_note_task($note_id, $user_id, int $line, trim($c->param('text') // '')) };
+    if ($@) {
+        $c->app->log->error("Task toggle failed for $note_id: $@");
+        return $c->render(json => { success => 0, error => 'Database error' });
+    }
+    return $c->render(json => $result) unless $result->{success};
+
+    eval { $c->db->bump_live_topic("notes/collab/$note_id") };
+    $c->app->log->warn("Live topic bump failed for note $note_id: $@") if $@;
+
+    $c->refresh_canvas_lock($cid);
+    $c->render(json => {
+        success       => 1,
+        done          => $result->{done},
+        last_mutation => $c->db->get_board_mutation_time($cid)
+    });
+}
+
+# --- Presentation Slides ---
+
+# Sets the board's presentation path by renumbering the notes' [slide:N] tags.
+# Route: POST /notes/api/slides/order
+# Parameters: canvas_id, ids (JSON array in presentation order; [] clears the path)
+sub api_slides_order {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->param('canvas_id');
+    return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
+        unless $canvas_id && $c->db->check_canvas_access($canvas_id, $user_id, 1);
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my $ids = eval { Mojo::JSON::decode_json($c->param('ids') // '[]') } // [];
+    return $c->render(json => { success => 0, error => 'Invalid ids' }) unless ref $ids eq 'ARRAY';
+
+    my $changed = eval { $c->db->set_slide_order($canvas_id, $user_id, $ids) };
+    if ($@) {
+        $c->app->log->error("Slide order failed for canvas $canvas_id: $@");
+        return $c->render(json => { success => 0, error => 'Database error' });
+    }
+
+    for my $note_id (@$changed) {
+        eval { $c->db->bump_live_topic("notes/collab/$note_id") };
+        $c->app->log->warn("Live topic bump failed for note $note_id: $@") if $@;
+    }
+
+    $c->refresh_canvas_lock($canvas_id);
+    $c->render(json => {
+        success       => 1,
+        changed       => scalar @$changed,
+        notes         => $c->db->get_user_notes($user_id, $canvas_id, $c->_get_unlocked_ids),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
+# --- Board Export & Import ---
+
+my $BUNDLE_FORMAT       = 'rendler-notes-board';
+my $IMPORT_MAX_BYTES    = 200 * 1024 * 1024;
+my $IMPORT_MAX_UNPACKED = 100 * 1024 * 1024;
+my $IMPORT_MAX_LEVEL    = 99;
+my $IMPORT_MAX_NOTES    = 2000;
+my $IMPORT_GRID_COLUMNS = 5;
+
+# Reduces a title or filename to a portable archive path segment.
+# Returns: Sanitized string, or the fallback when nothing printable remains.
+sub _bundle_safe_name {
+    my ($name, $fallback) = @_;
+    $name //= '';
+    $name =~ s/[\/\\:*?"<>|\x00-\x1f]+/_/g;
+    $name = trim($name);
+    $name =~ s/^\.+//;
+    $name = substr($name, 0, 80);
+    return length $name ? $name : $fallback;
+}
+
+# Packs [name, bytes] pairs into an in-memory zip with UTF-8 flagged entry names.
+# Returns: Zip archive bytes.
+sub _bundle_zip {
+    my ($entries) = @_;
+    my ($out, $zip) = ('');
+    for my $entry (@$entries) {
+        my %opts = (Name => encode('UTF-8', $entry->[0]), Efs => 1, BinModeIn => 1);
+        if ($zip) {
+            $zip->newStream(%opts) or die "Zip: $ZipError";
+        } else {
+            $zip = IO::Compress::Zip->new(\$out, %opts) or die "Zip: $ZipError";
+        }
+        $zip->print($entry->[1]);
+    }
+    $zip->close if $zip;
+    return $out;
+}
+
+# Unpacks an uploaded zip archive into a path => bytes map, skipping directories.
+# Inflation stops as soon as the entries together exceed $IMPORT_MAX_UNPACKED,
+# so a highly compressed archive cannot expand without bound in memory.
+# Returns: (HashRef, undef) on success or (undef, error message).
+sub _bundle_unzip {
+    my ($data) = @_;
+    my $unzip = IO::Uncompress::Unzip->new(\$data) or return (undef, 'Not a valid zip archive');
+
+    my (%files, $total);
+    my $status = 1;
+    while ($status > 0) {
+        my $header = $unzip->getHeaderInfo;
+        my $name   = $header->{Name} // '';
+        return (undef, 'Archive is too large to import')
+            if ($total // 0) + ($header->{UncompressedLength} // 0) > $IMPORT_MAX_UNPACKED;
+
+        my $is_dir = $name =~ m{/\z};
+        my $buf    = '';
+        my $chunk;
+        while (($status = $unzip->read($chunk)) > 0) {
+            $total += length $chunk;
+            return (undef, 'Archive is too large to import') if $total > $IMPORT_MAX_UNPACKED;
+            $buf .= $chunk unless $is_dir;
+        }
+        last if $status < 0;
+        $files{ decode('UTF-8', $name) // $name } = $buf unless $is_dir;
+        $status = $unzip->nextStream;
+    }
+    return (undef, "Corrupt zip archive: $UnzipError") if $status < 0;
+    return (\%files, undef);
+}
+
+# Normalizes archive paths, drops OS metadata and unsafe segments,
+# and strips a single folder that wraps the whole bundle.
+# Returns: HashRef of relative path => bytes.
+sub _bundle_normalize_paths {
+    my ($files) = @_;
+    my %clean;
+    for my $path (keys %$files) {
+        (my $p = $path) =~ s{\\}{/}g;
+        $p =~ s{^(?:\./|/)+}{};
+        my @parts = split m{/}, $p;
+        next if !@parts || grep { $_ eq '..' || /^\./ || $_ eq '__MACOSX' } @parts;
+        $clean{ join '/', @parts } = $files->{$path};
+    }
+
+    my %tops = map { (split m{/})[0] => 1 } keys %clean;
+    if (keys %tops == 1 && !exists $clean{'manifest.json'} && !grep { !m{/} } keys %clean) {
+        my ($top) = keys %tops;
+        %clean = map { substr($_, length($top) + 1) => $clean{$_} } keys %clean;
+    }
+    return \%clean;
+}
+
+# Converts plain Markdown files into bundle notes laid out on a grid.
+# The first folder below the bundle root (or below notes/, as exported) selects the level:
+# "level-N" (N from 1 to 99) maps to N, any other name becomes a new level carrying the
+# folder name as its alias.
+# Returns: Nothing on success (appends to the bundle's notes and layer_map), or an error message.
+sub _bundle_add_markdown {
+    my ($bundle, $files, $paths) = @_;
+    my %used_levels = map { $_->{layer_id} => 1 } @{ $bundle->{notes} };
+    $used_levels{$_} = 1 for keys %{ $bundle->{layer_map} };
+    for (@$paths) { $used_levels{ int($1) } = 1 if m{^(?:notes/)?level-(\d+)/}i && $1 >= 1 && $1 <= $IMPORT_MAX_LEVEL }
+    my (%folder_level, %slots);
+
+    for my $path (sort @$paths) {
+        my @parts = split m{/}, $path;
+        shift @parts if @parts > 2 && $parts[0] eq 'notes' && $parts[1] =~ /^level-\d+$/i;
+        my $layer_id = 1;
+        if (@parts > 1) {
+            my $folder = $parts[0];
+            if ($folder =~ /^level-(\d+)$/i && $1 >= 1 && $1 <= $IMPORT_MAX_LEVEL) {
+                $layer_id = int($1);
+            } else {
+                $layer_id = $folder_level{$folder} //= do {
+                    my $next = 2;
+                    $next++ while $used_levels{$next};
+                    return "Too many folders: a board holds at most $IMPORT_MAX_LEVEL levels" if $next > $IMPORT_MAX_LEVEL;
+                    $bundle->{layer_map}{$next} = substr($folder, 0, 50);
+                    $next;
+                };
+            }
+            $used_levels{$layer_id} = 1;
+        }
+
+        (my $title = $parts[-1]) =~ s/\.(?:md|markdown)\z//i;
+        my $slot = $slots{$layer_id}++;
+        push @{ $bundle->{notes} }, {
+            type         => 'text',
+            title        => substr($title, 0, 255),
+            content      => decode('UTF-8', $files->{$path}) // $files->{$path},
+            x            => 2200 + ($slot % $IMPORT_GRID_COLUMNS) * 320,
+            y            => 2200 + int($slot / $IMPORT_GRID_COLUMNS) * 260,
+            width        => 280,
+            height       => 200,
+            color        => '#fef3c7',
+            z_index      => 1,
+            is_collapsed => 0,
+            layer_id     => $layer_id
+        };
+    }
+    return;
+}
+
+# Builds the import bundle from an exported manifest plus its note, attachment and connector entries.
+# Markdown files the manifest does not reference are appended as plain notes.
+# Attachment types are detected from their content through $db, never taken from the manifest.
+# Returns: (HashRef bundle for DB::import_canvas_bundle, undef) or (undef, error message).
+sub _bundle_from_manifest {
+    my ($manifest, $files, $db) = @_;
+    my $board  = ref $manifest->{board} eq 'HASH' ? $manifest->{board} : {};
+    my %layers = ref $board->{layer_map} eq 'HASH' ? %{ $board->{layer_map} } : ();
+    my $level_error = "Levels must be between 1 and $IMPORT_MAX_LEVEL";
+    return (undef, $level_error) if grep { !/^\d+$/ || $_ < 1 || $_ > $IMPORT_MAX_LEVEL } keys %layers;
+
+    my $bundle = {
+        name      => $board->{name},
+        layer_map  => { map { int($_) => substr($layers{$_} // '', 0, 50) } keys %layers },
+        notes      => [],
+        connectors => []
+    };
+
+    my %referenced;
+    for my $n (@{ ref $manifest->{notes} eq 'ARRAY' ? $manifest->{notes} : [] }) {
+        next unless ref $n eq 'HASH';
+        my $file    = $n->{file} // '';
+        my $content = exists $files->{$file} ? (decode('UTF-8', $files->{$file}) // $files->{$file}) : '';
+        $referenced{$file} = 1;
+
+        my @blobs;
+        for my $a (@{ ref $n->{attachments} eq 'ARRAY' ? $n->{attachments} : [] }) {
+            next unless ref $a eq 'HASH' && defined $a->{file} && exists $files->{ $a->{file} };
+            $referenced{ $a->{file} } = 1;
+            # The manifest's mime_type is not trusted: only sniffed raster and PDF types survive
+            push @blobs, {
+                data      => $files->{ $a->{file} },
+                filename  => substr($a->{filename} // (split m{/}, $a->{file})[-1], 0, 255),
+                mime_type => $db->detect_blob_mime_type($files->{ $a->{file} }) // 'application/octet-stream'
+            };
+        }
+
+        my $layer_id = $n->{layer_id} // 1;
+        return (undef, $level_error) unless $layer_id =~ /^\d+$/ && $layer_id >= 1 && $layer_id <= $IMPORT_MAX_LEVEL;
+
+        my $type = ($n->{type} // '') =~ /^(?:text|image|file)$/ ? $n->{type} : 'text';
+        $type = 'text' if $type ne 'text' && !@blobs;
+        push @{ $bundle->{notes} }, {
+            key          => ($n->{id} // '') =~ /^\d+$/ ? $n->{id} : undef,
+            type         => $type,
+            title        => substr($n->{title} // 'Untitled Note', 0, 255),
+            content      => $content,
+            filename     => $type eq 'text' ? undef : ($n->{filename} // $blobs[0]{filename}),
+            x            => int($n->{x} // 2500),
+            y            => int($n->{y} // 2500),
+            width        => int($n->{width} // 280),
+            height       => int($n->{height} // 200),
+            color        => ($n->{color} // '') =~ /^#[0-9a-fA-F]{3,8}$/ ? $n->{color} : '#fef3c7',
+            z_index      => int($n->{z_index} // 1),
+            is_collapsed => $n->{is_collapsed} ? 1 : 0,
+            layer_id     => int($layer_id),
+            blobs        => \@blobs
+        };
+    }
+
+    for my $cn (@{ ref $manifest->{connectors} eq 'ARRAY' ? $manifest->{connectors} : [] }) {
+        next unless ref $cn eq 'HASH' && ($cn->{source} // '') =~ /^\d+$/ && ($cn->{target} // '') =~ /^\d+$/;
+        my $label = $cn->{label};
+        push @{ $bundle->{connectors} }, {
+            source => $cn->{source},
+            target => $cn->{target},
+            style  => ($cn->{style} // '') eq 'elbow' ? 'elbow' : 'straight',
+            label  => defined $label && length $label ? substr($label, 0, 255) : undef,
+            color  => ($cn->{color} // '') =~ /^#[0-9a-fA-F]{6}$/ ? $cn->{color} : undef
+        };
+    }
+
+    my @extra = grep { !$referenced{$_} && /\.(?:md|markdown)\z/i } keys %$files;
+    if (@extra) {
+        my $error = _bundle_add_markdown($bundle, $files, \@extra);
+        return (undef, $error) if $error;
+    }
+    return ($bundle, undef);
+}
+
+# Downloads a whole board as a zip bundle.
+# Route: GET /notes/api/canvas/export/:canvas_id
+# Description: One Markdown file per note under notes/level-N/, attachments under
+#   attachments/<note_id>/, and manifest.json holding positions, levels, links and connectors.
+sub api_canvas_export {
+    my $c = shift;
+    return $c->render(text => 'Unauthorized', status => 403) unless $c->is_logged_in;
+
+    my $user_id   = $c->current_user_id();
+    my $canvas_id = $c->stash('canvas_id');
+
+    return $c->render(text => 'Canvas Locked', status => 403) if $c->is_canvas_locked($canvas_id);
+
+    my $export = $c->db->get_canvas_export($canvas_id, $user_id);
+    return $c->render(text => 'Not found or Unauthorized', status => 403) unless $export;
+
+    my %blobs_by_note;
+    push @{ $blobs_by_note{ $_->{note_id} } }, $_ for @{ $export->{blobs} };
+
+    my (@entries, @manifest_notes, %used);
+    for my $n (@{ $export->{notes} }) {
+        my $dir  = 'notes/level-' . int($n->{layer_id} // 1);
+        my $stem = _bundle_safe_name($n->{title}, "note-$n->{id}");
+        my $file = "$dir/$stem.md";
+        my $dupe = 2;
+        $file = "$dir/$stem-" . $dupe++ . '.md' while $used{ lc $file };
+        $used{ lc $file } = 1;
+        push @entries, [$file, encode('UTF-8', $n->{content} // '')];
+
+        my @attachments;
+        for my $b (@{ $blobs_by_note{ $n->{id} } // [] }) {
+            my $afile = "attachments/$n->{id}/$b->{id}-" . _bundle_safe_name($b->{filename}, 'attachment');
+            push @entries, [$afile, $b->{file_data}];
+            push @attachments, { file => $afile, filename => $b->{filename}, mime_type => $b->{mime_type} };
+        }
+
+        push @manifest_notes, {
+            id           => int($n->{id}),
+            file         => $file,
+            title        => $n->{title},
+            type         => $n->{type},
+            filename     => $n->{filename},
+            x            => int($n->{x} // 0),
+            y            => int($n->{y} // 0),
+            width        => int($n->{width} // 280),
+            height       => int($n->{height} // 200),
+            color        => $n->{color},
+            z_index      => int($n->{z_index} // 1),
+            is_collapsed => $n->{is_collapsed} ? 1 : 0,
+            layer_id     => int($n->{layer_id} // 1),
+            attachments  => \@attachments
+        };
+    }
+
+    unshift @entries, ['manifest.json', encode_json({
+        format      => $BUNDLE_FORMAT,
+        version     => 1,
+        exported_at => time,
+        board       => { name => $export->{name}, layer_map => $export->{layer_map} },
+        notes       => \@manifest_notes,
+        links       => [ map { { source => int($_->{source}), target => int($_->{target}), text => $_->{text} } } @{ $export->{links} } ],
+        connectors  => [ map { {
+            source => int($_->{source_note_id}),
+            target => int($_->{target_note_id}),
+            style  => $_->{style},
+            label  => $_->{label},
+            color  => $_->{color}
+        } } @{ $export->{connectors} } ]
+    })];
+
+    (my $safe_filename = $export->{name} // "board_$canvas_id") =~ s/[^\w\- ]+/_/ga;
+    $c->res->headers->content_disposition("attachment; filename=\"$safe_filename.zip\"");
+    $c->res->headers->content_type('application/zip');
+    $c->render(data => _bundle_zip(\@entries));
+}
+
+# Creates a new board from an exported zip bundle or a folder of Markdown files.
+# Route: POST /notes/api/canvas/import
+# Parameters:
+#   archive : Zip upload (an exported bundle or any zip of .md files), or
+#   files   : Multiple uploads whose filenames carry folder-relative paths.
+#   name    : Optional board name (defaults to the bundle's own name).
+sub api_canvas_import {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id = $c->current_user_id();
+    my $archive = $c->req->upload('archive');
+    my $uploads = $c->req->every_upload('files');
+
+    my ($files, $error, $source_name);
+    if ($archive && $archive->size) {
+        return $c->render(json => { success => 0, error => 'Archive is too large to import' })
+            if $archive->size > $IMPORT_MAX_BYTES;
+        ($files, $error) = _bundle_unzip($archive->asset->slurp);
+        ($source_name = $archive->filename // '') =~ s/\.zip\z//i;
+    } elsif (@$uploads) {
+        my $total = 0;
+        $files = {};
+        for my $upload (@$uploads) {
+            $total += $upload->size;
+            if ($total > $IMPORT_MAX_BYTES) {
+                $error = 'Folder is too large to import';
+                last;
+            }
+            $files->{ $upload->filename } = $upload->asset->slurp;
+        }
+        ($source_name) = split m{[/\\]}, $uploads->[0]->filename;
+    } else {
+        $error = 'Missing archive or files';
+    }
+    return $c->render(json => { success => 0, error => $error }) if $error;
+
+    $files = _bundle_normalize_paths($files);
+
+    my $bundle;
+    if (exists $files->{'manifest.json'}) {
+        my $manifest = eval { decode_json($files->{'manifest.json'}) };
+        unless (ref $manifest eq 'HASH' && ($manifest->{format} // '') eq $BUNDLE_FORMAT) {
+            return $c->render(json => { success => 0, error => 'Unrecognized manifest.json' });
+        }
+        ($bundle, $error) = _bundle_from_manifest($manifest, $files, $c->db);
+    } else {
+        $bundle = { layer_map => {}, notes => [] };
+        $error  = _bundle_add_markdown($bundle, $files, [ grep { /\.(?:md|markdown)\z/i } keys %$files ]);
+    }
+    return $c->render(json => { success => 0, error => $error }) if $error;
+
+    my $count = scalar @{ $bundle->{notes} };
+    return $c->render(json => { success => 0, error => 'No Markdown notes found' }) unless $count;
+    if ($count > $IMPORT_MAX_NOTES) {
+        return $c->render(json => { success => 0, error => "Too many notes (limit $IMPORT_MAX_NOTES)" });
+    }
+
+    my $name = trim($c->param('name') // '');
+    $bundle->{name} = substr(length $name ? $name : (trim($bundle->{name} // '') || $source_name || 'Imported Board'), 0, 100);
+
+    my $result = eval { $c->db->import_canvas_bundle($user_id, $bundle) };
+    unless ($result) {
+        $c->app->log->error("Board import failed: $@");
+        return $c->render(json => { success => 0, error => 'Import failed' }, status => 500);
+    }
+
+    # Link tables are derived from content, so they are rebuilt once every note exists
+    my %layers;
+    for my $note (@{ $result->{notes} }) {
+        $c->db->sync_note_links($note->{id}, $note->{content}, $user_id);
+        $c->db->sync_bookmark_links($note->{id}, $note->{content}, $user_id);
+        $c->db->sync_note_calendar_links($note->{id}, $note->{content}, $user_id);
+        $layers{ $note->{layer_id} } = 1;
+    }
+    $c->db->reconcile_bookmark_links($result->{canvas_id}, $_, $user_id) for keys %layers;
+
+    $c->render(json => { success => 1, canvas_id => int($result->{canvas_id}), count => $count });
+}
+
 # --- Multi-Canvas API Expansion ---
 
 # Initializes a new canonical board record.
@@ -845,21 +1782,26 @@ sub api_user_search {
     $c->render(json => \@matched);
 }
 
-# Performs an ACL-aware global search across all accessible boards.
+# Performs an ACL-aware, ranked search across all accessible boards.
 # Route: GET /notes/api/search
+# Parameters: q (terms, "phrases" and tag:/canvas:/level:/color:/type:/after:/before: filters),
+#             canvas_id (optional, restricts the search to one board)
 sub api_search {
     my $c = shift;
     return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
 
-    my $user_id = $c->current_user_id();
-    my $query   = trim($c->param('q') // '');
+    my $user_id   = $c->current_user_id();
+    my $query     = trim($c->param('q') // '');
+    my $canvas_id = $c->param('canvas_id');
     
     # Logic-Pure: Immediate exit for empty queries
-    return $c->render(json => []) if length $query < 1;
+    return $c->render(json => { success => 1, results => [], terms => [] }) if length $query < 1;
 
-    my $notes = $c->db->get_global_search_notes($user_id, $query, $c->_get_unlocked_ids);
+    my $search = $c->db->get_global_search_notes(
+        $user_id, $query, $c->_get_unlocked_ids, ($canvas_id && $canvas_id =~ /^\d+$/) ? $canvas_id : undef
+    );
     
-    $c->render(json => $notes);
+    $c->render(json => { success => 1, %$search });
 }
 
 # Copies a note to a different board.
@@ -1201,6 +2143,7 @@ sub api_restore {
 
         my $content = $c->db->get_note_content($id, $user_id);
         $c->db->sync_bookmark_links($id, $content, $user_id) if defined $content;
+        $c->db->sync_note_calendar_links($id, $content, $user_id) if defined $content;
 
         $c->render(json => { success => 1 });
     } else {
@@ -1368,7 +2311,7 @@ sub api_bulk_copy_level {
     return $c->render(json => { success => 0, error => 'Read-Only' }, status => 403)
         unless $c->db->check_canvas_access($canvas_id, $user_id, 1);
 
-    my $count = $c->db->clone_notes_to_layer($ids, $canvas_id, $layer_id, $user_id);
+    my ($count, $new_ids) = $c->db->clone_notes_to_layer($ids, $canvas_id, $layer_id, $user_id);
 
     $c->db->reconcile_bookmark_links($canvas_id, $layer_id, $user_id);
 
@@ -1376,6 +2319,7 @@ sub api_bulk_copy_level {
     return $c->render(json => {
         success       => 1,
         count         => $count,
+        new_ids       => $new_ids,
         notes         => $c->db->get_user_notes($user_id, $canvas_id, $unlocked_ids),
         last_mutation => $c->db->get_board_mutation_time($canvas_id)
     });
@@ -1385,6 +2329,7 @@ sub api_bulk_copy_level {
 # Route: POST /notes/api/notes/bulk-copy-canvas
 # Parameters: ids (JSON array of note IDs), target_canvas_id
 # Source canvas access is verified per-note inside DB::copy_note (not at controller level).
+# Connectors running between the copied notes are duplicated onto the copies.
 sub api_bulk_copy_canvas {
     my $c = shift;
     return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
@@ -1401,15 +2346,18 @@ sub api_bulk_copy_canvas {
 
     my $target_layer_id = int($c->param('target_layer_id') // 1);
 
-    my $count = 0;
+    my (@new_ids, %id_map);
     for my $id (@$ids) {
         my $new_id = $c->db->copy_note($id, $target_canvas_id, $user_id, $target_layer_id);
-        $count++ if $new_id;
+        next unless $new_id;
+        push @new_ids, $new_id;
+        $id_map{$id} = $new_id;
     }
 
+    $c->db->copy_note_connectors(\%id_map);
     $c->db->reconcile_bookmark_links($target_canvas_id, $target_layer_id, $user_id);
 
-    return $c->render(json => { success => 1, count => $count });
+    return $c->render(json => { success => 1, count => scalar(@new_ids), new_ids => \@new_ids });
 }
 
 # Canvas reassignment for one or more notes via canvas_id modification.
@@ -1445,6 +2393,7 @@ sub api_move_notes_canvas {
     for my $nid (@$ids) {
         my $content = $c->db->get_note_content($nid, $user_id);
         $c->db->sync_bookmark_links($nid, $content, $user_id) if defined $content;
+        $c->db->sync_note_calendar_links($nid, $content, $user_id) if defined $content;
     }
 
     my $unlocked_ids = $c->_get_unlocked_ids;
@@ -1641,6 +2590,165 @@ sub api_canvas_password_clear {
     return $c->render(json => { success => 1 });
 }
 
+# --- Public Share Links ---
+
+# Link lifetimes offered in board settings, in days (0 = never expires).
+my %PUBLIC_LINK_EXPIRY_DAYS = map { $_ => 1 } (0, 1, 7, 30, 90);
+
+# Lists the public read-only links of a board (Owner Only).
+# Route: GET /notes/api/canvas/public-links
+# Parameters: canvas_id
+# Returns: JSON { success, links: [{ id, token, layer_id, expires_at, is_expired, created_at, last_accessed_at }] }
+sub api_public_links {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $canvas_id = $c->param('canvas_id') || '';
+    return $c->render(json => { success => 0, error => 'Invalid canvas_id' }, status => 400)
+        unless $canvas_id =~ /^\d+$/;
+
+    my $canvases = $c->db->get_available_canvases($c->current_user_id);
+    my ($canvas) = grep { $_->{id} == $canvas_id && $_->{is_owner} } @$canvases;
+    return $c->render(json => { success => 0, error => 'Permission Denied' }, status => 403) unless $canvas;
+
+    $c->render(json => { success => 1, links => $c->db->get_canvas_public_links($canvas_id) });
+}
+
+# Issues a public read-only link to a board or one of its levels (Owner Only).
+# Route: POST /notes/api/canvas/public-links/create
+# Parameters: canvas_id, layer_id (optional, 1-99), expiry_days (0, 1, 7, 30 or 90)
+# Returns: JSON { success, link, links }
+sub api_public_link_create {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id     = $c->current_user_id;
+    my $canvas_id   = $c->param('canvas_id') || '';
+    my $layer_id    = $c->param('layer_id') || undef;
+    my $expiry_days = $c->param('expiry_days') // 0;
+
+    return $c->render(json => { success => 0, error => 'Invalid canvas_id' }, status => 400)
+        unless $canvas_id =~ /^\d+$/;
+    return $c->render(json => { success => 0, error => 'Invalid level' }, status => 400)
+        if defined $layer_id && !($layer_id =~ /^\d+$/ && $layer_id >= 1 && $layer_id <= 99);
+    return $c->render(json => { success => 0, error => 'Invalid expiry' }, status => 400)
+        unless $expiry_days =~ /^\d+$/ && $PUBLIC_LINK_EXPIRY_DAYS{$expiry_days};
+
+    my $canvases = $c->db->get_available_canvases($user_id);
+    my ($canvas) = grep { $_->{id} == $canvas_id && $_->{is_owner} } @$canvases;
+    return $c->render(json => { success => 0, error => 'Permission Denied' }, status => 403) unless $canvas;
+
+    # Protected boards never resolve publicly; refuse up front rather than issue a dead link.
+    return $c->render(json => { success => 0, error => 'Remove the board password before creating a public link' })
+        if $canvas->{is_protected};
+
+    my $link = $c->db->create_canvas_public_link($canvas_id, $user_id, $layer_id, $expiry_days);
+    return $c->render(json => { success => 0, error => 'Failed to create link' }) unless $link;
+
+    $c->render(json => { success => 1, link => $link, links => $c->db->get_canvas_public_links($canvas_id) });
+}
+
+# Revokes a public link (Owner Only).
+# Route: POST /notes/api/canvas/public-links/revoke
+# Parameters: canvas_id, id
+# Returns: JSON { success, links }
+sub api_public_link_revoke {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $canvas_id = $c->param('canvas_id') || '';
+    my $link_id   = $c->param('id') || '';
+    return $c->render(json => { success => 0, error => 'Invalid request' }, status => 400)
+        unless $canvas_id =~ /^\d+$/ && $link_id =~ /^\d+$/;
+
+    my $canvases = $c->db->get_available_canvases($c->current_user_id);
+    my ($canvas) = grep { $_->{id} == $canvas_id && $_->{is_owner} } @$canvases;
+    return $c->render(json => { success => 0, error => 'Permission Denied' }, status => 403) unless $canvas;
+
+    return $c->render(json => { success => 0, error => 'Link not found' })
+        unless $c->db->revoke_canvas_public_link($canvas_id, $link_id);
+
+    $c->render(json => { success => 1, links => $c->db->get_canvas_public_links($canvas_id) });
+}
+
+# Renders the read-only viewer for a public link. No login required.
+# Route: GET /notes/public/:token
+sub public_board {
+    my $c = shift;
+
+    my $link = $c->db->resolve_canvas_public_link($c->stash('token'));
+    return $c->render_error('This link has expired or been revoked.', 404) unless $link;
+
+    # Keep the token out of Referer headers and search indexes.
+    $c->res->headers->header('Referrer-Policy' => 'no-referrer');
+    $c->res->headers->header('X-Robots-Tag'    => 'noindex, nofollow');
+    $c->render('notes_public', token => $c->stash('token'), canvas_name => $link->{canvas_name});
+}
+
+# Returns the notes, level names and connectors a public link exposes. No login required.
+# Route: GET /notes/public/:token/state
+# Returns: JSON { success, canvas_name, layer_id, notes, layer_map, connectors }
+sub public_board_state {
+    my $c = shift;
+
+    my $link = $c->db->resolve_canvas_public_link($c->stash('token'));
+    return $c->render(json => { success => 0, error => 'This link has expired or been revoked' }, status => 404)
+        unless $link;
+
+    my $notes = $c->db->get_public_board_notes($link);
+    my %visible = map { $_->{id} => 1 } @$notes;
+
+    # Level restriction: only the shared level's name and the arrows between visible notes leave the server
+    my $layer_map = $c->db->get_canvas_layers($link->{canvas_id});
+    $layer_map = { map { $_ => $layer_map->{$_} } grep { $_ == $link->{layer_id} } keys %$layer_map }
+        if defined $link->{layer_id};
+    my @connectors = grep { $visible{$_->{source_note_id}} && $visible{$_->{target_note_id}} }
+        @{ $c->db->get_canvas_connectors($link->{canvas_id}) };
+
+    $c->res->headers->header('Referrer-Policy' => 'no-referrer');
+    $c->render(json => {
+        success     => 1,
+        canvas_name => $link->{canvas_name},
+        layer_id    => $link->{layer_id},
+        expires_at  => $link->{expires_at},
+        notes       => $notes,
+        layer_map   => $layer_map,
+        connectors  => \@connectors
+    });
+}
+
+# Serves an attachment of a note within a public link's scope. No login required.
+# Route: GET /notes/public/:token/attachment/:blob_id
+# Route: GET /notes/public/:token/serve/:note_id (first attachment of an image note)
+sub public_board_blob {
+    my $c = shift;
+
+    my $link = $c->db->resolve_canvas_public_link($c->stash('token'));
+    return $c->render(text => 'Not found', status => 404) unless $link;
+
+    my $blob_id = $c->stash('blob_id');
+    my $note_id = $c->stash('note_id');
+    my $blob = $c->db->get_public_blob($link, $blob_id, $note_id);
+    return $c->render(text => 'Not found', status => 404) unless $blob;
+
+    my $filename    = $blob->{filename} || ($blob_id ? "attachment_$blob_id" : "note_attachment_$note_id");
+    (my $safe_filename = $filename) =~ s/["\r\n\\]/_/g;
+
+    # Anonymous route on the app's origin: only content sniffed as a raster image or PDF
+    # is shown inline under its real type; everything else (SVG, HTML, ...) downloads.
+    my $safe_type   = $c->db->detect_blob_mime_type($blob->{file_data});
+    my $disposition = $safe_type ? 'inline' : 'attachment';
+    my $csp         = "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'";
+    $csp .= '; sandbox' unless ($safe_type // '') eq 'application/pdf';
+
+    $c->res->headers->content_disposition("$disposition; filename=\"$safe_filename\"");
+    $c->res->headers->content_type($safe_type // 'application/octet-stream');
+    $c->res->headers->header('X-Content-Type-Options'  => 'nosniff');
+    $c->res->headers->header('Content-Security-Policy' => $csp);
+    $c->res->headers->header('Referrer-Policy' => 'no-referrer');
+    $c->render(data => $blob->{file_data});
+}
+
 # --- Controller Helpers ---
 
 # Validates and extracts active session-unlocked canvas IDs.
@@ -1678,6 +2786,30 @@ sub _get_unlocked_ids {
     return $c->stash->{_unlocked_ids_cache} = \@unlocked_ids;
 }
 
+# Extracts searchable text from a freshly uploaded image or PDF attachment in the background.
+# Unsupported or already-claimed blobs are skipped; failures leave the text empty.
+# Older attachments are picked up by System.pm run_notes_attachment_text_p.
+sub _index_attachment_text {
+    my ($c, $blob_id) = @_;
+    my $blob = $c->db->claim_blob_for_ocr($blob_id) or return;
+
+    $c->ocr_extract_text($blob->{file_data}, $blob->{mime_type})->then(sub {
+        my $text = shift;
+        $c->db->set_blob_ocr_text($blob_id, trim($text // ''));
+    })->catch(sub {
+        my $err = shift;
+        $c->app->log->error("OCR indexing failed for attachment $blob_id: $err");
+    });
+}
+
+# Stores a saved note state in its revision history.
+# Failures are logged and never block the save itself.
+sub _record_note_revision {
+    my ($c, $note_id, $user_id, $title, $content, $baseline) = @_;
+    eval { $c->db->add_note_revision($note_id, $user_id, $title, $content, $baseline) };
+    $c->app->log->warn("Note revision insert failed for $note_id: $@") if $@;
+}
+
 # Read-only check: Is the specific canvas currently restricted?
 sub is_canvas_locked {
     my ($c, $canvas_id) = @_;
@@ -1768,6 +2900,19 @@ sub api_backlinks {
     $c->render(json => { success => 1, backlinks => $backlinks });
 }
 
+# Returns the cross-board link graph for the graph view modal.
+# Route: GET /notes/api/graph
+# Returns: JSON { success, nodes: [{ id, title, canvas_id, canvas_name, layer_id, color }],
+#                 edges: [{ source, target, kind }] }
+sub api_graph {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403)
+        unless $c->is_logged_in;
+
+    my $graph = $c->db->get_note_graph($c->current_user_id(), $c->_get_unlocked_ids);
+    $c->render(json => { success => 1, %$graph });
+}
+
 # Reconciles [bookmarks] links for a map of canvas_id => { layer_id => 1, ... }.
 sub _reconcile_bookmark_map {
     my ($c, $map, $user_id) = @_;
@@ -1798,9 +2943,123 @@ sub api_note {
     $c->render(json => { success => 1, note => $note });
 }
 
+# Lists the stored revisions of a note alongside its current title and content.
+# Route: GET /notes/api/revisions/:note_id
+# Parameters:
+#   note_id : Path parameter — target note ID.
+# Returns: JSON { success, revisions: [{ id, title, author, created_at, created_epoch, content_length }], current: { title, content } }
+sub api_revisions {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403)
+        unless $c->is_logged_in;
+
+    my $note_id = $c->stash('note_id');
+    my $user_id = $c->current_user_id();
+
+    my $canvas_id = $c->db->get_canvas_for_note_id($note_id, $user_id);
+    return $c->render(json => { success => 0, error => 'Not found' }, status => 404)
+        unless $canvas_id;
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    $c->render(json => {
+        success   => 1,
+        revisions => $c->db->get_note_revisions($note_id, $user_id),
+        current   => {
+            title   => $c->db->get_note_title($note_id) // '',
+            content => $c->db->get_note_content($note_id, $user_id) // ''
+        }
+    });
+}
+
+# Returns a single revision including its content for the diff view.
+# Route: GET /notes/api/revision/:revision_id
+# Returns: JSON { success, revision: { id, note_id, title, content, author, created_at, created_epoch } }
+sub api_revision {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403)
+        unless $c->is_logged_in;
+
+    my $revision = $c->db->get_note_revision($c->stash('revision_id'), $c->current_user_id());
+    return $c->render(json => { success => 0, error => 'Not found' }, status => 404)
+        unless $revision;
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($revision->{canvas_id});
+
+    $c->render(json => { success => 1, revision => $revision });
+}
+
+# Restores a note's title and content from a stored revision.
+# The restore is itself saved as a new revision, so it can be reverted too.
+# Route: POST /notes/api/revisions/restore
+# Parameters:
+#   revision_id : Revision to restore.
+#   session_id  : Calling UI session (collaborative lock verification).
+# Returns: JSON { success, id, notes, note_map, last_mutation }
+sub api_restore_revision {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403) unless $c->is_logged_in;
+
+    my $user_id = $c->current_user_id();
+    my $sid     = $c->param('session_id');
+    return $c->render(json => { success => 0, error => 'Missing or invalid session_id' }, status => 400)
+        unless defined $sid && length $sid;
+
+    my $revision = $c->db->get_note_revision($c->param('revision_id'), $user_id);
+    return $c->render(json => { success => 0, error => 'Revision not found' }, status => 404)
+        unless $revision;
+
+    my $canvas_id = $revision->{canvas_id};
+    return $c->render(json => { success => 0, error => 'Canvas is locked' }, status => 403)
+        if $c->is_canvas_locked($canvas_id);
+
+    my $note = $c->db->get_note_for_ai_format($revision->{note_id}, $user_id);
+    return $c->render(json => { success => 0, error => 'Board Permission Denied (Read-Only?)' }, status => 403)
+        unless $note;
+
+    my $baseline  = $c->db->get_note_revision_baseline($note->{id});
+    my $result_id = $c->db->save_note({
+        %$note,
+        user_id    => $user_id,
+        session_id => $sid,
+        title      => $revision->{title},
+        content    => $revision->{content}
+    });
+
+    if (defined $result_id && $result_id == -1) {
+        return $c->render(json => { success => 0, error => 'Note is locked by another session' }, status => 403);
+    }
+    unless (defined $result_id) {
+        return $c->render(json => { success => 0, error => 'Board Permission Denied (Read-Only?)' }, status => 403);
+    }
+
+    $c->refresh_canvas_lock($canvas_id);
+    $c->_record_note_revision($note->{id}, $user_id, $revision->{title}, $revision->{content}, $baseline);
+    $c->db->sync_note_links($note->{id}, $revision->{content}, $user_id);
+    $c->db->sync_bookmark_links($note->{id}, $revision->{content}, $user_id);
+    $c->db->sync_note_calendar_links($note->{id}, $revision->{content}, $user_id);
+    $c->db->reconcile_bookmark_links($canvas_id, $note->{layer_id}, $user_id);
+
+    my $old_title = $note->{title} // '';
+    my $new_title = $revision->{title} // '';
+    $c->db->cascade_rename_links($note->{id}, $old_title, $new_title, $sid)
+        if length $old_title && length $new_title && $old_title ne $new_title;
+
+    my $unlocked_ids = $c->_get_unlocked_ids;
+    $c->render(json => {
+        success       => 1,
+        id            => int($note->{id}),
+        notes         => $c->db->get_user_notes($user_id, $canvas_id, $unlocked_ids),
+        note_map      => $c->db->get_all_accessible_note_metadata($user_id, $unlocked_ids),
+        last_mutation => $c->db->get_board_mutation_time($canvas_id)
+    });
+}
+
 sub register_routes {
     my ($class, $r) = @_;
     $r->{auth}->get('/notes')->to('notes#index');
+    $r->{auth}->get('/notes/board/:canvas_id' => [canvas_id => qr/\d+/])->to('notes#index');
+    $r->{auth}->get('/notes/board/:canvas_id/note/:note_id' => [canvas_id => qr/\d+/, note_id => qr/\d+/])->to('notes#index');
     $r->{auth}->get('/notes/api/state')->to('notes#api_state');
     $r->{auth}->get('/notes/api/search')->to('notes#api_search');
     $r->{auth}->post('/notes/api/save')->to('notes#api_save');
@@ -1808,12 +3067,18 @@ sub register_routes {
     $r->{auth}->post('/notes/api/delete')->to('notes#api_delete');
     $r->{auth}->post('/notes/api/batch_geometry')->to('notes#api_batch_geometry');
     $r->{auth}->post('/notes/api/batch_delete')->to('notes#api_batch_delete');
+    $r->{auth}->post('/notes/api/undelete')->to('notes#api_undelete');
     $r->{auth}->post('/notes/api/upload')->to('notes#api_upload');
     $r->{auth}->post('/notes/api/viewport')->to('notes#api_save_viewport');
     $r->{auth}->get('/notes/serve/:note_id')->to('notes#serve_blob');
     $r->{auth}->get('/notes/attachment/serve/:blob_id')->to('notes#serve_attachment_blob');
     $r->{auth}->post('/notes/api/lock')->to('notes#api_lock');
     $r->{auth}->post('/notes/api/unlock')->to('notes#api_unlock');
+    $r->{auth}->get('/notes/api/collab/:note_id' => [note_id => qr/\d+/])->to('notes#api_collab_state');
+    $r->{auth}->post('/notes/api/collab/op')->to('notes#api_collab_op');
+    $r->{auth}->post('/notes/api/presence')->to('notes#api_presence');
+    $r->{auth}->post('/notes/api/presence/leave')->to('notes#api_presence_leave');
+    $r->{auth}->get('/notes/api/presence/:canvas_id' => [canvas_id => qr/\d+/])->to('notes#api_presence_state');
     $r->{auth}->post('/notes/api/canvases/create')->to('notes#api_canvas_create');
     $r->{auth}->post('/notes/api/canvases/delete')->to('notes#api_canvas_delete');
     $r->{auth}->post('/notes/api/canvases/rename')->to('notes#api_canvas_rename');
@@ -1838,9 +3103,36 @@ sub register_routes {
     $r->{auth}->post('/notes/api/lock_canvas')->to('notes#api_lock_canvas');
     $r->{auth}->post('/notes/api/canvas/password/set')->to('notes#api_canvas_password_set');
     $r->{auth}->post('/notes/api/canvas/password/clear')->to('notes#api_canvas_password_clear');
+    $r->{auth}->get('/notes/api/canvas/public-links')->to('notes#api_public_links');
+    $r->{auth}->post('/notes/api/canvas/public-links/create')->to('notes#api_public_link_create');
+    $r->{auth}->post('/notes/api/canvas/public-links/revoke')->to('notes#api_public_link_revoke');
+    $r->{auth}->get('/notes/api/canvas/export/:canvas_id' => [canvas_id => qr/\d+/])->to('notes#api_canvas_export');
+    $r->{auth}->post('/notes/api/canvas/import')->to('notes#api_canvas_import');
+    $r->{auth}->post('/notes/api/connectors/save')->to('notes#api_connector_save');
+    $r->{auth}->post('/notes/api/connectors/delete')->to('notes#api_connector_delete');
+    $r->{auth}->post('/notes/api/groups/create')->to('notes#api_group_create');
+    $r->{auth}->post('/notes/api/groups/ungroup')->to('notes#api_group_ungroup');
+    $r->{auth}->post('/notes/api/groups/rename')->to('notes#api_group_rename');
+    $r->{auth}->get('/notes/api/templates')->to('notes#api_templates');
+    $r->{auth}->get('/notes/api/tasks')->to('notes#api_tasks');
+    $r->{auth}->post('/notes/api/tasks/toggle')->to('notes#api_task_toggle');
+    $r->{auth}->post('/notes/api/slides/order')->to('notes#api_slides_order');
+    $r->{auth}->post('/notes/api/templates/save')->to('notes#api_template_save');
+    $r->{auth}->post('/notes/api/templates/delete')->to('notes#api_template_delete');
+    $r->{auth}->post('/notes/api/canvas/default-template')->to('notes#api_canvas_default_template');
     $r->{auth}->get('/notes/api/heartbeat/:canvas_id')->to('notes#api_heartbeat');
     $r->{auth}->get('/notes/api/backlinks/:note_id')->to('notes#api_backlinks');
+    $r->{auth}->get('/notes/api/graph')->to('notes#api_graph');
     $r->{auth}->get('/notes/api/note/:note_id')->to('notes#api_note');
+    $r->{auth}->get('/notes/api/revisions/:note_id' => [note_id => qr/\d+/])->to('notes#api_revisions');
+    $r->{auth}->get('/notes/api/revision/:revision_id' => [revision_id => qr/\d+/])->to('notes#api_revision');
+    $r->{auth}->post('/notes/api/revisions/restore')->to('notes#api_restore_revision');
+
+    # Public read-only links: the token is the credential, so these bypass the login bridge
+    $r->{r}->get('/notes/public/:token' => [token => qr/[0-9a-f]{64}/])->to('notes#public_board');
+    $r->{r}->get('/notes/public/:token/state' => [token => qr/[0-9a-f]{64}/])->to('notes#public_board_state');
+    $r->{r}->get('/notes/public/:token/attachment/:blob_id' => [token => qr/[0-9a-f]{64}/, blob_id => qr/\d+/])->to('notes#public_board_blob');
+    $r->{r}->get('/notes/public/:token/serve/:note_id' => [token => qr/[0-9a-f]{64}/, note_id => qr/\d+/])->to('notes#public_board_blob');
 }
 
 1;
@@ -22,6 +22,7 @@ use Mojo::JSON qw(decode_json encode_json);
 
 # Renders the main receipt ledger skeleton.
 # Route: GET /receipts
+# Route: GET /receipts/:id (client-routed deep link to a receipt)
 # Description: Serves the SPA skeleton with standard loading components.
 sub index {
     my $c = shift;
@@ -340,6 +341,7 @@ sub api_ocr {
 sub register_routes {
     my ($class, $r) = @_;
     $r->{family}->get('/receipts')->to('receipts#index');
+    $r->{family}->get('/receipts/:id' => [id => qr/\d+/])->to('receipts#index');
     $r->{family}->get('/receipts/api/state')->to('receipts#api_state');
     $r->{family}->get('/receipts/api/list')->to('receipts#api_list');
     $r->{family}->post('/receipts/api/upload')->to('receipts#upload');
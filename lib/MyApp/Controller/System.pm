@@ -967,6 +967,27 @@ sub run_notes_lock_maintenance {
     $self->db->clear_expired_note_locks(5); # 5 minute threshold
 }
 
+# Internal helper that extracts searchable text from note attachments not yet indexed,
+# a few per run, so OCR subprocesses never start from a search request.
+# Parameters: None
+# Returns: Mojo::Promise resolving once the batch has been processed.
+sub run_notes_attachment_text_p {
+    my ($c) = @_;
+
+    my $chain = Mojo::Promise->resolve;
+    for my $blob_id (@{ $c->db->get_blobs_pending_ocr(5) }) {
+        $chain = $chain->then(sub {
+            my $blob = $c->db->claim_blob_for_ocr($blob_id) or return;
+            return $c->ocr_extract_text($blob->{file_data}, $blob->{mime_type})->then(sub {
+                $c->db->set_blob_ocr_text($blob_id, trim($_[0] // ''));
+            })->catch(sub {
+                $c->app->log->error("Notes Maintenance: OCR indexing failed for attachment $blob_id: $_[0]");
+            });
+        });
+    }
+    return $chain;
+}
+
 # Internal helper to process all pending items in the notifications queue.
 # Each channel item is retried independently up to 3 times.
 # Parameters: None
@@ -1012,6 +1033,22 @@ sub run_login_security_maintenance {
     $c->db->prune_login_security();
 }
 
+# Internal helper to prune live channel topics not bumped for a day.
+# Parameters: None
+# Returns: None
+sub run_live_topic_maintenance {
+    my ($c) = @_;
+    $c->db->prune_live_topics(1);
+}
+
+# Internal helper to prune client telemetry older than 30 days.
+# Parameters: None
+# Returns: None
+sub run_telemetry_maintenance {
+    my ($c) = @_;
+    $c->db->prune_telemetry(30);
+}
+
 # Attempts a Discord DM delivery for a single queue item.
 sub _queue_attempt_discord {
     my ($c, $item) = @_;
@@ -0,0 +1,118 @@
+# /lib/MyApp/Controller/Telemetry.pm
+
+package MyApp::Controller::Telemetry;
+
+use Mojo::Base 'Mojolicious::Controller';
+use Mojo::JSON qw(to_json);
+use Mojo::Util qw(encode sha1_sum trim);
+
+# Controller for the client telemetry collector.
+#
+# Features:
+#   - Accepts batched client events from the default.js collector.
+#   - Normalizes and fingerprints each event so repeats group together.
+#   - Stamps the session user and request user agent server-side.
+# Integration Points:
+#   - DB::Telemetry: Event storage.
+#   - default.js: recordTelemetry() batching and flush on page hide.
+#   - Admin::Telemetry: Grouped triage view.
+
+# Accepted event kinds and client types; anything else is dropped.
+my %KINDS   = map { $_ => 1 } qw(error rejection api slow_render);
+my %CLIENTS = map { $_ => 1 } qw(android-app ios-app pwa browser);
+
+# Upper bound on events stored from a single batch.
+my $MAX_EVENTS = 50;
+
+# Stores a batch of client telemetry events.
+# Route: POST /api/telemetry
+# Parameters (JSON):
+#   app_version : Client build (from APP_VERSION)
+#   client      : 'android-app' | 'ios-app' | 'pwa' | 'browser'
+#   platform    : Short OS label, e.g. 'Android 14'
+#   events      : [{ kind, module, message, source, page, count, detail }]
+# Returns: JSON { success, stored }
+sub report {
+    my $c = shift;
+
+    my $json = $c->req->json;
+    return $c->render(json => { success => 0, error => 'Invalid payload' }, status => 400)
+        unless ref $json eq 'HASH' && ref $json->{events} eq 'ARRAY';
+
+    my $client = $CLIENTS{ $json->{client} // '' } ? $json->{client} : 'browser';
+    my %context = (
+        username    => $c->session('user'),
+        app_version => _clip($json->{app_version}, 32),
+        client      => $client,
+        platform    => _clip($json->{platform}, 32),
+        user_agent  => _clip($c->req->headers->user_agent, 255),
+    );
+
+    my @events = grep { ref $_ eq 'HASH' } @{ $json->{events} };
+    splice(@events, $MAX_EVENTS) if @events > $MAX_EVENTS;
+
+    my $stored = 0;
+    for my $raw (@events) {
+        my $kind = $raw->{kind} // '';
+        next unless $KINDS{$kind};
+
+        my $module  = _clip($raw->{module}, 64) || 'home';
+        my $message = _clip($raw->{message}, 500) || '(no message)';
+        my $source  = _clip($raw->{source}, 255);
+        my $count   = int($raw->{count} // 1);
+        $count = 1 if $count < 1;
+        $count = 1000 if $count > 1000;
+
+        my $event = {
+            %context,
+            kind        => $kind,
+            module      => $module,
+            message     => $message,
+            source      => $source,
+            page        => _clip($raw->{page}, 255),
+            occurrences => $count,
+            detail      => ref $raw->{detail} eq 'HASH' ? _clip(to_json($raw->{detail}), 8000) : undef,
+            fingerprint => _fingerprint($kind, $module, $message, $source),
+        };
+
+        eval { $c->db->add_telemetry_event($event); $stored++ };
+        $c->app->log->warn("Telemetry insert failed: $@") if $@;
+    }
+
+    $c->render(json => { success => 1, stored => $stored });
+}
+
+# Trims and truncates a client-supplied string.
+# Parameters:
+#   value : Raw value (any)
+#   max   : Maximum length in characters
+# Returns: String or undef when empty
+sub _clip {
+    my ($value, $max) = @_;
+    return undef unless defined $value && !ref $value;
+    $value = trim($value);
+    return undef unless length $value;
+    return substr($value, 0, $max);
+}
+
+# Builds a stable group key that ignores volatile details such as ids,
+# counts and cache-busting query strings.
+# Parameters:
+#   kind, module, message, source : Normalized event fields
+# Returns: 40-char hex SHA1
+sub _fingerprint {
+    my ($kind, $module, $message, $source) = @_;
+
+    (my $norm_message = $message) =~ s/\b(?:0x)?[0-9a-f]*\d[0-9a-f]*\b/N/gi;
+    (my $norm_source  = $source // '') =~ s/\?[^:]*//;
+    $norm_source =~ s{^[a-z]+://[^/]+}{}i;
+
+    return sha1_sum(encode('UTF-8', join "\x1f", $kind, $module, $norm_message, $norm_source));
+}
+
+sub register_routes {
+    my ($class, $r) = @_;
+    $r->{auth}->post('/api/telemetry')->to('telemetry#report');
+}
+
+1;
@@ -12,6 +12,7 @@ use warnings;
 # Features:
 #   - View and edit profile fields (email, discord, emoji, password)
 #   - Toggle notification channel preferences (discord, email, fcm)
+#   - Interface language preference (read by the current_locale helper)
 #   - FCM push notification token registration
 #
 # Integration Points:
@@ -45,6 +46,7 @@ sub api_state {
             email      => $data->{email},
             discord_id => $data->{discord_id} // '',
             emoji      => $data->{emoji}      // '',
+            locale     => $data->{locale}     // 'en',
         },
         prefs => {
             discord => $data->{pref_discord} + 0,
@@ -141,6 +143,29 @@ sub api_update_pref {
     return $c->render(json => { success => 1 });
 }
 
+# Updates the current user's interface language.
+# Route: POST /user/settings/api/locale
+# Parameters:
+#   locale : One of: en, th.
+# Returns: JSON { success, error }
+sub api_update_locale {
+    my $c = shift;
+    return $c->render(json => { success => 0, error => 'Unauthorized' }, status => 403)
+        unless $c->is_logged_in;
+
+    my $locale = trim($c->param('locale') // '');
+    my %allowed = map { $_ => 1 } qw(en th);
+    return $c->render(json => { success => 0, error => 'Unsupported language' })
+        unless $allowed{$locale};
+
+    eval { $c->db->set_user_locale($c->current_user_id, $locale) };
+    if ($@) {
+        my $err = $@; $err =~ s/ at .*//s;
+        return $c->render(json => { success => 0, error => $err });
+    }
+
+    return $c->render(json => { success => 1 });
+}
 
 sub register_routes {
     my ($class, $r) = @_;
@@ -148,6 +173,7 @@ sub register_routes {
     $r->{auth}->get('/user/settings/api/state')->to('user-settings#api_state');
     $r->{auth}->post('/user/settings/api/profile')->to('user-settings#api_update_profile');
     $r->{auth}->post('/user/settings/api/pref')->to('user-settings#api_update_pref');
+    $r->{auth}->post('/user/settings/api/locale')->to('user-settings#api_update_locale');
 }
 
 1;
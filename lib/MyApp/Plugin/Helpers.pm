@@ -161,6 +161,38 @@ sub register {
         }
     );
     
+    # Helper: Active UI locale for the current user
+    # Parameters: None (Uses session)
+    # Returns: Supported locale key ('en' for guests and unknown values)
+    $self->helper(
+        current_locale => sub {
+            my $c = shift;
+            return $c->stash->{'i18n.locale'} if defined $c->stash->{'i18n.locale'};
+
+            my $locale = 'en';
+            if (my $username = $c->session('user')) {
+                my $pref = eval { $c->db->get_user_locale($username) } // '';
+                $locale = $pref if $pref =~ /\A(?:en|th)\z/;
+            }
+            return $c->stash->{'i18n.locale'} = $locale;
+        }
+    );
+
+    # Helper: Client build identifier exposed to default.js as APP_VERSION
+    # Parameters: None
+    # Returns: my_app.conf 'app_version', else the service worker cache version (e.g. 'v150')
+    $self->helper(
+        app_version => sub {
+            my $c = shift;
+            return $c->app->config->{app_version} if $c->app->config->{app_version};
+            state $version = do {
+                my $sw = eval { $c->app->home->child('public', 'sw.js')->slurp } // '';
+                $sw =~ /CACHE_NAME\s*=\s*'rendler-offline-(v\d+)'/ ? $1 : 'dev';
+            };
+            return $version;
+        }
+    );
+
     # Helper: Singleton Database Connection with Reconnection logic
     # Parameters: None
     # Returns: DB object instance
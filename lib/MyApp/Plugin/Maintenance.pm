@@ -81,6 +81,15 @@ use constant MANIFEST => {
         is_enabled       => 1,
         interval_minutes => 1,
     },
+    live_topic_cleanup => {
+        label            => 'Live Topic Cleanup',
+        description      => 'Prunes live channel topics (per module, note and board) not changed in the last day.',
+        function_name    => 'run_live_topic_maintenance',
+        is_async         => 0,
+        run_last         => 0,
+        is_enabled       => 1,
+        interval_minutes => 60,
+    },
     login_security_cleanup => {
         label            => 'Login Security Cleanup',
         description      => 'Prunes expired login failure and lockout records.',
@@ -99,6 +108,15 @@ use constant MANIFEST => {
         is_enabled       => 0,
         interval_minutes => 1,
     },
+    notes_attachment_text => {
+        label            => 'Notes Attachment Indexing',
+        description      => 'Async subprocess: extracts searchable text from up to 5 unindexed image and PDF note attachments.',
+        function_name    => 'run_notes_attachment_text_p',
+        is_async         => 1,
+        run_last         => 0,
+        is_enabled       => 1,
+        interval_minutes => 1,
+    },
     notes_lock => {
         label            => 'Notes Lock Cleanup',
         description      => 'Prunes abandoned collaborative note edit locks older than 5 minutes.',
@@ -144,6 +162,15 @@ use constant MANIFEST => {
         is_enabled       => 1,
         interval_minutes => 1,
     },
+    telemetry_cleanup => {
+        label            => 'Telemetry Cleanup',
+        description      => 'Prunes client error and performance telemetry older than 30 days.',
+        function_name    => 'run_telemetry_maintenance',
+        is_async         => 0,
+        run_last         => 0,
+        is_enabled       => 1,
+        interval_minutes => 60,
+    },
     timer_maintenance => {
         label            => 'Timer Maintenance',
         description      => 'Cleans expired sessions, updates running timers, sends warning and expiry notifications.',
@@ -14,10 +14,11 @@ use utf8;
 #   - Image pre-processing via ImageMagick (Grayscale, Deskew, Threshold)
 #   - Text extraction via Tesseract OCR
 #   - Heuristic parsing for Store Name, Date, and Total Amount
+#   - Plain text extraction from images and PDFs for search indexing
 #
 # Integration points:
-#   - Registers global helper '$c->ocr_process($blob)' in Mojolicious.
-#   - Relies on external 'convert' and 'tesseract' binaries.
+#   - Registers global helpers '$c->ocr_process($blob)' and '$c->ocr_extract_text($blob, $mime)' in Mojolicious.
+#   - Relies on external 'convert' and 'tesseract' binaries, plus 'pdftotext' for PDFs.
 #   - Logs process errors to the application logger.
 
 sub register {
@@ -74,6 +75,94 @@ sub register {
 
         return $promise;
     });
+
+    $app->helper(ocr_extract_text => sub {
+        my ($c, $file_data, $mime_type) = @_;
+
+        my $promise = Mojo::Promise->new;
+
+        Mojo::IOLoop->subprocess(
+            sub {
+                return $self->_extract_document_text($c, $file_data, $mime_type);
+            },
+            sub {
+                my ($subprocess, $err, $text) = @_;
+                if ($err) {
+                    $c->app->log->error("OCR text extraction error: $err");
+                    $promise->reject($err);
+                } else {
+                    $promise->resolve($text // '');
+                }
+            }
+        );
+
+        return $promise;
+    });
+}
+
+# Maximum PDF pages rendered for OCR when a PDF has no text layer.
+my $OCR_PDF_PAGES = 5;
+
+# Extracts plain text from an image or PDF. PDFs use their embedded text layer when
+# present; scanned PDFs fall back to OCR of their first pages.
+# Parameters:
+#   file_data : Binary file content.
+#   mime_type : Content type string.
+# Returns: Extracted text (possibly empty).
+sub _extract_document_text {
+    my ($self, $c, $file_data, $mime_type) = @_;
+
+    my ($fh_in, $fname_in)   = tempfile(UNLINK => 1);
+    my ($fh_out, $fname_out) = tempfile(SUFFIX => '.png', UNLINK => 1);
+    close($fh_out);
+
+    binmode($fh_in);
+    print $fh_in $file_data;
+    close($fh_in);
+
+    my $ocr_base = $fname_out;
+    $ocr_base =~ s/\.png$//;
+
+    if (($mime_type // '') eq 'application/pdf') {
+        my $text = '';
+        if (system("pdftotext", "-l", 20, "-q", $fname_in, "$ocr_base.txt") == 0) {
+            $text = $self->_read_ocr_output("$ocr_base.txt");
+        }
+        return $text if length(trim($text)) >= 20;
+
+        $text = '';
+        for my $page (0 .. $OCR_PDF_PAGES - 1) {
+            last if system("convert", "-density", 150, "pdf:${fname_in}[$page]", "-colorspace", "gray", "png:$fname_out") != 0;
+            $text .= $self->_run_tesseract($c, $fname_out, $ocr_base) . "\n";
+        }
+        return $text;
+    }
+
+    if (system("convert", $fname_in, "-colorspace", "gray", "-resize", "150%", "png:$fname_out") != 0) {
+        $c->app->log->error("OCR: ImageMagick 'convert' failed: $!");
+        return '';
+    }
+    return $self->_run_tesseract($c, $fname_out, $ocr_base);
+}
+
+# Runs Tesseract with automatic page segmentation and returns the recognised text.
+sub _run_tesseract {
+    my ($self, $c, $image, $ocr_base) = @_;
+    if (system("tesseract", $image, $ocr_base, "--psm", "3", "quiet") != 0) {
+        $c->app->log->error("OCR: Tesseract execution failed: $!");
+    }
+    return $self->_read_ocr_output("$ocr_base.txt");
+}
+
+# Reads and removes a text output file.
+sub _read_ocr_output {
+    my ($self, $txt_file) = @_;
+    return '' unless -f $txt_file;
+    open my $fh, "<:utf8", $txt_file or return '';
+    my $text = do { local $/; <$fh> };
+    close $fh;
+    unlink($txt_file);
+    return $text // '';
 }
 
 # Runs ImageMagick preprocessing and Tesseract OCR on an image file, returning parsed data.
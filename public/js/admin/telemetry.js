@@ -0,0 +1,227 @@
+// /public/js/admin/telemetry.js
+
+/**
+ * Client Telemetry Triage
+ *
+ * Admin view over the events batched by the default.js collector. Shows
+ * which client type, platform and app version is producing failures, and
+ * lists errors grouped by fingerprint with drill-down to recent occurrences.
+ *
+ * Features:
+ * - Per-client/platform/version summary for spotting a broken Android or PWA build.
+ * - Grouped events with occurrence, user and version counts.
+ * - Occurrence modal with user, client, page and stack/status detail.
+ * - Per-group and global clearing via the themed confirm modal.
+ *
+ * Dependencies:
+ * - default.js: apiGet, apiPost, setupGlobalModalClosing, showConfirmModal, escapeHtml, getTimeSince.
+ */
+
+'use strict';
+
+const CONFIG = {
+    SYNC_INTERVAL_MS: 60000
+};
+
+const STATE = { groups: [], clients: [] };
+
+const KIND_LABELS = {
+    error: '💥 Error',
+    rejection: '⚠️ Rejection',
+    api: '🌐 API',
+    slow_render: '🐢 Slow'
+};
+
+/**
+ * Renders the per-client summary rows.
+ *
+ * @returns {void}
+ */
+function renderClients() {
+    const container = document.getElementById('clientSummary');
+    if (!container) return;
+
+    if (!STATE.clients.length) {
+        container.innerHTML = '<p class="empty-state-msg">No client events in this window.</p>';
+        return;
+    }
+
+    container.innerHTML = STATE.clients.map(c => `
+        <div class="telemetry-client glass-panel">
+            <div class="telemetry-client-name">${escapeHtml(c.client || 'unknown')} · ${escapeHtml(c.platform || 'Unknown')}</div>
+            <div class="telemetry-client-meta">
+                <span class="telemetry-chip">${escapeHtml(c.app_version || '?')}</span>
+                <span>${Number(c.occurrences)} events</span>
+                <span>${Number(c.groups)} groups</span>
+                <span>${getTimeSince(Number(c.last_seen))}</span>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders the grouped event cards.
+ *
+ * @returns {void}
+ */
+function renderGroups() {
+    const container = document.getElementById('groupList');
+    if (!container) return;
+
+    if (!STATE.groups.length) {
+        container.innerHTML = '<p class="empty-state-msg">Nothing reported. 🎉</p>';
+        return;
+    }
+
+    container.innerHTML = STATE.groups.map(g => `
+        <div class="telemetry-group glass-panel" data-fingerprint="${escapeHtml(g.fingerprint)}">
+            <div class="telemetry-group-header">
+                <span class="telemetry-kind kind-${escapeHtml(g.kind)}">${KIND_LABELS[g.kind] || escapeHtml(g.kind)}</span>
+                <span class="telemetry-module">${escapeHtml(g.module)}</span>
+                <span class="telemetry-count">×${Number(g.occurrences)}</span>
+            </div>
+            <div class="telemetry-message">${escapeHtml(g.message)}</div>
+            ${g.source ? `<code class="telemetry-source">${escapeHtml(g.source)}</code>` : ''}
+            <div class="telemetry-group-meta">
+                <span title="${escapeHtml(g.usernames || '')}">👤 ${Number(g.users)}</span>
+                <span>📱 ${escapeHtml(g.clients || '-')}</span>
+                <span>💻 ${escapeHtml(g.platforms || '-')}</span>
+                <span>🏷️ ${escapeHtml(g.versions || '-')}</span>
+                <span>🕐 ${getTimeSince(Number(g.last_seen))}</span>
+            </div>
+            <div class="telemetry-group-actions">
+                <button class="btn-icon-view" title="Occurrences" onclick="openOccurrenceModal(this.closest('.telemetry-group').dataset.fingerprint)">👁️</button>
+                <button class="btn-icon-delete" title="Clear group" onclick="confirmClearGroup(this.closest('.telemetry-group').dataset.fingerprint)">🗑️</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Fetches grouped telemetry for the selected window and kind.
+ *
+ * @async
+ * @param {boolean} force - Whether to bypass interaction-aware inhibition.
+ * @returns {Promise<void>}
+ */
+async function loadState(force = false) {
+    const anyModalOpen = document.querySelector('.modal-overlay.show');
+    if (!force && anyModalOpen) return;
+
+    const days = document.getElementById('filterDays').value;
+    const kind = document.getElementById('filterKind').value;
+    const data = await apiGet(`/admin/telemetry/api/state?days=${encodeURIComponent(days)}&kind=${encodeURIComponent(kind)}`);
+    if (data && data.success) {
+        STATE.groups = data.groups || [];
+        STATE.clients = data.clients || [];
+        renderClients();
+        renderGroups();
+    }
+}
+
+/**
+ * Opens the drill-down modal with the latest occurrences of a group.
+ *
+ * @async
+ * @param {string} fingerprint - Group key.
+ * @returns {Promise<void>}
+ */
+async function openOccurrenceModal(fingerprint) {
+    const group = STATE.groups.find(g => g.fingerprint === fingerprint);
+    const modal = document.getElementById('occurrenceModal');
+    const list = document.getElementById('occurrenceList');
+    document.getElementById('occurrenceModalTitle').textContent = group ? group.message.slice(0, 80) : 'Occurrences';
+    list.innerHTML = '<p class="empty-state-msg">Loading...</p>';
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+
+    const data = await apiGet(`/admin/telemetry/api/occurrences?fingerprint=${encodeURIComponent(fingerprint)}`, 3000, { fresh: true });
+    if (!data || !data.success) {
+        list.innerHTML = '<p class="empty-state-msg">Failed to load occurrences.</p>';
+        return;
+    }
+
+    list.innerHTML = data.occurrences.map(o => {
+        let detail = '';
+        try {
+            const parsed = o.detail ? JSON.parse(o.detail) : {};
+            detail = parsed.stack || (parsed.status ? `HTTP ${parsed.status}` : '') ||
+                (parsed.duration ? `${parsed.duration}ms` : '');
+        } catch (_) {
+            detail = o.detail || '';
+        }
+        return `
+            <div class="telemetry-occurrence">
+                <div class="telemetry-occurrence-meta">
+                    <span>${escapeHtml(o.username || 'guest')}</span>
+                    <span>${escapeHtml(o.client || '')} · ${escapeHtml(o.platform || '')}</span>
+                    <span class="telemetry-chip">${escapeHtml(o.app_version || '?')}</span>
+                    <span>${escapeHtml(o.page || '')}</span>
+                    <span>×${Number(o.occurrences)}</span>
+                    <span>${getTimeSince(Number(o.created_epoch))}</span>
+                </div>
+                ${detail ? `<pre class="telemetry-detail">${escapeHtml(String(detail))}</pre>` : ''}
+                <div class="telemetry-ua">${escapeHtml(o.user_agent || '')}</div>
+            </div>
+        `;
+    }).join('') || '<p class="empty-state-msg">No occurrences.</p>';
+}
+
+/**
+ * Closes the occurrence drill-down modal.
+ *
+ * @returns {void}
+ */
+function closeOccurrenceModal() {
+    document.getElementById('occurrenceModal').classList.remove('show');
+    document.body.classList.remove('modal-open');
+}
+
+/**
+ * Confirms and deletes a single group.
+ *
+ * @param {string} fingerprint - Group key.
+ * @returns {void}
+ */
+function confirmClearGroup(fingerprint) {
+    showConfirmModal({
+        title: 'Clear Group',
+        message: 'Delete every stored occurrence of this event?',
+        danger: true,
+        confirmText: 'Clear',
+        onConfirm: async () => {
+            const result = await apiPost('/admin/telemetry/api/clear', { fingerprint });
+            if (result) loadState(true);
+        }
+    });
+}
+
+/**
+ * Confirms and deletes all stored telemetry.
+ *
+ * @returns {void}
+ */
+function confirmClearAll() {
+    showConfirmModal({
+        title: 'Clear All Telemetry',
+        message: 'Delete every stored client event?',
+        danger: true,
+        confirmText: 'Clear All',
+        onConfirm: async () => {
+            const result = await apiPost('/admin/telemetry/api/clear', { all: 1 });
+            if (result) loadState(true);
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadState(true);
+    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    setupGlobalModalClosing(['modal-overlay'], [closeOccurrenceModal]);
+});
+
+window.loadState            = loadState;
+window.openOccurrenceModal  = openOccurrenceModal;
+window.closeOccurrenceModal = closeOccurrenceModal;
+window.confirmClearGroup    = confirmClearGroup;
+window.confirmClearAll      = confirmClearAll;
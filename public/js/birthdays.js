@@ -46,8 +46,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Background countdown updates
     setInterval(updateCountdowns, CONFIG.TICK_INTERVAL_MS);
 
-    // Background synchronization
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    // Background synchronization (live, with polling fallback)
+    subscribeLiveTopic('birthdays', loadState, CONFIG.SYNC_INTERVAL_MS);
 
     // Modal: Configure global click-outside-to-close behavior
     setupGlobalModalClosing(['modal-overlay'], [closeModal, closeConfirmModal]);
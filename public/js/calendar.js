@@ -52,13 +52,14 @@ let STATE = {
     _historyPastGroupState: { lastDay: '', groupClass: 'group-even' },  // Day-group continuity across infinite scroll pages
     _historyUpcomingGroupState: { lastDay: '', groupClass: 'group-even' },
     deepLinkHandled: false,
+    stateLoaded: false,             // First loadState finished; deep-link routes can open directly
 };
 
 let historyObserver = null;
 let filterDebounceTimer  = null;
 let historyGeneration    = 0;
 let searchGeneration     = 0;
-let eventsGeneration     = 0;
+let eventsAbort          = null;   // Abort handle for the in-flight events range
 let searchDebounceTimer  = null;
 let _aiParsing           = false;
 
@@ -75,11 +76,14 @@ document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
 
     // 3. Background lifecycles
-    setInterval(loadEvents, CONFIG.SYNC_INTERVAL_MS);
+    subscribeLiveTopic('calendar', loadEvents, CONFIG.SYNC_INTERVAL_MS);
     setInterval(renderUpcomingEvents, CONFIG.COUNTDOWN_TICK_MS);
 
     // 4. Global modal closure configuration
     window.setupGlobalModalClosing(['modal-overlay'], [closeEventModal, closeDetailsModal, closeHistoryModal]);
+
+    // 5. Deep links: /calendar/event/:id opens the event details modal
+    registerRoute('/calendar/event/:id', { open: openEventRoute, close: closeDetailsModal, modal: 'eventDetailsModal' });
 });
 
 /**
@@ -128,6 +132,7 @@ async function loadState(force = false) {
             await loadEvents();
 
             await openPendingEventDeepLink();
+            STATE.stateLoaded = true;
         }
     } catch (err) {
         console.error('loadState failed:', err);
@@ -160,7 +165,11 @@ async function loadEvents(force = false) {
 
     const start = formatDate(vStart < today ? vStart : today);
     const end   = formatDate(vEnd > buffer ? vEnd : buffer);
-    const gen   = ++eventsGeneration;
+
+    // Navigating to another range supersedes whatever range is still loading
+    if (eventsAbort) eventsAbort.abort();
+    eventsAbort = new AbortController();
+    const signal = eventsAbort.signal;
 
     const container = document.getElementById('calendarView');
     // Show initial pulse if collection is empty
@@ -174,8 +183,8 @@ async function loadEvents(force = false) {
     }
 
     try {
-        const data = await apiGet(`/calendar/api/events?start=${start}&end=${end}`);
-        if (gen !== eventsGeneration) return;
+        const data = await apiGet(`/calendar/api/events?start=${start}&end=${end}`, 3000, { signal });
+        if (signal.aborted) return;
         
         if (data && data.success) {
             STATE.events = (data.events || []).map(e => ({
@@ -188,7 +197,7 @@ async function loadEvents(force = false) {
             renderUI();
         }
     } catch (err) {
-        if (gen === eventsGeneration) console.error('loadEvents failed:', err);
+        if (!signal.aborted) console.error('loadEvents failed:', err);
     }
 }
 
@@ -248,6 +257,24 @@ function renderCalendar() {
     else if (STATE.currentView === 'day') renderDayView();
 }
 
+/**
+ * Builds Monday-first weekday header labels in the active locale.
+ *
+ * @returns {Array<{full: string, abbr: string}>} - Seven header labels.
+ */
+function getWeekdayLabels() {
+    const locale = getDateLocale();
+    const monday = new Date(2024, 0, 1);
+    return Array.from({ length: 7 }, (_, i) => {
+        const d = new Date(monday);
+        d.setDate(monday.getDate() + i);
+        return {
+            full: d.toLocaleDateString(locale, { weekday: 'long' }),
+            abbr: d.toLocaleDateString(locale, { weekday: 'short' })
+        };
+    });
+}
+
 /**
  * Generates the standard 7-column month grid.
  * 
@@ -260,10 +287,10 @@ function renderMonthView() {
     container.innerHTML = '<div class="calendar-grid"></div>';
     const grid = container.querySelector('.calendar-grid');
     
-    ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].forEach(day => {
+    getWeekdayLabels().forEach(day => {
         const header = document.createElement('div');
         header.className = 'calendar-day-header';
-        header.innerHTML = `<span class="day-full">${day}</span><span class="day-abbr">${day.substring(0, 3)}</span>`;
+        header.innerHTML = `<span class="day-full">${day.full}</span><span class="day-abbr">${day.abbr}</span>`;
         grid.appendChild(header);
     });
     
@@ -308,10 +335,10 @@ function renderWeekView() {
     container.innerHTML = '<div class="calendar-grid calendar-view-week"></div>';
     const grid = container.querySelector('.calendar-grid');
     
-    ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].forEach(day => {
+    getWeekdayLabels().forEach(day => {
         const header = document.createElement('div');
         header.className = 'calendar-day-header';
-        header.innerHTML = `<span class="day-full">${day}</span><span class="day-abbr">${day.substring(0, 3)}</span>`;
+        header.innerHTML = `<span class="day-full">${day.full}</span><span class="day-abbr">${day.abbr}</span>`;
         grid.appendChild(header);
     });
     
@@ -329,7 +356,7 @@ function renderWeekView() {
         cell.onclick = () => openAddEventModal(dateStr);
         if (d.getTime() === today.getTime()) cell.classList.add('today');
         
-        cell.innerHTML = `<div class="day-number">${d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</div>`;
+        cell.innerHTML = `<div class="day-number">${d.toLocaleDateString(getDateLocale(), { month: 'short', day: 'numeric' })}</div>`;
         
         const dayEvents = getEventsForDate(dateStr);
         if (dayEvents.length > 0) {
@@ -469,7 +496,7 @@ async function loadHistoryPage(append = false) {
     } catch (err) {
         if (gen === historyGeneration) {
             console.error('loadHistoryPage failed:', err);
-            window.showToast('Failed to load events', 'error');
+            window.showToast(t('Failed to load events'), 'error');
         }
     } finally {
         STATE.historyLoading = false;
@@ -586,7 +613,7 @@ function renderTableRows(events, state) {
             `;
         }
 
-        const timeDisplay = e.all_day ? 'All Day' : `${formatTime(e.start_date)} - ${formatTime(e.end_date)}`;
+        const timeDisplay = e.all_day ? t('All Day') : `${formatTime(e.start_date)} - ${formatTime(e.end_date)}`;
 
         html += `
         <tr data-event-id="${e.id}" class="${groupClass} ${e.is_private ? 'table-row-private' : ''}"
@@ -765,6 +792,9 @@ function filterHistory() {
  */
 function formatDateWithOrdinal(dateStr) {
     const d = new Date(dateStr + 'T00:00:00');
+    if (getLocale() !== 'en') {
+        return d.toLocaleDateString(getDateLocale(), { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    }
     const dayName = d.toLocaleDateString('en-US', { weekday: 'long' });
     const day = d.getDate();
     const month = d.toLocaleDateString('en-US', { month: 'long' });
@@ -835,7 +865,7 @@ function renderUpcomingEvents() {
             `;
         }
 
-        const timeInfo = e.all_day ? 'All Day' : `${formatTime(e.start_date)} - ${formatTime(e.end_date)}`;
+        const timeInfo = e.all_day ? t('All Day') : `${formatTime(e.start_date)} - ${formatTime(e.end_date)}`;
 
         html += `
             <div class="upcoming-event-item ${e.is_private ? 'private-event' : ''}" style="--event-color: ${e.color}" onclick="showEventDetails('${e.uid}')">
@@ -1063,7 +1093,7 @@ function resetAIParser() {
     if (btn && !_aiParsing) {
         btn.disabled = false;
         btn.classList.remove('loading');
-        btn.textContent = '✨ Fill Form';
+        btn.textContent = `✨ ${t('Fill Form')}`;
     }
 }
 
@@ -1121,7 +1151,7 @@ async function submitAIParse() {
     if (btn) {
         btn.disabled = true;
         btn.classList.add('loading');
-        btn.textContent = '✨ Building';
+        btn.textContent = `✨ ${t('Building')}`;
     }
     if (errorEl) {
         errorEl.textContent = '';
@@ -1141,7 +1171,7 @@ async function submitAIParse() {
         _fillModalFromAI(result);
         const panel = document.getElementById('aiParserPanel');
         if (panel && !panel.classList.contains('hidden')) toggleAIParser();
-        window.showToast('AI parsed your event. Review and save when ready.', 'success');
+        window.showToast(t('AI parsed your event. Review and save when ready.'), 'success');
     } catch (err) {
         console.error('AI parse failed:', err);
         showAIParseError(errorEl, 'Failed to contact AI service. Please try again.');
@@ -1150,7 +1180,7 @@ async function submitAIParse() {
         if (btn) {
             btn.disabled = false;
             btn.classList.remove('loading');
-            btn.textContent = '✨ Fill Form';
+            btn.textContent = `✨ ${t('Fill Form')}`;
         }
     }
 }
@@ -1169,7 +1199,7 @@ function _fillModalFromAI(data) {
     if (idEl) idEl.value = '';
 
     const titleEl = document.getElementById('modalTitle');
-    if (titleEl) titleEl.textContent = 'Add Event (AI Parsed)';
+    if (titleEl) titleEl.textContent = t('Add Event (AI Parsed)');
 
     resetAnnouncementCheckbox();
 
@@ -1282,13 +1312,13 @@ async function handleEventSubmit(event) {
     const attendeesCount = document.querySelectorAll('#attendees-container input:checked').length;
     
     if (notifyMins > 0 && attendeesCount === 0) {
-        window.showToast('Please select at least one attendee to receive notifications', 'error');
+        window.showToast(t('Please select at least one attendee to receive notifications'), 'error');
         return;
     }
 
     const eventNotifyCb = document.getElementById('eventNotify');
     if (eventNotifyCb && eventNotifyCb.checked && notifyMins === 0) {
-        window.showToast('Please select a reminder time', 'error');
+        window.showToast(t('Please select a reminder time'), 'error');
         return;
     }
 
@@ -1308,7 +1338,7 @@ async function handleEventSubmit(event) {
 
     const originalHtml = btn.innerHTML;
     btn.disabled = true;
-    btn.innerHTML = `⌛ Saving...`;
+    btn.innerHTML = `⌛ ${t('Saving...')}`;
 
     try {
         const result = await window.apiPost(url, formData);
@@ -1386,7 +1416,7 @@ function openAddEventModal(dateStr) {
     syncAllDayTimeGroups();
     resetAnnouncementCheckbox();
     document.getElementById('eventId').value = '';
-    document.getElementById('modalTitle').innerHTML = `Add Event`;
+    document.getElementById('modalTitle').innerHTML = t('Add Event');
     document.getElementById('deleteEventBtn').classList.add('hidden');
     document.getElementById('cloneEventBtn').classList.add('hidden');
 
@@ -1509,7 +1539,7 @@ function openEditModalById(id) {
     const skipBtn = document.getElementById('skipOccurrenceBtn');
     if (skipBtn) skipBtn.classList.add('hidden');
 
-    document.getElementById('modalTitle').innerHTML = `Edit Event`;
+    document.getElementById('modalTitle').innerHTML = t('Edit Event');
 
     // Authorization: Only owner or admin can see action buttons
     const canManage = (STATE.currentUserId == event.created_by || STATE.isAdmin);
@@ -1620,8 +1650,8 @@ function openEditModalByUid(uid) {
     }
 
     document.getElementById('modalTitle').innerHTML = event.is_recurring_instance
-        ? 'Edit Event Series'
-        : (event.id ? 'Edit Event' : 'Add Event');
+        ? t('Edit Event Series')
+        : (event.id ? t('Edit Event') : t('Add Event'));
 
     // Authorization
     const canManage = (STATE.currentUserId == event.created_by || STATE.isAdmin);
@@ -1661,7 +1691,7 @@ async function skipOccurrence(id, date) {
  */
 function cloneEvent(event) {
     document.getElementById('eventId').value = '';
-    document.getElementById('modalTitle').innerHTML = `Clone Event`;
+    document.getElementById('modalTitle').innerHTML = t('Clone Event');
     resetAnnouncementCheckbox();
     
     document.getElementById('deleteEventBtn').classList.add('hidden');
@@ -1683,10 +1713,10 @@ function cloneEvent(event) {
  */
 function confirmDeleteEvent(id, title) {
     window.showConfirmModal({
-        title: 'Delete Event',
-        message: `Are you sure you want to remove \"<strong>${escapeHtml(title)}</strong>\"?`,
+        title: t('Delete Event'),
+        message: t('Are you sure you want to remove "{name}"?', { name: `<strong>${escapeHtml(title)}</strong>` }),
         danger: true,
-        confirmText: 'Delete',
+        confirmText: t('Delete'),
         hideCancel: true,
         alignment: 'center',
         onConfirm: async () => {
@@ -1730,7 +1760,7 @@ function showEventDetails(uid) {
 
     const content = document.getElementById('eventDetailsContent');
     const dateStr = formatDateTimeFriendly(event.start_date, event.all_day);
-    const timeInfo = event.all_day ? 'All Day' : `${formatTime(event.start_date)} - ${formatTime(event.end_date)}`;
+    const timeInfo = event.all_day ? t('All Day') : `${formatTime(event.start_date)} - ${formatTime(event.end_date)}`;
     const recurrenceSummary = event.recurrence_rule
         ? formatRecurrenceSummary(event.recurrence_rule, event.recurrence_interval, event.recurrence_end_date)
         : '';
@@ -1905,7 +1935,7 @@ async function updateSearchResults() {
                 resultsEl.innerHTML = '<div class="search-no-results" role="status">No events found</div>';
             } else {
                 resultsEl.innerHTML = displayMatches.map(e => {
-                    const timeDisplay = e.all_day ? 'All Day' : `${formatTime(e.start_date)} - ${formatTime(e.end_date)}`;
+                    const timeDisplay = e.all_day ? t('All Day') : `${formatTime(e.start_date)} - ${formatTime(e.end_date)}`;
                     const dateDisplay = formatDateWithOrdinal(e.start_date.split(' ')[0]);
                     const catBadge = e.category ? `<span class="search-result-category">${escapeHtml(e.category)}</span>` : '';
                     const uidJs = escapeHtml(JSON.stringify(e.uid));
@@ -2003,6 +2033,32 @@ async function openPendingEventDeepLink() {
     if (event) showEventDetails(event.uid);
 }
 
+/**
+ * Router handler for /calendar/event/:id (optional ?date=YYYY-MM-DD for
+ * recurring instances). Before the first load completes the event is queued
+ * for loadState; afterwards the view jumps to the date and opens it directly.
+ *
+ * @async
+ * @param {Object} params - Route params ({ id }).
+ * @returns {Promise<void>}
+ */
+async function openEventRoute({ id }) {
+    if (!/^\d+$/.test(id)) return;
+
+    const date = new URLSearchParams(window.location.search).get('date');
+    const parsedDate = parseUrlDate(date);
+    STATE.pendingEvent = { id };
+    if (parsedDate) STATE.pendingEvent.date = date;
+    STATE.deepLinkHandled = false;
+
+    if (!STATE.stateLoaded) return;
+    if (parsedDate) {
+        STATE.currentDate = parsedDate;
+        await loadEvents(true);
+    }
+    await openPendingEventDeepLink();
+}
+
 /**
  * Generates a high-density descriptive date/time label.
  * 
@@ -2066,15 +2122,15 @@ function getCountdown(target) {
  * @returns {string} - Friendly label.
  */
 function formatReminderMinutes(totalMins) {
-    if (totalMins === 0) return 'At time of event';
+    if (totalMins === 0) return t('At time of event');
     const days  = Math.floor(totalMins / 1440);
     const hours = Math.floor((totalMins % 1440) / 60);
     const mins  = totalMins % 60;
     
     let parts = [];
-    if (days > 0) parts.push(`${days} day${days !== 1 ? 's' : ''}`);
-    if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
-    if (mins > 0) parts.push(`${mins} minute${mins !== 1 ? 's' : ''}`);
+    if (days > 0) parts.push(t(days !== 1 ? '{count} days' : '{count} day', { count: days }));
+    if (hours > 0) parts.push(t(hours !== 1 ? '{count} hours' : '{count} hour', { count: hours }));
+    if (mins > 0) parts.push(t(mins !== 1 ? '{count} minutes' : '{count} minute', { count: mins }));
     
     return parts.join(', ');
 }
@@ -2186,13 +2242,13 @@ function getEventsForHour(dateStr, hour) {
 function updatePeriodTitle() {
     const el = document.getElementById('currentPeriod');
     if (!el) return;
-    if (STATE.currentView === 'month') el.textContent = STATE.currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    if (STATE.currentView === 'month') el.textContent = STATE.currentDate.toLocaleDateString(getDateLocale(), { month: 'long', year: 'numeric' });
     else if (STATE.currentView === 'week') {
         const s = getViewStartDate();
         const e = getViewEndDate();
-        el.textContent = `${s.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${e.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        el.textContent = `${s.toLocaleDateString(getDateLocale(), { month: 'short', day: 'numeric' })} - ${e.toLocaleDateString(getDateLocale(), { month: 'short', day: 'numeric', year: 'numeric' })}`;
     } else {
-        el.textContent = STATE.currentDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        el.textContent = STATE.currentDate.toLocaleDateString(getDateLocale(), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
     }
 }
 
@@ -7,7 +7,7 @@
  * Incorporates routing, lobby synchronization, and real-time game engine execution.
  * 
  * Features:
- * - History API based view routing (Lobby vs Active Game)
+ * - Shared router views (Lobby vs Active Game) via registerRoute
  * - FEN-based board synchronization and legal move validation
  * - Web Audio API integration for move feedback
  * - Background state polling with interaction inhibition
@@ -145,29 +145,9 @@ const ChessApp = {
         // Setup global handlers
         this.setupEventListeners();
         
-        // Initial route resolution
-        this.resolveRoute(window.location.pathname);
-        
-        // History binding
-        window.addEventListener('popstate', () => {
-            this.resolveRoute(window.location.pathname);
-        });
-    },
-
-    /**
-     * Resolves the active view based on the URL path.
-     * @param {string} path - The current window location path.
-     * @returns {void}
-     */
-    resolveRoute: function(path) {
-        this.resetPolling();
-        
-        const match = path.match(/\/chess\/play\/(\d+)/);
-        if (match && match[1]) {
-            this.showGame(match[1]);
-        } else {
-            this.showLobby();
-        }
+        // Views are routes on the shared router, which also resolves the initial path
+        window.registerRoute('/chess', { open: () => this.showLobby() });
+        window.registerRoute('/chess/play/:id', { open: ({ id }) => this.showGame(id) });
     },
 
     /**
@@ -210,11 +190,13 @@ const ChessApp = {
      * @returns {void}
      */
     showLobby: function() {
-        this.resetPolling();
-        STATE.gamePollGeneration++;
+        // Route through the shared router so Back returns to the game
         if (window.location.pathname !== '/chess') {
-            window.history.pushState({}, '', '/chess');
+            window.navigateTo('/chess');
+            return;
         }
+        this.resetPolling();
+        STATE.gamePollGeneration++;
         this.toggleView('lobby');
         this.pollLobby();
         STATE.pollInterval = setInterval(() => this.pollLobby(), CONFIG.SYNC_LOBBY_MS);
@@ -308,10 +290,11 @@ const ChessApp = {
      * @returns {Promise<void>}
      */
     showGame: async function(id) {
-        this.resetPolling();
         if (window.location.pathname !== `/chess/play/${id}`) {
-            window.history.pushState({}, '', `/chess/play/${id}`);
+            window.navigateTo(`/chess/play/${id}`);
+            return;
         }
+        this.resetPolling();
         STATE.activeGameId = id;
         document.getElementById('game-title').textContent = `Chess - Game #${id}`;
         
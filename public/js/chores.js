@@ -49,7 +49,7 @@ let hasLoadedChoresState = false;
 document.addEventListener('DOMContentLoaded', () => {
     loadState();
     loadMySubmissions();
-    setInterval(() => { loadState(); loadMySubmissions(); }, CONFIG.SYNC_INTERVAL_MS);
+    subscribeLiveTopic('chores', () => { loadState(); loadMySubmissions(); }, CONFIG.SYNC_INTERVAL_MS);
     setupGlobalModalClosing(['modal-overlay'], [closeAddModal, closeSubmitModal, closeReviewModal]);
 });
 
@@ -123,7 +123,7 @@ function renderUI() {
 
     // 1. Display Player Balance
     if (STATE.is_child && !STATE.is_admin) {
-        statsCon.innerHTML = `⭐ <span>${STATE.current_points} pts</span>`;
+        statsCon.innerHTML = `⭐ <span>${t('{points} pts', { points: STATE.current_points })}</span>`;
     } else {
         statsCon.innerHTML = '';
     }
@@ -174,8 +174,8 @@ function renderChores() {
         grid.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">😊</div>
-                <p>No Chores Pending</p>
-                <div class="empty-hint">Everything is clean! The board is currently clear.</div>
+                <p>${t('No Chores Pending')}</p>
+                <div class="empty-hint">${t('Everything is clean! The board is currently clear.')}</div>
             </div>
         `;
         return;
@@ -195,18 +195,18 @@ function renderChores() {
                     <div class="chore-header">
                         <div class="chore-title">${escapeHtml(c.title)}</div>
                         <div class="chore-actions">
-                            ${STATE.is_admin ? `<button class="btn-icon-delete" title="Delete Chore" onclick="confirmDeleteChore(${c.id}, ${escapeHtml(JSON.stringify(c.title || ''))})">🗑️</button>` : ''}
+                            ${STATE.is_admin ? `<button class="btn-icon-delete" title="${t('Delete Chore')}" onclick="confirmDeleteChore(${c.id}, ${escapeHtml(JSON.stringify(c.title || ''))})">🗑️</button>` : ''}
                         </div>
                     </div>
                 </div>
                 ${STATE.is_child ? `
                 <button class="btn-chore-claim" 
                     onclick="confirmClaim(${c.id}, ${escapeHtml(JSON.stringify(c.title || ''))}, ${Number(c.points) || 0})">
-                    ✅ I Finished This! <span class="btn-points-tag">Points: ${c.points}</span>
+                    ✅ ${t('I Finished This!')} <span class="btn-points-tag">${t('Points: {points}', { points: c.points })}</span>
                 </button>
                 ` : `
                 <div class="chore-points-static">
-                    <span class="btn-points-tag">Points: ${c.points}</span>
+                    <span class="btn-points-tag">${t('Points: {points}', { points: c.points })}</span>
                 </div>
                 `}
             </div>
@@ -226,9 +226,10 @@ function confirmClaim(choreId, title, points) {
     const safeTitle = escapeHtml(title || '');
     const safePoints = Number(points) || 0;
     showConfirmModal({
-        title: 'Chore Completion',
-        message: `Confirm that you completed "<strong>${safeTitle}</strong>"?<br><br>Rewards: ${safePoints > 0 ? `<span class="text-success">${safePoints} pts</span>` : 'no points'}.`,
-        confirmText: 'Confirm Completion',
+        title: t('Chore Completion'),
+        message: t('Confirm that you completed "{title}"?', { title: `<strong>${safeTitle}</strong>` }) + '<br><br>' +
+            t('Rewards: {rewards}.', { rewards: safePoints > 0 ? `<span class="text-success">${t('{points} pts', { points: safePoints })}</span>` : t('no points') }),
+        confirmText: t('Confirm Completion'),
         hideCancel: true,
         onConfirm: async () => {
             const card = document.getElementById(`chore-card-${choreId}`);
@@ -236,7 +237,7 @@ function confirmClaim(choreId, title, points) {
 
             const res = await apiPost('/chores/api/complete', { id: choreId });
             if (res && res.success) {
-                showToast(`Task recognized! +${points} pts rewarded.`, 'success');
+                showToast(t('Task recognized! +{points} pts rewarded.', { points }), 'success');
                 loadState(true);
             } else {
                 if (card) card.classList.remove('pending');
@@ -257,10 +258,10 @@ function confirmClaim(choreId, title, points) {
 function confirmDeleteChore(choreId, title) {
     const safeTitle = escapeHtml(title || '');
     showConfirmModal({
-        title: 'Delete Chore',
-        message: `Permanently delete "<strong>${safeTitle}</strong>"?`,
+        title: t('Delete Chore'),
+        message: t('Permanently delete "{title}"?', { title: `<strong>${safeTitle}</strong>` }),
         danger: true,
-        confirmText: 'Delete',
+        confirmText: t('Delete'),
         hideCancel: true,
         onConfirm: async () => {
             const card = document.getElementById(`chore-card-${choreId}`);
@@ -268,7 +269,7 @@ function confirmDeleteChore(choreId, title) {
 
             const res = await apiPost('/chores/api/delete', { id: choreId });
             if (res && res.success) {
-                showToast(`Chore "${title}" deleted.`, 'success');
+                showToast(t('Chore "{title}" deleted.', { title }), 'success');
                 loadState(true);
             } else {
                 if (card) card.classList.remove('pending');
@@ -382,7 +383,7 @@ async function submitWork(e) {
     const originalHtml = btn.innerHTML;
 
     btn.disabled = true;
-    btn.innerHTML = '⌛ Submitting...';
+    btn.innerHTML = `⌛ ${t('Submitting...')}`;
 
     try {
         const description = form.querySelector('textarea[name="description"]').value;
@@ -404,7 +405,7 @@ async function submitWork(e) {
                     throw new Error('heic2any is not available');
                 }
                 if (typeof showToast === 'function') {
-                    showToast('Processing modern image format...', 'info');
+                    showToast(t('Processing modern image format...'), 'info');
                 }
                 const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.85 });
                 const blob = Array.isArray(converted) ? converted[0] : converted;
@@ -420,7 +421,7 @@ async function submitWork(e) {
             afterPrepared  = await processFile(afterFile, 'after.jpg');
         } catch (err) {
             console.error('Chore image preparation failed', err);
-            showToast('Could not process photos. Please try again.', 'error');
+            showToast(t('Could not process photos. Please try again.'), 'error');
             return;
         }
 
@@ -434,7 +435,7 @@ async function submitWork(e) {
             closeSubmitModal();
             await loadMySubmissions(true);
         } else if (res) {
-            showToast(res.error || 'Submission failed', 'error');
+            showToast(t(res.error || 'Submission failed'), 'error');
         }
     } finally {
         btn.disabled = false;
@@ -455,7 +456,7 @@ function openReviewModal(submissionId) {
 
     const sub = STATE.pending_submissions.find(s => s.id === submissionId);
     if (!sub) {
-        body.innerHTML = `<p class="text-center">Submission not found.</p>`;
+        body.innerHTML = `<p class="text-center">${t('Submission not found.')}</p>`;
         modal.classList.add('show');
         document.body.classList.add('modal-open');
         return;
@@ -471,25 +472,25 @@ function openReviewModal(submissionId) {
         <div class="review-description">${escapeHtml(sub.description)}</div>
         <div class="review-photo-grid">
             <div class="review-photo-cell">
-                <div class="review-photo-label">Before</div>
-                ${beforeSrc ? `<img class="review-photo-img" src="${beforeSrc}" alt="Before Photo">` : '<p class="review-photo-unavailable">Photo unavailable</p>'}
+                <div class="review-photo-label">${t('Before')}</div>
+                ${beforeSrc ? `<img class="review-photo-img" src="${beforeSrc}" alt="Before Photo">` : `<p class="review-photo-unavailable">${t('Photo unavailable')}</p>`}
             </div>
             <div class="review-photo-cell">
-                <div class="review-photo-label">After</div>
-                ${afterSrc ? `<img class="review-photo-img" src="${afterSrc}" alt="After Photo">` : '<p class="review-photo-unavailable">Photo unavailable</p>'}
+                <div class="review-photo-label">${t('After')}</div>
+                ${afterSrc ? `<img class="review-photo-img" src="${afterSrc}" alt="After Photo">` : `<p class="review-photo-unavailable">${t('Photo unavailable')}</p>`}
             </div>
         </div>
         <div class="review-points-row">
-            <label>⭐ Points to Award</label>
-            <input type="number" id="reviewPoints" class="game-input-premium no-emoji review-points-input" min="1" placeholder="e.g. 10">
+            <label>⭐ ${t('Points to Award')}</label>
+            <input type="number" id="reviewPoints" class="game-input-premium no-emoji review-points-input" min="1" placeholder="${t('e.g. 10')}">
         </div>
         <div class="review-comment-row">
-            <label>Comment (required for rejection)</label>
-            <textarea id="reviewComment" class="game-input-premium no-emoji" rows="2" placeholder="Optional for approval, required for rejection"></textarea>
+            <label>${t('Comment (required for rejection)')}</label>
+            <textarea id="reviewComment" class="game-input-premium no-emoji" rows="2" placeholder="${t('Optional for approval, required for rejection')}"></textarea>
         </div>
         <div class="modal-actions modal-actions-center review-modal-actions">
-            <button class="btn-premium-action-shrink" onclick="confirmApprove(${submissionId})">✅ Approve</button>
-            <button class="btn-premium-action-shrink btn-danger-action" onclick="confirmReject(${submissionId})">❌ Reject</button>
+            <button class="btn-premium-action-shrink" onclick="confirmApprove(${submissionId})">✅ ${t('Approve')}</button>
+            <button class="btn-premium-action-shrink btn-danger-action" onclick="confirmReject(${submissionId})">❌ ${t('Reject')}</button>
         </div>
     `;
 
@@ -519,20 +520,20 @@ function closeReviewModal() {
 function confirmApprove(submissionId) {
     const points = parseInt(document.getElementById('reviewPoints')?.value || '0', 10);
     if (!points || points < 1) {
-        showToast('Enter a points value greater than 0 to approve.', 'error');
+        showToast(t('Enter a points value greater than 0 to approve.'), 'error');
         return;
     }
     const comment = document.getElementById('reviewComment')?.value || '';
 
     showConfirmModal({
-        title: 'Approve Submission',
-        message: `Award <strong>${points} points</strong> and approve this submission?`,
-        confirmText: 'Approve',
+        title: t('Approve Submission'),
+        message: t('Award {points} and approve this submission?', { points: `<strong>${t('{points} points', { points })}</strong>` }),
+        confirmText: t('Approve'),
         hideCancel: true,
         onConfirm: async () => {
             const res = await apiPost('/chores/api/approve', { id: submissionId, points, comment });
             if (res && res.success) {
-                showToast('Submission approved and points awarded!', 'success');
+                showToast(t('Submission approved and points awarded!'), 'success');
                 closeReviewModal();
                 await loadState(true);
             } else {
@@ -551,20 +552,20 @@ function confirmApprove(submissionId) {
 function confirmReject(submissionId) {
     const comment = document.getElementById('reviewComment')?.value?.trim() || '';
     if (!comment) {
-        showToast('A reason is required when rejecting a submission.', 'error');
+        showToast(t('A reason is required when rejecting a submission.'), 'error');
         return;
     }
 
     showConfirmModal({
-        title: 'Reject Submission',
-        message: `Reject this submission and notify the child with your feedback?`,
-        confirmText: 'Reject',
+        title: t('Reject Submission'),
+        message: t('Reject this submission and notify the child with your feedback?'),
+        confirmText: t('Reject'),
         danger: true,
         hideCancel: true,
         onConfirm: async () => {
             const res = await apiPost('/chores/api/reject', { id: submissionId, comment });
             if (res && res.success) {
-                showToast('Submission rejected. Child notified.', 'success');
+                showToast(t('Submission rejected. Child notified.'), 'success');
                 closeReviewModal();
                 await loadState(true);
             } else {
@@ -583,7 +584,7 @@ function populateAssignedSelect() {
     const select = document.getElementById('assignedToSelect');
     if (!select) return;
 
-    const baseOpt = `<option value="">🏠 Family Pool</option>`;
+    const baseOpt = `<option value="">🏠 ${t('Family Pool')}</option>`;
     const children = STATE.all_users.filter(u => u.is_child && !u.is_admin);
 
     select.innerHTML = baseOpt + children.map(c =>
@@ -605,14 +606,14 @@ async function addChore(e) {
     const originalHtml = btn.innerHTML;
     
     btn.disabled = true;
-    btn.innerHTML = `⏳ Posting...`;
+    btn.innerHTML = `⏳ ${t('Posting...')}`;
     
     try {
         const formData = new FormData(form);
         const res = await apiPost('/chores/api/add', formData);
         
         if (res && res.success) {
-            showToast(`✨ Posted: ${formData.get('title')} (+${formData.get('points')} pts). Notification sent!`, 'success');
+            showToast(`✨ ${t('Posted: {title} (+{points} pts). Notification sent!', { title: formData.get('title'), points: formData.get('points') })}`, 'success');
             form.reset();
             closeAddModal();
             await loadState(true);
@@ -651,7 +652,7 @@ function fillChoreForm(title, points, assignedTo) {
         }, 50);
     });
 
-    showToast('Template populated! Review and click Post.', 'info');
+    showToast(t('Template populated! Review and click Post.'), 'info');
 }
 
 /**
@@ -732,8 +733,8 @@ function renderMySubmissions() {
         const desc = s.description || '';
         const badgeClass = s.status === 'pending' ? 'pending' : (s.status === 'approved' ? 'approved' : 'rejected');
         const badgeText  = s.status === 'pending'
-            ? '⏳ Pending Review'
-            : (s.status === 'approved' ? `✅ Approved — ${s.points_awarded} pts` : (s.status === 'rejected' ? '❌ Rejected' : `❓ ${s.status}`));
+            ? `⏳ ${t('Pending Review')}`
+            : (s.status === 'approved' ? `✅ ${t('Approved — {points} pts', { points: s.points_awarded })}` : (s.status === 'rejected' ? `❌ ${t('Rejected')}` : `❓ ${s.status}`));
 
         return `
             <div class="submission-card">
@@ -774,7 +775,7 @@ function renderPendingSubmissions() {
                 <td data-label="Time" class="col-time"><small>${format_datetime(s.submitted_at)}</small></td>
                 <td data-label="Task" class="col-task">${escapeHtml(excerpt)}</td>
                 <td class="text-right col-actions">
-                    <button class="btn-icon-view" title="Review Submission" onclick="openReviewModal(${s.id})">🔍</button>
+                    <button class="btn-icon-view" title="${t('Review Submission')}" onclick="openReviewModal(${s.id})">🔍</button>
                 </td>
             </tr>
         `;
@@ -791,7 +792,7 @@ function renderHistory() {
     if (!tbody) return;
 
     if (STATE.history.length === 0) {
-        tbody.innerHTML = `<tr><td colspan="5" class="text-center p-4 empty-hint">No audit logs found.</td></tr>`;
+        tbody.innerHTML = `<tr><td colspan="5" class="text-center p-4 empty-hint">${t('No audit logs found.')}</td></tr>`;
         return;
     }
 
@@ -809,7 +810,7 @@ function renderHistory() {
                     <strong>${h.points > 0 ? `+${h.points}` : '0'}</strong>
                 </td>
                 <td class="text-right col-actions">
-                    <button class="btn-icon-delete" title="Revoke Completion" onclick="confirmRevoke(${h.id}, '${source}')">🗑️</button>
+                    <button class="btn-icon-delete" title="${t('Revoke Completion')}" onclick="confirmRevoke(${h.id}, '${source}')">🗑️</button>
                 </td>
             </tr>
         `;
@@ -826,11 +827,11 @@ function renderHistory() {
 function confirmRevoke(id, source) {
     const isSubmission = source === 'submission';
     showConfirmModal({
-        title: 'Revoke Completion',
+        title: t('Revoke Completion'),
         message: isSubmission
-            ? 'This will reject the submission and dock points from the child. Proceed?'
-            : 'This will return the chore to the grid and dock points from the child. Proceed?',
-        confirmText: 'REVOKE',
+            ? t('This will reject the submission and dock points from the child. Proceed?')
+            : t('This will return the chore to the grid and dock points from the child. Proceed?'),
+        confirmText: t('REVOKE'),
         hideCancel: true,
         danger: true,
         onConfirm: async () => {
@@ -839,7 +840,7 @@ function confirmRevoke(id, source) {
 
             const res = await apiPost('/chores/api/revoke', { id, source: source || 'chore' });
             if (res && res.success) {
-                showToast('Chore status revoked.', 'success');
+                showToast(t('Chore status revoked.'), 'success');
                 loadState(true);
             } else {
                 if (row) row.classList.remove('pending');
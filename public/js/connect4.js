@@ -7,7 +7,7 @@
  * Incorporates routing, lobby synchronization, and real-time game engine execution.
  * 
  * Features:
- * - History API based view routing (Lobby vs Active Game)
+ * - Shared router views (Lobby vs Active Game) via registerRoute
  * - Real-time board synchronization with authoritative server state
  * - Precision landing-cell move validation highlighting
  * - Integrated game-over modal and status management
@@ -116,30 +116,9 @@ const Connect4App = {
         // Prime audio context on first click anywhere in the app
         appContainer.addEventListener('click', () => AudioEngine.resume(), { once: true });
 
-        // Initial route resolution
-        this.resolveRoute(window.location.pathname);
-        
-        // History binding
-        window.addEventListener('popstate', () => {
-            this.resolveRoute(window.location.pathname);
-        });
-    },
-
-    /**
-     * Resolves the active view based on path.
-     * 
-     * @param {string} path - The current URL path.
-     * @returns {void}
-     */
-    resolveRoute: function(path) {
-        if (STATE.pollInterval) clearInterval(STATE.pollInterval);
-        
-        const match = path.match(/\/connect4\/play\/(\d+)/);
-        if (match && match[1]) {
-            this.showGame(match[1]);
-        } else {
-            this.showLobby();
-        }
+        // Views are routes on the shared router, which also resolves the initial path
+        window.registerRoute('/connect4', { open: () => this.showLobby() });
+        window.registerRoute('/connect4/play/:id', { open: ({ id }) => this.showGame(id) });
     },
 
     /**
@@ -171,13 +150,15 @@ const Connect4App = {
      * --- Lobby Workflow ---
      */
     showLobby: function() {
+        // Route through the shared router so Back returns to the game
+        if (window.location.pathname !== '/connect4') {
+            window.navigateTo('/connect4');
+            return;
+        }
         if (STATE.pollInterval) {
             clearInterval(STATE.pollInterval);
             STATE.pollInterval = null;
         }
-        if (STATE.view !== 'lobby') {
-            window.history.pushState({}, '', '/connect4');
-        }
         this.toggleView('lobby');
         this.pollLobby();
         STATE.pollInterval = setInterval(() => this.pollLobby(), CONFIG.SYNC_LOBBY_MS);
@@ -251,13 +232,14 @@ const Connect4App = {
      * --- Game Workflow ---
      */
     showGame: async function(id) {
+        if (window.location.pathname !== `/connect4/play/${id}`) {
+            window.navigateTo(`/connect4/play/${id}`);
+            return;
+        }
         if (STATE.pollInterval) {
             clearInterval(STATE.pollInterval);
             STATE.pollInterval = null;
         }
-        if (window.location.pathname !== `/connect4/play/${id}`) {
-            window.history.pushState({}, '', `/connect4/play/${id}`);
-        }
         STATE.activeGameId = id;
         document.getElementById('game-title').textContent = `Connect 4 - Game #${id}`;
         
@@ -8,10 +8,19 @@
  * and high-level AJAX interactions across all SPA modules.
  * 
  * Features:
+ * - String catalogue and t() helper with per-user locale (English, Thai)
  * - Real-time relative time formatting (e.g., "5m ago")
  * - 3D Flip Clock engine for dashboard and reminder countdowns
  * - Themed global confirmation modal system
  * - Centralized AJAX wrapper with automatic Toast notification integration
+ * - Size-budgeted LRU cache for apiGet offline hydration (localStorage + IndexedDB)
+ * - Offline staleness banner whenever apiGet serves cached data
+ * - Offline mutation outbox (IndexedDB) with ordered replay and conflict review
+ * - Shared live state channel (WebSocket) with polling fallback per module
+ * - Cross-tab apiGet sharing (BroadcastChannel) with a leader tab per URL
+ * - Shared History API router with deep-linked modals and Back-to-close
+ * - Client error and performance telemetry batched to /api/telemetry
+ * - Ctrl+K command palette and per-module shortcut registry with `?` help
  * - Master Semantic Icon Registry for platform-wide consistency
  * 
  * Dependencies:
@@ -19,6 +28,512 @@
  * - toast.js: For rendering success/error notifications
  */
 
+/**
+ * --- Internationalisation ---
+ *
+ * English source strings double as catalogue keys, so untranslated text
+ * falls back to itself. Static template chrome is marked with `data-i18n`
+ * (text), `data-i18n-placeholder` and `data-i18n-title` and translated once
+ * on DOMContentLoaded; script-built UI calls t() directly. `{name}` tokens
+ * are filled from the params object after lookup.
+ */
+const I18N_CONFIG = {
+    DEFAULT_LOCALE: 'en',
+    LOCALES: {
+        en: { label: 'English', dateLocale: 'en-US' },
+        th: { label: 'ไทย', dateLocale: 'th-TH-u-ca-gregory' }
+    }
+};
+
+const I18N_STATE = {
+    patterns: null                  // Lazily compiled [{ regex, names, template }] for '{x}' keys
+};
+
+/**
+ * String catalogue per locale. Keys are the exact English UI strings
+ * (without any leading emoji, which t() preserves automatically).
+ */
+const I18N_CATALOGUE = {
+    th: {
+        // Common
+        'Access Restricted': 'จำกัดการเข้าถึง',
+        'Action': 'การดำเนินการ',
+        'Action failed': 'ดำเนินการไม่สำเร็จ',
+        'Actions': 'การดำเนินการ',
+        'Add': 'เพิ่ม',
+        'Adding...': 'กำลังเพิ่ม...',
+        'Are you sure?': 'คุณแน่ใจหรือไม่?',
+        'Cancel': 'ยกเลิก',
+        'Clear All': 'ล้างทั้งหมด',
+        'Clear Completed': 'ล้างรายการที่เสร็จแล้ว',
+        'Clone': 'ทำสำเนา',
+        'Confirm': 'ยืนยัน',
+        'Confirm Action': 'ยืนยันการดำเนินการ',
+        'Confirming...': 'กำลังยืนยัน...',
+        'Database error': 'ฐานข้อมูลขัดข้อง',
+        'Database Error': 'ฐานข้อมูลขัดข้อง',
+        'Database error occurred': 'เกิดข้อผิดพลาดของฐานข้อมูล',
+        'Database error.': 'ฐานข้อมูลขัดข้อง',
+        'Delete': 'ลบ',
+        'Edit': 'แก้ไข',
+        'Forbidden': 'ไม่มีสิทธิ์เข้าถึง',
+        'History': 'ประวัติ',
+        'Loading...': 'กำลังโหลด...',
+        'Manage': 'จัดการ',
+        'Missing parameters': 'ข้อมูลไม่ครบ',
+        'Missing required fields.': 'กรอกข้อมูลที่จำเป็นไม่ครบ',
+        'Name': 'ชื่อ',
+        'Network error': 'เครือข่ายขัดข้อง',
+        'Not found': 'ไม่พบข้อมูล',
+        'Offline changes synced': 'ซิงค์การเปลี่ยนแปลงออฟไลน์แล้ว',
+        'Offline — showing data from {time}': 'ออฟไลน์ — แสดงข้อมูลจาก {time}',
+        'Offline: change saved and will sync when you reconnect': 'ออฟไลน์: บันทึกการเปลี่ยนแปลงแล้ว และจะซิงค์เมื่อเชื่อมต่ออีกครั้ง',
+        'Remove': 'นำออก',
+        'Request timed out': 'คำขอหมดเวลา',
+        'Reset': 'รีเซ็ต',
+        'Save': 'บันทึก',
+        'Save changes': 'บันทึกการเปลี่ยนแปลง',
+        'Saving...': 'กำลังบันทึก...',
+        'Skip': 'ข้าม',
+        'Time': 'เวลา',
+        'Unauthorized': 'ไม่ได้รับอนุญาต',
+        'User': 'ผู้ใช้',
+        'Who': 'ใคร',
+
+        // Navigation
+        'Chores': 'งานบ้าน',
+        'Family Calendar': 'ปฏิทินครอบครัว',
+        'Meds': 'ยา',
+        'Shopping': 'ช้อปปิ้ง',
+        'Todo': 'สิ่งที่ต้องทำ',
+
+        // Time & dates
+        'Day': 'วัน',
+        'Due now': 'ถึงกำหนดแล้ว',
+        'Fri': 'ศ.',
+        'in {days}d {hours}h': 'อีก {days} วัน {hours} ชม.',
+        'in {hours}h {minutes}m': 'อีก {hours} ชม. {minutes} นาที',
+        'in {minutes}m': 'อีก {minutes} นาที',
+        'Just now': 'เมื่อสักครู่',
+        'Mon': 'จ.',
+        'Month': 'เดือน',
+        'Sat': 'ส.',
+        'Scheduled': 'ตั้งเวลาไว้',
+        'Sun': 'อา.',
+        'Thu': 'พฤ.',
+        'Today': 'วันนี้',
+        'Tue': 'อ.',
+        'Wed': 'พ.',
+        'Week': 'สัปดาห์',
+        'weeks': 'สัปดาห์',
+        '{count} day': '{count} วัน',
+        '{count} days': '{count} วัน',
+        '{count} hour': '{count} ชั่วโมง',
+        '{count} hours': '{count} ชั่วโมง',
+        '{count} minute': '{count} นาที',
+        '{count} minutes': '{count} นาที',
+        '{days}d {hours}h ago': '{days} วัน {hours} ชม. ที่แล้ว',
+        '{hours}h {minutes}m ago': '{hours} ชม. {minutes} นาทีที่แล้ว',
+        '{minutes}m ago': '{minutes} นาทีที่แล้ว',
+
+        // Shopping
+        'Add Item': 'เพิ่มรายการ',
+        'Add item to shopping list...': 'เพิ่มของในรายการซื้อ...',
+        'Add shopping item': 'เพิ่มรายการซื้อของ',
+        'Add your first item above to get started.': 'เพิ่มรายการแรกด้านบนเพื่อเริ่มต้น',
+        'Added by {name}': 'เพิ่มโดย {name}',
+        'Are you sure you want to clear all checked items?': 'ต้องการล้างรายการที่ซื้อแล้วทั้งหมดหรือไม่?',
+        'Are you sure you want to remove "{name}"?': 'ต้องการลบ "{name}" หรือไม่?',
+        'Checked Items': 'รายการที่ซื้อแล้ว',
+        'Cleared completed items': 'ล้างรายการที่ซื้อแล้ว',
+        'Delete Item': 'ลบรายการ',
+        'e.g. Milk': 'เช่น นม',
+        'Edit Item': 'แก้ไขรายการ',
+        'Item description updated.': 'อัปเดตรายการแล้ว',
+        'Item Name': 'ชื่อรายการ',
+        'Item name cannot be empty': 'ชื่อรายการต้องไม่ว่าง',
+        'Item removed': 'ลบรายการแล้ว',
+        'Item status synchronized.': 'ซิงค์สถานะรายการแล้ว',
+        'Item successfully registered.': 'เพิ่มรายการเรียบร้อยแล้ว',
+        'Mark as bought': 'ทำเครื่องหมายว่าซื้อแล้ว',
+        'Remove Item': 'ลบรายการ',
+        'Retrieving latest items and shared family state': 'กำลังดึงรายการล่าสุดและข้อมูลที่แชร์ในครอบครัว',
+        'Shopping List': 'รายการซื้อของ',
+        'Synchronizing shopping list...': 'กำลังซิงค์รายการซื้อของ...',
+        'To Buy': 'ต้องซื้อ',
+        'Uncheck': 'ยกเลิกการเลือก',
+        'Your shopping list is empty!': 'รายการซื้อของว่างเปล่า!',
+
+        // Todo
+        'Active Tasks': 'งานที่ค้างอยู่',
+        'Add Task': 'เพิ่มงาน',
+        'Add your first task above to get started.': 'เพิ่มงานแรกด้านบนเพื่อเริ่มต้น',
+        'Are you sure you want to clear all completed tasks?': 'ต้องการล้างงานที่เสร็จแล้วทั้งหมดหรือไม่?',
+        'Cleared all completed tasks.': 'ล้างงานที่เสร็จแล้วทั้งหมด',
+        'Complete Task': 'ทำงานเสร็จ',
+        'Completed': 'เสร็จแล้ว',
+        'Delete Task': 'ลบงาน',
+        'Edit Task': 'แก้ไขงาน',
+        'Re-open Task': 'เปิดงานอีกครั้ง',
+        'Remove Task': 'ลบงาน',
+        'Retrieving active tasks and historical records': 'กำลังดึงงานที่ค้างอยู่และประวัติ',
+        'Synchronizing todo list...': 'กำลังซิงค์รายการสิ่งที่ต้องทำ...',
+        'Task': 'งาน',
+        'Task description cannot be empty': 'รายละเอียดงานต้องไม่ว่าง',
+        'Task description updated.': 'อัปเดตงานแล้ว',
+        'Task permanently removed.': 'ลบงานถาวรแล้ว',
+        'Task status synchronized.': 'ซิงค์สถานะงานแล้ว',
+        'Task successfully registered.': 'เพิ่มงานเรียบร้อยแล้ว',
+        'What needs to be done?': 'ต้องทำอะไรบ้าง?',
+        'Your todo list is empty!': 'รายการสิ่งที่ต้องทำว่างเปล่า!',
+
+        // Chores
+        'A reason is required for rejection': 'ต้องระบุเหตุผลในการปฏิเสธ',
+        'A reason is required when rejecting a submission.': 'ต้องระบุเหตุผลเมื่อปฏิเสธงานที่ส่ง',
+        'After': 'หลัง',
+        'After Photo': 'รูปหลังทำ',
+        'Approve': 'อนุมัติ',
+        'Approve Submission': 'อนุมัติงานที่ส่ง',
+        'Approved — {points} pts': 'อนุมัติแล้ว — {points} แต้ม',
+        'Assign To': 'มอบหมายให้',
+        'Audit': 'ตรวจสอบ',
+        'Award {points} and approve this submission?': 'ให้ {points} และอนุมัติงานนี้หรือไม่?',
+        'Balance': 'ยอดคงเหลือ',
+        'Before': 'ก่อน',
+        'Before Photo': 'รูปก่อนทำ',
+        'Both before and after photos are required': 'ต้องมีทั้งรูปก่อนและหลังทำ',
+        'Chore': 'งานบ้าน',
+        'Chore "{title}" deleted.': 'ลบงานบ้าน "{title}" แล้ว',
+        'Chore Completion': 'ทำงานบ้านเสร็จ',
+        'Chore status revoked.': 'ยกเลิกสถานะงานบ้านแล้ว',
+        'Chore unavailable': 'งานบ้านนี้ไม่พร้อมใช้งาน',
+        'Chores Board': 'กระดานงานบ้าน',
+        'Comment (required for rejection)': 'ความคิดเห็น (จำเป็นเมื่อปฏิเสธ)',
+        'Completion History': 'ประวัติการทำงาน',
+        'Confirm Completion': 'ยืนยันว่าทำเสร็จ',
+        'Confirm that you completed "{title}"?': 'ยืนยันว่าคุณทำ "{title}" เสร็จแล้วหรือไม่?',
+        'Could not process photos. Please try again.': 'ไม่สามารถประมวลผลรูปได้ โปรดลองอีกครั้ง',
+        'Delete Chore': 'ลบงานบ้าน',
+        'Description is required': 'ต้องระบุรายละเอียด',
+        'e.g. 10': 'เช่น 10',
+        'e.g. Empty the dishwasher': 'เช่น เอาจานออกจากเครื่องล้างจาน',
+        'e.g. I vacuumed the living room and tidied the cushions': 'เช่น ดูดฝุ่นห้องนั่งเล่นและจัดหมอนให้เรียบร้อย',
+        'Enter a points value greater than 0 to approve.': 'ใส่แต้มมากกว่า 0 เพื่ออนุมัติ',
+        'Everything is clean! The board is currently clear.': 'ทุกอย่างสะอาดแล้ว! ตอนนี้ไม่มีงานค้างบนกระดาน',
+        'Family Pool': 'ส่วนกลางของครอบครัว',
+        'I Finished This!': 'ฉันทำเสร็จแล้ว!',
+        'Job well done!': 'เก่งมาก!',
+        'Loading pending...': 'กำลังโหลดรายการรอตรวจ...',
+        'Loading submissions...': 'กำลังโหลดงานที่ส่ง...',
+        'My Submissions': 'งานที่ฉันส่ง',
+        'New Chore Posting': 'โพสต์งานบ้านใหม่',
+        'No audit logs found.': 'ไม่พบบันทึกการตรวจสอบ',
+        'No Chores Pending': 'ไม่มีงานบ้านค้าง',
+        'no points': 'ไม่มีแต้ม',
+        'Optional for approval, required for rejection': 'ไม่บังคับเมื่ออนุมัติ แต่จำเป็นเมื่อปฏิเสธ',
+        'Pending Review': 'รอตรวจ',
+        'Pending Submissions': 'งานที่รอตรวจ',
+        'Permanently delete "{title}"?': 'ลบ "{title}" ถาวรหรือไม่?',
+        'Photo unavailable': 'ไม่มีรูป',
+        'Points': 'แต้ม',
+        'Points Balance': 'ยอดแต้ม',
+        'Points must be greater than 0': 'แต้มต้องมากกว่า 0',
+        'Points Reward': 'แต้มรางวัล',
+        'Points to Award': 'แต้มที่จะให้',
+        'Points: {points}': 'แต้ม: {points}',
+        'Post': 'โพสต์',
+        'Posted: {title} (+{points} pts). Notification sent!': 'โพสต์แล้ว: {title} (+{points} แต้ม) ส่งการแจ้งเตือนแล้ว!',
+        'Posting...': 'กำลังโพสต์...',
+        'Processing modern image format...': 'กำลังประมวลผลรูปแบบภาพ...',
+        'Quick Templates': 'เทมเพลตด่วน',
+        'Reject': 'ปฏิเสธ',
+        'Reject Submission': 'ปฏิเสธงานที่ส่ง',
+        'Reject this submission and notify the child with your feedback?': 'ปฏิเสธงานนี้และแจ้งความคิดเห็นให้เด็กทราบหรือไม่?',
+        'Rejected': 'ถูกปฏิเสธ',
+        'Retrieving archival records...': 'กำลังดึงบันทึกย้อนหลัง...',
+        'Review Submission': 'ตรวจงานที่ส่ง',
+        'REVOKE': 'ยกเลิกสถานะ',
+        'Revoke Completion': 'ยกเลิกการทำเสร็จ',
+        'Rewards: {rewards}.': 'รางวัล: {rewards}',
+        'Scanning for pending chores...': 'กำลังค้นหางานบ้านที่ค้างอยู่...',
+        'Submission approved and points awarded!': 'อนุมัติงานและให้แต้มแล้ว!',
+        'Submission failed': 'ส่งงานไม่สำเร็จ',
+        'Submission is no longer pending': 'งานนี้ไม่ได้อยู่ระหว่างรอตรวจแล้ว',
+        'Submission not found.': 'ไม่พบงานที่ส่ง',
+        'Submission rejected. Child notified.': 'ปฏิเสธงานแล้ว แจ้งเด็กเรียบร้อย',
+        'Submit Chore': 'ส่งงานบ้าน',
+        'Submit for Review': 'ส่งให้ตรวจ',
+        'Submitted for review!': 'ส่งให้ตรวจแล้ว!',
+        'Submitting...': 'กำลังส่ง...',
+        'Task Description': 'รายละเอียดงาน',
+        'Task recognized! +{points} pts rewarded.': 'รับทราบงานแล้ว! ได้รับ +{points} แต้ม',
+        'Template populated! Review and click Post.': 'กรอกเทมเพลตแล้ว! ตรวจสอบแล้วกดโพสต์',
+        'The Chore Board is restricted to children and administrators. Please contact the Head of Household to gain access.': 'กระดานงานบ้านใช้ได้เฉพาะเด็กและผู้ดูแลระบบ โปรดติดต่อหัวหน้าครอบครัวเพื่อขอสิทธิ์เข้าถึง',
+        'This will reject the submission and dock points from the child. Proceed?': 'การดำเนินการนี้จะปฏิเสธงานและหักแต้มของเด็ก ดำเนินการต่อหรือไม่?',
+        'This will return the chore to the grid and dock points from the child. Proceed?': 'การดำเนินการนี้จะนำงานกลับขึ้นกระดานและหักแต้มของเด็ก ดำเนินการต่อหรือไม่?',
+        'What did you do?': 'คุณทำอะไรไปบ้าง?',
+        'Whoops! Someone else claimed this first!': 'อุ๊ย! มีคนรับงานนี้ไปก่อนแล้ว!',
+        '{points} points': '{points} แต้ม',
+        '{points} pts': '{points} แต้ม',
+
+        // Medication
+        'Already confirmed or not found.': 'ยืนยันไปแล้วหรือไม่พบรายการ',
+        'Are you sure you want to delete the log for {name}?': 'ต้องการลบบันทึกของ {name} หรือไม่?',
+        'Are you sure you want to remove {name} from the registry?': 'ต้องการนำ {name} ออกจากทะเบียนยาหรือไม่?',
+        'Current reminders': 'การแจ้งเตือนปัจจุบัน',
+        'Days of the week': 'วันในสัปดาห์',
+        'Default (mg)': 'ค่าเริ่มต้น (มก.)',
+        'Default Dosage (mg)': 'ขนาดยาเริ่มต้น (มก.)',
+        'Delay (Hours)': 'หน่วงเวลา (ชั่วโมง)',
+        'Delete Log': 'ลบบันทึก',
+        'Delete Reminder': 'ลบการแจ้งเตือน',
+        'Delete the reminder for {name}?': 'ลบการแจ้งเตือนของ {name} หรือไม่?',
+        'Dosage': 'ขนาดยา',
+        'Dosage (mg)': 'ขนาดยา (มก.)',
+        'Dosing Panel': 'แผงบันทึกการใช้ยา',
+        'e.g. 200': 'เช่น 200',
+        'e.g. Ibuprofen': 'เช่น ไอบูโพรเฟน',
+        'Edit Dose Log': 'แก้ไขบันทึกการใช้ยา',
+        'Edit Log': 'แก้ไขบันทึก',
+        'Edit Registry': 'แก้ไขทะเบียนยา',
+        'Edit Reminder': 'แก้ไขการแจ้งเตือน',
+        'Entry deleted.': 'ลบบันทึกแล้ว',
+        'Last 10 Meds Taken': 'ยา 10 รายการล่าสุดที่ทาน',
+        'Loading medication tally...': 'กำลังโหลดสรุปการใช้ยา...',
+        'Log': 'บันทึก',
+        'Log dose': 'บันทึกการทานยา',
+        'Log Medication': 'บันทึกการใช้ยา',
+        'Log updated.': 'อัปเดตบันทึกแล้ว',
+        'Logged {name}.': 'บันทึก {name} แล้ว',
+        'Manage Registry': 'จัดการทะเบียนยา',
+        'Medication': 'ยา',
+        'Medication Name': 'ชื่อยา',
+        'Medication removed.': 'นำยาออกแล้ว',
+        'Medication Tracker': 'ติดตามการใช้ยา',
+        'Name cannot be empty': 'ชื่อต้องไม่ว่าง',
+        'No active medication logs found.': 'ไม่พบบันทึกการใช้ยา',
+        'No medication logs found.': 'ไม่พบบันทึกการใช้ยา',
+        'No medication reminders configured.': 'ยังไม่ได้ตั้งการแจ้งเตือนยา',
+        'No recurring reminders set.': 'ยังไม่ได้ตั้งการแจ้งเตือนซ้ำ',
+        'No timestamp': 'ไม่มีเวลา',
+        'Number of daily reminders (1-4)': 'จำนวนการแจ้งเตือนต่อวัน (1-4)',
+        'Pending Confirmations': 'รอการยืนยัน',
+        'Please select at least one day of the week.': 'โปรดเลือกอย่างน้อยหนึ่งวันในสัปดาห์',
+        'Quick Select Medication': 'เลือกยาด่วน',
+        'Registry updated.': 'อัปเดตทะเบียนยาแล้ว',
+        'Reminder deleted.': 'ลบการแจ้งเตือนแล้ว',
+        'Reminder not found.': 'ไม่พบการแจ้งเตือน',
+        'Reminder saved.': 'บันทึกการแจ้งเตือนแล้ว',
+        'Reminder updated.': 'อัปเดตการแจ้งเตือนแล้ว',
+        'Reminders must be created from an existing medication log entry.': 'ต้องสร้างการแจ้งเตือนจากบันทึกการใช้ยาที่มีอยู่',
+        'Remove from Registry': 'นำออกจากทะเบียนยา',
+        'Remove Registry Item': 'นำออกจากทะเบียนยา',
+        'Reset Time': 'รีเซ็ตเวลา',
+        'Reset timestamp for {name} for {member}?': 'รีเซ็ตเวลาของ {name} สำหรับ {member} หรือไม่?',
+        'Retrieving latest dosage history and family registry': 'กำลังดึงประวัติการใช้ยาล่าสุดและทะเบียนยาของครอบครัว',
+        'Save Log': 'บันทึก',
+        'Save Reminders': 'บันทึกการแจ้งเตือน',
+        'Schedule Dose Reminder': 'ตั้งการแจ้งเตือนทานยา',
+        'Schedule Reminder': 'ตั้งการแจ้งเตือน',
+        'Schedule Reminders': 'ตั้งการแจ้งเตือน',
+        'Select existing': 'เลือกจากที่มีอยู่',
+        'Select existing --': 'เลือกจากที่มีอยู่ --',
+        'Select family member': 'เลือกสมาชิกในครอบครัว',
+        'Select medication': 'เลือกยา',
+        'Send To': 'ส่งถึง',
+        'Synchronizing medication logs...': 'กำลังซิงค์บันทึกการใช้ยา...',
+        'Taken': 'ทานแล้ว',
+        'Target Time (Today)': 'เวลาที่ต้องการ (วันนี้)',
+        'This medication is not in the registry, so a recurring reminder cannot be created yet.': 'ยานี้ยังไม่อยู่ในทะเบียน จึงยังสร้างการแจ้งเตือนซ้ำไม่ได้',
+        'Time Taken': 'เวลาที่ทาน',
+        'Usage': 'การใช้งาน',
+        'Who takes it?': 'ใครเป็นคนทาน?',
+        'Who took it?': 'ใครทานไป?',
+
+        // Calendar
+        'Add Event': 'เพิ่มกิจกรรม',
+        'Add Event (AI Parsed)': 'เพิ่มกิจกรรม (AI อ่านให้)',
+        'AI Assist': 'ผู้ช่วย AI',
+        'AI parsed your event. Review and save when ready.': 'AI อ่านกิจกรรมของคุณแล้ว ตรวจสอบแล้วกดบันทึก',
+        'AI processing timed out or failed. Please try again.': 'AI ประมวลผลไม่สำเร็จหรือหมดเวลา โปรดลองอีกครั้ง',
+        'All Categories': 'ทุกหมวดหมู่',
+        'All Day': 'ทั้งวัน',
+        'At time of event': 'ตรงเวลากิจกรรม',
+        'Attendees': 'ผู้เข้าร่วม',
+        'Bi-weekly': 'ทุกสองสัปดาห์',
+        'Building': 'กำลังสร้าง',
+        'Category': 'หมวดหมู่',
+        'Clone Event': 'ทำสำเนากิจกรรม',
+        'Color': 'สี',
+        'Could not find a valid start date and time.': 'ไม่พบวันและเวลาเริ่มที่ถูกต้อง',
+        'Could not find an event title. Try being more specific.': 'ไม่พบชื่อกิจกรรม ลองระบุให้ชัดเจนขึ้น',
+        'Daily': 'ทุกวัน',
+        'Delete Event': 'ลบกิจกรรม',
+        'Describe an event and fill the form for review': 'อธิบายกิจกรรมแล้วระบบจะกรอกแบบฟอร์มให้ตรวจสอบ',
+        'Describe the event': 'อธิบายกิจกรรม',
+        'Describe the event first.': 'โปรดอธิบายกิจกรรมก่อน',
+        'Description': 'รายละเอียด',
+        'Does not repeat': 'ไม่ทำซ้ำ',
+        'Edit Event': 'แก้ไขกิจกรรม',
+        'Edit Event Series': 'แก้ไขกิจกรรมที่ทำซ้ำ',
+        'End Date *': 'วันที่สิ้นสุด *',
+        'End date cannot be before start date': 'วันที่สิ้นสุดต้องไม่อยู่ก่อนวันที่เริ่ม',
+        'End date is required': 'ต้องระบุวันที่สิ้นสุด',
+        'End Time': 'เวลาสิ้นสุด',
+        'Ends on (optional)': 'สิ้นสุดวันที่ (ไม่บังคับ)',
+        'Event Details': 'รายละเอียดกิจกรรม',
+        'Event History & Audit': 'ประวัติและการตรวจสอบกิจกรรม',
+        'Event removed': 'ลบกิจกรรมแล้ว',
+        'Event updated': 'อัปเดตกิจกรรมแล้ว',
+        'Every': 'ทุก',
+        'Failed to load events': 'โหลดกิจกรรมไม่สำเร็จ',
+        'Fill Form': 'กรอกแบบฟอร์ม',
+        'Filter by Category:': 'กรองตามหมวดหมู่:',
+        'football game on 3rd july at 5pm with nicky remind 1h before': 'เตะฟุตบอลวันที่ 3 ก.ค. เวลา 17:00 กับนิกกี้ เตือนก่อน 1 ชม.',
+        'Forbidden: You do not own this event': 'ไม่มีสิทธิ์: คุณไม่ใช่เจ้าของกิจกรรมนี้',
+        'Monthly': 'ทุกเดือน',
+        'Please select a reminder time': 'โปรดเลือกเวลาแจ้งเตือน',
+        'Please select at least one attendee for notifications': 'โปรดเลือกผู้เข้าร่วมอย่างน้อยหนึ่งคนเพื่อรับการแจ้งเตือน',
+        'Please select at least one attendee to receive notifications': 'โปรดเลือกผู้เข้าร่วมอย่างน้อยหนึ่งคนเพื่อรับการแจ้งเตือน',
+        'Remind me before event': 'แจ้งเตือนก่อนกิจกรรม',
+        'Repeat': 'ทำซ้ำ',
+        'Retrieving scheduled events and family milestones': 'กำลังดึงกิจกรรมที่กำหนดไว้และวันสำคัญของครอบครัว',
+        'Search and manage the full family event roster': 'ค้นหาและจัดการกิจกรรมทั้งหมดของครอบครัว',
+        'Search events (title, description)...': 'ค้นหากิจกรรม (ชื่อ, รายละเอียด)...',
+        'Search events...': 'ค้นหากิจกรรม...',
+        'Start Date *': 'วันที่เริ่ม *',
+        'Start date is required': 'ต้องระบุวันที่เริ่ม',
+        'Start Time': 'เวลาเริ่ม',
+        'Synchronizing temporal grid...': 'กำลังซิงค์ปฏิทิน...',
+        'Title *': 'ชื่อ *',
+        'Title is required': 'ต้องระบุชื่อ',
+        'Upcoming Events': 'กิจกรรมที่จะมาถึง',
+        'Weekly': 'ทุกสัปดาห์',
+        'Yearly': 'ทุกปี'
+    }
+};
+
+/**
+ * Resolves the active UI locale (per-user preference rendered by the layout).
+ *
+ * @returns {string} - Locale key, e.g. 'en' or 'th'.
+ */
+function getLocale() {
+    const locale = typeof APP_LOCALE !== 'undefined' ? APP_LOCALE : I18N_CONFIG.DEFAULT_LOCALE;
+    return I18N_CONFIG.LOCALES[locale] ? locale : I18N_CONFIG.DEFAULT_LOCALE;
+}
+
+/**
+ * Returns the Intl locale tag for date formatting in the active UI locale.
+ *
+ * @returns {string} - e.g. 'en-US' or 'th-TH-u-ca-gregory'.
+ */
+function getDateLocale() {
+    return I18N_CONFIG.LOCALES[getLocale()].dateLocale;
+}
+
+/**
+ * Replaces `{name}` tokens with values from params.
+ *
+ * @param {string} text
+ * @param {Object} params
+ * @returns {string}
+ */
+function interpolateI18n(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * Matches a fully-formed string (e.g. a server message such as
+ * "Logged Panadol.") against catalogue keys that contain `{tokens}`.
+ *
+ * @param {Object} catalogue - Active locale catalogue.
+ * @param {string} text
+ * @returns {string|null} - Translated string or null when nothing matches.
+ */
+function matchI18nPattern(catalogue, text) {
+    if (!I18N_STATE.patterns) {
+        I18N_STATE.patterns = Object.keys(catalogue).filter(k => /\{\w+\}/.test(k)).map(key => {
+            const names = [];
+            const source = key.split(/(\{\w+\})/).map(part => {
+                const token = part.match(/^\{(\w+)\}$/);
+                if (token) {
+                    names.push(token[1]);
+                    return '(.+?)';
+                }
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }).join('');
+            return { regex: new RegExp(`^${source}$`, 's'), names, template: catalogue[key] };
+        });
+    }
+
+    for (const pattern of I18N_STATE.patterns) {
+        const match = text.match(pattern.regex);
+        if (!match) continue;
+        const params = {};
+        pattern.names.forEach((name, i) => { params[name] = match[i + 1]; });
+        return interpolateI18n(pattern.template, params);
+    }
+    return null;
+}
+
+/**
+ * Translates a UI string into the active locale.
+ *
+ * Lookup order: exact key, key without a leading emoji/symbol prefix (the
+ * prefix is kept), then `{token}` patterns for already-interpolated text.
+ *
+ * @param {string} key - English source string.
+ * @param {Object} [params] - Values for `{name}` tokens.
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    if (key === undefined || key === null) return '';
+    const text = String(key);
+    const catalogue = I18N_CATALOGUE[getLocale()];
+    if (!catalogue) return interpolateI18n(text, params);
+
+    if (catalogue[text] !== undefined) return interpolateI18n(catalogue[text], params);
+
+    const prefixed = text.match(/^([^\p{L}\p{N}]+\s)(.+)$/su);
+    if (prefixed && catalogue[prefixed[2]] !== undefined) {
+        return prefixed[1] + interpolateI18n(catalogue[prefixed[2]], params);
+    }
+
+    return matchI18nPattern(catalogue, text) || interpolateI18n(text, params);
+}
+
+/**
+ * Translates marked template chrome inside a root element. The English
+ * source is remembered on the element so repeated calls are safe.
+ *
+ * @param {ParentNode} [root=document]
+ * @returns {void}
+ */
+function applyI18n(root = document) {
+    if (getLocale() === I18N_CONFIG.DEFAULT_LOCALE) return;
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+        el.textContent = t(el.dataset.i18n);
+    });
+    ['placeholder', 'title'].forEach(attr => {
+        root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            const data = `i18n${attr.charAt(0).toUpperCase()}${attr.slice(1)}`;
+            if (!el.dataset[data]) el.dataset[data] = el.getAttribute(attr) || '';
+            el.setAttribute(attr, t(el.dataset[data]));
+        });
+    });
+}
+
+// Runs before module DOMContentLoaded handlers (default.js registers first)
+document.addEventListener('DOMContentLoaded', () => applyI18n());
+
+window.t = t;
+window.getLocale = getLocale;
+window.getDateLocale = getDateLocale;
+window.applyI18n = applyI18n;
+
 /**
  * --- Date & Time Utilities ---
  */
@@ -36,19 +551,19 @@ function getTimeSince(unix) {
     const diff = Math.floor(Date.now() / 1000) - unix;
     
     // Handle future or extremely recent events
-    if (diff < -10) return "Scheduled";
-    if (diff < 60) return "Just now";
+    if (diff < -10) return t("Scheduled");
+    if (diff < 60) return t("Just now");
     
     const minutes = Math.floor(diff / 60);
-    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 60) return t('{minutes}m ago', { minutes });
     
     const hours = Math.floor(minutes / 60);
     const remainingMins = minutes % 60;
-    if (hours < 24) return `${hours}h ${remainingMins}m ago`;
+    if (hours < 24) return t('{hours}h {minutes}m ago', { hours, minutes: remainingMins });
     
     const days = Math.floor(hours / 24);
     const remainingHours = hours % 24;
-    return `${days}d ${remainingHours}h ago`;
+    return t('{days}d {hours}h ago', { days, hours: remainingHours });
 }
 
 /**
@@ -59,7 +574,7 @@ function getTimeSince(unix) {
  * @returns {string} - Formatted countdown (e.g., "in 3d 5h", "Due now")
  */
 function formatCountdown(ms) {
-    if (ms <= 0) return 'Due now';
+    if (ms <= 0) return t('Due now');
     
     const totalMins = Math.floor(ms / 60000);
     const days  = Math.floor(totalMins / 1440);
@@ -67,11 +582,11 @@ function formatCountdown(ms) {
     const mins  = totalMins % 60;
     
     // Return most significant units
-    if (days  > 0) return `in ${days}d ${hours}h`;
-    if (hours > 0) return `in ${hours}h ${mins}m`;
-    if (mins  > 0) return `in ${mins}m`;
+    if (days  > 0) return t('in {days}d {hours}h', { days, hours });
+    if (hours > 0) return t('in {hours}h {minutes}m', { hours, minutes: mins });
+    if (mins  > 0) return t('in {minutes}m', { minutes: mins });
     
-    return 'Due now';
+    return t('Due now');
 }
 
 /**
@@ -170,15 +685,24 @@ function setupGlobalModalClosing(modalClasses = ['modal-overlay', 'delete-modal-
 
 /**
  * Standard AJAX POST wrapper with integrated feedback and network timeout.
- * 
+ *
+ * Callers that pass `{ queue: true }` opt in to the offline outbox: when the
+ * network is unreachable the mutation is persisted and replayed later, and an
+ * optimistic `{ success: 1, queued: 1 }` result (the submitted fields, no
+ * server-generated values) is returned. Only opt in for mutations that are
+ * still valid when replayed much later, and check `result.queued` before
+ * reading anything the server would have returned.
+ *
  * @param {string} url - Target API endpoint.
  * @param {Object|FormData} data - Payload to transmit.
  * @param {number} timeout - Request timeout in ms (default 30s for POST).
+ * @param {Object} [options] - { queue: true } enables offline queueing.
  * @returns {Promise<Object|null>} - Parsed JSON response or null on failure.
  */
-async function apiPost(url, data = {}, timeout = 30000) {
+async function apiPost(url, data = {}, timeout = 30000, options = {}) {
+    let networkFailed = false;
     try {
-        const options = {
+        const fetchOptions = {
             method: 'POST'
         };
 
@@ -186,18 +710,27 @@ async function apiPost(url, data = {}, timeout = 30000) {
 
         // Automatic content-type detection for binary vs form data
         if (data instanceof FormData) {
-            options.body = data;
+            fetchOptions.body = data;
         } else {
-            options.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
-            options.body = new URLSearchParams(data);
+            fetchOptions.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+            fetchOptions.body = new URLSearchParams(data);
         }
 
         const controller = new AbortController();
         const id = setTimeout(() => controller.abort(), timeout);
-        options.signal = controller.signal;
+        fetchOptions.signal = controller.signal;
 
-        const response = await fetch(url, options);
-        clearTimeout(id);
+        let response;
+        try {
+            response = await fetch(url, fetchOptions);
+        } catch (fetchErr) {
+            // Only a rejected fetch (no response at all) counts as unreachable;
+            // aborts are timeouts where the server may already have applied the mutation.
+            networkFailed = fetchErr instanceof TypeError;
+            throw fetchErr;
+        } finally {
+            clearTimeout(id);
+        }
 
         // Intercept Cloudflare Access 403s before parsing; Access may return HTML.
         if (response.status === 403 && window.Capacitor && window.Capacitor.isNativePlatform()) {
@@ -213,23 +746,35 @@ async function apiPost(url, data = {}, timeout = 30000) {
             result = JSON.parse(text);
         } catch (e) {
             console.error('JSON Parse Error. Raw response:', text);
-            throw new Error('Invalid JSON response');
+            const parseError = new Error('Invalid JSON response');
+            parseError.status = response.status;
+            throw parseError;
         }
 
         // Handle logical success/failure based on platform response standard
         if (result.success) {
-            if (result.message) showToast(result.message, 'success');
+            if (result.message) showToast(t(result.message), 'success');
+            invalidateApiGets(url);
+            broadcastApiMutation(url);
             return result;
         } else {
-            showToast(result.error || 'Action failed', 'error');
+            showToast(t(result.error || 'Action failed'), 'error');
             return null;
         }
     } catch (err) {
         console.error('apiPost Error:', err);
+        recordApiFailure('POST', url, err);
+
+        // Network unreachable (fetch rejected before any response): defer to the outbox.
+        if (options.queue === true && networkFailed) {
+            const queued = await enqueueOutboxMutation(url, data);
+            if (queued) return queued;
+        }
+
         if (err.name === 'AbortError') {
-            showToast('Request timed out', 'error');
+            showToast(t('Request timed out'), 'error');
         } else if (typeof navigator === 'undefined' || typeof navigator.onLine === 'undefined' || navigator.onLine) {
-            showToast('Network error', 'error');
+            showToast(t('Network error'), 'error');
         }
         return null;
     }
@@ -253,36 +798,160 @@ function shouldCacheApiGet(url) {
     }
 }
 
+/**
+ * In-flight apiGet bookkeeping. Identical concurrent GETs share one request,
+ * every network request carries a monotonically increasing sequence, and a
+ * response that completes after a newer one for the same URL is dropped in
+ * favour of the newer data. Successful mutations start a new epoch for their
+ * module so later reads never join a request issued before the change.
+ */
+const API_GET_STATE = {
+    seq: 0,
+    inflight: {},                   // url -> { seq, epoch, controller, callers, cancelled, promise }
+    resolved: {},                   // url -> { seq, data } newest completed response
+    epochs: {}                      // module -> mutation counter
+};
+
+/**
+ * Starts a new read epoch for the module an API URL belongs to.
+ *
+ * @param {string} url - Any URL of the mutated module.
+ * @returns {void}
+ */
+function invalidateApiGets(url) {
+    const module = getApiModule(url);
+    API_GET_STATE.epochs[module] = (API_GET_STATE.epochs[module] || 0) + 1;
+}
+
+/**
+ * Attaches a caller to an in-flight request. Aborting the caller's signal
+ * resolves its promise with null; the shared fetch is only cancelled once
+ * every attached caller has aborted.
+ *
+ * @param {Object} request - Entry from API_GET_STATE.inflight.
+ * @param {AbortSignal} [signal] - Caller's abort handle.
+ * @returns {Promise<*>}
+ */
+function joinApiGet(request, signal) {
+    request.callers++;
+    if (!signal) return request.promise;
+
+    return new Promise(resolve => {
+        const onAbort = () => {
+            resolve(null);
+            if (--request.callers === 0) {
+                request.cancelled = true;
+                request.controller.abort();
+            }
+        };
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        request.promise.then(result => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(result);
+        });
+    });
+}
+
 /**
  * Performs a GET request with response caching and abort support.
+ * Identical in-flight requests are coalesced and out-of-order responses are
+ * dropped (see API_GET_STATE), so overlapping polls never regress state.
+ * Successful responses feed the LRU cache used for offline hydration.
+ * Cacheable URLs are shared across tabs: followers are answered from the
+ * leader tab's broadcast instead of the network (see Cross-Tab API Sharing).
  * @async
  * @param {string} url - Request URL.
  * @param {number} [timeout=3000] - Abort timeout in ms.
- * @returns {Promise<*>} - Response data.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort handle; an aborted call resolves to null
+ *        quietly (no toast, no cache fallback). Use one controller per view.
+ * @param {boolean} [options.fresh=false] - Skip in-flight and cross-tab reuse.
+ * @returns {Promise<*>} - Response data. When answered from the offline cache the
+ *          object carries a non-enumerable `_cachedAt` (ms) and the staleness
+ *          banner is shown; `apiGetStale` / `apiGetFresh` events are also emitted.
+ */
+async function apiGet(url, timeout = 3000, options = {}) {
+    const prefix = getApiPrefix(url);
+    if (prefix) CROSS_TAB_STATE.dependencies.add(prefix);
+
+    const epoch = API_GET_STATE.epochs[getApiModule(url)] || 0;
+    const existing = API_GET_STATE.inflight[url];
+    if (!options.fresh && existing && existing.epoch === epoch && !existing.cancelled) {
+        return joinApiGet(existing, options.signal);
+    }
+
+    const request = {
+        seq: ++API_GET_STATE.seq,
+        epoch,
+        controller: new AbortController(),
+        callers: 0,
+        cancelled: false
+    };
+    request.promise = fetchApiGet(url, timeout, request, !!options.fresh).then(result => {
+        if (API_GET_STATE.inflight[url] === request) delete API_GET_STATE.inflight[url];
+        if (request.cancelled) return null;
+
+        // A newer request for this URL already completed: hand out its data instead
+        const newest = API_GET_STATE.resolved[url];
+        if (newest && newest.seq > request.seq) return newest.data;
+        if (result) API_GET_STATE.resolved[url] = { seq: request.seq, data: result };
+        return result;
+    });
+    API_GET_STATE.inflight[url] = request;
+    return joinApiGet(request, options.signal);
+}
+
+/**
+ * Network/cache body of apiGet for a single sequenced request.
+ * @async
+ * @param {string} url - Request URL.
+ * @param {number} timeout - Abort timeout in ms.
+ * @param {Object} request - Entry from API_GET_STATE.inflight (controller, cancelled).
+ * @param {boolean} fresh - Skip cross-tab reuse.
+ * @returns {Promise<*>}
  */
-async function apiGet(url, timeout = 3000) {
-    const cacheKey = `api_cache:${url}`;
+async function fetchApiGet(url, timeout, request, fresh) {
     const cacheable = shouldCacheApiGet(url);
-    const getCached = () => {
+    const getCached = async () => {
         if (!cacheable) return null;
-        try {
-            const cached = localStorage.getItem(cacheKey);
-            if (cached) {
-                const parsed = JSON.parse(cached);
-                console.info(`Using cached data for ${url} (from ${new Date(parsed.timestamp).toLocaleString()})`);
-                return parsed.data;
-            }
-        } catch (e) { }
-        return null;
+        const cached = await readApiCache(url);
+        if (!cached || !cached.data) return null;
+        console.info(`Using cached data for ${url} (from ${new Date(cached.timestamp).toLocaleString()})`);
+
+        // Expose the cache age to callers without changing the payload shape
+        if (typeof cached.data === 'object') {
+            Object.defineProperty(cached.data, '_cachedAt', { value: cached.timestamp, enumerable: false });
+        }
+        markApiStale(url, cached.timestamp);
+        return cached.data;
     };
 
+    // Another tab may already hold (or be fetching) this response
+    if (cacheable && !fresh) {
+        const shared = await getSharedApiResponse(url, timeout);
+        if (shared) {
+            markApiFresh(url);
+            return shared;
+        }
+    }
+
     try {
-        const controller = new AbortController();
+        const controller = request.controller;
         const id = setTimeout(() => controller.abort(), timeout);
 
         const response = await fetch(url, { signal: controller.signal });
         clearTimeout(id);
 
+        // The service worker's synthetic offline reply is a network failure, not data
+        if (response.headers.get('X-Offline')) {
+            throw new TypeError('Network unavailable (service worker offline response)');
+        }
+        const swCachedAt = parseInt(response.headers.get('X-From-Cache') || '', 10);
+
         // Intercept Cloudflare Access 403s on native mobile
         if (response.status === 403 && window.Capacitor && window.Capacitor.isNativePlatform()) {
             if (typeof window.handleMobileAdminAuth === 'function') {
@@ -297,34 +966,2147 @@ async function apiGet(url, timeout = 3000) {
             result = JSON.parse(text);
         } catch (e) {
             console.error('JSON Parse Error:', text);
-            throw new Error('Invalid JSON response');
+            const parseError = new Error('Invalid JSON response');
+            parseError.status = response.status;
+            throw parseError;
+        }
+
+        // Answered from the service worker's cache: stale data, whichever copy is newer wins
+        if (!isNaN(swCachedAt)) {
+            const local = cacheable ? await readApiCache(url) : null;
+            if (local && local.data && local.timestamp > swCachedAt) return getCached();
+            if (result && typeof result === 'object') {
+                Object.defineProperty(result, '_cachedAt', { value: swCachedAt, enumerable: false });
+            }
+            markApiStale(url, swCachedAt);
+            return result;
         }
 
         // Cache successful state responses
         if (cacheable && result && result.success) {
-            try {
-                localStorage.setItem(cacheKey, JSON.stringify({
-                    data: result,
-                    timestamp: Date.now()
-                }));
-            } catch (e) { /* Storage full */ }
+            writeApiCache(url, result);
+            shareApiResponse(url, result);
         }
+        markApiFresh(url);
 
         return result;
     } catch (err) {
+        // Every caller walked away (view change): nothing to report or hydrate
+        if (request.cancelled) return null;
+
         console.warn(`apiGet failed for ${url}:`, err);
+        recordApiFailure('GET', url, err);
 
         // Fallback to cache if available
-        const cached = getCached();
+        const cached = await getCached();
         if (cached) return cached;
 
         if (err.name !== 'AbortError' && (typeof navigator === 'undefined' || typeof navigator.onLine === 'undefined' || navigator.onLine)) {
-            showToast('Network error', 'error');
+            showToast(t('Network error'), 'error');
         }
         return null;
     }
 }
 
+/**
+ * --- API Response Cache ---
+ *
+ * Size-budgeted LRU store behind apiGet's offline hydration. Small payloads
+ * stay in localStorage under `api_cache:${url}`; large ones move to IndexedDB
+ * so a single module cannot exhaust the origin's localStorage quota. A
+ * lightweight index tracks module, size and last use for every entry and is
+ * what the "Offline data" settings card reads.
+ */
+const API_CACHE_CONFIG = {
+    PREFIX: 'api_cache:',
+    INDEX_KEY: 'api_cache_index',
+    DB_NAME: 'rendler-api-cache',
+    STORE: 'responses',
+    INLINE_MAX_BYTES: 64 * 1024,            // Larger payloads are written to IndexedDB
+    LOCAL_BUDGET_BYTES: 1.5 * 1024 * 1024,  // Leaves headroom for other localStorage users
+    IDB_BUDGET_BYTES: 25 * 1024 * 1024,
+    MAX_AGE_MS: 14 * 24 * 60 * 60 * 1000    // Entries unused for this long are evicted
+};
+let apiCacheDbPromise = null;
+let apiCacheQueue = Promise.resolve();     // Serialises index read-modify-write across writes and purges
+
+/**
+ * Opens (and upgrades on first use) the large-payload cache database.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openApiCacheDb() {
+    if (apiCacheDbPromise) return apiCacheDbPromise;
+
+    apiCacheDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const request = indexedDB.open(API_CACHE_CONFIG.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(API_CACHE_CONFIG.STORE)) {
+                db.createObjectStore(API_CACHE_CONFIG.STORE, { keyPath: 'url' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    apiCacheDbPromise.catch(() => { apiCacheDbPromise = null; });
+    return apiCacheDbPromise;
+}
+
+/**
+ * Runs a single request against the cache store inside its own transaction.
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} fn - Builds the request to run.
+ * @returns {Promise<*>} - The request result once the transaction commits.
+ */
+function apiCacheRequest(mode, fn) {
+    return openApiCacheDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(API_CACHE_CONFIG.STORE, mode);
+        const request = fn(tx.objectStore(API_CACHE_CONFIG.STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+/**
+ * Loads the cache index, adopting any unindexed localStorage entries left
+ * by earlier versions of apiGet.
+ *
+ * @returns {Object} - url -> { module, bytes, timestamp, used, store }
+ */
+function readApiCacheIndex() {
+    let index = null;
+    try {
+        index = JSON.parse(localStorage.getItem(API_CACHE_CONFIG.INDEX_KEY) || 'null');
+    } catch (_) { }
+    if (index && typeof index === 'object') return index;
+
+    index = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key || !key.startsWith(API_CACHE_CONFIG.PREFIX)) continue;
+        const raw = localStorage.getItem(key) || '';
+        const url = key.slice(API_CACHE_CONFIG.PREFIX.length);
+        let timestamp = 0;
+        try { timestamp = JSON.parse(raw).timestamp || 0; } catch (_) { }
+        index[url] = { module: getApiModule(url), bytes: key.length + raw.length, timestamp, used: timestamp, store: 'local' };
+    }
+    writeApiCacheIndex(index);
+    return index;
+}
+
+/**
+ * Persists the cache index. The index is tiny, so a failed write is logged only.
+ *
+ * @param {Object} index - Index produced by readApiCacheIndex.
+ * @returns {void}
+ */
+function writeApiCacheIndex(index) {
+    try {
+        localStorage.setItem(API_CACHE_CONFIG.INDEX_KEY, JSON.stringify(index));
+    } catch (e) {
+        console.warn('API cache index write failed:', e);
+    }
+}
+
+/**
+ * Runs a cache task after every previously queued one has settled, so tasks
+ * that read the index, await storage and write it back never interleave.
+ *
+ * @param {function(): Promise<*>} task - Task to run.
+ * @returns {Promise<*>} - The task's result.
+ */
+function queueApiCacheTask(task) {
+    const run = apiCacheQueue.then(task);
+    apiCacheQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Removes one cached response from whichever store holds it.
+ *
+ * @param {string} url - Cached request URL.
+ * @param {Object} index - Cache index to update in place (caller persists it).
+ * @returns {Promise<void>}
+ */
+async function deleteApiCacheEntry(url, index) {
+    const entry = index[url];
+    delete index[url];
+    localStorage.removeItem(API_CACHE_CONFIG.PREFIX + url);
+    if (entry && entry.store === 'idb') {
+        await apiCacheRequest('readwrite', store => store.delete(url)).catch(() => {});
+    }
+}
+
+/**
+ * Evicts expired entries, then least-recently-used entries per store until
+ * each store is back within its byte budget.
+ *
+ * @param {Object} index - Cache index to update in place (caller persists it).
+ * @param {string} [keepUrl] - Entry that must survive (the one just written).
+ * @returns {Promise<number>} - Number of entries evicted.
+ */
+async function enforceApiCacheBudget(index, keepUrl = null) {
+    const now = Date.now();
+    const victims = [];
+
+    Object.keys(index).forEach(url => {
+        if (url !== keepUrl && now - (index[url].used || 0) > API_CACHE_CONFIG.MAX_AGE_MS) victims.push(url);
+    });
+
+    [['local', API_CACHE_CONFIG.LOCAL_BUDGET_BYTES], ['idb', API_CACHE_CONFIG.IDB_BUDGET_BYTES]].forEach(([storeName, budget]) => {
+        const entries = Object.keys(index)
+            .filter(url => index[url].store === storeName && !victims.includes(url))
+            .sort((a, b) => (index[a].used || 0) - (index[b].used || 0));
+        let total = entries.reduce((sum, url) => sum + (index[url].bytes || 0), 0);
+        while (total > budget && entries.length) {
+            const url = entries.shift();
+            if (url === keepUrl) continue;
+            total -= index[url].bytes || 0;
+            victims.push(url);
+        }
+    });
+
+    for (const url of victims) await deleteApiCacheEntry(url, index);
+    return victims.length;
+}
+
+/**
+ * Reads a cached response and marks it as recently used.
+ *
+ * @param {string} url - Request URL.
+ * @returns {Promise<{data: *, timestamp: number}|null>}
+ */
+async function readApiCache(url) {
+    const index = readApiCacheIndex();
+    const entry = index[url];
+    let cached = null;
+
+    try {
+        if (entry && entry.store === 'idb') {
+            const record = await apiCacheRequest('readonly', store => store.get(url));
+            if (record) cached = { data: record.data, timestamp: record.timestamp };
+        } else {
+            const raw = localStorage.getItem(API_CACHE_CONFIG.PREFIX + url);
+            if (raw) cached = JSON.parse(raw);
+        }
+    } catch (e) {
+        console.warn(`API cache read failed for ${url}:`, e);
+    }
+
+    // Re-read so the touch cannot overwrite entries written while the store was awaited
+    const current = readApiCacheIndex();
+    if (cached && current[url]) {
+        current[url].used = Date.now();
+        writeApiCacheIndex(current);
+    }
+    return cached;
+}
+
+/**
+ * Stores a successful response, choosing localStorage or IndexedDB by size
+ * and evicting older entries when a quota or budget is exceeded.
+ *
+ * Writes are queued (see queueApiCacheTask) so concurrent calls keep every
+ * index entry.
+ *
+ * @param {string} url - Request URL.
+ * @param {Object} data - Parsed successful response.
+ * @returns {Promise<boolean>} - True if the response was cached.
+ */
+function writeApiCache(url, data) {
+    return queueApiCacheTask(() => storeApiCache(url, data));
+}
+
+/**
+ * Body of writeApiCache; only ever runs from the cache task queue.
+ *
+ * @param {string} url - Request URL.
+ * @param {Object} data - Parsed successful response.
+ * @returns {Promise<boolean>}
+ */
+async function storeApiCache(url, data) {
+    const timestamp = Date.now();
+    const key = API_CACHE_CONFIG.PREFIX + url;
+    const payload = JSON.stringify({ data, timestamp });
+    const bytes = key.length + payload.length;
+    const index = readApiCacheIndex();
+    const previous = index[url];
+    let storeName = bytes > API_CACHE_CONFIG.INLINE_MAX_BYTES ? 'idb' : 'local';
+
+    if (storeName === 'local') {
+        try {
+            localStorage.setItem(key, payload);
+        } catch (_) {
+            // Quota hit: drop least-recently-used inline entries until it fits
+            const candidates = Object.keys(index)
+                .filter(other => other !== url && index[other].store === 'local')
+                .sort((a, b) => (index[a].used || 0) - (index[b].used || 0));
+            let stored = false;
+            while (!stored && candidates.length) {
+                await deleteApiCacheEntry(candidates.shift(), index);
+                try {
+                    localStorage.setItem(key, payload);
+                    stored = true;
+                } catch (_) { }
+            }
+            if (!stored) storeName = 'idb';
+        }
+    }
+
+    if (storeName === 'idb') {
+        localStorage.removeItem(key);
+        try {
+            await apiCacheRequest('readwrite', store => store.put({ url, data, timestamp }));
+        } catch (e) {
+            console.warn(`API cache write failed for ${url}:`, e);
+            delete index[url];
+            writeApiCacheIndex(index);
+            return false;
+        }
+    } else if (previous && previous.store === 'idb') {
+        await apiCacheRequest('readwrite', store => store.delete(url)).catch(() => {});
+    }
+
+    index[url] = { module: getApiModule(url), bytes, timestamp, used: timestamp, store: storeName };
+    await enforceApiCacheBudget(index, url);
+    writeApiCacheIndex(index);
+    return true;
+}
+
+/**
+ * Summarises cached responses per module for the "Offline data" settings card.
+ *
+ * @returns {Array<{module: string, urls: string[], bytes: number, timestamp: number}>}
+ *          Sorted by size, largest first; timestamp is the newest entry's.
+ */
+function listApiCacheModules() {
+    const index = readApiCacheIndex();
+    const modules = {};
+    Object.keys(index).forEach(url => {
+        const entry = index[url];
+        const mod = modules[entry.module] = modules[entry.module] || { module: entry.module, urls: [], bytes: 0, timestamp: 0 };
+        mod.urls.push(url);
+        mod.bytes += entry.bytes || 0;
+        mod.timestamp = Math.max(mod.timestamp, entry.timestamp || 0);
+    });
+    return Object.values(modules).sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Deletes cached responses for one module, or for every module.
+ *
+ * @param {string|null} [module=null] - Module key, or null for all.
+ * @returns {Promise<number>} - Number of entries removed.
+ */
+function purgeApiCache(module = null) {
+    return queueApiCacheTask(async () => {
+        const index = readApiCacheIndex();
+        const urls = Object.keys(index).filter(url => !module || index[url].module === module);
+        for (const url of urls) await deleteApiCacheEntry(url, index);
+        writeApiCacheIndex(index);
+        return urls.length;
+    });
+}
+
+/**
+ * Re-fetches every cached URL of a module (or all modules) so offline
+ * hydration starts from fresh data.
+ *
+ * @param {string|null} [module=null] - Module key, or null for all.
+ * @returns {Promise<{ok: number, failed: number}>}
+ */
+async function prewarmApiCache(module = null) {
+    const index = readApiCacheIndex();
+    const urls = Object.keys(index).filter(url => !module || index[url].module === module);
+    let ok = 0;
+    for (const url of urls) {
+        const before = index[url].timestamp;
+        // Fresh: a coalesced or cross-tab answer would not rewrite this URL's entry
+        await apiGet(url, 10000, { fresh: true });
+        await queueApiCacheTask(() => null);
+        const entry = readApiCacheIndex()[url];
+        if (entry && entry.timestamp > before) ok++;
+    }
+    return { ok, failed: urls.length - ok };
+}
+
+window.listApiCacheModules = listApiCacheModules;
+window.purgeApiCache = purgeApiCache;
+window.prewarmApiCache = prewarmApiCache;
+
+/**
+ * --- Offline Staleness Banner ---
+ *
+ * Whenever apiGet answers from the offline cache the page shows a shared
+ * banner with the age of that data, so nobody acts on hours-old state without
+ * knowing. Each URL is tracked separately; the banner clears itself once every
+ * stale URL has been fetched live again.
+ */
+const STALE_STATE = {
+    urls: {}                        // url -> cache timestamp (ms) currently on screen
+};
+
+/**
+ * Records that a URL was answered from cache and refreshes the banner.
+ *
+ * @param {string} url - Request URL.
+ * @param {number} timestamp - When the cached response was stored (ms).
+ * @returns {void}
+ */
+function markApiStale(url, timestamp) {
+    STALE_STATE.urls[url] = timestamp;
+    window.dispatchEvent(new CustomEvent('apiGetStale', { detail: { url, timestamp } }));
+    updateStaleBanner();
+}
+
+/**
+ * Records a successful live fetch for a URL and clears it from the banner.
+ *
+ * @param {string} url - Request URL.
+ * @returns {void}
+ */
+function markApiFresh(url) {
+    if (!(url in STALE_STATE.urls)) return;
+    delete STALE_STATE.urls[url];
+    window.dispatchEvent(new CustomEvent('apiGetFresh', { detail: { url } }));
+    updateStaleBanner();
+}
+
+/**
+ * Formats a cache timestamp for the banner: "14:05" today, "Mon 14:05" otherwise.
+ *
+ * @param {number} timestamp - Milliseconds since epoch.
+ * @returns {string}
+ */
+function formatStaleTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })} ${time}`;
+}
+
+/**
+ * Shows, updates or hides the banner from the oldest stale timestamp on screen.
+ *
+ * @returns {void}
+ */
+function updateStaleBanner() {
+    const timestamps = Object.values(STALE_STATE.urls);
+    let banner = document.getElementById('staleDataBanner');
+
+    if (!timestamps.length) {
+        if (banner) banner.classList.add('hidden');
+        return;
+    }
+
+    if (!banner) {
+        if (!document.body) return;
+        banner = document.createElement('div');
+        banner.id = 'staleDataBanner';
+        banner.className = 'stale-banner hidden';
+        banner.setAttribute('role', 'status');
+        document.body.appendChild(banner);
+    }
+
+    banner.textContent = `📡 ${t('Offline — showing data from {time}', { time: formatStaleTime(Math.min(...timestamps)) })}`;
+    banner.classList.remove('hidden');
+}
+
+// Banner may have been requested before <body> existed
+document.addEventListener('DOMContentLoaded', updateStaleBanner);
+
+/**
+ * --- Offline Mutation Outbox ---
+ *
+ * apiPost calls that cannot reach the server are stored in IndexedDB and
+ * replayed in their original order once connectivity returns. The same store
+ * is drained by sw.js through Background Sync when no page is open. Mutations
+ * the server rejects on replay are kept as "conflict" records for review.
+ */
+const OUTBOX_DB_NAME = 'rendler-outbox';
+const OUTBOX_STORE = 'mutations';
+const OUTBOX_SYNC_TAG = 'rendler-outbox-sync';
+const OUTBOX_LOCK_NAME = 'rendler-outbox';
+let outboxDbPromise = null;
+
+/**
+ * Opens (and upgrades on first use) the outbox IndexedDB database.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOutboxDb() {
+    if (outboxDbPromise) return outboxDbPromise;
+
+    outboxDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB unavailable'));
+            return;
+        }
+        const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if the open failed (e.g. private browsing)
+    outboxDbPromise.catch(() => { outboxDbPromise = null; });
+    return outboxDbPromise;
+}
+
+/**
+ * Runs a single request against the outbox store inside its own transaction.
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} fn - Builds the request to run.
+ * @returns {Promise<*>} - The request result once the transaction commits.
+ */
+function outboxRequest(mode, fn) {
+    return openOutboxDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, mode);
+        const request = fn(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+/**
+ * Lists every queued mutation in replay (insertion) order.
+ *
+ * @returns {Promise<Object[]>}
+ */
+function getOutboxEntries() {
+    return outboxRequest('readonly', store => store.getAll()).catch(() => []);
+}
+
+/**
+ * Resolves the module an API URL belongs to (the path segment(s) before /api/).
+ *
+ * @param {string} url - Request URL or page path.
+ * @returns {string} - Module key, e.g. "shopping" or "admin/files".
+ */
+function getApiModule(url) {
+    try {
+        const pathname = new URL(url, window.location.origin).pathname;
+        const apiIdx = pathname.indexOf('/api/');
+        const base = apiIdx > 0 ? pathname.slice(0, apiIdx) : '/' + (pathname.split('/')[1] || '');
+        return base.replace(/^\/+|\/+$/g, '') || 'home';
+    } catch (_) {
+        return 'home';
+    }
+}
+
+/**
+ * Checks whether a module key belongs to the page currently open.
+ *
+ * @param {string} module - Module key from getApiModule().
+ * @returns {boolean}
+ */
+function isCurrentApiModule(module) {
+    const path = window.location.pathname.replace(/\/+$/, '');
+    return path === `/${module}` || path.startsWith(`/${module}/`);
+}
+
+/**
+ * Persists a failed mutation and schedules its replay.
+ *
+ * Plain object payloads are echoed back in the optimistic result so callers
+ * that read submitted fields from the response (e.g. is_checked) still work.
+ *
+ * @param {string} url - Target API endpoint.
+ * @param {Object|FormData} data - Original payload.
+ * @returns {Promise<Object|null>} - Optimistic result, or null if storage failed.
+ */
+async function enqueueOutboxMutation(url, data) {
+    const isForm = data instanceof FormData;
+    const entry = {
+        url: url,
+        module: getApiModule(url),
+        body_type: isForm ? 'form' : 'urlencoded',
+        body: isForm ? Array.from(data.entries()) : new URLSearchParams(data).toString(),
+        csrf: document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '',
+        status: 'pending',
+        error: null,
+        created_at: Date.now()
+    };
+
+    let id;
+    try {
+        id = await outboxRequest('readwrite', store => store.add(entry));
+    } catch (err) {
+        console.error('Outbox write failed:', err);
+        return null;
+    }
+
+    registerOutboxSync();
+    refreshOutboxBadge();
+    showToast(t('Offline: change saved and will sync when you reconnect'), 'info');
+
+    return Object.assign({}, isForm ? {} : data, { success: 1, queued: 1, outbox_id: id });
+}
+
+/**
+ * Asks the service worker to replay the outbox via Background Sync.
+ * Browsers without SyncManager fall back to the page-level 'online' listener.
+ *
+ * @returns {void}
+ */
+function registerOutboxSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(reg => reg.sync ? reg.sync.register(OUTBOX_SYNC_TAG) : null)
+        .catch(() => {});
+}
+
+/**
+ * Rebuilds fetch options for a stored outbox entry.
+ *
+ * @param {Object} entry - Outbox record.
+ * @returns {RequestInit}
+ */
+function buildOutboxRequest(entry) {
+    if (entry.body_type === 'form') {
+        const form = new FormData();
+        entry.body.forEach(([key, value]) => form.append(key, value));
+        return { method: 'POST', body: form };
+    }
+    return {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: entry.body
+    };
+}
+
+/**
+ * Replays pending mutations in order. Stops at the first network failure so
+ * later mutations never overtake earlier ones; server rejections are marked
+ * as conflicts and replay continues with the next entry.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushOutbox() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    const run = async () => {
+        const entries = (await getOutboxEntries()).filter(e => e.status === 'pending');
+        if (entries.length === 0) return [];
+
+        const replayed = new Set();
+        for (const entry of entries) {
+            let response;
+            try {
+                response = await fetch(entry.url, buildOutboxRequest(entry));
+            } catch (err) {
+                break; // Still unreachable; keep the remaining order intact
+            }
+
+            let result = null;
+            try {
+                result = JSON.parse(await response.text());
+            } catch (e) { /* Non-JSON rejection (e.g. proxy error page) */ }
+
+            if (result && result.success) {
+                await outboxRequest('readwrite', store => store.delete(entry.id));
+                replayed.add(entry.module);
+            } else {
+                await outboxRequest('readwrite', store => store.put(Object.assign({}, entry, {
+                    status: 'conflict',
+                    error: (result && result.error) || `Server responded with HTTP ${response.status}`,
+                    replayed_at: Date.now()
+                })));
+            }
+        }
+        return Array.from(replayed);
+    };
+
+    // Web Locks keep this tab, other tabs and the service worker from replaying twice
+    let replayed = [];
+    try {
+        replayed = navigator.locks
+            ? await navigator.locks.request(OUTBOX_LOCK_NAME, run)
+            : await run();
+    } catch (err) {
+        console.error('Outbox replay failed:', err);
+    }
+
+    handleOutboxReplayed(replayed);
+}
+
+/**
+ * Refreshes the badge and the current module after a replay completes.
+ *
+ * @param {string[]} modules - Modules that had mutations accepted by the server.
+ * @returns {void}
+ */
+function handleOutboxReplayed(modules) {
+    refreshOutboxBadge();
+    if (!modules || modules.length === 0) return;
+
+    showToast(t('Offline changes synced'), 'success');
+    window.dispatchEvent(new CustomEvent('outboxReplayed', { detail: { modules } }));
+    if (modules.some(isCurrentApiModule) && typeof window.loadState === 'function') {
+        window.loadState(true);
+    }
+}
+
+/**
+ * Updates the floating pending/conflict badge for the current module.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshOutboxBadge() {
+    if (!document.body) return;
+
+    const entries = (await getOutboxEntries()).filter(e => isCurrentApiModule(e.module));
+    const pending = entries.filter(e => e.status === 'pending').length;
+    const conflicts = entries.filter(e => e.status === 'conflict').length;
+
+    let badge = document.getElementById('outboxBadge');
+    if (!badge) {
+        badge = document.createElement('button');
+        badge.type = 'button';
+        badge.id = 'outboxBadge';
+        badge.className = 'outbox-badge hidden';
+        badge.onclick = () => openOutboxPanel();
+        document.body.appendChild(badge);
+    }
+
+    const parts = [];
+    if (pending) parts.push(`⏳ ${pending} pending`);
+    if (conflicts) parts.push(`⚠️ ${conflicts} conflicted`);
+    badge.textContent = parts.join(' · ');
+    badge.classList.toggle('has-conflicts', conflicts > 0);
+    badge.classList.toggle('hidden', parts.length === 0);
+
+    const panel = document.getElementById('outboxReviewModal');
+    if (panel && panel.classList.contains('show')) renderOutboxPanel();
+}
+
+/**
+ * Opens the review panel listing queued and conflicted mutations.
+ *
+ * @returns {void}
+ */
+function openOutboxPanel() {
+    let modal = document.getElementById('outboxReviewModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'outboxReviewModal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content modal-lg">
+                <div class="modal-header">
+                    <h3>📤 Offline Changes</h3>
+                    <span class="close-btn" onclick="closeOutboxPanel()">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <div id="outboxReviewList" class="outbox-list"></div>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="btn-secondary" onclick="discardOutboxConflicts()">Discard Conflicts</button>
+                    <button type="button" class="btn-primary" onclick="retryOutboxEntry()">Retry All</button>
+                </div>
+            </div>
+        `;
+        modal.onclick = (e) => { if (e.target === modal) closeOutboxPanel(); };
+        document.body.appendChild(modal);
+    }
+
+    renderOutboxPanel();
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+}
+
+/**
+ * Hides the outbox review panel.
+ *
+ * @returns {void}
+ */
+function closeOutboxPanel() {
+    const modal = document.getElementById('outboxReviewModal');
+    if (modal) modal.classList.remove('show');
+    if (!hasVisibleModalOverlay()) document.body.classList.remove('modal-open');
+}
+
+/**
+ * Renders outbox entries grouped with the current module first.
+ *
+ * @returns {Promise<void>}
+ */
+async function renderOutboxPanel() {
+    const list = document.getElementById('outboxReviewList');
+    if (!list) return;
+
+    const entries = (await getOutboxEntries())
+        .sort((a, b) => isCurrentApiModule(b.module) - isCurrentApiModule(a.module) || a.id - b.id);
+
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="empty-state"><p>✅ Everything is synced.</p></div>';
+        return;
+    }
+
+    list.innerHTML = entries.map(entry => {
+        const isConflict = entry.status === 'conflict';
+        const payload = entry.body_type === 'form'
+            ? entry.body.map(([k, v]) => `${k}=${typeof v === 'string' ? v : '[file]'}`).join(', ')
+            : Array.from(new URLSearchParams(entry.body)).map(([k, v]) => `${k}=${v}`).join(', ');
+
+        return `
+            <div class="outbox-item ${isConflict ? 'is-conflict' : ''}">
+                <div class="outbox-item-main">
+                    <div class="outbox-item-title">
+                        <span class="badge ${isConflict ? 'badge-orange' : 'badge-blue'}">${isConflict ? 'Conflict' : 'Pending'}</span>
+                        <span class="outbox-item-module">${escapeHtml(entry.module)}</span>
+                        <small class="outbox-item-time">${getTimeSince(Math.floor(entry.created_at / 1000))}</small>
+                    </div>
+                    <code class="outbox-item-url">${escapeHtml(entry.url)}</code>
+                    ${payload ? `<div class="outbox-item-payload">${escapeHtml(payload)}</div>` : ''}
+                    ${isConflict ? `<div class="outbox-item-error">${escapeHtml(entry.error)}</div>` : ''}
+                </div>
+                <div class="action-buttons">
+                    <button type="button" class="btn-icon-reset" onclick="retryOutboxEntry(${entry.id})" title="Retry">↻</button>
+                    <button type="button" class="btn-icon-delete" onclick="discardOutboxEntry(${entry.id})" title="Discard">🗑️</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Re-queues one conflicted entry (or all of them) and triggers a replay.
+ *
+ * @param {number} [id] - Outbox record ID; omitted to retry everything.
+ * @returns {Promise<void>}
+ */
+async function retryOutboxEntry(id) {
+    const entries = (await getOutboxEntries()).filter(e => id === undefined || e.id === id);
+    for (const entry of entries) {
+        if (entry.status === 'pending') continue;
+        await outboxRequest('readwrite', store => store.put(Object.assign({}, entry, { status: 'pending', error: null })));
+    }
+    await flushOutbox();
+}
+
+/**
+ * Permanently drops a queued mutation.
+ *
+ * @param {number} id - Outbox record ID.
+ * @returns {Promise<void>}
+ */
+async function discardOutboxEntry(id) {
+    await outboxRequest('readwrite', store => store.delete(id)).catch(() => {});
+    refreshOutboxBadge();
+}
+
+/**
+ * Drops every conflicted mutation.
+ *
+ * @returns {Promise<void>}
+ */
+async function discardOutboxConflicts() {
+    const conflicts = (await getOutboxEntries()).filter(e => e.status === 'conflict');
+    for (const entry of conflicts) {
+        await outboxRequest('readwrite', store => store.delete(entry.id)).catch(() => {});
+    }
+    refreshOutboxBadge();
+}
+
+// Lifecycle: replay on reconnect and on every page load; listen for SW-driven replays
+window.addEventListener('online', flushOutbox);
+document.addEventListener('DOMContentLoaded', () => {
+    refreshOutboxBadge();
+    flushOutbox();
+});
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'outbox-replayed') handleOutboxReplayed(event.data.modules);
+    });
+}
+
+window.flushOutbox = flushOutbox;
+window.openOutboxPanel = openOutboxPanel;
+window.closeOutboxPanel = closeOutboxPanel;
+window.retryOutboxEntry = retryOutboxEntry;
+window.discardOutboxEntry = discardOutboxEntry;
+window.discardOutboxConflicts = discardOutboxConflicts;
+
+/**
+ * --- Live State Channel ---
+ *
+ * One shared WebSocket per page that notifies modules when their server-side
+ * state changes. Modules register their existing loadState/render path with
+ * subscribeLiveTopic(); while the socket is down each subscription falls back
+ * to its original polling interval.
+ */
+const LIVE_CONFIG = {
+    URL: '/api/live',
+    RECONNECT_MAX_MS: 30000,        // Cap for exponential reconnect backoff
+    PING_INTERVAL_MS: 25000,        // Keeps proxies from idling the socket out
+    SAFETY_RESYNC_MS: 60000,        // Slow resync while live, for changes made by background tasks
+    DEBOUNCE_MS: 150                // Coalesces bursts of change events per topic
+};
+
+const LIVE_STATE = {
+    socket: null,
+    connected: false,
+    retries: 0,
+    pingTimer: null,
+    reconnectTimer: null,
+    subscriptions: {},              // topic -> [{ callback, fallbackMs, timer }]
+    debounce: {}                    // topic -> timeout id
+};
+
+/**
+ * Registers a module refresh callback for a live topic.
+ *
+ * @param {string} topic - Module key matching its API prefix (e.g. 'shopping').
+ * @param {function} callback - Existing refresh path, e.g. loadState.
+ * @param {number} fallbackMs - Polling interval used while the socket is down.
+ * @returns {function} - Unsubscribe handle.
+ */
+function subscribeLiveTopic(topic, callback, fallbackMs) {
+    const sub = { callback, fallbackMs, timer: null };
+    (LIVE_STATE.subscriptions[topic] = LIVE_STATE.subscriptions[topic] || []).push(sub);
+    scheduleLiveSubscription(sub);
+
+    if (LIVE_STATE.connected) sendLiveMessage({ action: 'subscribe', topics: [topic] });
+    else connectLiveChannel();
+    updateLiveIndicator();
+
+    return () => {
+        clearInterval(sub.timer);
+        const subs = (LIVE_STATE.subscriptions[topic] || []).filter(s => s !== sub);
+        if (subs.length) {
+            LIVE_STATE.subscriptions[topic] = subs;
+        } else {
+            delete LIVE_STATE.subscriptions[topic];
+            sendLiveMessage({ action: 'unsubscribe', topics: [topic] });
+        }
+        updateLiveIndicator();
+    };
+}
+
+/**
+ * (Re)starts a subscription's timer: the module's own interval while polling,
+ * or the slow safety resync while the socket is live.
+ *
+ * @param {Object} sub - Subscription record.
+ * @returns {void}
+ */
+function scheduleLiveSubscription(sub) {
+    clearInterval(sub.timer);
+    const interval = LIVE_STATE.connected
+        ? Math.max(sub.fallbackMs, LIVE_CONFIG.SAFETY_RESYNC_MS)
+        : sub.fallbackMs;
+    sub.timer = setInterval(() => sub.callback(), interval);
+}
+
+/**
+ * Reschedules every subscription after a connection state change.
+ *
+ * @returns {void}
+ */
+function rescheduleLiveSubscriptions() {
+    Object.values(LIVE_STATE.subscriptions).flat().forEach(scheduleLiveSubscription);
+    updateLiveIndicator();
+}
+
+/**
+ * Sends a JSON message when the socket is open.
+ *
+ * @param {Object} msg - Payload.
+ * @returns {void}
+ */
+function sendLiveMessage(msg) {
+    if (LIVE_STATE.socket && LIVE_STATE.socket.readyState === WebSocket.OPEN) {
+        LIVE_STATE.socket.send(JSON.stringify(msg));
+    }
+}
+
+/**
+ * Opens the shared socket (no-op when already connecting or connected).
+ *
+ * @returns {void}
+ */
+function connectLiveChannel() {
+    if (typeof WebSocket === 'undefined') return;
+    if (LIVE_STATE.socket || LIVE_STATE.reconnectTimer) return;
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}${LIVE_CONFIG.URL}`);
+    LIVE_STATE.socket = socket;
+
+    socket.onopen = () => {
+        LIVE_STATE.connected = true;
+        LIVE_STATE.retries = 0;
+        sendLiveMessage({ action: 'subscribe', topics: Object.keys(LIVE_STATE.subscriptions) });
+        LIVE_STATE.pingTimer = setInterval(() => sendLiveMessage({ action: 'ping' }), LIVE_CONFIG.PING_INTERVAL_MS);
+        rescheduleLiveSubscriptions();
+
+        // Catch up on anything that changed while disconnected
+        Object.keys(LIVE_STATE.subscriptions).forEach(notifyLiveTopic);
+    };
+
+    socket.onmessage = (event) => {
+        let msg;
+        try { msg = JSON.parse(event.data); } catch (e) { return; }
+        if (msg && msg.type === 'changed' && msg.topic) notifyLiveTopic(msg.topic);
+    };
+
+    socket.onclose = () => {
+        if (LIVE_STATE.socket !== socket) return;
+        const wasConnected = LIVE_STATE.connected;
+        LIVE_STATE.socket = null;
+        LIVE_STATE.connected = false;
+        clearInterval(LIVE_STATE.pingTimer);
+        if (wasConnected) rescheduleLiveSubscriptions();
+        else updateLiveIndicator();
+
+        if (Object.keys(LIVE_STATE.subscriptions).length === 0) return;
+        const delay = Math.min(1000 * 2 ** LIVE_STATE.retries, LIVE_CONFIG.RECONNECT_MAX_MS);
+        LIVE_STATE.retries += 1;
+        LIVE_STATE.reconnectTimer = setTimeout(() => {
+            LIVE_STATE.reconnectTimer = null;
+            connectLiveChannel();
+        }, delay);
+    };
+}
+
+/**
+ * Invokes all callbacks for a topic, debounced to absorb mutation bursts.
+ *
+ * @param {string} topic - Changed topic.
+ * @returns {void}
+ */
+function notifyLiveTopic(topic) {
+    clearTimeout(LIVE_STATE.debounce[topic]);
+    LIVE_STATE.debounce[topic] = setTimeout(() => {
+        delete LIVE_STATE.debounce[topic];
+        (LIVE_STATE.subscriptions[topic] || []).forEach(sub => sub.callback());
+    }, LIVE_CONFIG.DEBOUNCE_MS);
+}
+
+/**
+ * Reflects the channel state in the menubar indicator.
+ *
+ * @returns {void}
+ */
+function updateLiveIndicator() {
+    const active = Object.keys(LIVE_STATE.subscriptions).length > 0;
+    document.querySelectorAll('.live-indicator').forEach(el => {
+        el.classList.toggle('hidden', !active);
+        el.classList.toggle('is-live', LIVE_STATE.connected);
+        el.classList.toggle('is-polling', !LIVE_STATE.connected);
+        el.title = LIVE_STATE.connected ? 'Live updates connected' : 'Live updates unavailable: polling';
+    });
+}
+
+// Reconnect immediately when the device comes back online
+window.addEventListener('online', () => {
+    if (LIVE_STATE.reconnectTimer) {
+        clearTimeout(LIVE_STATE.reconnectTimer);
+        LIVE_STATE.reconnectTimer = null;
+    }
+    LIVE_STATE.retries = 0;
+    if (Object.keys(LIVE_STATE.subscriptions).length) connectLiveChannel();
+});
+document.addEventListener('DOMContentLoaded', updateLiveIndicator);
+
+window.subscribeLiveTopic = subscribeLiveTopic;
+
+/**
+ * --- Cross-Tab API Sharing ---
+ *
+ * Tabs on the same origin coordinate apiGet traffic over a BroadcastChannel.
+ * One tab per URL (elected with a Web Lock held for the tab's lifetime) does
+ * the fetching and broadcasts every fresh response; follower tabs serve
+ * recent broadcasts from memory, ask the leader for anything older, and
+ * re-render as soon as a broadcast arrives. Mutations made through apiPost
+ * are announced so every tab that reads from that API prefix reloads immediately.
+ */
+const CROSS_TAB_CONFIG = {
+    CHANNEL: 'rendler-api',
+    LOCK_PREFIX: 'rendler-api:',
+    FRESH_MS: 2000,                 // Broadcasts younger than this are served without asking the leader
+    LEADER_WAIT_MS: 1500,           // Follower gives up on the leader and fetches itself after this
+    RENDER_DEBOUNCE_MS: 100         // Coalesces unsolicited broadcasts into one re-render
+};
+
+const CROSS_TAB_STATE = {
+    channel: typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CROSS_TAB_CONFIG.CHANNEL) : null,
+    leading: new Set(),             // URLs this tab is the elected fetcher for
+    claiming: {},                   // url -> pending leadership claim promise
+    watched: new Set(),             // URLs this page has requested (re-render on broadcast)
+    responses: {},                  // url -> { data, at } last response seen by this tab
+    waiters: {},                    // url -> [resolve] followers waiting on the leader
+    serving: new Set(),             // URLs the leader is currently re-fetching for followers
+    dependencies: new Set(),        // API prefixes ("/shopping/api/") this page has read through apiGet
+    renderTimer: null
+};
+
+/**
+ * Returns the API prefix of a URL: its path up to and including "/api/".
+ *
+ * @param {string} url - Request URL.
+ * @returns {string|null} - e.g. "/admin/files/api/", or null for non-API paths.
+ */
+function getApiPrefix(url) {
+    try {
+        const pathname = new URL(url, window.location.origin).pathname;
+        const apiIdx = pathname.indexOf('/api/');
+        return apiIdx >= 0 ? pathname.slice(0, apiIdx + 5) : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a mutated URL feeds data this page has read.
+ * Non-API form endpoints (e.g. "/admin/users/delete/3") match the API prefix
+ * of the section they live under ("/admin/users/api/").
+ *
+ * @param {string} url - Mutation URL from another tab.
+ * @returns {boolean}
+ */
+function pageDependsOnApiUrl(url) {
+    const prefix = getApiPrefix(url);
+    if (prefix) return CROSS_TAB_STATE.dependencies.has(prefix);
+
+    let pathname;
+    try {
+        pathname = new URL(url, window.location.origin).pathname;
+    } catch (_) {
+        return false;
+    }
+    return [...CROSS_TAB_STATE.dependencies].some(dep => pathname.startsWith(dep.slice(0, -'api/'.length)));
+}
+
+/**
+ * Attempts to become the leader tab for a URL without blocking.
+ * The lock is held until the tab closes, at which point a follower takes over.
+ *
+ * @param {string} url - API URL to lead.
+ * @returns {Promise<boolean>} - True if this tab leads the URL.
+ */
+function claimApiLeadership(url) {
+    if (!navigator.locks) return Promise.resolve(true);
+    if (CROSS_TAB_STATE.leading.has(url)) return Promise.resolve(true);
+    if (CROSS_TAB_STATE.claiming[url]) return CROSS_TAB_STATE.claiming[url];
+
+    const claim = new Promise(resolve => {
+        navigator.locks.request(CROSS_TAB_CONFIG.LOCK_PREFIX + url, { ifAvailable: true }, lock => {
+            delete CROSS_TAB_STATE.claiming[url];
+            if (!lock) {
+                resolve(false);
+                return;
+            }
+            CROSS_TAB_STATE.leading.add(url);
+            resolve(true);
+            return new Promise(() => {});
+        }).catch(() => {
+            delete CROSS_TAB_STATE.claiming[url];
+            resolve(true);
+        });
+    });
+    CROSS_TAB_STATE.claiming[url] = claim;
+    return claim;
+}
+
+/**
+ * Resolves an apiGet from another tab instead of the network, when possible.
+ * Leaders (and tabs without BroadcastChannel) always return null and fetch.
+ *
+ * @param {string} url - API URL being requested.
+ * @param {number} timeout - Caller's timeout; bounds the wait for the leader.
+ * @returns {Promise<Object|null>} - Shared response, or null to fetch directly.
+ */
+async function getSharedApiResponse(url, timeout) {
+    if (!CROSS_TAB_STATE.channel) return null;
+    CROSS_TAB_STATE.watched.add(url);
+
+    const recent = CROSS_TAB_STATE.responses[url];
+    if (recent && Date.now() - recent.at < CROSS_TAB_CONFIG.FRESH_MS) {
+        return structuredClone(recent.data);
+    }
+
+    if (await claimApiLeadership(url)) return null;
+
+    return new Promise(resolve => {
+        const waiters = CROSS_TAB_STATE.waiters[url] = CROSS_TAB_STATE.waiters[url] || [];
+        const waiter = data => {
+            clearTimeout(timer);
+            resolve(data ? structuredClone(data) : null);
+        };
+        const timer = setTimeout(() => {
+            const idx = waiters.indexOf(waiter);
+            if (idx !== -1) waiters.splice(idx, 1);
+            resolve(null);
+        }, Math.min(timeout, CROSS_TAB_CONFIG.LEADER_WAIT_MS));
+        waiters.push(waiter);
+        CROSS_TAB_STATE.channel.postMessage({ type: 'request', url });
+    });
+}
+
+/**
+ * Records a fresh network response and shares it with the other tabs.
+ *
+ * @param {string} url - API URL that was fetched.
+ * @param {Object} data - Parsed successful response.
+ * @returns {void}
+ */
+function shareApiResponse(url, data) {
+    CROSS_TAB_STATE.watched.add(url);
+    CROSS_TAB_STATE.responses[url] = { data: structuredClone(data), at: Date.now() };
+    if (!CROSS_TAB_STATE.channel) return;
+    CROSS_TAB_STATE.channel.postMessage({ type: 'response', url, data });
+    claimApiLeadership(url);
+}
+
+/**
+ * Announces a successful mutation so other tabs on that module reload.
+ *
+ * @param {string} url - apiPost URL that succeeded.
+ * @returns {void}
+ */
+function broadcastApiMutation(url) {
+    const module = getApiModule(url);
+    if (!module) return;
+
+    // Drop remembered responses for the module so the reload hits the network
+    Object.keys(CROSS_TAB_STATE.responses).forEach(key => {
+        if (getApiModule(key) === module) delete CROSS_TAB_STATE.responses[key];
+    });
+    if (CROSS_TAB_STATE.channel) CROSS_TAB_STATE.channel.postMessage({ type: 'mutated', module, url });
+}
+
+/**
+ * Re-renders the current module after a broadcast nobody in this tab asked for.
+ * loadState's apiGet is then answered from the broadcast without a request.
+ *
+ * @param {string} url - URL whose response arrived.
+ * @returns {void}
+ */
+function scheduleCrossTabRender(url) {
+    clearTimeout(CROSS_TAB_STATE.renderTimer);
+    CROSS_TAB_STATE.renderTimer = setTimeout(() => {
+        window.dispatchEvent(new CustomEvent('apiGetShared', { detail: { url } }));
+        if (typeof window.loadState === 'function') window.loadState();
+    }, CROSS_TAB_CONFIG.RENDER_DEBOUNCE_MS);
+}
+
+if (CROSS_TAB_STATE.channel) {
+    CROSS_TAB_STATE.channel.addEventListener('message', (event) => {
+        const msg = event.data || {};
+
+        if (msg.type === 'response') {
+            CROSS_TAB_STATE.responses[msg.url] = { data: msg.data, at: Date.now() };
+            const waiters = CROSS_TAB_STATE.waiters[msg.url];
+            delete CROSS_TAB_STATE.waiters[msg.url];
+            if (waiters && waiters.length) {
+                waiters.forEach(resolve => resolve(msg.data));
+            } else if (CROSS_TAB_STATE.watched.has(msg.url) && pageDependsOnApiUrl(msg.url) && !document.hidden) {
+                scheduleCrossTabRender(msg.url);
+            }
+        } else if (msg.type === 'request') {
+            if (!CROSS_TAB_STATE.leading.has(msg.url)) return;
+
+            // Re-broadcast a recent response instead of fetching again
+            const recent = CROSS_TAB_STATE.responses[msg.url];
+            if (recent && Date.now() - recent.at < CROSS_TAB_CONFIG.FRESH_MS) {
+                CROSS_TAB_STATE.channel.postMessage({ type: 'response', url: msg.url, data: recent.data });
+                return;
+            }
+            if (CROSS_TAB_STATE.serving.has(msg.url)) return;
+            CROSS_TAB_STATE.serving.add(msg.url);
+            apiGet(msg.url).finally(() => CROSS_TAB_STATE.serving.delete(msg.url));
+        } else if (msg.type === 'mutated') {
+            API_GET_STATE.epochs[msg.module] = (API_GET_STATE.epochs[msg.module] || 0) + 1;
+            Object.keys(CROSS_TAB_STATE.responses).forEach(key => {
+                if (getApiModule(key) === msg.module) delete CROSS_TAB_STATE.responses[key];
+            });
+            // Only reload for data this page actually reads; a full loadState is expensive (e.g. the notes board)
+            if (msg.url && pageDependsOnApiUrl(msg.url) && typeof window.loadState === 'function') {
+                window.loadState(true);
+            }
+        }
+    });
+}
+
+/**
+ * --- Client Router ---
+ *
+ * Shared History API router. Modules register path patterns for their views
+ * and modals; deep links such as /calendar/event/123 open the matching modal
+ * on load, and the back button walks back through routes instead of leaving
+ * the module. Unrouted modals that opt in with a `data-history-modal`
+ * attribute also get a history entry while they are open, so Back closes
+ * the top-most one first; other overlays never touch history.
+ */
+const ROUTER_CONFIG = {
+    OVERLAY_SELECTOR: '.modal-overlay, .delete-modal-overlay',
+    HISTORY_ATTR: 'data-history-modal',
+    CLOSE_SELECTOR: '.close-btn, .close-modal, .delete-modal-close, .custom-modal-close, .btn-close, [data-modal-close]'
+};
+
+const ROUTER_STATE = {
+    routes: [],                     // { pattern, regex, keys, open, close, modal, base }
+    active: null,                   // { route, params, path } currently open route
+    modalStack: [],                 // Opted-in unrouted overlays that own a history entry
+    ignorePops: 0,                  // popstates caused by our own history.back()/go()
+    afterPop: null,                 // Runs once our own pending popstates have arrived
+    started: false
+};
+
+/**
+ * Registers a view or modal route.
+ *
+ * @param {string} pattern - Path pattern with :params, e.g. '/receipts/:id'.
+ * @param {Object} handlers
+ * @param {function(Object, Object): (void|Promise<void>)} handlers.open - Called with
+ *        (params, { initial }) when the route becomes active.
+ * @param {function(): void} [handlers.close] - Called when the route is left via navigation.
+ * @param {string} [handlers.modal] - Element id of the modal this route opens; closing it
+ *        from the UI returns the URL to `base`.
+ * @param {string} [handlers.base] - Path to return to when the modal closes (default: '/<module>').
+ * @returns {void}
+ */
+function registerRoute(pattern, handlers) {
+    const keys = [];
+    const source = pattern.replace(/\/$/, '').replace(/:([a-z_]+)/gi, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    });
+    ROUTER_STATE.routes.push({
+        pattern,
+        regex: new RegExp(`^${source || ''}/?$`),
+        keys,
+        open: handlers.open,
+        close: handlers.close || null,
+        modal: handlers.modal || null,
+        base: handlers.base || '/' + (pattern.split('/')[1] || '')
+    });
+
+    // Routes registered after start-up still honour the current deep link
+    if (ROUTER_STATE.started && !ROUTER_STATE.active) resolveRoute(window.location.pathname, true);
+}
+
+/**
+ * Finds the registered route matching a path.
+ *
+ * @param {string} path - Location pathname.
+ * @returns {{route: Object, params: Object, path: string}|null}
+ */
+function matchRoute(path) {
+    for (const route of ROUTER_STATE.routes) {
+        const match = path.match(route.regex);
+        if (!match) continue;
+        const params = {};
+        route.keys.forEach((key, i) => { params[key] = decodeURIComponent(match[i + 1]); });
+        return { route, params, path };
+    }
+    return null;
+}
+
+/**
+ * Activates the route for a path, closing the previously active one.
+ *
+ * @param {string} path - Location pathname.
+ * @param {boolean} [initial=false] - True for the page's first resolution.
+ * @returns {Promise<void>}
+ */
+async function resolveRoute(path, initial = false) {
+    const next = matchRoute(path);
+    const prev = ROUTER_STATE.active;
+    if (prev && next && prev.path === next.path) return;
+
+    ROUTER_STATE.active = next;
+    if (prev && prev.route.close) prev.route.close();
+    if (!next) return;
+
+    try {
+        await next.route.open(next.params, { initial });
+    } catch (err) {
+        console.error(`Route ${next.route.pattern} failed to open:`, err);
+    }
+}
+
+/**
+ * Navigates to a path within the SPA without reloading the page.
+ *
+ * @param {string} path - Target path (may include a query string).
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current entry instead of pushing.
+ * @returns {Promise<void>}
+ */
+function navigateTo(path, options = {}) {
+    const method = options.replace ? 'replaceState' : 'pushState';
+    window.history[method]({ rendlerRoute: true }, '', path);
+    return resolveRoute(new URL(path, window.location.origin).pathname);
+}
+
+/**
+ * Leaves the active modal route after its modal was closed from the UI.
+ * Pops our own history entry when there is one, so Forward still works.
+ *
+ * @returns {void}
+ */
+function leaveModalRoute() {
+    const active = ROUTER_STATE.active;
+    if (!active) return;
+    ROUTER_STATE.active = null;
+
+    if (window.history.state && window.history.state.rendlerRoute) {
+        ROUTER_STATE.ignorePops++;
+        window.history.back();
+    } else {
+        window.history.replaceState(null, '', active.route.base);
+    }
+}
+
+/**
+ * Closes an overlay the way its own UI would.
+ *
+ * @param {HTMLElement} overlay - Open modal overlay.
+ * @returns {void}
+ */
+function closeOverlayFromHistory(overlay) {
+    if (overlay.classList.contains('universal-image-viewer-modal') && typeof window.closeImageViewer === 'function') {
+        window.closeImageViewer(overlay.id);
+        return;
+    }
+    const closeBtn = overlay.querySelector(ROUTER_CONFIG.CLOSE_SELECTOR);
+    if (closeBtn) {
+        closeBtn.click();
+        return;
+    }
+    overlay.classList.remove('show', 'active');
+    if (!hasVisibleModalOverlay()) document.body.classList.remove('modal-open');
+}
+
+/**
+ * Tracks opted-in overlays opening and closing so each one owns a history entry.
+ * A modal that replaces another in the same batch (details -> edit) takes
+ * over its entry instead of touching history twice, and several closing in one
+ * batch are popped with a single history.go() so only one popstate is ignored.
+ *
+ * @param {HTMLElement[]} overlays - Modal overlays whose state may have changed.
+ * @returns {void}
+ */
+function syncOverlayHistory(overlays) {
+    const opened = [];
+    const closed = [];
+    const active = ROUTER_STATE.active;
+    let routeClosed = false;
+
+    overlays.forEach(overlay => {
+        const isOpen = overlay.isConnected && (overlay.classList.contains('show') || overlay.classList.contains('active'));
+        const tracked = ROUTER_STATE.modalStack.includes(overlay);
+
+        if (active && active.route.modal && overlay.id === active.route.modal) {
+            if (!isOpen) routeClosed = true;
+            return;
+        }
+        if (isOpen && !tracked && overlay.hasAttribute(ROUTER_CONFIG.HISTORY_ATTR)) opened.push(overlay);
+        if (!isOpen && tracked) closed.push(overlay);
+    });
+
+    let leaveRoute = false;
+    if (routeClosed) {
+        const replacement = opened.shift();
+        if (replacement) {
+            // The routed modal handed over to another one: reuse its entry at the base path
+            ROUTER_STATE.active = null;
+            window.history.replaceState({ rendlerModal: true }, '', active.route.base);
+            ROUTER_STATE.modalStack.push(replacement);
+        } else {
+            leaveRoute = true;
+        }
+    }
+
+    let steps = 0;
+    closed.forEach(overlay => {
+        const idx = ROUTER_STATE.modalStack.indexOf(overlay);
+        const replacement = opened.shift();
+        if (replacement) {
+            ROUTER_STATE.modalStack[idx] = replacement;
+            return;
+        }
+        ROUTER_STATE.modalStack.splice(idx, 1);
+        steps++;
+    });
+
+    if (steps && window.history.state && window.history.state.rendlerModal) {
+        // Leave the route only once the modal entries above it are gone
+        if (leaveRoute) ROUTER_STATE.afterPop = leaveModalRoute;
+        ROUTER_STATE.ignorePops++;
+        window.history.go(-steps);
+    } else if (leaveRoute) {
+        leaveModalRoute();
+    }
+
+    opened.forEach(overlay => {
+        ROUTER_STATE.modalStack.push(overlay);
+        window.history.pushState({ rendlerModal: true }, '', window.location.href);
+    });
+}
+
+window.addEventListener('popstate', () => {
+    if (ROUTER_STATE.ignorePops > 0) {
+        ROUTER_STATE.ignorePops--;
+        const afterPop = ROUTER_STATE.ignorePops === 0 ? ROUTER_STATE.afterPop : null;
+        if (afterPop) {
+            ROUTER_STATE.afterPop = null;
+            afterPop();
+        }
+        return;
+    }
+
+    // Back closes the top-most unrouted modal before anything else
+    const overlay = ROUTER_STATE.modalStack.pop();
+    if (overlay) {
+        closeOverlayFromHistory(overlay);
+        return;
+    }
+    resolveRoute(window.location.pathname);
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    new MutationObserver(mutations => {
+        const seen = new Set();
+        mutations.forEach(m => {
+            const nodes = m.type === 'attributes' ? [m.target] : [...m.addedNodes, ...m.removedNodes];
+            nodes.forEach(node => {
+                if (node.nodeType === 1 && node.matches(ROUTER_CONFIG.OVERLAY_SELECTOR)) seen.add(node);
+            });
+        });
+        if (seen.size) syncOverlayHistory([...seen]);
+    }).observe(document.body, { subtree: true, childList: true, attributes: true, attributeFilter: ['class'] });
+
+    // Resolve the deep link once every module has registered its routes
+    setTimeout(() => {
+        ROUTER_STATE.started = true;
+        const initial = matchRoute(window.location.pathname);
+        if (!initial) return;
+
+        // Give routed modals an entry to go back to, so Back closes them instead of leaving
+        if (initial.route.modal) {
+            const deepLink = window.location.pathname + window.location.search;
+            window.history.replaceState(null, '', initial.route.base);
+            window.history.pushState({ rendlerRoute: true }, '', deepLink);
+        }
+        resolveRoute(window.location.pathname, true);
+    }, 0);
+});
+
+window.registerRoute = registerRoute;
+window.navigateTo = navigateTo;
+
+/**
+ * --- Client Telemetry ---
+ *
+ * Batches uncaught errors, unhandled rejections, failed API calls and slow
+ * renders, then posts them to /api/telemetry with module, page, client and
+ * app-version context (the server stamps the user). Identical events within
+ * a batch collapse into one entry with a count, and each page load has a hard
+ * cap so a render loop cannot flood the collector.
+ */
+const TELEMETRY_CONFIG = {
+    ENDPOINT: '/api/telemetry',
+    FLUSH_MS: 10000,
+    MAX_BATCH: 20,
+    MAX_PER_PAGE: 100,
+    MAX_TEXT: 2000,
+    SLOW_TASK_MS: 300,              // Long task threshold (main thread blocked)
+    SLOW_LOAD_MS: 5000              // Page load threshold (navigation start -> load end)
+};
+
+const TELEMETRY_STATE = {
+    queue: [],
+    recorded: 0,
+    timer: null
+};
+
+/**
+ * Classifies the running client for grouping in the admin view.
+ *
+ * @returns {{client: string, platform: string}}
+ */
+function getTelemetryClient() {
+    const ua = navigator.userAgent || '';
+    const android = ua.match(/Android\s([\d.]+)/);
+    const ios = ua.match(/OS (\d+)[_\d]* like Mac OS X/);
+    const platform = android ? `Android ${android[1].split('.')[0]}`
+        : ios ? `iOS ${ios[1]}`
+        : /Windows/.test(ua) ? 'Windows'
+        : /Mac OS X/.test(ua) ? 'macOS'
+        : /Linux/.test(ua) ? 'Linux'
+        : 'Unknown';
+
+    let client = 'browser';
+    if (window.Capacitor && window.Capacitor.isNativePlatform()) {
+        client = window.Capacitor.getPlatform() === 'ios' ? 'ios-app' : 'android-app';
+    } else if (window.matchMedia('(display-mode: standalone)').matches || navigator.standalone) {
+        client = 'pwa';
+    }
+    return { client, platform };
+}
+
+/**
+ * Queues a telemetry event for the next batch.
+ *
+ * @param {string} kind - 'error' | 'rejection' | 'api' | 'slow_render'.
+ * @param {string} message - Short description used for grouping.
+ * @param {Object} [extra] - { source, detail } where detail holds stack/status/duration.
+ * @returns {void}
+ */
+function recordTelemetry(kind, message, extra = {}) {
+    const text = String(message || '').slice(0, TELEMETRY_CONFIG.MAX_TEXT);
+    const source = extra.source ? String(extra.source).slice(0, 255) : '';
+
+    const existing = TELEMETRY_STATE.queue.find(e => e.kind === kind && e.message === text && e.source === source);
+    if (existing) {
+        existing.count++;
+        return;
+    }
+    if (TELEMETRY_STATE.recorded >= TELEMETRY_CONFIG.MAX_PER_PAGE) return;
+    TELEMETRY_STATE.recorded++;
+
+    TELEMETRY_STATE.queue.push({
+        kind,
+        message: text,
+        source,
+        module: getApiModule(window.location.pathname),
+        page: window.location.pathname,
+        count: 1,
+        detail: extra.detail || {}
+    });
+
+    if (TELEMETRY_STATE.queue.length >= TELEMETRY_CONFIG.MAX_BATCH) flushTelemetry();
+    else if (!TELEMETRY_STATE.timer) TELEMETRY_STATE.timer = setTimeout(flushTelemetry, TELEMETRY_CONFIG.FLUSH_MS);
+}
+
+/**
+ * Records a failed apiGet/apiPost. Offline failures are expected and skipped;
+ * the collector's own endpoint is never reported.
+ *
+ * @param {string} method - 'GET' or 'POST'.
+ * @param {string} url - Request URL.
+ * @param {Error} err - Failure raised by the wrapper.
+ * @returns {void}
+ */
+function recordApiFailure(method, url, err) {
+    if (navigator.onLine === false || String(url).startsWith(TELEMETRY_CONFIG.ENDPOINT)) return;
+
+    let path = url;
+    try { path = new URL(url, window.location.origin).pathname; } catch (_) { /* keep raw */ }
+
+    const reason = err && err.name === 'AbortError' ? 'Timed out' : (err && err.message) || 'Request failed';
+    recordTelemetry('api', `${method} ${path}: ${reason}`, {
+        source: path,
+        detail: { status: err && err.status ? err.status : null, url: String(url).slice(0, 500) }
+    });
+}
+
+/**
+ * Sends queued events. Uses keepalive so a batch flushed while the page is
+ * being hidden still reaches the server; failures are dropped silently.
+ *
+ * @returns {void}
+ */
+function flushTelemetry() {
+    clearTimeout(TELEMETRY_STATE.timer);
+    TELEMETRY_STATE.timer = null;
+    if (!TELEMETRY_STATE.queue.length || navigator.onLine === false) return;
+
+    const events = TELEMETRY_STATE.queue.splice(0, TELEMETRY_CONFIG.MAX_BATCH);
+    const body = JSON.stringify({
+        app_version: typeof APP_VERSION !== 'undefined' ? APP_VERSION : 'unknown',
+        ...getTelemetryClient(),
+        events
+    });
+
+    fetch(TELEMETRY_CONFIG.ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+    }).catch(() => {});
+
+    if (TELEMETRY_STATE.queue.length) TELEMETRY_STATE.timer = setTimeout(flushTelemetry, TELEMETRY_CONFIG.FLUSH_MS);
+}
+
+window.addEventListener('error', (e) => {
+    // Resource load failures (img/script 404) bubble without an ErrorEvent message
+    if (!e.message) return;
+    recordTelemetry('error', e.message, {
+        source: e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : '',
+        detail: { stack: e.error && e.error.stack ? String(e.error.stack).slice(0, TELEMETRY_CONFIG.MAX_TEXT) : null }
+    });
+});
+
+window.addEventListener('unhandledrejection', (e) => {
+    const reason = e.reason;
+    recordTelemetry('rejection', reason && reason.message ? reason.message : String(reason), {
+        detail: { stack: reason && reason.stack ? String(reason.stack).slice(0, TELEMETRY_CONFIG.MAX_TEXT) : null }
+    });
+});
+
+// Slow renders: main-thread long tasks plus an overall slow page load
+if ('PerformanceObserver' in window && (PerformanceObserver.supportedEntryTypes || []).includes('longtask')) {
+    new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => {
+            if (entry.duration < TELEMETRY_CONFIG.SLOW_TASK_MS) return;
+            recordTelemetry('slow_render', `Long task over ${TELEMETRY_CONFIG.SLOW_TASK_MS}ms`, {
+                detail: { duration: Math.round(entry.duration) }
+            });
+        });
+    }).observe({ type: 'longtask', buffered: true });
+}
+
+window.addEventListener('load', () => {
+    setTimeout(() => {
+        const nav = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+        if (nav && nav.loadEventEnd > TELEMETRY_CONFIG.SLOW_LOAD_MS) {
+            recordTelemetry('slow_render', `Page load over ${TELEMETRY_CONFIG.SLOW_LOAD_MS / 1000}s`, {
+                detail: {
+                    duration: Math.round(nav.loadEventEnd),
+                    dom_ready: Math.round(nav.domContentLoadedEventEnd),
+                    response_end: Math.round(nav.responseEnd)
+                }
+            });
+        }
+    }, 0);
+});
+
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushTelemetry();
+});
+window.addEventListener('pagehide', flushTelemetry);
+window.addEventListener('online', flushTelemetry);
+
+window.recordTelemetry = recordTelemetry;
+
+/**
+ * --- Command Palette & Shortcuts ---
+ *
+ * Ctrl+K (Cmd+K) opens a palette that searches every menu link plus actions
+ * registered by the current module. Modules can also bind single-key or
+ * modifier shortcuts; `?` lists every shortcut active on the page.
+ */
+const COMMAND_CONFIG = {
+    MAX_RESULTS: 12,
+    MENU_URL: '/menu/api/menubar'
+};
+
+const COMMAND_STATE = {
+    commands: [],                   // { id, title, section, keywords, shortcut, run }
+    providers: [],                  // { section, fn } returning commands at open time
+    shortcuts: [],                  // { combo, description, section, run|null }
+    menuLinks: null,                // Flattened menubar links, loaded on first open
+    results: [],
+    selected: 0
+};
+
+/**
+ * Registers a palette action for the current page.
+ * Registering an existing id replaces the previous action.
+ *
+ * @param {Object} cmd
+ * @param {string} cmd.id - Unique id, e.g. 'shopping.add'.
+ * @param {string} cmd.title - Label shown in the palette.
+ * @param {function(): void} cmd.run - Action to perform.
+ * @param {string} [cmd.section] - Group label (defaults to the module name).
+ * @param {string} [cmd.keywords] - Extra search terms.
+ * @param {string} [cmd.shortcut] - Key combo that also triggers it, e.g. 'n' or 'mod+shift+z'.
+ * @returns {void}
+ */
+function registerCommand(cmd) {
+    const entry = Object.assign({ section: getApiModule(window.location.pathname), keywords: '' }, cmd);
+    COMMAND_STATE.commands = COMMAND_STATE.commands.filter(c => c.id !== entry.id);
+    COMMAND_STATE.commands.push(entry);
+    if (entry.shortcut) registerShortcut(entry.shortcut, entry.title, entry.run, entry.section);
+}
+
+/**
+ * Registers a function that supplies commands from live module state
+ * (e.g. one "Start timer" action per timer) each time the palette opens.
+ *
+ * @param {string} section - Group label.
+ * @param {function(): Object[]} fn - Returns command objects (id, title, run, keywords).
+ * @returns {void}
+ */
+function registerCommandProvider(section, fn) {
+    COMMAND_STATE.providers.push({ section, fn });
+}
+
+/**
+ * Registers a keyboard shortcut for the current page.
+ * Pass a null handler to only document a key the module handles itself.
+ *
+ * @param {string} combo - e.g. 'n', 'mod+k', 'shift+d', 'escape'. 'mod' is Ctrl or Cmd.
+ * @param {string} description - Shown in the `?` help overlay.
+ * @param {function(KeyboardEvent): void|null} run - Handler, or null for documentation only.
+ * @param {string} [section] - Group label (defaults to the module name).
+ * @returns {void}
+ */
+function registerShortcut(combo, description, run, section) {
+    const normalized = combo.toLowerCase().split('+').map(k => k.trim()).sort().join('+');
+    COMMAND_STATE.shortcuts = COMMAND_STATE.shortcuts.filter(s => s.combo !== normalized);
+    COMMAND_STATE.shortcuts.push({
+        combo: normalized,
+        label: combo,
+        description,
+        section: section || getApiModule(window.location.pathname),
+        run: run || null
+    });
+}
+
+/**
+ * Builds the normalized combo string for a keydown event.
+ *
+ * @param {KeyboardEvent} e
+ * @returns {string} - e.g. 'k+mod', 'd+shift' (parts sorted).
+ */
+function getEventCombo(e) {
+    const parts = [e.key === ' ' ? 'space' : e.key.toLowerCase()];
+    if (e.ctrlKey || e.metaKey) parts.push('mod');
+    if (e.altKey) parts.push('alt');
+    // Shifted symbols ('?') already encode shift in e.key
+    if (e.shiftKey && e.key.length === 1 && e.key.toLowerCase() !== e.key.toUpperCase()) parts.push('shift');
+    return parts.sort().join('+');
+}
+
+/**
+ * Formats a combo for display: 'mod+shift+z' -> 'Ctrl+Shift+Z'.
+ *
+ * @param {string} combo
+ * @returns {string}
+ */
+function formatShortcut(combo) {
+    const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+    return combo.split('+').map(part => {
+        if (part === 'mod') return isMac ? '⌘' : 'Ctrl';
+        if (part.length === 1) return part.toUpperCase();
+        return part.charAt(0).toUpperCase() + part.slice(1);
+    }).join('+');
+}
+
+/**
+ * Loads and flattens the menubar tree into palette entries (once per page).
+ *
+ * @async
+ * @returns {Promise<Object[]>}
+ */
+async function loadCommandMenuLinks() {
+    if (COMMAND_STATE.menuLinks) return COMMAND_STATE.menuLinks;
+
+    const links = [];
+    const data = await apiGet(COMMAND_CONFIG.MENU_URL);
+    const toText = html => new DOMParser().parseFromString(String(html || ''), 'text/html').body.textContent.trim();
+    const walk = (items, parent) => (items || []).forEach(item => {
+        if (item.is_separator) return;
+        const label = toText(item.label);
+        if (item.children && item.children.length) {
+            walk(item.children, label);
+        } else if (item.url) {
+            links.push({
+                id: `menu:${item.url}`,
+                title: label,
+                section: parent || 'Menu',
+                keywords: item.url,
+                run: () => {
+                    if (item.target === '_blank') window.open(item.url, '_blank', 'noopener,noreferrer');
+                    else window.location.href = item.url;
+                }
+            });
+        }
+    });
+
+    if (data && data.success) walk(data.menu);
+    COMMAND_STATE.menuLinks = links;
+    return links;
+}
+
+/**
+ * Scores a command against a query: every word must appear; earlier and
+ * word-start matches in the title rank higher. Returns -1 for no match.
+ *
+ * @param {Object} cmd
+ * @param {string[]} words - Lower-cased query words.
+ * @returns {number}
+ */
+function scoreCommand(cmd, words) {
+    const title = cmd.title.toLowerCase();
+    const haystack = `${title} ${String(cmd.section).toLowerCase()} ${String(cmd.keywords).toLowerCase()}`;
+    let score = 0;
+    for (const word of words) {
+        const idx = haystack.indexOf(word);
+        if (idx === -1) return -1;
+        const titleIdx = title.indexOf(word);
+        if (titleIdx === 0) score += 30;
+        else if (titleIdx > 0 && title[titleIdx - 1] === ' ') score += 20;
+        else if (titleIdx > 0) score += 10;
+        else score += 2;
+    }
+    return score;
+}
+
+/**
+ * Opens the command palette, building it on first use.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function openCommandPalette() {
+    let modal = document.getElementById('commandPalette');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'commandPalette';
+        modal.className = 'modal-overlay command-palette-overlay';
+        modal.innerHTML = `
+            <div class="modal-content command-palette">
+                <input type="text" id="commandPaletteInput" class="command-palette-input" placeholder="Type a command or page…" autocomplete="off" spellcheck="false">
+                <div class="command-palette-results" id="commandPaletteResults" role="listbox"></div>
+                <div class="command-palette-footer">↑↓ to navigate · Enter to run · Esc to close · ? for shortcuts</div>
+            </div>`;
+        modal.addEventListener('click', e => { if (e.target === modal) closeCommandPalette(); });
+        document.body.appendChild(modal);
+
+        const input = modal.querySelector('#commandPaletteInput');
+        input.addEventListener('input', () => renderCommandPalette(input.value));
+        input.addEventListener('keydown', handleCommandPaletteKeydown);
+        modal.querySelector('#commandPaletteResults').addEventListener('click', e => {
+            const row = e.target.closest('[data-index]');
+            if (row) runPaletteCommand(parseInt(row.dataset.index, 10));
+        });
+    }
+
+    const input = document.getElementById('commandPaletteInput');
+    input.value = '';
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+    input.focus();
+
+    renderCommandPalette('');
+    await loadCommandMenuLinks();
+    if (modal.classList.contains('show')) renderCommandPalette(input.value);
+}
+
+/**
+ * Closes the command palette.
+ *
+ * @returns {void}
+ */
+function closeCommandPalette() {
+    const modal = document.getElementById('commandPalette');
+    if (!modal) return;
+    modal.classList.remove('show');
+    if (!hasVisibleModalOverlay()) document.body.classList.remove('modal-open');
+}
+
+/**
+ * Collects page actions, provider actions and menu links.
+ *
+ * @returns {Object[]}
+ */
+function getPaletteCommands() {
+    const provided = [];
+    COMMAND_STATE.providers.forEach(({ section, fn }) => {
+        try {
+            (fn() || []).forEach(cmd => provided.push(Object.assign({ section, keywords: '' }, cmd)));
+        } catch (err) {
+            console.warn(`Command provider "${section}" failed:`, err);
+        }
+    });
+    return [...COMMAND_STATE.commands, ...provided, ...(COMMAND_STATE.menuLinks || [])];
+}
+
+/**
+ * Filters and renders palette results for a query.
+ *
+ * @param {string} query
+ * @returns {void}
+ */
+function renderCommandPalette(query) {
+    const container = document.getElementById('commandPaletteResults');
+    if (!container) return;
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const all = getPaletteCommands();
+    COMMAND_STATE.results = (words.length
+        ? all.map(cmd => ({ cmd, score: scoreCommand(cmd, words) }))
+            .filter(r => r.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .map(r => r.cmd)
+        : all
+    ).slice(0, COMMAND_CONFIG.MAX_RESULTS);
+    COMMAND_STATE.selected = 0;
+
+    if (!COMMAND_STATE.results.length) {
+        container.innerHTML = '<div class="empty-state"><p>No matching commands</p></div>';
+        return;
+    }
+
+    container.innerHTML = COMMAND_STATE.results.map((cmd, i) => `
+        <div class="command-palette-item ${i === 0 ? 'is-selected' : ''}" data-index="${i}" role="option">
+            <span class="command-palette-title">${escapeHtml(cmd.title)}</span>
+            <span class="command-palette-meta">
+                ${cmd.shortcut ? `<kbd>${escapeHtml(formatShortcut(cmd.shortcut))}</kbd>` : ''}
+                <span class="command-palette-section">${escapeHtml(cmd.section)}</span>
+            </span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Keyboard navigation inside the palette input.
+ *
+ * @param {KeyboardEvent} e
+ * @returns {void}
+ */
+function handleCommandPaletteKeydown(e) {
+    const count = COMMAND_STATE.results.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!count) return;
+        COMMAND_STATE.selected = (COMMAND_STATE.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        document.querySelectorAll('.command-palette-item').forEach((row, i) => {
+            row.classList.toggle('is-selected', i === COMMAND_STATE.selected);
+            if (i === COMMAND_STATE.selected) row.scrollIntoView({ block: 'nearest' });
+        });
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteCommand(COMMAND_STATE.selected);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        closeCommandPalette();
+    }
+}
+
+/**
+ * Closes the palette and runs the chosen result.
+ *
+ * @param {number} index - Index into COMMAND_STATE.results.
+ * @returns {void}
+ */
+function runPaletteCommand(index) {
+    const cmd = COMMAND_STATE.results[index];
+    if (!cmd) return;
+    closeCommandPalette();
+    try {
+        cmd.run();
+    } catch (err) {
+        console.error(`Command "${cmd.title}" failed:`, err);
+        showToast('Command failed', 'error');
+    }
+}
+
+/**
+ * Opens the `?` overlay listing every shortcut active on this page.
+ *
+ * @returns {void}
+ */
+function openShortcutHelp() {
+    let modal = document.getElementById('shortcutHelpModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'shortcutHelpModal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content shortcut-help">
+                <div class="modal-header">
+                    <h2>⌨️ Keyboard Shortcuts</h2>
+                    <button type="button" class="close-btn" onclick="closeShortcutHelp()">&times;</button>
+                </div>
+                <div class="modal-body" id="shortcutHelpBody"></div>
+            </div>`;
+        modal.addEventListener('click', e => { if (e.target === modal) closeShortcutHelp(); });
+        document.body.appendChild(modal);
+    }
+
+    const sections = {};
+    COMMAND_STATE.shortcuts.forEach(s => {
+        (sections[s.section] = sections[s.section] || []).push(s);
+    });
+
+    document.getElementById('shortcutHelpBody').innerHTML = Object.keys(sections).map(section => `
+        <div class="shortcut-help-section">
+            <h3>${escapeHtml(section)}</h3>
+            ${sections[section].map(s => `
+                <div class="shortcut-help-row">
+                    <span>${escapeHtml(s.description)}</span>
+                    <kbd>${escapeHtml(formatShortcut(s.label))}</kbd>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+}
+
+/**
+ * Closes the shortcut help overlay.
+ *
+ * @returns {void}
+ */
+function closeShortcutHelp() {
+    const modal = document.getElementById('shortcutHelpModal');
+    if (!modal) return;
+    modal.classList.remove('show');
+    if (!hasVisibleModalOverlay()) document.body.classList.remove('modal-open');
+}
+
+// Platform-wide bindings; module shortcuts are layered on top
+registerShortcut('mod+k', 'Open command palette', () => {
+    if (document.getElementById('commandPalette')?.classList.contains('show')) closeCommandPalette();
+    else openCommandPalette();
+}, 'Global');
+registerShortcut('?', 'Show keyboard shortcuts', openShortcutHelp, 'Global');
+
+document.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || e.isComposing || ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+    if (e.key === 'Escape' && document.getElementById('shortcutHelpModal')?.classList.contains('show')) {
+        e.preventDefault();
+        closeShortcutHelp();
+        return;
+    }
+
+    const combo = getEventCombo(e);
+    const shortcut = COMMAND_STATE.shortcuts.find(s => s.run && s.combo === combo);
+    if (!shortcut) return;
+
+    // Plain keys never fire while typing or while another modal owns the keyboard
+    const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+    const isEntry = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]');
+    if (!hasModifier && (isEntry || hasVisibleModalOverlay())) return;
+
+    e.preventDefault();
+    shortcut.run(e);
+});
+
+window.registerCommand = registerCommand;
+window.registerCommandProvider = registerCommandProvider;
+window.registerShortcut = registerShortcut;
+window.openCommandPalette = openCommandPalette;
+window.closeCommandPalette = closeCommandPalette;
+window.closeShortcutHelp = closeShortcutHelp;
+
 /**
  * Triggers global fullscreen loading overlay.
  * Uses frosted glass aesthetic per system design standards.
@@ -593,9 +3375,9 @@ window.showConfirmModal = function(options) {
     if (btnCancel) btnCancel.onclick = handleCancel;
 
     // 1. Content Injection
-    if (title) title.textContent = options.title || 'Confirm Action';
+    if (title) title.textContent = options.title || t('Confirm Action');
     if (icon) icon.innerHTML = options.icon || '🗑️';
-    if (text) text.innerHTML = options.message || 'Are you sure?';
+    if (text) text.innerHTML = options.message || t('Are you sure?');
     
     if (subText) {
         subText.classList.toggle('hidden', !options.subMessage);
@@ -615,13 +3397,13 @@ window.showConfirmModal = function(options) {
     actions.classList.add(`modal-actions-${align}`);
 
     // 3. Button Configuration
-    btnConfirm.innerHTML = (options.confirmIcon ? options.confirmIcon + ' ' : '') + (options.confirmText || 'Confirm');
+    btnConfirm.innerHTML = (options.confirmIcon ? options.confirmIcon + ' ' : '') + (options.confirmText || t('Confirm'));
     btnConfirm.className = options.danger ? 'btn-danger-confirm' : (options.success ? 'btn-success' : 'btn-primary');
     btnConfirm.disabled = !!(options.input && options.input.requiredText);
 
     if (btnCancel) {
         btnCancel.classList.toggle('hidden', !!options.hideCancel);
-        btnCancel.textContent = options.cancelText || 'Cancel';
+        btnCancel.textContent = options.cancelText || t('Cancel');
     }
 
     if (closeX) closeX.classList.toggle('hidden', !!options.hideCloseX);
@@ -68,7 +68,7 @@ document.addEventListener('DOMContentLoaded', () => {
         closeImageModal,
         closeConfirmModal
     ]);
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    subscribeLiveTopic('fuel', loadState, CONFIG.SYNC_INTERVAL_MS);
 });
 
 /**
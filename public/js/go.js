@@ -46,8 +46,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Modal: Configure unified closure behavior
     window.setupGlobalModalClosing(['modal-overlay'], [closeEditModal]);
 
-    // Background Synchronization
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    // Background Synchronization (live, with polling fallback)
+    subscribeLiveTopic('go', loadState, CONFIG.SYNC_INTERVAL_MS);
 });
 
 /**
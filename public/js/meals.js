@@ -55,8 +55,8 @@ document.addEventListener('DOMContentLoaded', () => {
     setupMealAutocomplete('editMealInput', 'editMealDropdown');
     setupMealAutocomplete('manageMealName', 'manageMealDropdown');
 
-    // Background Synchronization
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    // Background Synchronization (live, with polling fallback)
+    subscribeLiveTopic('meals', loadState, CONFIG.SYNC_INTERVAL_MS);
 });
 
 /**
@@ -44,8 +44,6 @@ let STATE = {
     reminderSaving: false           // Prevents double-submits from creating duplicate saves
 };
 
-let loadStateRequestSeq = 0;
-let loadPendingRequestSeq = 0;
 let reminderMutationSeq = 0;
 
 /**
@@ -60,17 +58,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // Background relative time updates
     setInterval(updateAllIntervals, CONFIG.UI_TICK_MS);
     
-    // Background data synchronization
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
-    
-    // Poll pending confirmations more frequently
-    setInterval(loadPending, CONFIG.PENDING_POLL_MS);
+    // Live updates; pending confirmations keep their faster fallback poll
+    subscribeLiveTopic('medication', loadState, CONFIG.SYNC_INTERVAL_MS);
+    subscribeLiveTopic('medication', loadPending, CONFIG.PENDING_POLL_MS);
 
     // Configure unified modal closure behavior
     setupGlobalModalClosing(['modal-overlay'], [
         closeDoseModal, closeEditModal, closeRegistryModal, closeManageModal, closeConfirmModal,
         closeReminderScheduler
     ]);
+
+    // Command palette actions
+    registerCommand({ id: 'medication.dose', title: t('Log dose'), shortcut: 'd', keywords: 'medicine take', run: openDoseModal });
 });
 
 /**
@@ -92,9 +91,8 @@ async function loadState(force = false) {
     if (!force && (anyModalOpen || inputFocused)) return;
 
     try {
-        const requestSeq = ++loadStateRequestSeq;
+        // apiGet coalesces overlapping polls and drops out-of-order responses
         const data = await apiGet('/medication/api/state');
-        if (requestSeq !== loadStateRequestSeq) return;
 
         if (data && data.success) {
             STATE.logs = data.logs;
@@ -123,10 +121,8 @@ async function loadPending() {
     if (schedulerOpen) return;
 
     try {
-        const requestSeq = ++loadPendingRequestSeq;
         const mutationSeq = reminderMutationSeq;
         const data = await apiGet('/medication/api/reminders');
-        if (requestSeq !== loadPendingRequestSeq) return;
         if (mutationSeq !== reminderMutationSeq) return;
         if (data && data.success) {
             STATE.reminders = data.reminders || [];
@@ -169,11 +165,13 @@ async function handleLogSubmit(event, url) {
     }
 
     try {
-        const result = await apiPost(url, Object.fromEntries(formData));
+        // New doses may be logged offline and replayed later; edits need the live record
+        const result = await apiPost(url, Object.fromEntries(formData), 30000, { queue: mode === 'add' });
         if (result && result.success) {
             closeDoseModal();
             closeEditModal();
-            await loadState(true);
+            // A queued dose has no server row yet; the outbox replay reloads the module
+            if (!result.queued) await loadState(true);
         }
     } finally {
         if (btn) {
@@ -257,7 +255,7 @@ function renderGrid() {
     });
 
     if (activeMembers.length === 0) {
-        grid.innerHTML = `<div class="empty-state"><p>📭 No active medication logs found.</p></div>`;
+        grid.innerHTML = `<div class="empty-state"><p>📭 ${t('No active medication logs found.')}</p></div>`;
         return;
     }
 
@@ -300,7 +298,7 @@ function renderParentTally() {
     section.hidden = false;
 
     if (!allLogs.length) {
-        body.innerHTML = `<tr><td colspan="4">No medication logs found.</td></tr>`;
+        body.innerHTML = `<tr><td colspan="4">${t('No medication logs found.')}</td></tr>`;
         return;
     }
 
@@ -346,10 +344,10 @@ function renderLogItem(l) {
                 <div class="med-item-footer">
                     <span class="taken-at-label">🕒 Last taken: ${displayDt}</span>
                     <div class="med-item-actions" onclick="event.stopPropagation()">
-                        <button type="button" class="btn-icon-reset" onclick="confirmResetMedication(${l.id})" title="Reset Time">🔄</button>
-                        ${canScheduleReminder ? `<button type="button" class="btn-icon-reset btn-icon-reminder" onclick="openReminderSchedulerFromLog(${l.id})" title="Schedule Dose Reminder">⏰</button>` : ''}
-                        <button type="button" class="btn-icon-edit" onclick="openEditModalById(${l.id})" title="Edit Log">✏️</button>
-                        <button type="button" class="btn-icon-delete" onclick="confirmDeleteMedication(${l.id}, ${deleteLabel})" title="Delete Log">🗑️</button>
+                        <button type="button" class="btn-icon-reset" onclick="confirmResetMedication(${l.id})" title="${t('Reset Time')}">🔄</button>
+                        ${canScheduleReminder ? `<button type="button" class="btn-icon-reset btn-icon-reminder" onclick="openReminderSchedulerFromLog(${l.id})" title="${t('Schedule Dose Reminder')}">⏰</button>` : ''}
+                        <button type="button" class="btn-icon-edit" onclick="openEditModalById(${l.id})" title="${t('Edit Log')}">✏️</button>
+                        <button type="button" class="btn-icon-delete" onclick="confirmDeleteMedication(${l.id}, ${deleteLabel})" title="${t('Delete Log')}">🗑️</button>
                     </div>
                 </div>
             </div>
@@ -412,7 +410,7 @@ function renderLogReminderSummary(l) {
         return `
             <div class="med-log-reminders" onclick="event.stopPropagation()">
                 <div class="med-log-reminder-empty">
-                    <span>No recurring reminders set.</span>
+                    <span>${t('No recurring reminders set.')}</span>
                 </div>
             </div>
         `;
@@ -420,7 +418,7 @@ function renderLogReminderSummary(l) {
 
     return `
         <div class="med-log-reminders" onclick="event.stopPropagation()">
-            <div class="med-log-reminder-title">⏰ Current reminders</div>
+            <div class="med-log-reminder-title">⏰ ${t('Current reminders')}</div>
             ${reminders.map(r => renderLogReminderItem(r)).join('')}
         </div>
     `;
@@ -463,7 +461,7 @@ function renderLogReminderItem(r) {
                 <input type="checkbox" ${active ? 'checked' : ''} onchange="toggleReminderActive(${r.id}, this.checked, this)">
                 <span class="toggle-slider"></span>
             </label>
-            <button type="button" class="btn-icon-delete" onclick="deleteReminderSchedule(${r.id})" title="Delete Reminder">🗑️</button>
+            <button type="button" class="btn-icon-delete" onclick="deleteReminderSchedule(${r.id})" title="${t('Delete Reminder')}">🗑️</button>
         </div>
     ` : '';
 
@@ -489,7 +487,7 @@ function renderDropdowns() {
         `<option value="${escapeHtml(m.name)}" data-dosage="${m.default_dosage}">${escapeHtml(m.name)}</option>`
     ).join('');
     
-    const regPlaceholder = '<option value="" selected>-- Select existing --</option>';
+    const regPlaceholder = `<option value="" selected>-- ${t('Select existing')} --</option>`;
     document.querySelectorAll('.registry-dropdown').forEach(el => {
         el.innerHTML = regPlaceholder + regOptions;
     });
@@ -499,7 +497,7 @@ function renderDropdowns() {
         `<option value="${m.id}">${window.getUserIcon(m.username)} ${escapeHtml(m.username)}</option>`
     ).join('');
 
-    const memPlaceholder = '<option value="" disabled selected>Select family member</option>';
+    const memPlaceholder = `<option value="" disabled selected>${t('Select family member')}</option>`;
     document.querySelectorAll('.member-dropdown').forEach(el => {
         el.innerHTML = memPlaceholder + memberOptions;
     });
@@ -537,9 +535,9 @@ function renderRegistryTable() {
             <td>${m.usage_count}</td>
             <td class="col-actions">
                 <div class="action-buttons">
-                    <button type="button" class="btn-icon-edit" onclick="openManageModal(${m.id}, ${safeNameArg}, ${safeDosageArg})" title="Edit Registry">✏️</button>
+                    <button type="button" class="btn-icon-edit" onclick="openManageModal(${m.id}, ${safeNameArg}, ${safeDosageArg})" title="${t('Edit Registry')}">✏️</button>
                     <button type="button" class="btn-icon-delete" onclick="confirmDeleteRegistry(${m.id}, ${safeNameArg})" 
-                            ${m.usage_count > 0 ? 'disabled' : ''} title="Remove Registry Item">🗑️</button>
+                            ${m.usage_count > 0 ? 'disabled' : ''} title="${t('Remove Registry Item')}">🗑️</button>
                 </div>
             </td>
         </tr>
@@ -561,7 +559,7 @@ function renderReminderList() {
 
     const reminders = STATE.reminders || [];
     if (reminders.length === 0) {
-        container.innerHTML = `<div class="empty-state"><p>⏰ No medication reminders configured.</p></div>`;
+        container.innerHTML = `<div class="empty-state"><p>⏰ ${t('No medication reminders configured.')}</p></div>`;
         return;
     }
 
@@ -604,12 +602,12 @@ function renderReminderItem(r) {
     const days = formatReminderDays(r.days_of_week);
     const actions = canManageReminder(r) ? `
         <div class="reminder-item-actions">
-            <button type="button" class="btn-icon-edit" onclick="openReminderSchedulerForEdit(${r.id})" title="Edit Reminder">✏️</button>
+            <button type="button" class="btn-icon-edit" onclick="openReminderSchedulerForEdit(${r.id})" title="${t('Edit Reminder')}">✏️</button>
             <label class="reminder-toggle-switch">
                 <input type="checkbox" ${active ? 'checked' : ''} onchange="toggleReminderActive(${r.id}, this.checked, this)">
                 <span class="toggle-slider"></span>
             </label>
-            <button type="button" class="btn-icon-delete" onclick="deleteReminderSchedule(${r.id})" title="Delete Reminder">🗑️</button>
+            <button type="button" class="btn-icon-delete" onclick="deleteReminderSchedule(${r.id})" title="${t('Delete Reminder')}">🗑️</button>
         </div>
     ` : '';
     return `
@@ -635,7 +633,7 @@ function formatReminderDays(daysOfWeek) {
     const mask = Number(daysOfWeek) || 0;
     const labels = [];
     for (let d = 1; d <= 7; d++) {
-        if ((mask >> (d - 1)) & 1) labels.push(DAY_LABELS[d]);
+        if ((mask >> (d - 1)) & 1) labels.push(t(DAY_LABELS[d]));
     }
     return labels.join(' ');
 }
@@ -668,7 +666,7 @@ function formatTimeAmPm(value) {
  * @returns {string} Display label like 7:00 AM 06/06/2026.
  */
 function formatTakenAtLabel(value) {
-    if (!value) return 'No timestamp';
+    if (!value) return t('No timestamp');
     const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})\s+(.+)$/);
     if (!match) return value;
 
@@ -717,7 +715,7 @@ function renderPendingList() {
                     <span class="reminder-time-label">⏰ ${timeDisplay}</span>
                     ${overdueLabel}
                 </div>
-                <button type="button" class="btn-primary pending-confirm-btn" onclick="confirmReminderEvent(${e.event_id}, this)">✅ Confirm</button>
+                <button type="button" class="btn-primary pending-confirm-btn" onclick="confirmReminderEvent(${e.event_id}, this)">✅ ${t('Confirm')}</button>
             </div>
         `;
     }).join('');
@@ -739,7 +737,7 @@ function openReminderScheduler(data) {
     // Populate medication dropdown from registry
     const medSelect = document.getElementById('reminder_medication_id');
     if (medSelect) {
-        medSelect.innerHTML = '<option value="" disabled selected>Select medication</option>' +
+        medSelect.innerHTML = `<option value="" disabled selected>${t('Select medication')}</option>` +
             (STATE.registry || []).map(m =>
                 `<option value="${m.id}" data-dosage="${m.default_dosage}">${escapeHtml(m.name)}</option>`
             ).join('');
@@ -802,7 +800,7 @@ async function openReminderSchedulerForEdit(id) {
  * @returns {Promise<void>}
  */
 async function refreshReminderState() {
-    const data = await apiGet(`/medication/api/reminders?_=${Date.now()}`);
+    const data = await apiGet('/medication/api/reminders', 3000, { fresh: true });
     if (data && data.success) {
         STATE.reminders = data.reminders || [];
         STATE.pendingEvents = data.pending_events || [];
@@ -851,7 +849,7 @@ async function openReminderSchedulerFromLog(id) {
 
     const registryItem = STATE.registry.find(m => m.name === targetLog.medication_name);
     if (!registryItem) {
-        alert('This medication is not in the registry, so a recurring reminder cannot be created yet.');
+        alert(t('This medication is not in the registry, so a recurring reminder cannot be created yet.'));
         return;
     }
 
@@ -922,7 +920,7 @@ async function handleReminderSave(event) {
     const daysOfWeek = Array.from(dayCheckboxes).map(cb => parseInt(cb.value)).sort();
 
     if (!medicationId || !memberId || !dosage || !sourceLogId || times.length === 0) {
-        alert('Reminders must be created from an existing medication log entry.');
+        alert(t('Reminders must be created from an existing medication log entry.'));
         return;
     }
 
@@ -931,7 +929,7 @@ async function handleReminderSave(event) {
     }
 
     if (daysOfWeek.length === 0) {
-        alert('Please select at least one day of the week.');
+        alert(t('Please select at least one day of the week.'));
         return;
     }
 
@@ -940,7 +938,7 @@ async function handleReminderSave(event) {
     STATE.reminderSaving = true;
     reminderMutationSeq++;
     btn.disabled = true;
-    btn.innerHTML = '⌛ Saving...';
+    btn.innerHTML = `⌛ ${t('Saving...')}`;
 
     try {
         const result = await apiPost('/medication/api/reminders/save', {
@@ -1005,10 +1003,10 @@ function deleteReminderSchedule(id) {
     if (!r) return;
     const label = `${r.medication_name} ${formatTimeAmPm(r.reminder_time)}`;
     showConfirmModal({
-        title: 'Delete Reminder',
-        message: `Delete the reminder for <strong>${escapeHtml(label)}</strong>?`,
+        title: t('Delete Reminder'),
+        message: t('Delete the reminder for {name}?', { name: `<strong>${escapeHtml(label)}</strong>` }),
         danger: true,
-        confirmText: 'Delete',
+        confirmText: t('Delete'),
         alignment: 'center',
         onConfirm: async () => {
             reminderMutationSeq++;
@@ -1035,16 +1033,17 @@ async function confirmReminderEvent(eventId, btn) {
     const originalHtml = btn ? btn.innerHTML : '';
     if (btn) {
         btn.disabled = true;
-        btn.innerHTML = '⌛ Confirming...';
+        btn.innerHTML = `⌛ ${t('Confirming...')}`;
     }
 
     reminderMutationSeq++;
-    const result = await apiPost(`/medication/api/reminders/confirm/${eventId}`);
+    // The server rejects a second confirm, so a late replay can never log the dose twice
+    const result = await apiPost(`/medication/api/reminders/confirm/${eventId}`, {}, 30000, { queue: true });
     if (result && result.success) {
         STATE.pendingEvents = STATE.pendingEvents.filter(e => e.event_id != eventId);
         renderPendingList();
-        // Also refresh full state in background to get updated logs
-        loadState(true);
+        // Also refresh full state in background to get updated logs (after replay when queued)
+        if (!result.queued) loadState(true);
     } else if (btn) {
         btn.disabled = false;
         btn.innerHTML = originalHtml;
@@ -1222,10 +1221,10 @@ function closeEditModal() {
 function confirmDeleteMedication(id, name) {
     const safeName = escapeHtml(name || '');
     showConfirmModal({
-        title: 'Delete Log',
-        message: `Are you sure you want to delete the log for <strong>${safeName}</strong>?`,
+        title: t('Delete Log'),
+        message: t('Are you sure you want to delete the log for {name}?', { name: `<strong>${safeName}</strong>` }),
         danger: true,
-        confirmText: 'Delete',
+        confirmText: t('Delete'),
         hideCancel: true,
         alignment: 'center',
         onConfirm: async () => {
@@ -1266,34 +1265,34 @@ function confirmResetMedication(id) {
     `).join('');
 
     const resetHtml = `
-        <div class="reset-modal-text">Reset timestamp for <strong>${escapeHtml(targetLog.medication_name)}</strong> for <strong>${escapeHtml(targetLog.family_member)}</strong>?</div>
+        <div class="reset-modal-text">${t('Reset timestamp for {name} for {member}?', { name: `<strong>${escapeHtml(targetLog.medication_name)}</strong>`, member: `<strong>${escapeHtml(targetLog.family_member)}</strong>` })}</div>
         <div class="form-group reset-form-group">
-            <label class="reset-label">Target Time (Today)</label>
+            <label class="reset-label">${t('Target Time (Today)')}</label>
             <input type="time" id="reset_time_input" class="game-input reset-time-input" value="${currentTime}">
         </div>
         <div class="reminder-box">
             <label class="reminder-toggle-label">
                 <input type="checkbox" id="enable_reminder" onchange="toggleReminderOptions(this.checked)">
-                <span class="reminder-toggle-content">🔔 Schedule Reminder</span>
+                <span class="reminder-toggle-content">🔔 ${t('Schedule Reminder')}</span>
             </label>
             <div id="reminder_options" class="reminder-options hidden">
-                <label class="reminder-delay-label">Delay (Hours)</label>
+                <label class="reminder-delay-label">${t('Delay (Hours)')}</label>
                 <div class="selector-grid">
                     ${[1,2,3,4,5,6,7,8,9,10,12,24].map(h => `
                         <label class="selector-item"><input type="radio" name="reminder_delay" value="${h}" ${h==4 ? 'checked' : ''}><span>${h}</span></label>
                     `).join('')}
                 </div>
-                <label class="reminder-recipients-label">Send To</label>
+                <label class="reminder-recipients-label">${t('Send To')}</label>
                 <div class="reminder-recipients-list">${recipientCheckboxes}</div>
             </div>
         </div>
     `;
 
     showConfirmModal({
-        title: 'Reset Time',
+        title: t('Reset Time'),
         icon: '🔄',
         message: resetHtml,
-        confirmText: 'Reset',
+        confirmText: t('Reset'),
         confirmIcon: '💾',
         hideCancel: true,
         alignment: 'center',
@@ -1399,10 +1398,10 @@ function closeManageModal() {
 function confirmDeleteRegistry(id, name) {
     const safeName = escapeHtml(name || '');
     showConfirmModal({
-        title: 'Remove from Registry',
-        message: `Are you sure you want to remove <strong>${safeName}</strong> from the registry?`,
+        title: t('Remove from Registry'),
+        message: t('Are you sure you want to remove {name} from the registry?', { name: `<strong>${safeName}</strong>` }),
         danger: true,
-        confirmText: 'Remove',
+        confirmText: t('Remove'),
         hideCancel: true,
         alignment: 'center',
         onConfirm: async () => {
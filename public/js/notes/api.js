@@ -576,22 +576,6 @@ window.NoteAPI = {
             if (!options.silent && !this.isOffline()) showToast('Media fetch failed', 'error');
             return null;
         }
-    },
-
-    /**
-     * Collaborative Locking: Attempts to acquire an exclusive edit lock.
-     * @param {number|string} id - The note ID.
-     */
-    async lock(id) {
-        return await this.post('/notes/api/lock', { id });
-    },
-
-    /**
-     * Collaborative Locking: Releases an active edit lock.
-     * @param {number|string} id - The note ID.
-     */
-    async unlock(id) {
-        return await this.post('/notes/api/unlock', { id });
     }
 };
 
@@ -685,6 +669,12 @@ function deleteNote(id) {
                         STATE.last_mutation = res.last_mutation;
                     }
 
+                    window.recordHistory?.({
+                        label:  count > 1 ? `Delete ${count} notes` : 'Delete note',
+                        undo:   { requests: [{ url: '/notes/api/undelete', params: { ids: JSON.stringify(targetIds) } }], reload: true },
+                        redo:   { requests: [{ url: '/notes/api/batch_delete', params: { ids: JSON.stringify(targetIds) } }], reload: true }
+                    });
+
                     if (isBulk) {
                         STATE.selectedNoteIds.clear();
                         showToast(`${count} notes moved to Recycle Bin`, 'success');
@@ -1070,6 +1060,37 @@ async function copyNoteToBoard(id, canvas_id) {
     return res;
 }
 
+/**
+ * Groups note IDs by their current layer so a level/board move can be undone per origin.
+ * @param {number[]} ids - Note IDs.
+ * @returns {Object<string, number[]>} Map of layer_id => note IDs.
+ */
+function groupNoteIdsByLayer(ids) {
+    const groups = {};
+    ids.forEach(id => {
+        const note = STATE.notes.find(n => n.id == id);
+        const lid  = note ? (note.layer_id || 1) : STATE.activeLayerId;
+        (groups[lid] = groups[lid] || []).push(id);
+    });
+    return groups;
+}
+
+/**
+ * Records a bulk copy as undoable: undo soft-deletes the clones, redo restores them.
+ * @param {string} label - Action description.
+ * @param {number[]} newIds - IDs of the created copies (from the endpoint response).
+ * @returns {void}
+ */
+function recordCopyHistory(label, newIds) {
+    if (!Array.isArray(newIds) || newIds.length === 0) return;
+    const ids = JSON.stringify(newIds);
+    window.recordHistory?.({
+        label,
+        undo: { requests: [{ url: '/notes/api/batch_delete', params: { ids } }], reload: true },
+        redo: { requests: [{ url: '/notes/api/undelete', params: { ids } }], reload: true }
+    });
+}
+
 /**
  * Moves one or more notes to a different layer on the same canvas.
  * @param {number[]} ids - Note IDs to move.
@@ -1077,12 +1098,23 @@ async function copyNoteToBoard(id, canvas_id) {
  * @returns {Promise<boolean>} True on success.
  */
 async function moveNotesToLevel(ids, layerId) {
+    const sourceLayers = groupNoteIdsByLayer(ids);
     const res = await NoteAPI.post('/notes/api/notes/set-layer', {
         ids:       JSON.stringify(ids),
         canvas_id: STATE.canvas_id,
         layer_id:  layerId
     });
     if (res && res.success) {
+        window.recordHistory?.({
+            label: `Move to Level ${layerId}`,
+            undo:  {
+                requests: Object.entries(sourceLayers).map(([lid, group]) => ({
+                    url: '/notes/api/notes/set-layer', params: { ids: JSON.stringify(group), layer_id: lid }
+                })),
+                reload: true
+            },
+            redo:  { requests: [{ url: '/notes/api/notes/set-layer', params: { ids: JSON.stringify(ids), layer_id: layerId } }], reload: true }
+        });
         if (res.notes && typeof window.mergeNoteState === 'function') {
             window.mergeNoteState(res.notes);
         } else if (res.notes) {
@@ -1111,6 +1143,7 @@ async function copyNotesToLevel(ids, layerId) {
     if (res && res.success) {
         const label = ids.length === 1 ? '1 note' : `${ids.length} notes`;
         showToast(`Copied ${label} to Level ${layerId}`, 'success');
+        recordCopyHistory(`Copy to Level ${layerId}`, res.new_ids);
         if (res.notes && typeof window.mergeNoteState === 'function') {
             window.mergeNoteState(res.notes);
         } else if (res.notes) {
@@ -1140,6 +1173,7 @@ async function bulkCopyToCanvas(ids, targetCanvasId, targetLayerId = 1) {
     if (res && res.success) {
         const label = ids.length === 1 ? '1 note' : `${ids.length} notes`;
         showToast(`Copied ${label} to canvas`, 'success');
+        recordCopyHistory('Copy to board', res.new_ids);
         STATE.selectedNoteIds.clear();
         return true;
     }
@@ -1155,6 +1189,8 @@ async function bulkCopyToCanvas(ids, targetCanvasId, targetLayerId = 1) {
  * @returns {Promise<boolean>} True on success.
  */
 async function moveNotesToCanvas(ids, targetCanvasId, targetLayerId = 1) {
+    const sourceCanvasId = STATE.canvas_id;
+    const sourceLayers   = groupNoteIdsByLayer(ids);
     const res = await NoteAPI.post('/notes/api/notes/move-canvas', {
         ids:              JSON.stringify(ids),
         canvas_id:        STATE.canvas_id,
@@ -1164,6 +1200,23 @@ async function moveNotesToCanvas(ids, targetCanvasId, targetLayerId = 1) {
     if (res && res.success) {
         const label = ids.length === 1 ? '1 note' : `${ids.length} notes`;
         showToast(`Moved ${label} to canvas`, 'success');
+        window.recordHistory?.({
+            label: 'Move to board',
+            undo:  {
+                requests: Object.entries(sourceLayers).map(([lid, group]) => ({
+                    url: '/notes/api/notes/move-canvas',
+                    params: { ids: JSON.stringify(group), canvas_id: targetCanvasId, target_canvas_id: sourceCanvasId, target_layer_id: lid }
+                })),
+                reload: true
+            },
+            redo:  {
+                requests: [{
+                    url: '/notes/api/notes/move-canvas',
+                    params: { ids: JSON.stringify(ids), canvas_id: sourceCanvasId, target_canvas_id: targetCanvasId, target_layer_id: targetLayerId }
+                }],
+                reload: true
+            }
+        });
         if (res.notes && typeof window.mergeNoteState === 'function') {
             window.mergeNoteState(res.notes);
         } else if (res.notes) {
@@ -0,0 +1,826 @@
+// /public/js/notes/collab.js
+
+/**
+ * Live Collaboration Module: Board presence and concurrent note editing.
+ *
+ * Presence: every tab posts its viewport (and the note it is editing) while a
+ * board is open; other sessions appear as avatars beside the board pill, as
+ * outlined viewports on the radar and as badges on the notes they edit.
+ *
+ * Concurrent Editing: replaces the exclusive edit lock with operational
+ * transformation. Local changes are diffed against a shadow copy, sent as
+ * retain/insert/delete operations (counted in code points) and rebased by the
+ * server; remote operations arrive over the live channel and are transformed
+ * against unacknowledged local edits before being applied with caret preservation.
+ */
+
+const COLLAB_CONFIG = {
+    CAPTURE_INTERVAL_MS:  400,    // Local diff cadence while a note is being edited
+    OPS_FALLBACK_MS:      1500,   // Op polling while the live socket is down
+    PRESENCE_TICK_MS:     1000,   // Viewport change detection cadence
+    PRESENCE_HEARTBEAT_MS: 15000, // Keep-alive post (server TTL is 45s)
+    PRESENCE_FALLBACK_MS: 10000,  // Peer polling while the live socket is down
+    FLUSH_TIMEOUT_MS:     5000,   // Upper bound for waiting on in-flight ops
+    PEER_COLORS: ['#38bdf8', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#fb7185', '#2dd4bf', '#f97316']
+};
+
+const COLLAB_STATE = {
+    sessions:          new Map(), // noteId -> editing session (see NoteCollab.join)
+    presenceCanvasId:  null,
+    presenceUnsub:     null,
+    presenceTimer:     null,
+    lastPresenceKey:   null,
+    lastPresenceAt:    0,
+    presenceInFlight:  false
+};
+
+/**
+ * TextOp: Operational-transform primitives mirroring DB::Notes (_ot_*).
+ * Operations are arrays of { r: n } | { i: 'str' } | { d: n } measured in code points.
+ */
+const TextOp = {
+    /** @param {string} s @returns {number} Length in code points. */
+    length(s) {
+        return Array.from(s).length;
+    },
+
+    /**
+     * Appends a component, merging with the previous component of the same kind.
+     * @param {Array} op - Operation being built.
+     * @param {string} type - 'r' | 'i' | 'd'.
+     * @param {number|string} val - Count or inserted text.
+     */
+    push(op, type, val) {
+        if (type === 'i' ? !val : !(val > 0)) return;
+        const last = op[op.length - 1];
+        if (last && type in last) {
+            last[type] += val;
+        } else if (type === 'i' && last && 'd' in last) {
+            const prev = op[op.length - 2];
+            if (prev && 'i' in prev) prev.i += val;
+            else op.splice(op.length - 1, 0, { i: val });
+        } else {
+            op.push({ [type]: val });
+        }
+    },
+
+    /** @param {Array} op @returns {boolean} True when the operation changes nothing. */
+    isNoop(op) {
+        return op.every(c => 'r' in c);
+    },
+
+    /**
+     * Builds the operation turning `before` into `after` (single edited span).
+     * @param {string} before
+     * @param {string} after
+     * @returns {Array}
+     */
+    fromDiff(before, after) {
+        const a = Array.from(before);
+        const b = Array.from(after);
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+        const op = [];
+        TextOp.push(op, 'r', start);
+        TextOp.push(op, 'i', b.slice(start, endB).join(''));
+        TextOp.push(op, 'd', endA - start);
+        TextOp.push(op, 'r', a.length - endA);
+        return op;
+    },
+
+    /**
+     * Applies an operation to a string.
+     * @param {string} text
+     * @param {Array} op
+     * @returns {string}
+     * @throws {Error} When the operation does not span the text.
+     */
+    apply(text, op) {
+        const chars = Array.from(text);
+        const out = [];
+        let pos = 0;
+        for (const c of op) {
+            if ('i' in c) { out.push(c.i); continue; }
+            const n = 'r' in c ? c.r : c.d;
+            if (pos + n > chars.length) throw new Error('Operation exceeds document length');
+            if ('r' in c) out.push(chars.slice(pos, pos + n).join(''));
+            pos += n;
+        }
+        if (pos !== chars.length) throw new Error('Operation does not span document');
+        return out.join('');
+    },
+
+    /**
+     * Transforms concurrent operations: returns [a', b'] so that b' applies after a
+     * and a' after b with the same result. Inserts from `a` win position ties,
+     * matching the server where the client's op is always the first argument.
+     * @param {Array} a
+     * @param {Array} b
+     * @returns {Array[]}
+     */
+    transform(a, b) {
+        const qa = a.map(c => ({ ...c }));
+        const qb = b.map(c => ({ ...c }));
+        const a1 = [];
+        const b1 = [];
+        let x = qa.shift();
+        let y = qb.shift();
+
+        while (x || y) {
+            if (x && 'i' in x) {
+                TextOp.push(a1, 'i', x.i);
+                TextOp.push(b1, 'r', TextOp.length(x.i));
+                x = qa.shift();
+                continue;
+            }
+            if (y && 'i' in y) {
+                TextOp.push(a1, 'r', TextOp.length(y.i));
+                TextOp.push(b1, 'i', y.i);
+                y = qb.shift();
+                continue;
+            }
+            if (!x || !y) throw new Error('Concurrent operations span different lengths');
+
+            const tx = 'r' in x ? 'r' : 'd';
+            const ty = 'r' in y ? 'r' : 'd';
+            const n = Math.min(x[tx], y[ty]);
+            if (tx === 'r' && ty === 'r') {
+                TextOp.push(a1, 'r', n);
+                TextOp.push(b1, 'r', n);
+            } else if (tx === 'd' && ty === 'r') {
+                TextOp.push(a1, 'd', n);
+            } else if (tx === 'r' && ty === 'd') {
+                TextOp.push(b1, 'd', n);
+            }
+
+            x[tx] -= n;
+            y[ty] -= n;
+            if (!x[tx]) x = qa.shift();
+            if (!y[ty]) y = qb.shift();
+        }
+        return [a1, b1];
+    },
+
+    /**
+     * Composes two sequential operations into one (a then b).
+     * @param {Array} a
+     * @param {Array} b
+     * @returns {Array}
+     */
+    compose(a, b) {
+        const qa = a.map(c => ({ ...c }));
+        const qb = b.map(c => ({ ...c }));
+        const out = [];
+        let x = qa.shift();
+        let y = qb.shift();
+
+        while (x || y) {
+            if (x && 'd' in x) { TextOp.push(out, 'd', x.d); x = qa.shift(); continue; }
+            if (y && 'i' in y) { TextOp.push(out, 'i', y.i); y = qb.shift(); continue; }
+            if (!x || !y) throw new Error('Sequential operations do not line up');
+
+            if ('i' in x) {
+                const chars = Array.from(x.i);
+                const n = Math.min(chars.length, 'r' in y ? y.r : y.d);
+                if ('r' in y) TextOp.push(out, 'i', chars.slice(0, n).join(''));
+                x = chars.length > n ? { i: chars.slice(n).join('') } : qa.shift();
+                if ('r' in y) y.r -= n; else y.d -= n;
+                if (!(y.r || y.d)) y = qb.shift();
+                continue;
+            }
+
+            // x retains
+            const n = Math.min(x.r, 'r' in y ? y.r : y.d);
+            TextOp.push(out, 'r' in y ? 'r' : 'd', n);
+            x.r -= n;
+            if ('r' in y) y.r -= n; else y.d -= n;
+            if (!x.r) x = qa.shift();
+            if (!(y.r || y.d)) y = qb.shift();
+        }
+        return out;
+    },
+
+    /**
+     * Maps a caret position (code points) through an operation.
+     * @param {Array} op
+     * @param {number} index
+     * @returns {number}
+     */
+    transformIndex(op, index) {
+        let pos = 0;
+        let result = index;
+        for (const c of op) {
+            if (pos > index) break;
+            if ('r' in c) {
+                pos += c.r;
+            } else if ('i' in c) {
+                if (pos < index) result += TextOp.length(c.i);
+            } else {
+                result -= Math.min(index - pos, c.d);
+                pos += c.d;
+            }
+        }
+        return result;
+    }
+};
+
+/**
+ * Resolves a stable highlight colour for a collaborator.
+ * @param {number|string} userId
+ * @returns {string} Hex colour.
+ */
+function getPeerColor(userId) {
+    const n = Math.abs(parseInt(userId, 10) || 0);
+    return COLLAB_CONFIG.PEER_COLORS[n % COLLAB_CONFIG.PEER_COLORS.length];
+}
+
+/**
+ * Returns the active raw textarea for a note, or null in click-to-edit mode.
+ * @param {number|string} noteId
+ * @returns {HTMLTextAreaElement|null}
+ */
+function getCollabTextarea(noteId) {
+    const el = document.getElementById(`note-${noteId}`);
+    const textarea = el?.querySelector('.note-text-section > textarea[data-action="note-keydown"]');
+    return textarea && !textarea.readOnly ? textarea : null;
+}
+
+/**
+ * Reads the locally edited document: the raw textarea when active, otherwise note.content
+ * (which click-to-edit line/block editors commit into).
+ * @param {number|string} noteId
+ * @returns {string|null} Null when the note is no longer on screen (level/board switch).
+ */
+function readCollabDocument(noteId) {
+    const note = STATE.notes.find(n => n.id == noteId);
+    if (!note || !document.getElementById(`note-${noteId}`)) return null;
+    const textarea = getCollabTextarea(noteId);
+    return textarea ? textarea.value : (note.content || '');
+}
+
+/**
+ * Replaces the local document after a remote operation, keeping the caret in place.
+ * @param {number|string} noteId
+ * @param {string} text - New document.
+ * @param {Array|null} op - Operation that produced it (for caret mapping).
+ */
+function writeCollabDocument(noteId, text, op) {
+    const note = STATE.notes.find(n => n.id == noteId);
+    if (!note) return;
+    note.content = text;
+    if (STATE.note_map && STATE.note_map[noteId]) STATE.note_map[noteId].content = text;
+
+    const textarea = getCollabTextarea(noteId);
+    if (!textarea) {
+        if (typeof refreshClickToEditViewer === 'function') refreshClickToEditViewer(noteId, note);
+        return;
+    }
+
+    const value = textarea.value;
+    const toPoints = offset => TextOp.length(value.slice(0, offset));
+    const toUnits  = points => Array.from(text).slice(0, points).join('').length;
+    const hasFocus = document.activeElement === textarea;
+    const start = toPoints(textarea.selectionStart);
+    const end   = toPoints(textarea.selectionEnd);
+
+    textarea.value = text;
+    if (hasFocus && op) {
+        textarea.setSelectionRange(toUnits(TextOp.transformIndex(op, start)), toUnits(TextOp.transformIndex(op, end)));
+    }
+    if (typeof textarea._adaptNoteHeight === 'function') textarea._adaptNoteHeight();
+}
+
+/**
+ * NoteCollab: Per-note OT client. Each session follows the classic
+ * synchronized / awaiting-ack / awaiting-with-buffer state machine:
+ * at most one op is in flight (`outstanding`) and later local edits
+ * accumulate in `buffer` until it is acknowledged.
+ */
+const NoteCollab = {
+    /**
+     * @param {number|string} noteId
+     * @returns {boolean} True while a collaborative session is open for the note.
+     */
+    isActive(noteId) {
+        return COLLAB_STATE.sessions.has(String(noteId));
+    },
+
+    /**
+     * Opens a collaborative editing session: loads the authoritative content and
+     * version, then subscribes to the note's live topic.
+     * @param {number|string} noteId
+     * @returns {Promise<{success: boolean}>}
+     */
+    async join(noteId) {
+        const key = String(noteId);
+        if (COLLAB_STATE.sessions.has(key)) return { success: true };
+
+        const data = await NoteAPI.get(`/notes/api/collab/${encodeURIComponent(noteId)}?session_id=${encodeURIComponent(STATE.sessionId)}`);
+        if (!data || !data.success) return { success: false };
+
+        const session = {
+            noteId:      key,
+            version:     data.version,
+            shadow:      data.content || '',
+            outstanding: null,
+            buffer:      null,
+            remoteOps:   0,
+            busy:        false,
+            refetch:     false,
+            deferred:    false,
+            unsubscribe: null,
+            timer:       null
+        };
+        COLLAB_STATE.sessions.set(key, session);
+        writeCollabDocument(key, session.shadow, null);
+
+        session.unsubscribe = typeof subscribeLiveTopic === 'function'
+            ? subscribeLiveTopic(`notes/collab/${key}`, () => NoteCollab.fetchRemote(key), COLLAB_CONFIG.OPS_FALLBACK_MS)
+            : null;
+        session.timer = setInterval(() => NoteCollab.capture(key), COLLAB_CONFIG.CAPTURE_INTERVAL_MS);
+        schedulePresenceUpdate(true);
+        return { success: true };
+    },
+
+    /**
+     * Diffs the local document against the shadow and queues the change.
+     * @param {number|string} noteId
+     */
+    capture(noteId) {
+        const session = COLLAB_STATE.sessions.get(String(noteId));
+        if (!session) return;
+
+        if (session.deferred && !NoteCollab.hasOpenSubEditor(noteId)) {
+            session.deferred = false;
+            NoteCollab.fetchRemote(noteId);
+        }
+
+        const local = readCollabDocument(noteId);
+        if (local === null) {
+            // Note left the screen mid-edit: stop without diffing against a missing document
+            NoteCollab.close(session);
+            return;
+        }
+        if (local === session.shadow) return;
+
+        const op = TextOp.fromDiff(session.shadow, local);
+        session.shadow = local;
+        NoteCollab.queue(session, op);
+    },
+
+    /**
+     * Moves a local op into the outgoing pipeline.
+     * @param {Object} session
+     * @param {Array} op
+     */
+    queue(session, op) {
+        if (TextOp.isNoop(op)) return;
+        if (session.outstanding) {
+            session.buffer = session.buffer ? TextOp.compose(session.buffer, op) : op;
+            return;
+        }
+        session.outstanding = op;
+        NoteCollab.send(session);
+    },
+
+    /**
+     * Posts the outstanding op; the response carries every op after our base,
+     * including our own as the acknowledgement.
+     * @param {Object} session
+     * @returns {Promise<void>}
+     */
+    async send(session) {
+        if (session.busy) return;
+        session.busy = true;
+        let res = null;
+        try {
+            res = await NoteAPI.post('/notes/api/collab/op', {
+                note_id: session.noteId,
+                version: session.version,
+                op:      JSON.stringify(session.outstanding)
+            }, { silent: true });
+        } finally {
+            session.busy = false;
+        }
+        if (COLLAB_STATE.sessions.get(session.noteId) !== session) return;
+
+        if (res && res.success) {
+            NoteCollab.receive(session, res);
+        } else if (res && res.error === 'resync') {
+            await NoteCollab.resync(session);
+        } else {
+            // Transient failure: the op may still have landed, so pull first (own ops ack)
+            // and only resend what the server has not seen.
+            setTimeout(async () => {
+                if (COLLAB_STATE.sessions.get(session.noteId) !== session) return;
+                await NoteCollab.fetchRemote(session.noteId);
+                if (session.outstanding && !session.busy) NoteCollab.send(session);
+            }, COLLAB_CONFIG.OPS_FALLBACK_MS);
+        }
+        NoteCollab.runPendingFetch(session);
+    },
+
+    /**
+     * Runs a live-topic fetch that arrived while a request was in flight.
+     * @param {Object} session
+     */
+    runPendingFetch(session) {
+        if (!session.refetch || session.busy) return;
+        session.refetch = false;
+        NoteCollab.fetchRemote(session.noteId);
+    },
+
+    /**
+     * Pulls ops committed by other editors. Deferred while a click-to-edit
+     * line/block editor is open so the rendered lines do not shift under it.
+     * @param {number|string} noteId
+     * @returns {Promise<void>}
+     */
+    async fetchRemote(noteId) {
+        const session = COLLAB_STATE.sessions.get(String(noteId));
+        if (!session) return;
+        if (session.busy) {
+            session.refetch = true;
+            return;
+        }
+        if (NoteCollab.hasOpenSubEditor(noteId)) {
+            session.deferred = true;
+            return;
+        }
+
+        session.busy = true;
+        let res = null;
+        try {
+            res = await NoteAPI.get(
+                `/notes/api/collab/${encodeURIComponent(session.noteId)}?since=${session.version}&session_id=${encodeURIComponent(STATE.sessionId)}`,
+                { silent: true }
+            );
+        } finally {
+            session.busy = false;
+        }
+        if (COLLAB_STATE.sessions.get(session.noteId) !== session || !res || !res.success) return;
+
+        if (res.resync) await NoteCollab.resync(session, res);
+        else NoteCollab.receive(session, res);
+        NoteCollab.runPendingFetch(session);
+    },
+
+    /**
+     * Applies a server op batch: own ops acknowledge the outstanding op, foreign
+     * ops are transformed over pending local edits and applied to the document.
+     * @param {Object} session
+     * @param {{version: number, ops: Array}} res
+     */
+    receive(session, res) {
+        // Fold un-diffed keystrokes into the pipeline first so shadow === local document
+        NoteCollab.capture(session.noteId);
+
+        let remoteTotal = null;
+        for (const entry of res.ops || []) {
+            if (entry.version !== session.version + 1) continue;
+            session.version = entry.version;
+
+            if (entry.own && session.outstanding) {
+                session.outstanding = session.buffer;
+                session.buffer = null;
+                continue;
+            }
+
+            let op = entry.op;
+            if (session.outstanding) {
+                [session.outstanding, op] = TextOp.transform(session.outstanding, op);
+                if (session.buffer) [session.buffer, op] = TextOp.transform(session.buffer, op);
+            }
+            session.shadow = TextOp.apply(session.shadow, op);
+            session.remoteOps++;
+            remoteTotal = remoteTotal ? TextOp.compose(remoteTotal, op) : op;
+        }
+
+        if (remoteTotal) writeCollabDocument(session.noteId, session.shadow, remoteTotal);
+        if (session.outstanding && !session.busy) NoteCollab.send(session);
+    },
+
+    /**
+     * Recovers when the server no longer has our base version (out-of-band save,
+     * pruned log). Unsent local edits are re-based as a diff over the fresh content.
+     * @param {Object} session
+     * @param {Object} [state] - Resync payload when already fetched.
+     * @returns {Promise<void>}
+     */
+    async resync(session, state = null) {
+        state = state || await NoteAPI.get(`/notes/api/collab/${encodeURIComponent(session.noteId)}?session_id=${encodeURIComponent(STATE.sessionId)}`, { silent: true });
+        if (COLLAB_STATE.sessions.get(session.noteId) !== session || !state || !state.success) return;
+
+        const local = readCollabDocument(session.noteId);
+        if (local === null) return NoteCollab.close(session);
+        const hadPending = !!session.outstanding || local !== session.shadow;
+        const server = state.content || '';
+
+        session.version = state.version;
+        session.outstanding = null;
+        session.buffer = null;
+        session.remoteOps++;
+
+        if (hadPending) {
+            session.shadow = server;
+            showToast('Note changed outside the live session; your edits were kept', 'info');
+            NoteCollab.queue(session, TextOp.fromDiff(server, local));
+            session.shadow = local;
+        } else {
+            session.shadow = server;
+            writeCollabDocument(session.noteId, server, TextOp.fromDiff(local, server));
+        }
+    },
+
+    /**
+     * Sends pending edits and waits (bounded) until the server has acknowledged them.
+     * @param {number|string} noteId
+     * @returns {Promise<boolean>} True when everything was acknowledged.
+     */
+    async flush(noteId) {
+        const session = COLLAB_STATE.sessions.get(String(noteId));
+        if (!session) return true;
+        NoteCollab.capture(noteId);
+
+        // Sends and retries are driven by queue/send; this only waits for the ack
+        const deadline = Date.now() + COLLAB_CONFIG.FLUSH_TIMEOUT_MS;
+        while (session.outstanding && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return !session.outstanding;
+    },
+
+    /**
+     * Reverts the session's edits for Abort. When nobody else edited meanwhile the
+     * note is rolled back to `original`; otherwise collaborators' ops are already
+     * applied and the merged text is kept.
+     * @param {number|string} noteId
+     * @param {string} original - Content snapshot taken when editing began.
+     * @returns {Promise<string>} Content the note now holds.
+     */
+    async abort(noteId, original) {
+        const session = COLLAB_STATE.sessions.get(String(noteId));
+        if (!session) return original;
+
+        NoteCollab.capture(noteId);
+        let restored = original;
+        if (session.remoteOps) {
+            restored = session.shadow;
+            showToast('Kept edits made by collaborators during this session', 'info');
+        } else if (session.shadow !== original) {
+            const op = TextOp.fromDiff(session.shadow, original);
+            session.shadow = original;
+            NoteCollab.queue(session, op);
+        }
+        await NoteCollab.leave(noteId);
+        return restored;
+    },
+
+    /**
+     * Flushes and closes a session.
+     * @param {number|string} noteId
+     * @returns {Promise<void>}
+     */
+    async leave(noteId) {
+        const key = String(noteId);
+        const session = COLLAB_STATE.sessions.get(key);
+        if (!session) return;
+
+        await NoteCollab.flush(key);
+        NoteCollab.close(session);
+    },
+
+    /**
+     * Tears a session down without flushing.
+     * @param {Object} session
+     */
+    close(session) {
+        clearInterval(session.timer);
+        if (session.unsubscribe) session.unsubscribe();
+        if (COLLAB_STATE.sessions.get(session.noteId) === session) COLLAB_STATE.sessions.delete(session.noteId);
+        schedulePresenceUpdate(true);
+    },
+
+    /**
+     * @param {number|string} noteId
+     * @returns {boolean} True while a click-to-edit line/block editor is open.
+     */
+    hasOpenSubEditor(noteId) {
+        const el = document.getElementById(`note-${noteId}`);
+        return !!el?.querySelector('.note-line-editor, .note-block-editor');
+    }
+};
+
+/**
+ * Computes this tab's presence payload in board coordinates.
+ * @returns {Object|null}
+ */
+function getPresencePayload() {
+    const wrapper = STATE.wrapperEl;
+    if (!wrapper || !STATE.canvas_id) return null;
+    const scale = STATE.scale || 1;
+    return {
+        canvas_id:       STATE.canvas_id,
+        layer_id:        STATE.activeLayerId,
+        view_x:          Math.round(wrapper.scrollLeft / scale),
+        view_y:          Math.round(wrapper.scrollTop / scale),
+        view_w:          Math.round(wrapper.clientWidth / scale),
+        view_h:          Math.round(wrapper.clientHeight / scale),
+        editing_note_id: STATE.isEditingNote || ''
+    };
+}
+
+/**
+ * Posts presence when the viewport/edit target changed or the keep-alive is due.
+ * @param {boolean} [force=false] - Post immediately regardless of change.
+ * @returns {Promise<void>}
+ */
+async function schedulePresenceUpdate(force = false) {
+    if (STATE.isLocked || COLLAB_STATE.presenceInFlight || document.hidden) return;
+    const payload = getPresencePayload();
+    if (!payload) return;
+
+    ensurePresenceSubscription(payload.canvas_id);
+
+    const key = JSON.stringify(payload);
+    const due = Date.now() - COLLAB_STATE.lastPresenceAt >= COLLAB_CONFIG.PRESENCE_HEARTBEAT_MS;
+    if (!force && !due && key === COLLAB_STATE.lastPresenceKey) return;
+
+    COLLAB_STATE.presenceInFlight = true;
+    COLLAB_STATE.lastPresenceKey = key;
+    COLLAB_STATE.lastPresenceAt = Date.now();
+    try {
+        const res = await NoteAPI.post('/notes/api/presence', payload, { silent: true });
+        if (res && res.success && String(payload.canvas_id) === String(STATE.canvas_id)) {
+            setPresencePeers(res.peers);
+        }
+    } finally {
+        COLLAB_STATE.presenceInFlight = false;
+    }
+}
+
+/**
+ * Follows board switches: re-subscribes to the presence topic of the active canvas.
+ * @param {number|string} canvasId
+ */
+function ensurePresenceSubscription(canvasId) {
+    if (String(COLLAB_STATE.presenceCanvasId) === String(canvasId)) return;
+    if (COLLAB_STATE.presenceUnsub) COLLAB_STATE.presenceUnsub();
+    COLLAB_STATE.presenceCanvasId = canvasId;
+    setPresencePeers([]);
+    COLLAB_STATE.presenceUnsub = typeof subscribeLiveTopic === 'function'
+        ? subscribeLiveTopic(`notes/presence/${canvasId}`, refreshPresencePeers, COLLAB_CONFIG.PRESENCE_FALLBACK_MS)
+        : null;
+}
+
+/**
+ * Re-fetches the peer list after a presence topic bump.
+ * @returns {Promise<void>}
+ */
+async function refreshPresencePeers() {
+    const canvasId = COLLAB_STATE.presenceCanvasId;
+    if (!canvasId || STATE.isLocked) return;
+    const res = await NoteAPI.get(`/notes/api/presence/${encodeURIComponent(canvasId)}?session_id=${encodeURIComponent(STATE.sessionId)}`, { silent: true });
+    if (res && res.success && String(canvasId) === String(STATE.canvas_id)) setPresencePeers(res.peers);
+}
+
+/**
+ * Stores the peer list and refreshes every presence surface.
+ * @param {Array} peers
+ */
+function setPresencePeers(peers) {
+    STATE.presencePeers = Array.isArray(peers) ? peers : [];
+    renderPresenceBar();
+    renderPeerEditingBadges();
+    if (typeof updateRadar === 'function') updateRadar();
+}
+
+/**
+ * Renders collaborator avatars beside the board pill (one per user).
+ */
+function renderPresenceBar() {
+    const bar = document.getElementById('board-presence');
+    if (!bar) return;
+
+    const byUser = new Map();
+    STATE.presencePeers.forEach(peer => {
+        const entry = byUser.get(peer.user_id) || { ...peer, editing: [] };
+        if (peer.editing_title) entry.editing.push(peer.editing_title);
+        byUser.set(peer.user_id, entry);
+    });
+
+    bar.innerHTML = Array.from(byUser.values()).map(peer => {
+        const name = peer.username || 'Someone';
+        const title = peer.editing.length ? `${name} — editing ${peer.editing.join(', ')}` : `${name} — viewing level ${peer.layer_id}`;
+        return `<button type="button" class="presence-avatar${peer.editing.length ? ' is-editing' : ''}" data-user-id="${Number(peer.user_id)}"
+                    style="--peer-color:${getPeerColor(peer.user_id)}" title="${escapeHtml(title)}">${escapeHtml(name.charAt(0).toUpperCase())}</button>`;
+    }).join('');
+    bar.classList.toggle('hidden', byUser.size === 0);
+}
+
+/**
+ * Badges notes that other people are editing (replacing the old lock overlay).
+ */
+function renderPeerEditingBadges() {
+    document.querySelectorAll('.note-peer-badge').forEach(b => b.remove());
+
+    const byNote = new Map();
+    STATE.presencePeers.forEach(peer => {
+        if (!peer.editing_note_id) return;
+        const list = byNote.get(String(peer.editing_note_id)) || [];
+        if (!list.some(p => p.user_id === peer.user_id)) list.push(peer);
+        byNote.set(String(peer.editing_note_id), list);
+    });
+
+    byNote.forEach((peers, noteId) => {
+        const el = document.getElementById(`note-${noteId}`);
+        if (!el) return;
+        const badge = document.createElement('div');
+        badge.className = 'note-peer-badge';
+        badge.style.setProperty('--peer-color', getPeerColor(peers[0].user_id));
+        badge.textContent = `✍️ ${peers.map(p => p.username).join(', ')}`;
+        el.appendChild(badge);
+    });
+}
+
+/**
+ * Jumps the board to a collaborator's viewport centre.
+ * @param {number|string} userId
+ */
+function followPresencePeer(userId) {
+    const peer = STATE.presencePeers.find(p => String(p.user_id) === String(userId));
+    if (!peer || !STATE.wrapperEl) return;
+    const go = () => {
+        const scale = STATE.scale || 1;
+        STATE.wrapperEl.scrollTo({
+            left: (peer.view_x + peer.view_w / 2) * scale - STATE.wrapperEl.clientWidth / 2,
+            top:  (peer.view_y + peer.view_h / 2) * scale - STATE.wrapperEl.clientHeight / 2,
+            behavior: 'smooth'
+        });
+    };
+    if (peer.layer_id != STATE.activeLayerId && typeof switchLevel === 'function') {
+        Promise.resolve(switchLevel(peer.layer_id)).then(go);
+    } else {
+        go();
+    }
+}
+
+/**
+ * Unload teardown: beacons keystrokes typed since the last capture (when no op is
+ * in flight) and drops this tab's presence.
+ */
+function releaseCollaboration() {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+
+    COLLAB_STATE.sessions.forEach(session => {
+        const local = readCollabDocument(session.noteId);
+        if (local === null || session.outstanding || local === session.shadow) return;
+        const params = new URLSearchParams();
+        params.append('note_id', session.noteId);
+        params.append('version', session.version);
+        params.append('op', JSON.stringify(TextOp.fromDiff(session.shadow, local)));
+        params.append('session_id', STATE.sessionId);
+        params.append('csrf_token', csrfToken);
+        navigator.sendBeacon('/notes/api/collab/op', params);
+    });
+
+    if (!COLLAB_STATE.presenceCanvasId) return;
+    const params = new URLSearchParams();
+    params.append('session_id', STATE.sessionId);
+    params.append('csrf_token', csrfToken);
+    navigator.sendBeacon('/notes/api/presence/leave', params);
+}
+
+/**
+ * Starts the presence loop once the module has bootstrapped.
+ */
+function initCollaboration() {
+    if (COLLAB_STATE.presenceTimer) return;
+    COLLAB_STATE.presenceTimer = setInterval(() => {
+        schedulePresenceUpdate(false);
+        // Board re-renders rebuild note elements; restore badges they dropped
+        if (STATE.presencePeers.some(p => p.editing_note_id) && !document.querySelector('.note-peer-badge')) {
+            renderPeerEditingBadges();
+        }
+    }, COLLAB_CONFIG.PRESENCE_TICK_MS);
+
+    document.getElementById('board-presence')?.addEventListener('click', e => {
+        const avatar = e.target.closest('.presence-avatar');
+        if (avatar) followPresencePeer(avatar.dataset.userId);
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) schedulePresenceUpdate(true);
+    });
+}
+
+window.addEventListener('pagehide', releaseCollaboration);
+document.addEventListener('DOMContentLoaded', initCollaboration);
+
+window.NoteCollab        = NoteCollab;
+window.TextOp            = TextOp;
+window.getPeerColor      = getPeerColor;
+window.followPresencePeer = followPresencePeer;
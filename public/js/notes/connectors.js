@@ -0,0 +1,648 @@
+// /public/js/notes/connectors.js
+
+/**
+ * Connectors Module: Persistent arrows between notes.
+ *
+ * Arrows live in a single SVG layer beneath the notes and are routed from live DOM
+ * geometry, so they follow drags, resizes and content growth without per-gesture hooks.
+ * Dragging from a note's connect handle onto another note creates an arrow; clicking an
+ * arrow opens a small toolbar for style, label, colour and deletion.
+ */
+
+const CONNECTOR_CONFIG = {
+    DEFAULT_COLOR: '#94a3b8',
+    SVG_NS:        'http://www.w3.org/2000/svg',
+    HIT_WIDTH:     14      // Invisible stroke width for easier clicking
+};
+
+const CONNECTOR_STATE = {
+    layer:    null,            // <svg> root injected into #notes-canvas
+    groups:   new Map(),       // connector ID -> <g> element
+    markers:  new Set(),       // Colours with an arrowhead <marker> already defined
+    frame:    null,            // requestAnimationFrame handle for coalesced renders
+    drag:     null,            // { sourceId, path, hoverEl } while drawing a new arrow
+    resizeObserver: null,
+    observed: new WeakSet()    // Note elements already watched for size changes
+};
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @param {string} tag - Element name.
+ * @param {Object} attrs - Attribute map.
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attrs = {}) {
+    const el = document.createElementNS(CONNECTOR_CONFIG.SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    return el;
+}
+
+/**
+ * Returns the stroke colour for a connector, falling back to the neutral default.
+ * @param {Object} conn - Connector record.
+ * @returns {string} Hex colour.
+ */
+function getConnectorColor(conn) {
+    return /^#[0-9a-fA-F]{6}$/.test(conn?.color || '') ? conn.color.toLowerCase() : CONNECTOR_CONFIG.DEFAULT_COLOR;
+}
+
+/**
+ * Whether the active board accepts edits from this user.
+ * @returns {boolean}
+ */
+function canEditConnectors() {
+    const board = STATE.canvases.find(c => c.id == STATE.canvas_id);
+    return board ? Number(board.can_edit) === 1 : true;
+}
+
+/**
+ * Lazily injects the SVG layer as the first child of the canvas so notes paint above it.
+ * @returns {SVGSVGElement|null}
+ */
+function ensureConnectorLayer() {
+    if (CONNECTOR_STATE.layer && CONNECTOR_STATE.layer.isConnected) return CONNECTOR_STATE.layer;
+
+    const canvas = STATE.canvasEl;
+    if (!canvas) return null;
+
+    const svg = createSvgElement('svg', { id: 'connector-layer', class: 'connector-layer' });
+    svg.appendChild(createSvgElement('defs'));
+    canvas.insertBefore(svg, canvas.firstChild);
+
+    CONNECTOR_STATE.layer = svg;
+    CONNECTOR_STATE.groups.clear();
+    CONNECTOR_STATE.markers.clear();
+    return svg;
+}
+
+/**
+ * Returns the arrowhead marker URL for a colour, defining the marker on first use.
+ * @param {string} color - Hex colour.
+ * @returns {string} url(#...) reference.
+ */
+function getConnectorMarker(color) {
+    const id = `connector-arrow-${color.slice(1)}`;
+    if (!CONNECTOR_STATE.markers.has(color)) {
+        const marker = createSvgElement('marker', {
+            id, viewBox: '0 0 10 10', refX: '9', refY: '5',
+            markerWidth: '8', markerHeight: '8', orient: 'auto-start-reverse'
+        });
+        marker.appendChild(createSvgElement('path', { d: 'M0,0 L10,5 L0,10 z', fill: color }));
+        CONNECTOR_STATE.layer.querySelector('defs').appendChild(marker);
+        CONNECTOR_STATE.markers.add(color);
+    }
+    return `url(#${id})`;
+}
+
+/**
+ * Reads the on-board rectangle of a rendered note on the active level.
+ * @param {number|string} id - Note ID.
+ * @returns {{x:number, y:number, w:number, h:number}|null} Null if not drawn on this level.
+ */
+function getConnectorNoteRect(id) {
+    const note = STATE.notes.find(n => n.id == id);
+    if (!note || note.layer_id != STATE.activeLayerId) return null;
+
+    const el = document.getElementById(`note-${id}`);
+    if (!el || el.classList.contains('row-fade-out')) return null;
+
+    return {
+        x: parseFloat(el.style.left) || 0,
+        y: parseFloat(el.style.top)  || 0,
+        w: el.offsetWidth,
+        h: el.offsetHeight
+    };
+}
+
+/**
+ * Projects a ray from the rectangle's centre towards a point onto the rectangle's border.
+ * @param {Object} rect - { x, y, w, h }.
+ * @param {number} px - Target X.
+ * @param {number} py - Target Y.
+ * @returns {{x:number, y:number}}
+ */
+function clipToNoteBorder(rect, px, py) {
+    const cx = rect.x + rect.w / 2;
+    const cy = rect.y + rect.h / 2;
+    const dx = px - cx;
+    const dy = py - cy;
+    if (!dx && !dy) return { x: cx, y: cy };
+
+    const sx = dx ? (rect.w / 2) / Math.abs(dx) : Infinity;
+    const sy = dy ? (rect.h / 2) / Math.abs(dy) : Infinity;
+    const s  = Math.min(sx, sy, 1);
+    return { x: cx + dx * s, y: cy + dy * s };
+}
+
+/**
+ * Computes the SVG path and label anchor for a connector between two note rectangles.
+ * Elbow routes leave and enter on the facing sides and bend once at the midpoint.
+ * @param {Object} a - Source rect.
+ * @param {Object} b - Target rect.
+ * @param {'straight'|'elbow'} style - Routing style.
+ * @returns {{d:string, mid:{x:number, y:number}}}
+ */
+function routeConnector(a, b, style) {
+    const acx = a.x + a.w / 2, acy = a.y + a.h / 2;
+    const bcx = b.x + b.w / 2, bcy = b.y + b.h / 2;
+
+    if (style === 'elbow') {
+        const dx = bcx - acx;
+        const dy = bcy - acy;
+        if (Math.abs(dx) >= Math.abs(dy)) {
+            const x1 = dx >= 0 ? a.x + a.w : a.x;
+            const x2 = dx >= 0 ? b.x : b.x + b.w;
+            const mx = (x1 + x2) / 2;
+            return { d: `M${x1},${acy} H${mx} V${bcy} H${x2}`, mid: { x: mx, y: (acy + bcy) / 2 } };
+        }
+        const y1 = dy >= 0 ? a.y + a.h : a.y;
+        const y2 = dy >= 0 ? b.y : b.y + b.h;
+        const my = (y1 + y2) / 2;
+        return { d: `M${acx},${y1} V${my} H${bcx} V${y2}`, mid: { x: (acx + bcx) / 2, y: my } };
+    }
+
+    const p1 = clipToNoteBorder(a, bcx, bcy);
+    const p2 = clipToNoteBorder(b, acx, acy);
+    return { d: `M${p1.x},${p1.y} L${p2.x},${p2.y}`, mid: { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 } };
+}
+
+/**
+ * Watches rendered notes for size changes (content growth, collapse) that do not touch style.
+ * @returns {void}
+ */
+function observeConnectorNotes() {
+    if (typeof ResizeObserver === 'undefined' || !STATE.canvasEl) return;
+    if (!CONNECTOR_STATE.resizeObserver) {
+        CONNECTOR_STATE.resizeObserver = new ResizeObserver(() => scheduleConnectorRender());
+    }
+    STATE.canvasEl.querySelectorAll('.sticky-note').forEach(el => {
+        if (CONNECTOR_STATE.observed.has(el)) return;
+        CONNECTOR_STATE.observed.add(el);
+        CONNECTOR_STATE.resizeObserver.observe(el);
+    });
+}
+
+/**
+ * Reconciles the SVG layer with STATE.connectors for the active level.
+ * Arrows whose endpoints are not both drawn (other level, deleted, locked) are removed.
+ * @returns {void}
+ */
+function renderConnectors() {
+    if (CONNECTOR_STATE.frame) {
+        cancelAnimationFrame(CONNECTOR_STATE.frame);
+        CONNECTOR_STATE.frame = null;
+    }
+
+    const layer = ensureConnectorLayer();
+    if (!layer) return;
+    observeConnectorNotes();
+
+    const seen = new Set();
+    (STATE.isLocked ? [] : (STATE.connectors || [])).forEach(conn => {
+        const a = getConnectorNoteRect(conn.source_note_id);
+        const b = getConnectorNoteRect(conn.target_note_id);
+        if (!a || !b) return;
+
+        const key = String(conn.id);
+        seen.add(key);
+
+        let g = CONNECTOR_STATE.groups.get(key);
+        if (!g) {
+            g = createSvgElement('g', { class: 'note-connector', 'data-id': key });
+            g.appendChild(createSvgElement('path', { class: 'connector-hit', 'stroke-width': CONNECTOR_CONFIG.HIT_WIDTH }));
+            g.appendChild(createSvgElement('path', { class: 'connector-line' }));
+            g.appendChild(createSvgElement('text', { class: 'connector-label' }));
+            layer.appendChild(g);
+            CONNECTOR_STATE.groups.set(key, g);
+        }
+
+        const color = getConnectorColor(conn);
+        const route = routeConnector(a, b, conn.style);
+        const [hit, line, label] = g.children;
+
+        hit.setAttribute('d', route.d);
+        line.setAttribute('d', route.d);
+        line.setAttribute('stroke', color);
+        line.setAttribute('marker-end', getConnectorMarker(color));
+        label.setAttribute('x', route.mid.x);
+        label.setAttribute('y', route.mid.y);
+        if (label.textContent !== (conn.label || '')) label.textContent = conn.label || '';
+
+        g.dataset.midX = route.mid.x;
+        g.dataset.midY = route.mid.y;
+        g.classList.toggle('is-selected', STATE.selectedConnectorId == conn.id);
+    });
+
+    CONNECTOR_STATE.groups.forEach((g, key) => {
+        if (seen.has(key)) return;
+        g.remove();
+        CONNECTOR_STATE.groups.delete(key);
+    });
+
+    if (STATE.selectedConnectorId && !seen.has(String(STATE.selectedConnectorId))) {
+        clearConnectorSelection();
+    } else {
+        positionConnectorToolbar();
+    }
+}
+
+/**
+ * Coalesces render requests from drags, resizes and DOM mutations into one frame.
+ * @returns {void}
+ */
+function scheduleConnectorRender() {
+    if (CONNECTOR_STATE.frame) return;
+    CONNECTOR_STATE.frame = requestAnimationFrame(() => {
+        CONNECTOR_STATE.frame = null;
+        renderConnectors();
+    });
+}
+
+/**
+ * Adopts the authoritative connector list returned by a connector endpoint.
+ * @param {Object} res - API response { connectors, last_mutation }.
+ * @returns {void}
+ */
+function applyConnectorResponse(res) {
+    STATE.connectors = res.connectors || [];
+    if (res.last_mutation) STATE.last_mutation = res.last_mutation;
+    renderConnectors();
+    if (typeof updateRadar === 'function') updateRadar();
+}
+
+/**
+ * Builds the pair-addressed save request used by undo/redo so replays survive re-creation.
+ * @param {Object} conn - Connector record or snapshot.
+ * @returns {Object} History request { url, params }.
+ */
+function connectorSaveRequest(conn) {
+    return {
+        url: '/notes/api/connectors/save',
+        params: {
+            source_note_id: conn.source_note_id,
+            target_note_id: conn.target_note_id,
+            style: conn.style || 'straight',
+            label: conn.label || '',
+            color: conn.color || ''
+        }
+    };
+}
+
+/**
+ * Builds the pair-addressed delete request used by undo/redo.
+ * @param {Object} conn - Connector record or snapshot.
+ * @returns {Object} History request { url, params }.
+ */
+function connectorDeleteRequest(conn) {
+    return {
+        url: '/notes/api/connectors/delete',
+        params: { source_note_id: conn.source_note_id, target_note_id: conn.target_note_id }
+    };
+}
+
+/**
+ * Creates an arrow between two notes.
+ * @param {number|string} sourceId - Note the arrow starts from.
+ * @param {number|string} targetId - Note the arrow points to.
+ * @returns {Promise<void>}
+ */
+async function createConnector(sourceId, targetId) {
+    const conn = { source_note_id: sourceId, target_note_id: targetId, style: 'straight' };
+    const res = await NoteAPI.post('/notes/api/connectors/save', { canvas_id: STATE.canvas_id, ...conn });
+    if (!res || !res.success) return;
+
+    applyConnectorResponse(res);
+    if (typeof recordHistory === 'function') {
+        recordHistory({
+            label: 'Connect',
+            undo: { requests: [connectorDeleteRequest(conn)], reload: true },
+            redo: { requests: [connectorSaveRequest(conn)], reload: true }
+        });
+    }
+}
+
+/**
+ * Saves style, label or colour changes to an existing arrow.
+ * @param {number|string} id - Connector ID.
+ * @param {Object} changes - Subset of { style, label, color }.
+ * @returns {Promise<void>}
+ */
+async function updateConnector(id, changes) {
+    const before = (STATE.connectors || []).find(c => c.id == id);
+    if (!before) return;
+    const after = { ...before, ...changes };
+
+    const res = await NoteAPI.post('/notes/api/connectors/save', {
+        canvas_id: STATE.canvas_id,
+        id,
+        style: after.style || 'straight',
+        label: after.label || '',
+        color: after.color || ''
+    });
+    if (!res || !res.success) return;
+
+    applyConnectorResponse(res);
+    if (typeof recordHistory === 'function') {
+        recordHistory({
+            label: 'Connector',
+            undo: { requests: [connectorSaveRequest(before)], reload: true },
+            redo: { requests: [connectorSaveRequest(after)], reload: true }
+        });
+    }
+}
+
+/**
+ * Deletes an arrow.
+ * @param {number|string} id - Connector ID.
+ * @returns {Promise<void>}
+ */
+async function deleteConnector(id) {
+    const conn = (STATE.connectors || []).find(c => c.id == id);
+    if (!conn) return;
+
+    clearConnectorSelection();
+    const res = await NoteAPI.post('/notes/api/connectors/delete', { canvas_id: STATE.canvas_id, id });
+    if (!res || !res.success) return;
+
+    applyConnectorResponse(res);
+    if (typeof recordHistory === 'function') {
+        recordHistory({
+            label: 'Delete Connector',
+            undo: { requests: [connectorSaveRequest(conn)], reload: true },
+            redo: { requests: [connectorDeleteRequest(conn)], reload: true }
+        });
+    }
+}
+
+/**
+ * Prompts for a new arrow label via the themed modal.
+ * @param {number|string} id - Connector ID.
+ * @returns {void}
+ */
+function promptConnectorLabel(id) {
+    const conn = (STATE.connectors || []).find(c => c.id == id);
+    if (!conn) return;
+
+    window.showConfirmModal({
+        title: 'Connector Label',
+        icon: '🏷️',
+        message: 'Text shown at the middle of the arrow (leave empty to remove):',
+        width: 'small',
+        autoFocus: true,
+        input: {
+            type: 'text',
+            placeholder: 'e.g. depends on',
+            value: conn.label || '',
+            maxLength: 255
+        },
+        confirmText: 'Save',
+        onConfirm: (value) => updateConnector(id, { label: (value || '').trim() })
+    });
+}
+
+// --- Drag-to-Connect ---
+
+/**
+ * Converts a pointer event into board coordinates.
+ * @param {MouseEvent} e - Pointer event.
+ * @returns {{x:number, y:number}}
+ */
+function getConnectorBoardPoint(e) {
+    const wrapper = STATE.wrapperEl;
+    const rect = wrapper.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left + wrapper.scrollLeft) / STATE.scale,
+        y: (e.clientY - rect.top  + wrapper.scrollTop)  / STATE.scale
+    };
+}
+
+/**
+ * Finds the note under the pointer that would receive a new arrow.
+ * @param {MouseEvent} e - Pointer event.
+ * @returns {HTMLElement|null}
+ */
+function getConnectorDropTarget(e) {
+    const el = document.elementFromPoint(e.clientX, e.clientY)?.closest('.sticky-note');
+    if (!el || !CONNECTOR_STATE.drag || el.dataset.id == CONNECTOR_STATE.drag.sourceId) return null;
+    return el;
+}
+
+/**
+ * Starts drawing a new arrow from a note's connect handle.
+ * Invoked from handleCanvasMouseDown so panning and lasso never start underneath.
+ * @param {MouseEvent} e - mousedown event.
+ * @param {HTMLElement} handle - The .note-connect-handle element.
+ * @returns {void}
+ */
+function startConnectorDrag(e, handle) {
+    const noteEl = handle.closest('.sticky-note');
+    const layer = ensureConnectorLayer();
+    if (!noteEl || !layer) return;
+
+    if (!canEditConnectors()) {
+        showToast('This board is read-only.', 'warning');
+        return;
+    }
+
+    e.preventDefault();
+    clearConnectorSelection();
+
+    const color = CONNECTOR_CONFIG.DEFAULT_COLOR;
+    const path = createSvgElement('path', {
+        class: 'connector-line connector-pending',
+        stroke: color,
+        'marker-end': getConnectorMarker(color)
+    });
+    layer.appendChild(path);
+
+    CONNECTOR_STATE.drag = { sourceId: noteEl.dataset.id, path, hoverEl: null };
+    noteEl.classList.add('is-connecting');
+
+    document.addEventListener('mousemove', updateConnectorDrag);
+    document.addEventListener('mouseup', finishConnectorDrag);
+    updateConnectorDrag(e);
+}
+
+/**
+ * Follows the pointer with the pending arrow and highlights the note it would connect to.
+ * @param {MouseEvent} e - mousemove event.
+ * @returns {void}
+ */
+function updateConnectorDrag(e) {
+    const drag = CONNECTOR_STATE.drag;
+    if (!drag) return;
+
+    const source = getConnectorNoteRect(drag.sourceId);
+    if (!source) return cancelConnectorDrag();
+
+    const point = getConnectorBoardPoint(e);
+    const start = clipToNoteBorder(source, point.x, point.y);
+    drag.path.setAttribute('d', `M${start.x},${start.y} L${point.x},${point.y}`);
+
+    const target = getConnectorDropTarget(e);
+    if (target !== drag.hoverEl) {
+        drag.hoverEl?.classList.remove('connector-drop-target');
+        target?.classList.add('connector-drop-target');
+        drag.hoverEl = target;
+    }
+}
+
+/**
+ * Completes the gesture, creating the arrow when released over another note.
+ * @param {MouseEvent} e - mouseup event.
+ * @returns {void}
+ */
+function finishConnectorDrag(e) {
+    const drag = CONNECTOR_STATE.drag;
+    if (!drag) return;
+
+    const target = getConnectorDropTarget(e);
+    const sourceId = drag.sourceId;
+    cancelConnectorDrag();
+
+    if (target) createConnector(sourceId, target.dataset.id);
+}
+
+/**
+ * Aborts an in-progress arrow and clears its visual feedback.
+ * @returns {void}
+ */
+function cancelConnectorDrag() {
+    const drag = CONNECTOR_STATE.drag;
+    if (!drag) return;
+
+    drag.path.remove();
+    drag.hoverEl?.classList.remove('connector-drop-target');
+    document.getElementById(`note-${drag.sourceId}`)?.classList.remove('is-connecting');
+    document.removeEventListener('mousemove', updateConnectorDrag);
+    document.removeEventListener('mouseup', finishConnectorDrag);
+    CONNECTOR_STATE.drag = null;
+}
+
+// --- Selection Toolbar ---
+
+/**
+ * Selects an arrow and shows its toolbar (edit-capable boards only).
+ * @param {number|string} id - Connector ID.
+ * @returns {void}
+ */
+function selectConnector(id) {
+    if (!canEditConnectors()) return;
+    STATE.selectedConnectorId = id;
+    CONNECTOR_STATE.groups.forEach((g, key) => g.classList.toggle('is-selected', key == id));
+    positionConnectorToolbar();
+}
+
+/**
+ * Deselects the active arrow and hides its toolbar.
+ * @returns {void}
+ */
+function clearConnectorSelection() {
+    if (STATE.selectedConnectorId === null) return;
+    CONNECTOR_STATE.groups.get(String(STATE.selectedConnectorId))?.classList.remove('is-selected');
+    STATE.selectedConnectorId = null;
+    document.getElementById('connector-toolbar')?.classList.add('hidden');
+}
+
+/**
+ * Creates the toolbar on first use. Mousedown is stopped so the canvas never pans under it.
+ * @returns {HTMLElement|null}
+ */
+function getConnectorToolbar() {
+    let bar = document.getElementById('connector-toolbar');
+    if (bar || !STATE.canvasEl) return bar;
+
+    bar = document.createElement('div');
+    bar.id = 'connector-toolbar';
+    bar.className = 'connector-toolbar hidden';
+    bar.innerHTML = `
+        <button type="button" data-connector-action="style" title="Toggle straight / elbow">↪️</button>
+        <button type="button" data-connector-action="label" title="Edit label">🏷️</button>
+        <input type="color" data-connector-action="color" title="Arrow colour">
+        <button type="button" data-connector-action="delete" title="Delete connector">🗑️</button>
+    `;
+    bar.addEventListener('mousedown', (e) => e.stopPropagation());
+    bar.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-connector-action]');
+        const id = STATE.selectedConnectorId;
+        if (!btn || id === null) return;
+
+        const conn = (STATE.connectors || []).find(c => c.id == id);
+        const action = btn.dataset.connectorAction;
+        if (action === 'style' && conn) updateConnector(id, { style: conn.style === 'elbow' ? 'straight' : 'elbow' });
+        else if (action === 'label') promptConnectorLabel(id);
+        else if (action === 'delete') deleteConnector(id);
+    });
+    bar.querySelector('input[type="color"]').addEventListener('change', (e) => {
+        if (STATE.selectedConnectorId !== null) updateConnector(STATE.selectedConnectorId, { color: e.target.value });
+    });
+
+    STATE.canvasEl.appendChild(bar);
+    return bar;
+}
+
+/**
+ * Places the toolbar above the selected arrow's midpoint.
+ * @returns {void}
+ */
+function positionConnectorToolbar() {
+    const id = STATE.selectedConnectorId;
+    const g = id !== null ? CONNECTOR_STATE.groups.get(String(id)) : null;
+    if (!g) return;
+
+    const bar = getConnectorToolbar();
+    if (!bar) return;
+
+    const conn = (STATE.connectors || []).find(c => c.id == id);
+    bar.style.left = `${g.dataset.midX}px`;
+    bar.style.top  = `${g.dataset.midY}px`;
+    bar.querySelector('input[type="color"]').value = getConnectorColor(conn);
+    bar.classList.remove('hidden');
+}
+
+/**
+ * Keyboard shortcuts: Delete removes the selected arrow, Escape cancels a drag or selection.
+ * @param {KeyboardEvent} e
+ * @returns {void}
+ */
+function handleConnectorKeydown(e) {
+    if (e.key === 'Escape') {
+        if (CONNECTOR_STATE.drag) cancelConnectorDrag();
+        else clearConnectorSelection();
+        return;
+    }
+
+    if ((e.key === 'Delete' || e.key === 'Backspace') && STATE.selectedConnectorId !== null) {
+        if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+        e.preventDefault();
+        deleteConnector(STATE.selectedConnectorId);
+    }
+}
+
+/**
+ * Wires DOM observation and shortcuts once the canvas exists.
+ * Style and child mutations on notes cover drags, resizes, level switches and undo.
+ * @returns {void}
+ */
+function initConnectors() {
+    const canvas = document.getElementById('notes-canvas');
+    if (!canvas || typeof MutationObserver === 'undefined') return;
+
+    new MutationObserver(records => {
+        const relevant = records.some(r => r.type === 'childList'
+            ? r.target === canvas
+            : r.target.classList?.contains('sticky-note'));
+        if (relevant) scheduleConnectorRender();
+    }).observe(canvas, { childList: true, subtree: true, attributes: true, attributeFilter: ['style', 'class'] });
+
+    document.addEventListener('keydown', handleConnectorKeydown);
+}
+
+document.addEventListener('DOMContentLoaded', initConnectors);
+
+window.renderConnectors        = renderConnectors;
+window.scheduleConnectorRender = scheduleConnectorRender;
+window.startConnectorDrag      = startConnectorDrag;
+window.selectConnector         = selectConnector;
+window.clearConnectorSelection = clearConnectorSelection;
+window.deleteConnector         = deleteConnector;
@@ -4,13 +4,23 @@
  * Whiteboard Module: Core Logic & Context Orchestrator
  * 
  * 📂 MODULE STRUCTURE:
- * 1. core.js (This File): Central state container, initialization, and heartbeat synchronization.
+ * 1. core.js (This File): Central state container, initialization, heartbeat synchronization and undo/redo history.
  * 2. api.js: Backend integration, position syncing, and security token management.
  * 3. rendering.js: DOM generation, markdown parsing, and UI refresh orchestration.
  * 4. interactions.js: Physics engines (Drag/Resize/Sticky), navigation, and grid snapping.
  * 5. attachments.js: Binary file operations and multi-file management interface.
  * 6. modals.js: Lifecycle management for all overlays and form population.
  * 7. radar.js: Minimap rendering and precision viewport navigation.
+ * 8. collab.js: Board presence and operational-transform concurrent note editing.
+ * 9. connectors.js: Persistent arrows between notes, drawn on an SVG layer beneath them.
+ * 10. graph.js: Cross-board graph view of wikilinks and note references.
+ * 11. templates.js: Note templates, {{variable}} expansion and per-board defaults.
+ * 12. tasks.js: Checkbox tasks aggregated across notes and boards, [tasks] component and panel.
+ * 13. diagrams.js: Flowchart, formula and chart rendering for fenced code blocks.
+ * 14. frames.js: Frames that carry their contents, persistent note groups and the frame navigator.
+ * 15. presentation.js: Presentation mode stepping through [slide:N] notes or frames.
+ * 16. layout.js: Align, distribute, grid packing, tag/colour arrangement and overlap resolution.
+ * 17. public-board.js: Read-only viewer behind public share links (loaded on its own page instead of this file).
  */
 
 /**
@@ -21,6 +31,7 @@ const STATE = {
     notes:      [],
     editMode:   true,     // Permanent Edit Mode: Always draggable
     user_id:    null,
+    username:   '',       // Display name used by template {{user}} expansion
     canvasSize: 50000,
     snapGrid:   10,
     scale:      1.0,      // Current CSS transform scale
@@ -71,6 +82,12 @@ const STATE = {
     syncQueue:      [],              // Transactional Retry Container
     isSyncing:      false,           // Flow Control: Prevents concurrent flush cycles
     pendingContext: null,            // Context Queue: Stores board/layer switches blocked by active sync
+    undoStack:      [],              // Command History: Reversible actions, newest last (see recordHistory)
+    redoStack:      [],              // Command History: Undone actions available to Ctrl+Shift+Z
+    presencePeers:  [],              // Live Collaboration: Other sessions on this board (see collab.js)
+    connectors:     [],              // Arrows between notes on the active board (see connectors.js)
+    selectedConnectorId: null,       // Connector currently showing its toolbar
+    routeContext:   null,            // Deep-link target from openNotesRoute, consumed by the initial loadState
     aliasTimer:     null,            // Lifecycle Handle: Auto-hide delay for level names
     isScrubbing:    false,           // Interaction Layer: Active radar-panning state
     radarScrubLast: { x: 0, y: 0 },   // Delta Tracking: Powering the 'Precision Gearbox'
@@ -336,6 +353,10 @@ window.apiLockCanvas = async function(canvasId) {
 
 window.addEventListener('load', initNotes);
 
+// Deep links: a board, or a note on a board opened in the view modal (Back closes it)
+registerRoute('/notes/board/:canvas_id', { open: openNotesRoute, base: '/notes' });
+registerRoute('/notes/board/:canvas_id/note/:note_id', { open: openNotesRoute, close: closeViewModal, modal: 'note-view-modal', base: '/notes' });
+
 // State Synchronization: Save viewport before reload
 window.addEventListener('beforeunload', () => {
     if (!STATE.isInitializing) {
@@ -386,6 +407,48 @@ function closeBacklinks() {
     }
 }
 
+/**
+ * Resolves once the initial board hydration (including deferred centering) is done.
+ * @returns {Promise<void>}
+ */
+function whenNotesHydrated() {
+    return new Promise(resolve => {
+        const check = () => (STATE.isInitialized && !STATE.isInitializing && !STATE.isSyncing)
+            ? resolve()
+            : setTimeout(check, 100);
+        check();
+    });
+}
+
+/**
+ * Router handler for /notes/board/:canvas_id[/note/:note_id].
+ * Before initNotes runs the target is handed to the initial loadState so the
+ * board is only hydrated once; afterwards it switches board or re-centres.
+ * @param {Object} params - Route params ({ canvas_id, note_id }).
+ * @returns {Promise<void>}
+ */
+async function openNotesRoute({ canvas_id, note_id = null }) {
+    if (!STATE.isInitialized) {
+        STATE.routeContext = { canvas_id, note_id };
+    } else {
+        await whenNotesHydrated();
+        if (canvas_id != STATE.canvas_id) {
+            await switchCanvas(canvas_id, note_id);
+        } else if (note_id) {
+            await centerOnNote(note_id);
+        }
+    }
+    await whenNotesHydrated();
+
+    if (note_id) {
+        viewNote(note_id);
+        if (document.getElementById('note-view-modal')?.classList.contains('show')) return;
+    }
+    // Board links (and notes without a text view) settle on the plain module URL,
+    // matching how the legacy ?canvas_id= links are cleaned up after loading.
+    window.history.replaceState(null, '', '/notes');
+}
+
 /**
  * Initializes the whiteboard module.
  * Attaches global listeners and hydrates initial state.
@@ -737,6 +800,13 @@ async function initNotes() {
                 e.stopPropagation();
                 const tid    = checkTrigger.dataset.noteId;
                 const lineIndex = parseInt(checkTrigger.dataset.index);
+                // Aggregated tasks ([tasks] component) may live in another note or board
+                if (checkTrigger.classList.contains('task-aggregate-check')) {
+                    if (typeof toggleAggregatedTask === 'function') {
+                        toggleAggregatedTask(tid, lineIndex, checkTrigger.dataset.taskText);
+                    }
+                    return;
+                }
                 if (typeof toggleNoteCheckbox === 'function') {
                     toggleNoteCheckbox(e, tid, lineIndex);
                 }
@@ -872,7 +942,8 @@ async function initNotes() {
         setupGlobalModalClosing(['modal-overlay'], [
             closeViewModal, closeCreateModal, closeSearchModal, 
             closeCanvasManager, closeMoveModal, closeBoardSettings, 
-            closeBinModal, closeImageViewer, closePDFViewer
+            closeBinModal, closeNoteHistoryModal, closeImageViewer, closePDFViewer,
+            closeGraphModal, closeTasksModal, closeFramesModal, closePresentationModal
         ]);
     }
     
@@ -887,8 +958,13 @@ async function initNotes() {
             if (typeof closeMoveModal === 'function') closeMoveModal();
             if (typeof closeBoardSettings === 'function') closeBoardSettings();
             if (typeof closeBinModal === 'function') closeBinModal();
+            if (typeof closeNoteHistoryModal === 'function') closeNoteHistoryModal();
             if (typeof closeImageViewer === 'function') closeImageViewer();
             if (typeof closePDFViewer === 'function') closePDFViewer();
+            if (typeof closeGraphModal === 'function') closeGraphModal();
+            if (typeof closeTasksModal === 'function') closeTasksModal();
+            if (typeof closeFramesModal === 'function') closeFramesModal();
+            if (typeof closePresentationModal === 'function') closePresentationModal();
         }
 
         const trigger = e.target.closest('[data-action]');
@@ -929,6 +1005,20 @@ async function initNotes() {
     // Global Interface: Keydown Listeners (ESC/Arrows)
     if (typeof handleGlobalKeydown === 'function') document.addEventListener('keydown', handleGlobalKeydown);
 
+    // Command Palette: Board actions plus the keys handleGlobalKeydown owns (help overlay only)
+    registerCommand({ id: 'notes.search', title: 'Search notes', keywords: 'find', run: () => openSearchModal() });
+    registerCommand({ id: 'notes.jump', title: 'Jump to level', keywords: 'layer', run: () => openJumpToLevelModal() });
+    registerCommand({ id: 'notes.bin', title: 'Open recycle bin', keywords: 'trash deleted restore', run: () => openBinModal() });
+    registerCommand({ id: 'notes.undo', title: 'Undo last board action', keywords: 'revert back', run: () => undoLastAction() });
+    registerCommand({ id: 'notes.redo', title: 'Redo board action', keywords: 'repeat again', run: () => redoLastAction() });
+    registerShortcut('mod+f', 'Search notes', null);
+    registerShortcut('ctrl+e', 'Toggle edit mode (Shift for raw)', null);
+    registerShortcut('ctrl+a', 'Select all notes on level', null);
+    registerShortcut('escape', 'Cancel edit, move or selection', null);
+    registerShortcut('delete', 'Delete selected notes', null);
+    registerShortcut('mod+z', 'Undo move, resize, colour, level, copy or delete', null);
+    registerShortcut('mod+shift+z', 'Redo last undone action', null);
+
     if (document.fonts?.ready && typeof fitNoteHeight === 'function') {
         document.fonts.ready.then(() => {
             document.querySelectorAll('.sticky-note:not(.is-fence-note)').forEach(el => fitNoteHeight(el.dataset.id));
@@ -1074,8 +1164,10 @@ async function loadState(initial = false, canvas_id = null, targetNoteId = null,
     }
     // Resolve context: Prioritize URL param -> Current State -> Backend Default (null)
     const urlParams = new URLSearchParams(window.location.search);
-    const tid = canvas_id || urlParams.get('canvas_id') || STATE.canvas_id;
-    const nid = targetNoteId || urlParams.get('note_id'); // Deep-link or search-target detection
+    const route = STATE.routeContext || {}; // Path deep link handed over by openNotesRoute
+    STATE.routeContext = null;
+    const tid = canvas_id || urlParams.get('canvas_id') || route.canvas_id || STATE.canvas_id;
+    const nid = targetNoteId || urlParams.get('note_id') || route.note_id; // Deep-link or search-target detection
     // Context Transition Logic: Initial loads are intentionally treated as full switches 
     // to ensure downstream UI (viewports, centering) hydrates correctly on first load.
     const isContextChange = initial || (tid && tid != STATE.canvas_id) || (layer_id && layer_id != STATE.activeLayerId);
@@ -1130,6 +1222,7 @@ async function loadState(initial = false, canvas_id = null, targetNoteId = null,
 
             STATE.canvases = data.canvases || [];
             STATE.user_id  = data.user_id;
+            STATE.username = data.username || '';
             STATE.canvas_id  = data.canvas_id; // Resolved active context
             
             // State Synchronization: Baseline alignment with backend truth
@@ -1144,6 +1237,7 @@ async function loadState(initial = false, canvas_id = null, targetNoteId = null,
 
             STATE.layer_map     = data.layer_map || {};
             STATE.share_list    = data.share_list || [];
+            STATE.connectors    = data.connectors || [];
             
             // Interaction Optimization: Calculate global Z-index baseline once per hydration
             STATE.maxZ = STATE.notes.reduce((max, n) => window.isFenceNote?.(n) ? max : Math.max(max, n.z_index || 1), 1);
@@ -1322,6 +1416,7 @@ async function loadState(initial = false, canvas_id = null, targetNoteId = null,
 
         // Non-blocking: resolve cross-canvas embed content and re-render if needed
         prefetchCrossCanvasEmbeds();
+        if (typeof prefetchTaskLists === 'function') prefetchTaskLists();
     }
     // Non-throwing paths return true to preserve the established return contract.
     // Throwing paths (initial=false failures) propagate the throw before reaching this line.
@@ -1387,6 +1482,189 @@ function mergeNoteState(incomingNotes, forceUpdateId = null) {
     });
 }
 
+/**
+ * Undo / Redo Command Stack
+ * Each entry pairs an 'undo' and a 'redo' step for one user action on a board.
+ * A step restores geometry snapshots locally (x/y/size/z/colour) and queues the
+ * matching server requests through processSyncQueue, so inverse operations get
+ * the same retry path as viewport saves. Steps that change which notes exist
+ * (delete, copy, level or board moves) ask for a state reload once synced.
+ */
+const HISTORY_LIMIT = 50;
+const HISTORY_SYNC_ATTEMPTS = 3;
+
+/**
+ * Captures the undoable geometry of the given notes from STATE.
+ * @param {Array<number|string>} ids - Note IDs.
+ * @returns {Array<Object>} Snapshots { id, x, y, width, height, z_index, color }.
+ */
+function captureNoteGeometry(ids) {
+    const snapshots = [];
+    ids.forEach(id => {
+        const note = STATE.notes.find(n => n.id == id);
+        if (!note) return;
+        snapshots.push({
+            id:      note.id,
+            x:       note.x,
+            y:       note.y,
+            width:   note.width,
+            height:  note.height,
+            z_index: note.z_index,
+            color:   note.color
+        });
+    });
+    return snapshots;
+}
+
+/**
+ * Pushes an action onto the undo stack and invalidates this board's redo history.
+ * @param {Object} entry
+ * @param {string} entry.label - Short description shown in toasts ('Move', 'Delete', ...).
+ * @param {Object} entry.undo - Step { geometry?, requests?, reload? } reverting the action.
+ * @param {Object} entry.redo - Step re-applying the action.
+ * @returns {void}
+ */
+function recordHistory(entry) {
+    if (!STATE.canvas_id || !entry || !entry.undo || !entry.redo) return;
+
+    STATE.undoStack.push({ ...entry, canvas_id: STATE.canvas_id });
+    if (STATE.undoStack.length > HISTORY_LIMIT) STATE.undoStack.shift();
+    STATE.redoStack = STATE.redoStack.filter(e => e.canvas_id != STATE.canvas_id);
+}
+
+/**
+ * Records a geometry-only action by diffing a 'before' snapshot against current STATE.
+ * No entry is recorded when nothing actually changed.
+ * @param {string} label - Action description.
+ * @param {Array<Object>} before - Snapshots from captureNoteGeometry taken before the action.
+ * @returns {void}
+ */
+function recordGeometryHistory(label, before) {
+    if (!before || before.length === 0) return;
+
+    const after = captureNoteGeometry(before.map(s => s.id));
+    const changed = after.some(a => {
+        const b = before.find(s => s.id == a.id);
+        return b && ['x', 'y', 'width', 'height', 'color'].some(k => b[k] != a[k]);
+    });
+    if (!changed) return;
+
+    recordHistory({ label, undo: { geometry: before }, redo: { geometry: after } });
+}
+
+/**
+ * Applies a geometry snapshot to STATE and the DOM, returning the /notes/api/geometry payload.
+ * @param {Object} snap - Snapshot from captureNoteGeometry.
+ * @returns {Object|null} Request params, or null if the note is no longer on the board.
+ */
+function applyGeometrySnapshot(snap) {
+    const note = STATE.notes.find(n => n.id == snap.id);
+    if (!note) return null;
+
+    Object.assign(note, {
+        x: snap.x, y: snap.y, width: snap.width, height: snap.height,
+        z_index: snap.z_index, color: snap.color
+    });
+    if (STATE.note_map[note.id]) STATE.note_map[note.id].color = snap.color;
+
+    const el = document.getElementById(`note-${note.id}`);
+    if (el) {
+        el.style.left   = `${snap.x}px`;
+        el.style.top    = `${snap.y}px`;
+        el.style.zIndex = snap.z_index;
+        if (!note.is_collapsed) {
+            el.style.width  = `${snap.width}px`;
+            el.style.height = `${snap.height}px`;
+        }
+        const normalize = window.normalizeColorHex || (c => c);
+        el.style.setProperty('--note-accent', normalize(snap.color));
+        const colorInput = el.querySelector('.inline-color-input');
+        if (colorInput) colorInput.value = normalize(snap.color);
+    }
+
+    return {
+        id:        note.id,
+        canvas_id: STATE.canvas_id,
+        x:         snap.x,
+        y:         snap.y,
+        width:     snap.width,
+        height:    snap.height,
+        z_index:   snap.z_index,
+        layer_id:  note.layer_id || 1,
+        is_collapsed: note.is_collapsed,
+        is_options_expanded: note.is_options_expanded ?? 0,
+        color:     snap.color
+    };
+}
+
+/**
+ * Replays one side of a history entry: local geometry first, then queued server requests.
+ * @param {Object} step - { geometry?, requests?, reload? }.
+ * @returns {void}
+ */
+function applyHistoryStep(step) {
+    const queued = [];
+
+    (step.geometry || []).forEach(snap => {
+        const params = applyGeometrySnapshot(snap);
+        if (params) queued.push({ url: '/notes/api/geometry', params });
+    });
+
+    (step.requests || []).forEach(req => {
+        queued.push({ url: req.url, params: { ...req.params, canvas_id: req.params.canvas_id ?? STATE.canvas_id } });
+    });
+
+    queued.forEach(item => {
+        STATE.syncQueue.push({ ...item, reload: !!step.reload, attempts: 0, ts: Date.now() });
+    });
+
+    if (typeof updateRadar === 'function') updateRadar();
+    if (typeof processSyncQueue === 'function') processSyncQueue();
+}
+
+/**
+ * Moves the most recent entry for the active board from one stack to the other and replays it.
+ * @param {'undo'|'redo'} direction
+ * @returns {boolean} True when an entry was applied.
+ */
+function stepHistory(direction) {
+    const from = direction === 'undo' ? STATE.undoStack : STATE.redoStack;
+    const to   = direction === 'undo' ? STATE.redoStack : STATE.undoStack;
+
+    if (STATE.pickedNoteId || STATE.isResizing || STATE.isEditingNote || STATE.isLocked) return false;
+
+    let index = -1;
+    for (let i = from.length - 1; i >= 0; i--) {
+        if (from[i].canvas_id == STATE.canvas_id) { index = i; break; }
+    }
+    if (index === -1) {
+        showToast(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo', 'info');
+        return false;
+    }
+
+    const [entry] = from.splice(index, 1);
+    to.push(entry);
+    applyHistoryStep(entry[direction]);
+    showToast(`${direction === 'undo' ? 'Undo' : 'Redo'}: ${entry.label}`, 'info');
+    return true;
+}
+
+/**
+ * Reverts the last recorded action on the active board.
+ * @returns {boolean}
+ */
+function undoLastAction() {
+    return stepHistory('undo');
+}
+
+/**
+ * Re-applies the last undone action on the active board.
+ * @returns {boolean}
+ */
+function redoLastAction() {
+    return stepHistory('redo');
+}
+
 /**
  * Reactive Heartbeat Engine
  * Periodically polls the server for workspace mutations.
@@ -1552,5 +1830,10 @@ window.handleFaviconLoad = (img) => {
 window.loadState = loadState;
 window.initNotes = initNotes;
 window.mergeNoteState = mergeNoteState;
+window.captureNoteGeometry = captureNoteGeometry;
+window.recordHistory = recordHistory;
+window.recordGeometryHistory = recordGeometryHistory;
+window.undoLastAction = undoLastAction;
+window.redoLastAction = redoLastAction;
 
 window.STATE = STATE;
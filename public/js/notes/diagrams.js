@@ -0,0 +1,777 @@
+// /public/js/notes/diagrams.js
+
+/**
+ * Diagram Renderer: Flowcharts, formulas and charts for fenced code blocks.
+ *
+ * Called by NoteParser.renderCodeBlock for ```mermaid / ```flow, ```math / ```latex
+ * and ```chart fences. Each renderer parses its own small grammar and emits markup
+ * built only from escaped text, computed numbers and a fixed palette, so note content
+ * never reaches the DOM as raw SVG or MathML. Any parse error throws, and the parser
+ * falls back to the plain code block.
+ */
+const NoteDiagrams = (() => {
+    const LANGUAGES = {
+        mermaid:   'flow',
+        flow:      'flow',
+        flowchart: 'flow',
+        math:      'math',
+        latex:     'math',
+        tex:       'math',
+        chart:     'chart'
+    };
+
+    const MAX_SOURCE = 20000;
+    const PALETTE    = ['#60a5fa', '#34d399', '#f59e0b', '#f87171', '#a78bfa', '#22d3ee', '#f472b6', '#a3e635'];
+
+    const esc = (text) => window.escapeHtml(String(text));
+    const own = (map, key) => (Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined);
+    const num = (value) => Number(value.toFixed(1));
+
+    // =========================================================================
+    // FLOWCHART (Mermaid "graph" subset)
+    // =========================================================================
+
+    const FLOW_SHAPES = [
+        { open: '((', close: '))', shape: 'circle' },
+        { open: '([', close: '])', shape: 'stadium' },
+        { open: '[[', close: ']]', shape: 'subroutine' },
+        { open: '{',  close: '}',  shape: 'diamond' },
+        { open: '[',  close: ']',  shape: 'rect' },
+        { open: '(',  close: ')',  shape: 'round' }
+    ];
+
+    const FLOW_IGNORED_RE = /^(?:classDef|class|style|linkStyle|click|subgraph|end|direction)\b/;
+    const FLOW_MAX_NODES  = 150;
+    const FLOW_CHAR_W     = 7;
+    const FLOW_LINE_H     = 16;
+
+    /**
+     * Splits a label into lines of at most ~26 characters on word boundaries.
+     * @param {string} label
+     * @returns {string[]}
+     */
+    const wrapLabel = (label) => {
+        const lines = [];
+        String(label).split(/<br\s*\/?>|\\n/i).forEach(part => {
+            let line = '';
+            part.trim().split(/\s+/).forEach(word => {
+                if (line && (line + ' ' + word).length > 26) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = line ? `${line} ${word}` : word;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    };
+
+    /**
+     * Parses a flowchart definition into nodes and edges.
+     * @param {string} code
+     * @returns {{direction: string, nodes: Map, edges: Array}}
+     */
+    const parseFlow = (code) => {
+        const statements = code.split(/\n|;/).map(s => s.replace(/%%.*$/, '').trim()).filter(Boolean);
+        let direction = 'TD';
+
+        const header = statements[0] && statements[0].match(/^(?:graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?$/i);
+        if (header) {
+            direction = (header[1] || 'TD').toUpperCase().replace('TB', 'TD');
+            statements.shift();
+        } else if (statements[0] && /^[a-zA-Z]+Diagram\b|^(?:pie|gantt|journey|gitGraph|mindmap|timeline)\b/.test(statements[0])) {
+            throw new Error(`Unsupported diagram type "${statements[0].split(/\s/)[0]}"`);
+        }
+
+        const nodes = new Map();
+        const edges = [];
+
+        const readNode = (stmt, pos) => {
+            const idMatch = /^[\p{L}\p{N}_]+/u.exec(stmt.substring(pos));
+            if (!idMatch) throw new Error(`Expected a node at "${stmt.substring(pos, pos + 20)}"`);
+            const id = idMatch[0];
+            pos += id.length;
+
+            let label = null;
+            let shape = null;
+            const rest = stmt.substring(pos);
+            const def  = FLOW_SHAPES.find(s => rest.startsWith(s.open));
+            if (def) {
+                const close = rest.indexOf(def.close, def.open.length);
+                if (close === -1) throw new Error(`Unclosed "${def.open}" for node ${id}`);
+                label = rest.substring(def.open.length, close).trim().replace(/^"(.*)"$/, '$1');
+                shape = def.shape;
+                pos += close + def.close.length;
+            }
+
+            if (!nodes.has(id)) {
+                if (nodes.size >= FLOW_MAX_NODES) throw new Error(`Too many nodes (max ${FLOW_MAX_NODES})`);
+                nodes.set(id, { id, label: id, shape: 'rect', order: nodes.size });
+            }
+            const node = nodes.get(id);
+            if (label !== null) {
+                node.label = label || ' ';
+                node.shape = shape;
+            }
+            return { id, pos };
+        };
+
+        const readEdge = (stmt, pos) => {
+            const rest = stmt.substring(pos).replace(/^\s+/, '');
+            const skipped = stmt.length - pos - rest.length;
+            let m = /^(--|==|-\.)\s+(.+?)\s+(-{2,}>|-{3,}|={2,}>|={3,}|\.+->|\.+-)/.exec(rest);
+            let arrow, label = '';
+            if (m) {
+                arrow = m[1] + m[3];
+                label = m[2];
+            } else {
+                m = /^(-{2,}>|-{3,}|={2,}>|={3,}|-\.+->|-\.+-)\s*(?:\|([^|]*)\|)?/.exec(rest);
+                if (!m) return null;
+                arrow = m[1];
+                label = m[2] || '';
+            }
+            return {
+                pos: pos + skipped + m[0].length,
+                arrow: arrow.endsWith('>'),
+                style: arrow.includes('.') ? 'dotted' : arrow.includes('=') ? 'thick' : 'solid',
+                label: label.trim().replace(/^"(.*)"$/, '$1')
+            };
+        };
+
+        statements.forEach(stmt => {
+            if (FLOW_IGNORED_RE.test(stmt)) return;
+
+            let { id: from, pos } = readNode(stmt, 0);
+            while (stmt.substring(pos).trim() !== '') {
+                const edge = readEdge(stmt, pos);
+                if (!edge) throw new Error(`Cannot parse "${stmt}"`);
+                const skip = /^\s*/.exec(stmt.substring(edge.pos))[0].length;
+                const next = readNode(stmt, edge.pos + skip);
+                edges.push({ from, to: next.id, arrow: edge.arrow, style: edge.style, label: edge.label });
+                from = next.id;
+                pos  = next.pos;
+            }
+        });
+
+        if (!nodes.size) throw new Error('Empty diagram');
+        return { direction, nodes, edges };
+    };
+
+    /**
+     * Assigns layered positions: longest-path ranks, then one barycenter ordering pass.
+     * @param {{direction: string, nodes: Map, edges: Array}} graph
+     * @returns {{width: number, height: number}}
+     */
+    const layoutFlow = (graph) => {
+        const { nodes, edges, direction } = graph;
+        const out = new Map([...nodes.keys()].map(id => [id, []]));
+        edges.forEach(e => { if (e.from !== e.to) out.get(e.from).push(e); });
+
+        // Depth-first pass marks cycle-closing edges so ranking stays acyclic
+        const state = new Map();
+        const back  = new Set();
+        const post  = [];
+        const visit = (id) => {
+            state.set(id, 1);
+            out.get(id).forEach(e => {
+                const s = state.get(e.to);
+                if (s === 1) back.add(e);
+                else if (!s) visit(e.to);
+            });
+            state.set(id, 2);
+            post.push(id);
+        };
+        [...nodes.keys()].forEach(id => { if (!state.has(id)) visit(id); });
+
+        const rank = new Map([...nodes.keys()].map(id => [id, 0]));
+        post.reverse().forEach(id => {
+            out.get(id).forEach(e => {
+                if (!back.has(e)) rank.set(e.to, Math.max(rank.get(e.to), rank.get(id) + 1));
+            });
+        });
+
+        const layers = [];
+        [...nodes.values()].forEach(n => {
+            const lines = wrapLabel(n.label);
+            let w = Math.max(48, Math.max(...lines.map(l => l.length)) * FLOW_CHAR_W + 28);
+            let h = lines.length * FLOW_LINE_H + 18;
+            if (n.shape === 'diamond') { w *= 1.4; h *= 1.5; }
+            if (n.shape === 'circle')  { w = h = Math.max(w, h); }
+            Object.assign(n, { lines, w, h, rank: rank.get(n.id) });
+            (layers[n.rank] = layers[n.rank] || []).push(n);
+        });
+
+        const preds = new Map([...nodes.keys()].map(id => [id, []]));
+        edges.forEach(e => { if (e.from !== e.to && !back.has(e)) preds.get(e.to).push(e.from); });
+        layers.forEach((layer, r) => {
+            layer.forEach((n, i) => { n.index = i; });
+            if (r === 0) return;
+            layer.forEach(n => {
+                const p = preds.get(n.id).map(id => nodes.get(id)).filter(pn => pn.rank === r - 1);
+                n.bary = p.length ? p.reduce((s, pn) => s + pn.index, 0) / p.length : n.index;
+            });
+            layer.sort((a, b) => a.bary - b.bary || a.order - b.order);
+            layer.forEach((n, i) => { n.index = i; });
+        });
+
+        const horizontal = direction === 'LR' || direction === 'RL';
+        const GAP = 28, RANK_GAP = 56, PAD = 12;
+        const along  = n => horizontal ? n.h : n.w;   // Extent within a layer
+        const across = n => horizontal ? n.w : n.h;   // Extent between layers
+
+        const spans = layers.map(layer => layer.reduce((s, n) => s + along(n), 0) + GAP * (layer.length - 1));
+        const depth = layers.map(layer => Math.max(...layer.map(across)));
+        const maxSpan = Math.max(...spans);
+
+        let offset = PAD;
+        layers.forEach((layer, r) => {
+            let cursor = PAD + (maxSpan - spans[r]) / 2;
+            layer.forEach(n => {
+                const a = cursor + along(n) / 2;
+                const b = offset + depth[r] / 2;
+                n.x = horizontal ? b : a;
+                n.y = horizontal ? a : b;
+                cursor += along(n) + GAP;
+            });
+            offset += depth[r] + RANK_GAP;
+        });
+
+        const total = offset - RANK_GAP + PAD;
+        const width  = horizontal ? total : maxSpan + PAD * 2;
+        const height = horizontal ? maxSpan + PAD * 2 : total;
+
+        if (direction === 'BT') nodes.forEach(n => { n.y = height - n.y; });
+        if (direction === 'RL') nodes.forEach(n => { n.x = width - n.x; });
+
+        return { width, height };
+    };
+
+    /**
+     * Distance from a node's centre to its outline along (dx, dy), as a fraction of the vector.
+     */
+    const outlineFraction = (n, dx, dy) => {
+        const hw = n.w / 2, hh = n.h / 2;
+        const adx = Math.abs(dx) || 1e-6, ady = Math.abs(dy) || 1e-6;
+        if (n.shape === 'circle')  return hw / Math.hypot(dx, dy);
+        if (n.shape === 'diamond') return 1 / (adx / hw + ady / hh);
+        return Math.min(hw / adx, hh / ady);
+    };
+
+    const renderFlowNode = (n) => {
+        const x = n.x - n.w / 2, y = n.y - n.h / 2;
+        let shape;
+        switch (n.shape) {
+            case 'circle':
+                shape = `<circle cx="${num(n.x)}" cy="${num(n.y)}" r="${num(n.w / 2)}"/>`;
+                break;
+            case 'diamond':
+                shape = `<polygon points="${num(n.x)},${num(y)} ${num(x + n.w)},${num(n.y)} ${num(n.x)},${num(y + n.h)} ${num(x)},${num(n.y)}"/>`;
+                break;
+            default: {
+                const rx = n.shape === 'stadium' ? n.h / 2 : n.shape === 'round' ? 12 : 4;
+                shape = `<rect x="${num(x)}" y="${num(y)}" width="${num(n.w)}" height="${num(n.h)}" rx="${num(rx)}"/>`;
+                if (n.shape === 'subroutine') {
+                    shape += `<line x1="${num(x + 7)}" y1="${num(y)}" x2="${num(x + 7)}" y2="${num(y + n.h)}"/>` +
+                             `<line x1="${num(x + n.w - 7)}" y1="${num(y)}" x2="${num(x + n.w - 7)}" y2="${num(y + n.h)}"/>`;
+                }
+            }
+        }
+        const top = n.y - ((n.lines.length - 1) * FLOW_LINE_H) / 2;
+        const text = n.lines.map((l, i) =>
+            `<tspan x="${num(n.x)}" y="${num(top + i * FLOW_LINE_H)}">${esc(l)}</tspan>`).join('');
+        return `<g class="nd-node nd-node--${n.shape}">${shape}<text text-anchor="middle" dominant-baseline="central">${text}</text></g>`;
+    };
+
+    const renderFlowEdge = (e, nodes) => {
+        const a = nodes.get(e.from), b = nodes.get(e.to);
+        if (a === b) return '';
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const len = Math.hypot(dx, dy) || 1;
+        const ta = outlineFraction(a, dx, dy), tb = outlineFraction(b, dx, dy);
+        const x1 = a.x + dx * ta, y1 = a.y + dy * ta;
+        const x2 = b.x - dx * tb, y2 = b.y - dy * tb;
+        const ux = dx / len, uy = dy / len;
+
+        let svg = `<line class="nd-edge nd-edge--${e.style}" x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2 - ux * (e.arrow ? 6 : 0))}" y2="${num(y2 - uy * (e.arrow ? 6 : 0))}"/>`;
+        if (e.arrow) {
+            const bx = x2 - ux * 9, by = y2 - uy * 9;
+            svg += `<polygon class="nd-arrow" points="${num(x2)},${num(y2)} ${num(bx - uy * 4.5)},${num(by + ux * 4.5)} ${num(bx + uy * 4.5)},${num(by - ux * 4.5)}"/>`;
+        }
+        if (e.label) {
+            const mx = (x1 + x2) / 2, my = (y1 + y2) / 2;
+            const w = e.label.length * 6.2 + 10;
+            svg += `<g class="nd-edge-label"><rect x="${num(mx - w / 2)}" y="${num(my - 9)}" width="${num(w)}" height="18" rx="4"/>` +
+                   `<text x="${num(mx)}" y="${num(my)}" text-anchor="middle" dominant-baseline="central">${esc(e.label)}</text></g>`;
+        }
+        return svg;
+    };
+
+    const renderFlow = (code) => {
+        const graph = parseFlow(code);
+        const { width, height } = layoutFlow(graph);
+        const edges = graph.edges.map(e => renderFlowEdge(e, graph.nodes)).join('');
+        const nodes = [...graph.nodes.values()].map(renderFlowNode).join('');
+        return `<svg class="note-diagram-svg" viewBox="0 0 ${num(width)} ${num(height)}" width="${num(width)}" role="img">${edges}${nodes}</svg>`;
+    };
+
+    // =========================================================================
+    // MATH (LaTeX subset to MathML)
+    // =========================================================================
+
+    const MATH_GREEK = {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+        theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+        varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+        varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ',
+        Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω', ell: 'ℓ', hbar: 'ℏ'
+    };
+
+    const MATH_SYMBOLS = {
+        cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠',
+        ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫',
+        infty: '∞', to: '→', rightarrow: '→', leftarrow: '←', gets: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+        leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⇔', implies: '⇒', mapsto: '↦', uparrow: '↑',
+        downarrow: '↓', partial: '∂', nabla: '∇', in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆',
+        supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖', emptyset: '∅', varnothing: '∅',
+        forall: '∀', exists: '∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+        oplus: '⊕', otimes: '⊗', ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…', circ: '∘',
+        ast: '∗', star: '⋆', bullet: '∙', langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈',
+        rceil: '⌉', prime: '′', angle: '∠', perp: '⊥', parallel: '∥', mid: '∣', vert: '|', Vert: '‖',
+        '{': '{', '}': '}', '|': '‖', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_'
+    };
+
+    const MATH_LARGE     = { sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮', bigcup: '⋃', bigcap: '⋂' };
+    const MATH_LIMITS    = ['lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'argmax', 'argmin'];
+    const MATH_FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+                            'log', 'ln', 'lg', 'exp', 'deg', 'dim', 'ker', 'arg', 'Pr', ...MATH_LIMITS];
+    const MATH_SPACES    = { ',': '0.167em', ':': '0.222em', ';': '0.278em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '0' };
+    const MATH_ACCENTS   = { hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→', dot: '˙', ddot: '¨', tilde: '~', widetilde: '~' };
+    const MATH_TEXT_CMDS = ['text', 'textrm', 'mathrm', 'operatorname', 'textbf', 'mbox'];
+    const MATH_MATRICES  = { matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''] };
+    const MATH_ALIGNED   = ['aligned', 'align', 'align*', 'gathered', 'gather', 'gather*', 'array', 'split'];
+    const MATH_OPERATORS = '+-=<>*/,;:!|()[]?\'.';
+
+    const DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+    /**
+     * Splits LaTeX into tokens. Text-mode arguments are captured verbatim so spaces survive.
+     * @param {string} src
+     * @returns {Array<{t: string, v: string, cmd?: string}>}
+     */
+    const tokenizeMath = (src) => {
+        const tokens = [];
+        let i = 0;
+        while (i < src.length) {
+            const c = src[i];
+            if (/\s/.test(c)) { i++; continue; }
+            if (c === '\\') {
+                const m = /^\\([A-Za-z]+\*?|.)/.exec(src.substring(i));
+                if (!m) throw new Error('Dangling backslash');
+                i += m[0].length;
+                if (MATH_TEXT_CMDS.includes(m[1]) && src.substring(i).trimStart().startsWith('{')) {
+                    const open = src.indexOf('{', i);
+                    let depth = 0, j = open;
+                    for (; j < src.length; j++) {
+                        if (src[j] === '{') depth++;
+                        else if (src[j] === '}' && --depth === 0) break;
+                    }
+                    if (j >= src.length) throw new Error(`Unclosed \\${m[1]}{`);
+                    tokens.push({ t: 'text', cmd: m[1], v: src.substring(open + 1, j) });
+                    i = j + 1;
+                    continue;
+                }
+                tokens.push({ t: 'cmd', v: m[1] });
+                continue;
+            }
+            const n = /^(?:\d+(?:\.\d+)?|\.\d+)/.exec(src.substring(i));
+            if (n) {
+                tokens.push({ t: 'num', v: n[0] });
+                i += n[0].length;
+                continue;
+            }
+            tokens.push({ t: 'char', v: c });
+            i++;
+        }
+        return tokens;
+    };
+
+    /**
+     * Converts a LaTeX expression into MathML markup.
+     * @param {string} src
+     * @returns {string}
+     */
+    const latexToMathML = (src) => {
+        const tokens = tokenizeMath(src);
+        let pos = 0;
+
+        const peek   = () => tokens[pos];
+        const isChar = (tok, v) => tok && tok.t === 'char' && tok.v === v;
+        const isCmd  = (tok, v) => tok && tok.t === 'cmd' && tok.v === v;
+
+        const expectChar = (v) => {
+            if (!isChar(peek(), v)) throw new Error(`Expected "${v}"`);
+            pos++;
+        };
+
+        const readGroupName = () => {
+            expectChar('{');
+            let name = '';
+            while (peek() && !isChar(peek(), '}')) name += tokens[pos++].v;
+            expectChar('}');
+            return name;
+        };
+
+        const isTerminator = (tok, closeBracket) => !tok
+            || isChar(tok, '}') || isChar(tok, '&') || (closeBracket && isChar(tok, ']'))
+            || isCmd(tok, '\\') || isCmd(tok, 'end');
+
+        const parseSeq = (closeBracket = false) => {
+            const items = [];
+            while (!isTerminator(peek(), closeBracket)) items.push(parseScripted());
+            return items.join('');
+        };
+
+        const row = (inner) => `<mrow>${inner}</mrow>`;
+
+        const parseDelimiter = () => {
+            const tok = tokens[pos++];
+            if (!tok) throw new Error('Missing delimiter');
+            if (isChar(tok, '.')) return '';
+            const sym = tok.t === 'cmd' ? own(MATH_SYMBOLS, tok.v) : tok.v;
+            if (!sym) throw new Error(`Unsupported delimiter \\${tok.v}`);
+            return `<mo stretchy="true">${esc(sym)}</mo>`;
+        };
+
+        const parseRows = (envName) => {
+            const rows = [[]];
+            for (;;) {
+                rows[rows.length - 1].push(parseSeq());
+                const tok = peek();
+                if (!tok) {
+                    if (envName) throw new Error(`Missing \\end{${envName}}`);
+                    break;
+                }
+                pos++;
+                if (isChar(tok, '&')) continue;
+                if (isCmd(tok, '\\')) { rows.push([]); continue; }
+                if (isCmd(tok, 'end')) {
+                    const name = readGroupName();
+                    if (name !== envName) throw new Error(`\\end{${name}} does not match \\begin{${envName || ''}}`);
+                    break;
+                }
+                throw new Error(`Unexpected "${tok.v}"`);
+            }
+            // A trailing \\ leaves an empty final row
+            if (rows.length > 1 && rows[rows.length - 1].every(cell => cell === '')) rows.pop();
+            return rows;
+        };
+
+        const table = (rows, align) => `<mtable${align ? ` columnalign="${align}"` : ''}>` +
+            rows.map(r => `<mtr>${r.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('') + '</mtable>';
+
+        const parseCommand = (name) => {
+            if (own(MATH_GREEK, name))   return `<mi>${MATH_GREEK[name]}</mi>`;
+            if (own(MATH_SYMBOLS, name)) return `<mo>${esc(MATH_SYMBOLS[name])}</mo>`;
+            if (own(MATH_LARGE, name))   return `<mo largeop="true">${MATH_LARGE[name]}</mo>`;
+            if (MATH_FUNCTIONS.includes(name)) return `<mi>${name}</mi>`;
+            if (own(MATH_SPACES, name) !== undefined) return `<mspace width="${MATH_SPACES[name]}"/>`;
+
+            if (own(MATH_ACCENTS, name)) {
+                return `<mover accent="true">${row(parseAtom())}<mo>${MATH_ACCENTS[name]}</mo></mover>`;
+            }
+
+            switch (name) {
+                case 'frac': case 'dfrac': case 'tfrac': {
+                    const a = parseAtom();
+                    return `<mfrac>${row(a)}${row(parseAtom())}</mfrac>`;
+                }
+                case 'binom': {
+                    const a = parseAtom();
+                    return `<mrow><mo>(</mo><mfrac linethickness="0">${row(a)}${row(parseAtom())}</mfrac><mo>)</mo></mrow>`;
+                }
+                case 'sqrt': {
+                    if (isChar(peek(), '[')) {
+                        pos++;
+                        const index = parseSeq(true);
+                        expectChar(']');
+                        return `<mroot>${row(parseAtom())}${row(index)}</mroot>`;
+                    }
+                    return `<msqrt>${parseAtom()}</msqrt>`;
+                }
+                case 'underline':
+                    return `<munder>${row(parseAtom())}<mo>_</mo></munder>`;
+                case 'mathbf': case 'boldsymbol': case 'bm':
+                    return `<mrow style="font-weight: bold">${parseAtom()}</mrow>`;
+                case 'mathit':
+                    return `<mrow style="font-style: italic">${parseAtom()}</mrow>`;
+                case 'mathbb': {
+                    const letter = tokens[pos] && isChar(tokens[pos], '{') ? readGroupName() : (tokens[pos++] || {}).v;
+                    if (!/^[A-Z]$/.test(letter || '')) throw new Error('\\mathbb expects a capital letter');
+                    return `<mi>${DOUBLE_STRUCK[letter] || String.fromCodePoint(0x1D538 + letter.charCodeAt(0) - 65)}</mi>`;
+                }
+                case 'left':
+                    return parseDelimiter();
+                case 'begin': {
+                    const env = readGroupName();
+                    if (env === 'array') readGroupName(); // Column spec is not needed for layout
+                    if (own(MATH_MATRICES, env)) {
+                        const [open, close] = MATH_MATRICES[env];
+                        const body = table(parseRows(env), env === 'cases' ? 'left' : '');
+                        return row((open ? `<mo>${esc(open)}</mo>` : '') + body + (close ? `<mo>${esc(close)}</mo>` : ''));
+                    }
+                    if (MATH_ALIGNED.includes(env)) return table(parseRows(env), 'right left');
+                    throw new Error(`Unsupported environment "${env}"`);
+                }
+                default:
+                    throw new Error(`Unsupported command \\${name}`);
+            }
+        };
+
+        const parseAtom = () => {
+            const tok = tokens[pos++];
+            if (!tok) throw new Error('Unexpected end of formula');
+
+            switch (tok.t) {
+                case 'num':  return `<mn>${tok.v}</mn>`;
+                case 'text': return tok.cmd === 'operatorname' ? `<mi>${esc(tok.v)}</mi>`
+                    : tok.cmd === 'mathrm' ? `<mi mathvariant="normal">${esc(tok.v)}</mi>` : `<mtext>${esc(tok.v)}</mtext>`;
+                case 'cmd':  return parseCommand(tok.v);
+            }
+
+            const c = tok.v;
+            if (c === '{') {
+                const inner = parseSeq();
+                expectChar('}');
+                return row(inner);
+            }
+            if (/\p{L}/u.test(c)) return `<mi>${esc(c)}</mi>`;
+            if (c === '-') return '<mo>−</mo>';
+            if (c === '\'') return '<mo>′</mo>';
+            if (MATH_OPERATORS.includes(c)) return `<mo>${esc(c)}</mo>`;
+            if (c === '~') return '<mspace width="0.25em"/>';
+            throw new Error(`Unexpected "${c}"`);
+        };
+
+        const parseScripted = () => {
+            const startTok = peek();
+            if (isCmd(startTok, 'right')) { pos++; return parseDelimiter(); }
+
+            const base = parseAtom();
+            const limits = startTok.t === 'cmd' && (own(MATH_LARGE, startTok.v) || MATH_LIMITS.includes(startTok.v));
+            let sub = null, sup = null;
+            while (isChar(peek(), '^') || isChar(peek(), '_')) {
+                const kind = tokens[pos++].v;
+                const arg  = row(parseAtom());
+                if (kind === '^') sup = arg; else sub = arg;
+            }
+            if (sub === null && sup === null) return base;
+            const [under, over, both] = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+            if (sub !== null && sup !== null) return `<${both}>${base}${sub}${sup}</${both}>`;
+            return sub !== null ? `<${under}>${base}${sub}</${under}>` : `<${over}>${base}${sup}</${over}>`;
+        };
+
+        const rows = parseRows(null);
+        if (rows.length === 1 && rows[0].length === 1) return rows[0][0];
+        return table(rows, 'right left');
+    };
+
+    /**
+     * Renders each blank-line-separated formula as a display equation.
+     * @param {string} code
+     * @returns {string}
+     */
+    const renderMath = (code) => {
+        const equations = code.split(/\n\s*\n/).map(s => s.trim().replace(/^\$\$|\$\$$/g, '').trim()).filter(Boolean);
+        if (!equations.length) throw new Error('Empty formula');
+        return equations.map(eq => `<math display="block">${latexToMathML(eq)}</math>`).join('');
+    };
+
+    // =========================================================================
+    // CHART (CSV or JSON to bar/line SVG)
+    // =========================================================================
+
+    const CHART_MAX_ROWS   = 200;
+    const CHART_MAX_SERIES = PALETTE.length;
+
+    const toChartNumber = (raw) => {
+        if (raw === null || raw === undefined || raw === '') return null;
+        const n = typeof raw === 'number' ? raw : Number(String(raw).replace(/[,_\s]/g, ''));
+        if (!Number.isFinite(n)) throw new Error(`"${raw}" is not a number`);
+        return n;
+    };
+
+    /**
+     * Parses chart data. JSON accepts {type, title, labels, series: [{name, data}]},
+     * {labels, data} or [{label, value}]. CSV takes "# type: line" / "# title: ..."
+     * option lines, an optional header row, then label,value[,value...] rows.
+     * @param {string} code
+     * @returns {{type: string, title: string, labels: string[], series: Array<{name: string, data: Array}>}}
+     */
+    const parseChart = (code) => {
+        const trimmed = code.trim();
+        const chart = { type: 'bar', title: '', labels: [], series: [] };
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            let data;
+            try { data = JSON.parse(trimmed); } catch (e) { throw new Error('Invalid JSON'); }
+            if (Array.isArray(data)) data = { labels: data.map(d => d.label), data: data.map(d => d.value) };
+            chart.type  = String(data.type || 'bar').toLowerCase();
+            chart.title = String(data.title || '');
+            chart.labels = (data.labels || []).map(l => String(l ?? ''));
+            const series = Array.isArray(data.series) ? data.series : [{ name: '', data: data.data }];
+            chart.series = series.map((s, i) => {
+                if (!Array.isArray(s.data)) throw new Error('Series data must be an array');
+                return { name: String(s.name || `Series ${i + 1}`), data: s.data.map(toChartNumber) };
+            });
+            if (!chart.labels.length && chart.series[0]) chart.labels = chart.series[0].data.map((_, i) => String(i + 1));
+        } else {
+            const lines = trimmed.split('\n').map(l => l.trim()).filter(Boolean);
+            const rows = [];
+            lines.forEach(line => {
+                const opt = line.match(/^#\s*(type|title)\s*:\s*(.*)$/i);
+                if (opt) { chart[opt[1].toLowerCase()] = opt[1].toLowerCase() === 'type' ? opt[2].trim().toLowerCase() : opt[2].trim(); return; }
+                if (line.startsWith('#')) return;
+                const delim = line.includes('\t') ? '\t' : line.includes(';') && !line.includes(',') ? ';' : ',';
+                rows.push(line.split(delim).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+            });
+            if (!rows.length) throw new Error('No chart data');
+
+            const isHeader = rows[0].slice(1).some(cell => cell !== '' && !Number.isFinite(Number(cell.replace(/[,_\s]/g, ''))));
+            const header   = isHeader ? rows.shift() : null;
+            const width    = Math.max(...rows.map(r => r.length));
+            if (width < 2) throw new Error('Each row needs a label and at least one value');
+
+            for (let s = 1; s < width; s++) {
+                chart.series.push({
+                    name: header && header[s] ? header[s] : `Series ${s}`,
+                    data: rows.map(r => toChartNumber(r[s]))
+                });
+            }
+            chart.labels = rows.map(r => r[0]);
+        }
+
+        if (chart.type !== 'bar' && chart.type !== 'line') throw new Error(`Unknown chart type "${chart.type}"`);
+        if (!chart.series.length || !chart.labels.length) throw new Error('No chart data');
+        if (chart.labels.length > CHART_MAX_ROWS) throw new Error(`Too many rows (max ${CHART_MAX_ROWS})`);
+        if (chart.series.length > CHART_MAX_SERIES) throw new Error(`Too many series (max ${CHART_MAX_SERIES})`);
+        return chart;
+    };
+
+    /**
+     * Rounds a raw axis step to 1, 2, 5 or 10 times a power of ten.
+     */
+    const niceStep = (range) => {
+        const raw  = range / 4 || 1;
+        const mag  = Math.pow(10, Math.floor(Math.log10(raw)));
+        const norm = raw / mag;
+        return (norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10) * mag;
+    };
+
+    const formatChartValue = (v) => {
+        const abs = Math.abs(v);
+        if (abs >= 1e9) return `${Number((v / 1e9).toFixed(1))}B`;
+        if (abs >= 1e6) return `${Number((v / 1e6).toFixed(1))}M`;
+        if (abs >= 1e4) return `${Number((v / 1e3).toFixed(1))}k`;
+        return String(Number(v.toFixed(4)));
+    };
+
+    const renderChart = (code) => {
+        const chart  = parseChart(code);
+        const values = chart.series.flatMap(s => s.data).filter(v => v !== null);
+        if (!values.length) throw new Error('No numeric values');
+
+        const W = 520, H = 280;
+        const multi  = chart.series.length > 1;
+        const top    = chart.title ? 32 : 14;
+        const bottom = multi ? 56 : 36;
+        const left   = 48, right = 14;
+        const plotW  = W - left - right, plotH = H - top - bottom;
+
+        const step = niceStep(Math.max(...values, 0) - Math.min(...values, 0));
+        const min  = Math.floor(Math.min(...values, 0) / step) * step;
+        const max  = Math.max(Math.ceil(Math.max(...values, 0) / step) * step, min + step);
+        const yOf  = v => top + plotH - ((v - min) / (max - min)) * plotH;
+
+        let svg = chart.title
+            ? `<text class="nd-chart-title" x="${W / 2}" y="18" text-anchor="middle">${esc(chart.title)}</text>` : '';
+
+        for (let v = min; v <= max + step / 2; v += step) {
+            const y = num(yOf(v));
+            svg += `<line class="nd-grid" x1="${left}" y1="${y}" x2="${W - right}" y2="${y}"/>` +
+                   `<text class="nd-axis-label" x="${left - 6}" y="${y}" text-anchor="end" dominant-baseline="central">${esc(formatChartValue(v))}</text>`;
+        }
+
+        const n      = chart.labels.length;
+        const slot   = plotW / n;
+        const every  = Math.ceil(n / 12);
+        chart.labels.forEach((label, i) => {
+            if (i % every) return;
+            const short = label.length > 10 ? `${label.substring(0, 9)}…` : label;
+            svg += `<text class="nd-axis-label" x="${num(left + (i + 0.5) * slot)}" y="${top + plotH + 16}" text-anchor="middle"><title>${esc(label)}</title>${esc(short)}</text>`;
+        });
+
+        const zeroY = yOf(Math.max(min, Math.min(0, max)));
+        chart.series.forEach((s, si) => {
+            const color = PALETTE[si];
+            if (chart.type === 'bar') {
+                const barW = (slot * 0.8) / chart.series.length;
+                s.data.forEach((v, i) => {
+                    if (v === null) return;
+                    const x = left + i * slot + slot * 0.1 + si * barW;
+                    const y = Math.min(yOf(v), zeroY);
+                    svg += `<rect class="nd-bar" x="${num(x)}" y="${num(y)}" width="${num(Math.max(barW - 1, 1))}" height="${num(Math.max(Math.abs(zeroY - yOf(v)), 0.5))}" fill="${color}"><title>${esc(chart.labels[i])}: ${esc(formatChartValue(v))}</title></rect>`;
+                });
+            } else {
+                let path = '';
+                s.data.forEach((v, i) => {
+                    if (v === null) { path += ' '; return; }
+                    path += `${path && !path.endsWith(' ') ? 'L' : 'M'}${num(left + (i + 0.5) * slot)},${num(yOf(v))}`;
+                });
+                svg += `<path class="nd-line" d="${path.trim()}" stroke="${color}"/>`;
+                s.data.forEach((v, i) => {
+                    if (v === null) return;
+                    svg += `<circle class="nd-point" cx="${num(left + (i + 0.5) * slot)}" cy="${num(yOf(v))}" r="3" fill="${color}"><title>${esc(chart.labels[i])}: ${esc(formatChartValue(v))}</title></circle>`;
+                });
+            }
+        });
+
+        svg += `<line class="nd-axis" x1="${left}" y1="${num(zeroY)}" x2="${W - right}" y2="${num(zeroY)}"/>`;
+
+        if (multi) {
+            let lx = left;
+            chart.series.forEach((s, si) => {
+                const name = s.name.length > 16 ? `${s.name.substring(0, 15)}…` : s.name;
+                svg += `<rect x="${num(lx)}" y="${H - 16}" width="10" height="10" rx="2" fill="${PALETTE[si]}"/>` +
+                       `<text class="nd-axis-label" x="${num(lx + 14)}" y="${H - 11}" dominant-baseline="central">${esc(name)}</text>`;
+                lx += 24 + name.length * 6.2;
+            });
+        }
+
+        return `<svg class="note-diagram-svg" viewBox="0 0 ${W} ${H}" width="${W}" role="img">${svg}</svg>`;
+    };
+
+    const RENDERERS = { flow: renderFlow, math: renderMath, chart: renderChart };
+
+    return {
+        /**
+         * @param {string} lang - Normalised fence language.
+         * @returns {boolean} Whether the fence renders as a diagram.
+         */
+        supports: (lang) => own(LANGUAGES, lang) !== undefined,
+
+        /**
+         * Renders a supported fence. Throws with a readable message on invalid input.
+         * @param {string} code - Raw fence body.
+         * @param {string} lang - Normalised fence language.
+         * @returns {{kind: string, html: string}}
+         */
+        render: (code, lang) => {
+            if (code.length > MAX_SOURCE) throw new Error('Diagram source is too large');
+            const kind = LANGUAGES[lang];
+            return { kind, html: RENDERERS[kind](code) };
+        }
+    };
+})();
+
+window.NoteDiagrams = NoteDiagrams;
@@ -0,0 +1,442 @@
+// /public/js/notes/frames.js
+
+/**
+ * Frames & Groups Module: Persistent organisation of notes on a board.
+ *
+ * Frames are FENCE: notes — titled background regions pinned behind the other notes.
+ * Picking up a frame carries every note lying fully inside it on the same level.
+ * Groups are lightweight sets of notes stored server-side (notes.group_id): picking
+ * up or shift-selecting one member takes the whole group along.
+ *
+ * Both organisers widen the note context menu's copy/move actions to their members,
+ * are outlined on the radar minimap, and are listed in the frame navigator.
+ */
+
+const FRAME_PADDING      = 40;   // Margin kept around notes when framing a selection
+const FRAME_TITLE_HEIGHT = 40;   // Extra headroom for the frame's title bar
+const FRAME_COLOR        = '#94a3b8';
+
+/**
+ * Returns a note's current footprint, preferring the rendered size for auto-height notes.
+ * @param {Object} note - Note record from STATE.notes.
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function getNoteFootprint(note) {
+    const el = document.getElementById(`note-${note.id}`);
+    return {
+        x: Number(note.x) || 0,
+        y: Number(note.y) || 0,
+        w: el?.offsetWidth  || Number(note.width)  || 280,
+        h: el?.offsetHeight || Number(note.height) || 200
+    };
+}
+
+/**
+ * Lists the notes lying fully inside a frame on the frame's level.
+ * @param {Object} frame - FENCE: note acting as the frame.
+ * @returns {string[]} Note IDs (as strings), excluding the frame itself.
+ */
+function getFrameContents(frame) {
+    if (!frame || !window.isFenceNote?.(frame)) return [];
+    const f = getNoteFootprint(frame);
+
+    return (STATE.notes || [])
+        .filter(n => n.id != frame.id && n.layer_id == frame.layer_id)
+        .filter(n => {
+            const b = getNoteFootprint(n);
+            return b.x >= f.x && b.y >= f.y && b.x + b.w <= f.x + f.w && b.y + b.h <= f.y + f.h;
+        })
+        .map(n => String(n.id));
+}
+
+/**
+ * Lists the members of a note's group on the current board.
+ * Groups whose other members were moved or deleted no longer count as groups.
+ * @param {number|string} noteId - Any note ID.
+ * @param {boolean} [sameLevel=false] - Restrict members to the note's level.
+ * @returns {string[]} Member IDs (as strings), or [] when the note is not grouped.
+ */
+function getGroupMemberIds(noteId, sameLevel = false) {
+    const note = (STATE.notes || []).find(n => n.id == noteId);
+    if (!note || !note.group_id) return [];
+
+    const members = STATE.notes
+        .filter(n => n.group_id == note.group_id && (!sameLevel || n.layer_id == note.layer_id))
+        .map(n => String(n.id));
+    return members.length > 1 ? members : [];
+}
+
+/**
+ * Resolves everything that travels with a note: frame contents and group members,
+ * followed transitively so a grouped frame still carries its contents.
+ * @param {number|string} noteId - Starting note.
+ * @param {boolean} [sameLevel=false] - Only follow group members on the same level (dragging).
+ * @returns {string[]} IDs including the starting note; a single ID means nothing travels along.
+ */
+function collectOrganizerMembers(noteId, sameLevel = false) {
+    const seen  = new Set([String(noteId)]);
+    const queue = [String(noteId)];
+
+    while (queue.length) {
+        const id   = queue.shift();
+        const note = STATE.notes.find(n => n.id == id);
+        if (!note) continue;
+        [...getFrameContents(note), ...getGroupMemberIds(id, sameLevel)].forEach(mid => {
+            if (!seen.has(mid)) {
+                seen.add(mid);
+                queue.push(mid);
+            }
+        });
+    }
+    return Array.from(seen);
+}
+
+/**
+ * Swarm for a drag that starts on an unselected note, or null for a plain single-note move.
+ * @param {number|string} noteId - Picked note.
+ * @returns {string[]|null}
+ */
+function getOrganizerSwarm(noteId) {
+    const members = collectOrganizerMembers(noteId, true);
+    return members.length > 1 ? members : null;
+}
+
+/**
+ * Widens a list of note IDs with the frame contents and group members of each.
+ * @param {number[]} ids - Note IDs chosen by the user.
+ * @returns {number[]} Expanded, de-duplicated IDs.
+ */
+function expandOrganizerIds(ids) {
+    const all = new Set();
+    ids.forEach(id => collectOrganizerMembers(id).forEach(mid => all.add(mid)));
+    return Array.from(all).map(Number);
+}
+
+/**
+ * Applies a group endpoint response to the board.
+ * @param {Object} res - Server response carrying notes and last_mutation.
+ * @returns {void}
+ */
+function applyGroupResponse(res) {
+    if (res.notes && typeof window.mergeNoteState === 'function') {
+        window.mergeNoteState(res.notes);
+    } else if (res.notes) {
+        STATE.notes = res.notes;
+    }
+    if (res.last_mutation) STATE.last_mutation = res.last_mutation;
+    if (typeof renderUI === 'function') renderUI();
+    renderFrameNavigator();
+}
+
+/**
+ * Groups notes so they are selected and moved together.
+ * @param {number[]} ids - Note IDs (at least two).
+ * @returns {Promise<boolean>} True on success.
+ */
+async function groupNotes(ids) {
+    const res = await NoteAPI.post('/notes/api/groups/create', {
+        canvas_id: STATE.canvas_id,
+        ids:       JSON.stringify(ids)
+    });
+    if (!res || !res.success) return false;
+
+    const payload = JSON.stringify(ids);
+    window.recordHistory?.({
+        label: `Group ${ids.length} notes`,
+        undo:  { requests: [{ url: '/notes/api/groups/ungroup', params: { ids: payload } }], reload: true },
+        redo:  { requests: [{ url: '/notes/api/groups/create',  params: { ids: payload } }], reload: true }
+    });
+    STATE.selectedNoteIds.clear();
+    applyGroupResponse(res);
+    showToast(`Grouped ${ids.length} notes`, 'success');
+    return true;
+}
+
+/**
+ * Dissolves the group(s) the given notes belong to.
+ * @param {number[]} ids - Member note IDs.
+ * @returns {Promise<boolean>} True on success.
+ */
+async function ungroupNotes(ids) {
+    const members = new Set();
+    ids.forEach(id => getGroupMemberIds(id).forEach(mid => members.add(mid)));
+    const memberIds = members.size ? Array.from(members).map(Number) : ids;
+
+    // Undo regroups each former group separately, keeping its name
+    const former = {};
+    memberIds.forEach(id => {
+        const note = STATE.notes.find(n => n.id == id);
+        if (!note?.group_id) return;
+        if (!former[note.group_id]) former[note.group_id] = { name: note.group_name || '', ids: [] };
+        former[note.group_id].ids.push(id);
+    });
+
+    const res = await NoteAPI.post('/notes/api/groups/ungroup', {
+        canvas_id: STATE.canvas_id,
+        ids:       JSON.stringify(memberIds)
+    });
+    if (!res || !res.success) return false;
+
+    window.recordHistory?.({
+        label: 'Ungroup notes',
+        undo:  {
+            requests: Object.values(former).map(g => ({
+                url: '/notes/api/groups/create', params: { ids: JSON.stringify(g.ids), name: g.name }
+            })),
+            reload: true
+        },
+        redo:  { requests: [{ url: '/notes/api/groups/ungroup', params: { ids: JSON.stringify(memberIds) } }], reload: true }
+    });
+    applyGroupResponse(res);
+    showToast('Group dissolved', 'success');
+    return true;
+}
+
+/**
+ * Prompts for a new group label.
+ * @param {number|string} groupId - Group to rename.
+ * @returns {void}
+ */
+function renameGroup(groupId) {
+    const member = (STATE.notes || []).find(n => n.group_id == groupId);
+    if (!member) return;
+
+    window.showConfirmModal({
+        title: 'Rename Group',
+        icon: '⛓️',
+        message: 'Give this group a name:',
+        confirmText: 'Save',
+        confirmIcon: '💾',
+        input: {
+            type: 'text',
+            placeholder: 'e.g. Sprint 12, Shopping, Ideas...',
+            value: member.group_name || ''
+        },
+        hideCancel: true,
+        onConfirm: async (val) => {
+            const res = await NoteAPI.post('/notes/api/groups/rename', {
+                canvas_id: STATE.canvas_id,
+                group_id:  groupId,
+                name:      val
+            });
+            if (res && res.success) {
+                applyGroupResponse(res);
+                showToast('Group renamed', 'success');
+            }
+        }
+    });
+}
+
+/**
+ * Creates a frame sized to enclose the given notes, placed behind them.
+ * @param {number[]} ids - Notes to frame.
+ * @returns {Promise<boolean>} True on success.
+ */
+async function createFrameAround(ids) {
+    const notes = ids.map(id => STATE.notes.find(n => n.id == id)).filter(Boolean);
+    if (!notes.length) return false;
+
+    const boxes  = notes.map(getNoteFootprint);
+    const left   = Math.min(...boxes.map(b => b.x)) - FRAME_PADDING;
+    const top    = Math.min(...boxes.map(b => b.y)) - FRAME_PADDING - FRAME_TITLE_HEIGHT;
+    const right  = Math.max(...boxes.map(b => b.x + b.w)) + FRAME_PADDING;
+    const bottom = Math.max(...boxes.map(b => b.y + b.h)) + FRAME_PADDING;
+    const snap   = STATE.snapGrid || 10;
+
+    const x = Math.max(0, Math.floor(left / snap) * snap);
+    const y = Math.max(0, Math.floor(top / snap) * snap);
+
+    const res = await NoteAPI.post('/notes/api/save', {
+        canvas_id: STATE.canvas_id,
+        type:      'text',
+        title:     'FENCE: Frame',
+        content:   '',
+        color:     FRAME_COLOR,
+        layer_id:  notes[0].layer_id || STATE.activeLayerId,
+        x,
+        y,
+        width:     Math.ceil((right - x) / snap) * snap,
+        height:    Math.ceil((bottom - y) / snap) * snap,
+        z_index:   1,
+        is_collapsed: 0
+    });
+    if (!res || !res.success) return false;
+
+    recordCopyHistory('Create frame', [res.id]);
+    STATE.selectedNoteIds.clear();
+    applyGroupResponse(res);
+    showToast('Frame created — rename it from its title', 'success');
+    return true;
+}
+
+/**
+ * Collects the frames and groups of the current board for the navigator and radar.
+ * @param {boolean} [withCounts=false] - Count each frame's contents (reads note sizes from the DOM).
+ * @returns {{frames: Object[], groups: Object[]}}
+ */
+function listBoardOrganizers(withCounts = false) {
+    const notes  = STATE.notes || [];
+    const frames = notes
+        .filter(n => window.isFenceNote?.(n))
+        .map(n => ({ note: n, count: withCounts ? getFrameContents(n).length : null }));
+
+    const byGroup = new Map();
+    notes.forEach(n => {
+        if (!n.group_id) return;
+        if (!byGroup.has(n.group_id)) byGroup.set(n.group_id, []);
+        byGroup.get(n.group_id).push(n);
+    });
+    const groups = Array.from(byGroup.entries())
+        .filter(([, members]) => members.length > 1)
+        .map(([id, members]) => ({ id, name: members[0].group_name || '', members }));
+
+    return { frames, groups };
+}
+
+/**
+ * Renders the frame navigator list, honouring the text filter.
+ * @returns {void}
+ */
+function renderFrameNavigator() {
+    const container = document.getElementById('frames-results-container');
+    const modal     = document.getElementById('note-frames-modal');
+    if (!container || !modal?.classList.contains('show')) return;
+
+    const query = (document.getElementById('frames-filter-input')?.value || '').trim().toLowerCase();
+    const { frames, groups } = listBoardOrganizers(true);
+    const levelLabel = (lid) => {
+        const alias = STATE.layer_map?.[lid];
+        return `Level ${lid}${alias ? ` — ${window.escapeHtml(alias)}` : ''}`;
+    };
+
+    const frameRows = frames
+        .filter(f => !query || window.displayNoteTitle(f.note).toLowerCase().includes(query))
+        .sort((a, b) => (a.note.layer_id - b.note.layer_id) || (a.note.y - b.note.y) || (a.note.x - b.note.x))
+        .map(f => `
+            <div class="frame-nav-item" data-action="frame-jump" data-note-id="${f.note.id}" style="--frame-accent: ${window.normalizeColorHex(f.note.color)}">
+                <span class="frame-nav-icon">🖼️</span>
+                <span class="frame-nav-main">
+                    <span class="frame-nav-title">${window.escapeHtml(window.displayNoteTitle(f.note))}</span>
+                    <span class="frame-nav-meta">${levelLabel(f.note.layer_id)} • ${f.count} ${f.count === 1 ? 'note' : 'notes'}</span>
+                </span>
+                <span class="frame-nav-arrow">❯</span>
+            </div>
+        `);
+
+    const groupRows = groups
+        .filter(g => !query
+            || g.name.toLowerCase().includes(query)
+            || g.members.some(m => window.displayNoteTitle(m).toLowerCase().includes(query)))
+        .map(g => {
+            const label   = g.name || `Group of ${g.members.length}`;
+            const titles  = g.members.slice(0, 4).map(m => window.displayNoteTitle(m)).join(', ');
+            const more    = g.members.length > 4 ? ` +${g.members.length - 4}` : '';
+            const levels  = Array.from(new Set(g.members.map(m => m.layer_id))).sort((a, b) => a - b);
+            return `
+                <div class="frame-nav-item" data-action="group-jump" data-note-id="${g.members[0].id}">
+                    <span class="frame-nav-icon">⛓️</span>
+                    <span class="frame-nav-main">
+                        <span class="frame-nav-title">${window.escapeHtml(label)}</span>
+                        <span class="frame-nav-meta">${levels.map(levelLabel).join(', ')} • ${window.escapeHtml(titles)}${more}</span>
+                    </span>
+                    <button type="button" class="frame-nav-action" data-action="group-rename" data-group-id="${g.id}" title="Rename group">✏️</button>
+                    <button type="button" class="frame-nav-action" data-action="group-dissolve" data-note-id="${g.members[0].id}" title="Ungroup">✂️</button>
+                </div>
+            `;
+        });
+
+    const stats = document.getElementById('frames-stats');
+    if (stats) stats.textContent = `${frames.length} ${frames.length === 1 ? 'frame' : 'frames'} • ${groups.length} ${groups.length === 1 ? 'group' : 'groups'}`;
+
+    if (!frameRows.length && !groupRows.length) {
+        container.innerHTML = `<div class="search-no-results">${query
+            ? 'No frames or groups match'
+            : 'No frames or groups yet — right-click a selection to frame or group it'}</div>`;
+        return;
+    }
+
+    container.innerHTML = `
+        ${frameRows.length ? `<div class="frame-nav-heading">Frames</div>${frameRows.join('')}` : ''}
+        ${groupRows.length ? `<div class="frame-nav-heading">Groups</div>${groupRows.join('')}` : ''}
+    `;
+}
+
+/**
+ * Opens the frame navigator for the current board.
+ * @returns {void}
+ */
+function openFramesModal() {
+    if (STATE.isInitializing) return;
+    const modal = document.getElementById('note-frames-modal');
+    if (!modal) return;
+
+    modal.classList.add('active');
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+
+    const input = document.getElementById('frames-filter-input');
+    if (input) {
+        input.value = '';
+        setTimeout(() => input.focus(), 50);
+    }
+    renderFrameNavigator();
+}
+
+/**
+ * Closes the frame navigator.
+ * @returns {void}
+ */
+function closeFramesModal() {
+    const modal = document.getElementById('note-frames-modal');
+    if (modal) {
+        modal.classList.remove('show');
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+}
+
+/**
+ * Wires the navigator's open button, filter and list actions.
+ * @returns {void}
+ */
+function initFrameNavigator() {
+    const openBtn = document.getElementById('open-note-frames');
+    if (openBtn) openBtn.addEventListener('click', openFramesModal);
+
+    const input = document.getElementById('frames-filter-input');
+    if (input) input.addEventListener('input', renderFrameNavigator);
+
+    const container = document.getElementById('frames-results-container');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        const action = target.dataset.action;
+
+        if (action === 'group-rename') {
+            renameGroup(target.dataset.groupId);
+        } else if (action === 'group-dissolve') {
+            ungroupNotes([Number(target.dataset.noteId)]);
+        } else if (action === 'frame-jump' || action === 'group-jump') {
+            closeFramesModal();
+            if (typeof centerOnNote === 'function') centerOnNote(target.dataset.noteId);
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initFrameNavigator);
+
+window.getNoteFootprint     = getNoteFootprint;
+window.getFrameContents     = getFrameContents;
+window.collectOrganizerMembers = collectOrganizerMembers;
+window.getGroupMemberIds    = getGroupMemberIds;
+window.getOrganizerSwarm    = getOrganizerSwarm;
+window.expandOrganizerIds   = expandOrganizerIds;
+window.listBoardOrganizers  = listBoardOrganizers;
+window.groupNotes           = groupNotes;
+window.ungroupNotes         = ungroupNotes;
+window.renameGroup          = renameGroup;
+window.createFrameAround    = createFrameAround;
+window.openFramesModal      = openFramesModal;
+window.closeFramesModal     = closeFramesModal;
@@ -0,0 +1,404 @@
+// /public/js/notes/graph.js
+
+/**
+ * Graph Module: Cross-board view of how notes reference each other.
+ *
+ * Notes are drawn as nodes and [[wikilinks]], [note:#], [copy:#] and [embed:#]
+ * references as directed edges. The server resolves references across every
+ * accessible board, so the graph also shows links into boards that are not loaded.
+ * Clicking a node closes the modal and jumps to the note via handleNoteLinkClick,
+ * which switches board and level as needed.
+ */
+
+const GRAPH_CONFIG = {
+    SVG_NS:       'http://www.w3.org/2000/svg',
+    WIDTH:        1200,
+    HEIGHT:       800,
+    ITERATIONS:   250,   // Force simulation steps per layout
+    REPULSION:    6000,
+    SPRING_LENGTH: 90,
+    SPRING_FORCE: 0.02,
+    GRAVITY:      0.01,
+    MIN_ZOOM:     0.2,
+    MAX_ZOOM:     4,
+    EDGE_COLORS: {
+        wikilink: '#60a5fa',
+        note:     '#a78bfa',
+        copy:     '#34d399',
+        embed:    '#f59e0b'
+    }
+};
+
+const GRAPH_STATE = {
+    nodes:   [],
+    edges:   [],
+    view:    { x: 0, y: 0, k: 1 },  // Pan offset and zoom factor
+    pan:     null,                   // { startX, startY, originX, originY, moved } while dragging
+    loading: false
+};
+
+/**
+ * Creates an SVG element with the given attributes.
+ * @param {string} tag - Element name.
+ * @param {Object} attrs - Attribute map.
+ * @returns {SVGElement}
+ */
+function createGraphElement(tag, attrs = {}) {
+    const el = document.createElementNS(GRAPH_CONFIG.SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    return el;
+}
+
+/**
+ * Returns the nodes and edges that pass the current board, level and orphan filters.
+ * @returns {{nodes: Array, edges: Array}}
+ */
+function getFilteredGraph() {
+    const canvasId   = document.getElementById('graph-filter-canvas')?.value || '';
+    const layerId    = document.getElementById('graph-filter-level')?.value || '';
+    const linkedOnly = document.getElementById('graph-filter-linked')?.checked ?? true;
+
+    let nodes = GRAPH_STATE.nodes.filter(n =>
+        (!canvasId || n.canvas_id == canvasId) && (!layerId || n.layer_id == layerId)
+    );
+    const visible = new Set(nodes.map(n => n.id));
+    const edges   = GRAPH_STATE.edges.filter(e => visible.has(e.source) && visible.has(e.target));
+
+    if (linkedOnly) {
+        const linked = new Set();
+        edges.forEach(e => { linked.add(e.source); linked.add(e.target); });
+        nodes = nodes.filter(n => linked.has(n.id));
+    }
+
+    return { nodes, edges };
+}
+
+/**
+ * Rebuilds the board and level dropdowns from the loaded graph, keeping valid selections.
+ * @returns {void}
+ */
+function populateGraphFilters() {
+    const canvasSel = document.getElementById('graph-filter-canvas');
+    const levelSel  = document.getElementById('graph-filter-level');
+    if (!canvasSel || !levelSel) return;
+
+    const boards = new Map();
+    GRAPH_STATE.nodes.forEach(n => { if (!boards.has(n.canvas_id)) boards.set(n.canvas_id, n.canvas_name); });
+
+    const prevCanvas = canvasSel.value;
+    canvasSel.innerHTML = '<option value="">All Boards</option>' +
+        [...boards].map(([id, name]) => `<option value="${id}">${window.escapeHtml(name || `Board #${id}`)}</option>`).join('');
+    canvasSel.value = boards.has(Number(prevCanvas)) ? prevCanvas : '';
+
+    const canvasId = canvasSel.value;
+    const levels = [...new Set(GRAPH_STATE.nodes
+        .filter(n => !canvasId || n.canvas_id == canvasId)
+        .map(n => n.layer_id))].sort((a, b) => a - b);
+
+    const prevLevel = levelSel.value;
+    levelSel.innerHTML = '<option value="">All Levels</option>' +
+        levels.map(l => `<option value="${l}">Level ${l}</option>`).join('');
+    levelSel.value = levels.includes(Number(prevLevel)) ? prevLevel : '';
+}
+
+/**
+ * Positions nodes with a small force simulation: all nodes repel, edges act as springs,
+ * and a weak gravity keeps disconnected clusters on screen.
+ * Starting positions are derived from the node order so the same graph lays out the same way.
+ * @param {Array} nodes - Visible nodes.
+ * @param {Array} edges - Visible edges.
+ * @returns {Map<number, {x: number, y: number}>} Node ID to position.
+ */
+function layoutGraph(nodes, edges) {
+    const cx = GRAPH_CONFIG.WIDTH / 2;
+    const cy = GRAPH_CONFIG.HEIGHT / 2;
+    const pos = new Map();
+
+    nodes.forEach((n, i) => {
+        const angle  = i * 2.399963; // Golden angle spiral
+        const radius = 12 * Math.sqrt(i + 1);
+        pos.set(n.id, { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle), vx: 0, vy: 0 });
+    });
+
+    const list = [...pos.values()];
+    for (let step = 0; step < GRAPH_CONFIG.ITERATIONS; step++) {
+        const cooling = 1 - step / GRAPH_CONFIG.ITERATIONS;
+
+        for (let i = 0; i < list.length; i++) {
+            const a = list[i];
+            for (let j = i + 1; j < list.length; j++) {
+                const b = list[j];
+                let dx = a.x - b.x;
+                let dy = a.y - b.y;
+                let d2 = dx * dx + dy * dy;
+                if (d2 < 0.01) { dx = 0.1; dy = 0.1; d2 = 0.02; }
+                const f = GRAPH_CONFIG.REPULSION / d2;
+                const d = Math.sqrt(d2);
+                a.vx += (dx / d) * f; a.vy += (dy / d) * f;
+                b.vx -= (dx / d) * f; b.vy -= (dy / d) * f;
+            }
+        }
+
+        edges.forEach(e => {
+            const a = pos.get(e.source);
+            const b = pos.get(e.target);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const d  = Math.sqrt(dx * dx + dy * dy) || 0.1;
+            const f  = (d - GRAPH_CONFIG.SPRING_LENGTH) * GRAPH_CONFIG.SPRING_FORCE;
+            a.vx += (dx / d) * f; a.vy += (dy / d) * f;
+            b.vx -= (dx / d) * f; b.vy -= (dy / d) * f;
+        });
+
+        list.forEach(p => {
+            p.vx += (cx - p.x) * GRAPH_CONFIG.GRAVITY;
+            p.vy += (cy - p.y) * GRAPH_CONFIG.GRAVITY;
+            // Clamp per-step movement so dense clusters settle instead of exploding
+            p.x += Math.max(-20, Math.min(20, p.vx)) * cooling;
+            p.y += Math.max(-20, Math.min(20, p.vy)) * cooling;
+            p.vx *= 0.5;
+            p.vy *= 0.5;
+        });
+    }
+
+    return pos;
+}
+
+/**
+ * Returns the arrowhead marker URL for an edge kind, defining it on first use.
+ * @param {SVGDefsElement} defs - The graph's <defs>.
+ * @param {string} kind - Edge kind.
+ * @returns {string}
+ */
+function getGraphMarker(defs, kind) {
+    const id = `graph-arrow-${kind}`;
+    if (!defs.querySelector(`#${id}`)) {
+        const marker = createGraphElement('marker', {
+            id, viewBox: '0 0 10 10', refX: 10, refY: 5,
+            markerWidth: 6, markerHeight: 6, orient: 'auto-start-reverse'
+        });
+        marker.appendChild(createGraphElement('path', { d: 'M0,0 L10,5 L0,10 z', fill: GRAPH_CONFIG.EDGE_COLORS[kind] || '#94a3b8' }));
+        defs.appendChild(marker);
+    }
+    return `url(#${id})`;
+}
+
+/**
+ * Applies the current pan/zoom transform to the graph viewport group.
+ * @returns {void}
+ */
+function applyGraphView() {
+    const viewport = document.getElementById('graph-viewport');
+    if (!viewport) return;
+    const { x, y, k } = GRAPH_STATE.view;
+    viewport.setAttribute('transform', `translate(${x} ${y}) scale(${k})`);
+}
+
+/**
+ * Lays out and draws the filtered graph into the modal's SVG.
+ * @returns {void}
+ */
+function renderGraph() {
+    const svg   = document.getElementById('graph-svg');
+    const empty = document.getElementById('graph-empty-state');
+    const stats = document.getElementById('graph-stats');
+    if (!svg) return;
+
+    const { nodes, edges } = getFilteredGraph();
+    svg.innerHTML = '';
+    if (stats) stats.textContent = `${nodes.length} notes • ${edges.length} links`;
+    if (empty) empty.classList.toggle('hidden', nodes.length > 0);
+    if (!nodes.length) return;
+
+    const pos    = layoutGraph(nodes, edges);
+    const defs   = createGraphElement('defs');
+    const root   = createGraphElement('g', { id: 'graph-viewport' });
+    const degree = new Map();
+    edges.forEach(e => {
+        degree.set(e.source, (degree.get(e.source) || 0) + 1);
+        degree.set(e.target, (degree.get(e.target) || 0) + 1);
+    });
+    const radiusOf = id => 6 + Math.min(10, (degree.get(id) || 0) * 1.5);
+
+    svg.appendChild(defs);
+    svg.appendChild(root);
+
+    edges.forEach(e => {
+        const a = pos.get(e.source);
+        const b = pos.get(e.target);
+        // Stop at the target's rim so the arrowhead stays visible
+        const d    = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        const trim = Math.min(d, radiusOf(e.target) + 2) / d;
+        root.appendChild(createGraphElement('line', {
+            class: `graph-edge graph-edge-${e.kind}`,
+            x1: a.x, y1: a.y, x2: b.x - (b.x - a.x) * trim, y2: b.y - (b.y - a.y) * trim,
+            stroke: GRAPH_CONFIG.EDGE_COLORS[e.kind] || '#94a3b8',
+            'marker-end': getGraphMarker(defs, e.kind)
+        }));
+    });
+
+    nodes.forEach(n => {
+        const p     = pos.get(n.id);
+        const title = typeof window.displayNoteTitle === 'function' ? window.displayNoteTitle(n) : (n.title || `Note #${n.id}`);
+        const color = typeof window.normalizeColorHex === 'function' ? window.normalizeColorHex(n.color) : '#3b82f6';
+        const group = createGraphElement('g', {
+            class: `graph-node${n.canvas_id == STATE.canvas_id ? ' is-current-board' : ''}`,
+            'data-note-id': n.id,
+            transform: `translate(${p.x} ${p.y})`
+        });
+
+        const tip = createGraphElement('title');
+        tip.textContent = `${title} — ${n.canvas_name || 'Board'} • Level ${n.layer_id}`;
+        group.appendChild(tip);
+        group.appendChild(createGraphElement('circle', { r: radiusOf(n.id), fill: color }));
+
+        const label = createGraphElement('text', { class: 'graph-node-label', y: -14 });
+        label.textContent = title.length > 28 ? `${title.slice(0, 27)}…` : title;
+        group.appendChild(label);
+        root.appendChild(group);
+    });
+
+    applyGraphView();
+}
+
+/**
+ * Fetches the graph and refreshes filters and drawing.
+ * @returns {Promise<void>}
+ */
+async function loadGraph() {
+    if (GRAPH_STATE.loading) return;
+    GRAPH_STATE.loading = true;
+    const stats = document.getElementById('graph-stats');
+    if (stats) stats.textContent = 'Loading…';
+
+    try {
+        const res = await NoteAPI.get('/notes/api/graph');
+        if (!res || !res.success) {
+            if (stats) stats.textContent = 'Failed to load graph';
+            return;
+        }
+        GRAPH_STATE.nodes = res.nodes || [];
+        GRAPH_STATE.edges = res.edges || [];
+        populateGraphFilters();
+        renderGraph();
+    } finally {
+        GRAPH_STATE.loading = false;
+    }
+}
+
+/**
+ * Opens the graph view modal, defaulting the board filter to the active board.
+ * @returns {void}
+ */
+function openGraphModal() {
+    if (STATE.isInitializing) return;
+    const modal = document.getElementById('note-graph-modal');
+    if (!modal) return;
+
+    const canvasSel = document.getElementById('graph-filter-canvas');
+    if (canvasSel && !canvasSel.options.length) {
+        canvasSel.innerHTML = `<option value="${STATE.canvas_id}"></option>`;
+        canvasSel.value = String(STATE.canvas_id);
+    }
+
+    GRAPH_STATE.view = { x: 0, y: 0, k: 1 };
+    modal.classList.add('active');
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+    loadGraph();
+}
+
+/**
+ * Closes the graph view modal.
+ * @returns {void}
+ */
+function closeGraphModal() {
+    const modal = document.getElementById('note-graph-modal');
+    if (modal) {
+        modal.classList.remove('show');
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+}
+
+/**
+ * Converts a client point into SVG user-space coordinates.
+ * @param {SVGSVGElement} svg - The graph SVG.
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{x: number, y: number}}
+ */
+function graphClientToSvg(svg, clientX, clientY) {
+    const rect = svg.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) * (GRAPH_CONFIG.WIDTH  / rect.width),
+        y: (clientY - rect.top)  * (GRAPH_CONFIG.HEIGHT / rect.height)
+    };
+}
+
+/**
+ * Wires the open button, filter changes, pan, wheel zoom and node navigation.
+ * @returns {void}
+ */
+function initGraphView() {
+    const openBtn = document.getElementById('open-note-graph');
+    if (openBtn) openBtn.addEventListener('click', openGraphModal);
+
+    const canvasSel = document.getElementById('graph-filter-canvas');
+    if (canvasSel) canvasSel.addEventListener('change', () => { populateGraphFilters(); renderGraph(); });
+    ['graph-filter-level', 'graph-filter-linked'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', renderGraph);
+    });
+
+    const svg = document.getElementById('graph-svg');
+    if (!svg) return;
+
+    svg.addEventListener('pointerdown', (e) => {
+        GRAPH_STATE.pan = { startX: e.clientX, startY: e.clientY, originX: GRAPH_STATE.view.x, originY: GRAPH_STATE.view.y, moved: false };
+        svg.setPointerCapture(e.pointerId);
+    });
+
+    svg.addEventListener('pointermove', (e) => {
+        const pan = GRAPH_STATE.pan;
+        if (!pan) return;
+        const start = graphClientToSvg(svg, pan.startX, pan.startY);
+        const now   = graphClientToSvg(svg, e.clientX, e.clientY);
+        if (Math.abs(e.clientX - pan.startX) + Math.abs(e.clientY - pan.startY) > 4) pan.moved = true;
+        GRAPH_STATE.view.x = pan.originX + (now.x - start.x);
+        GRAPH_STATE.view.y = pan.originY + (now.y - start.y);
+        applyGraphView();
+    });
+
+    svg.addEventListener('pointerup', (e) => {
+        const pan = GRAPH_STATE.pan;
+        GRAPH_STATE.pan = null;
+        if (pan && pan.moved) return;
+
+        // Pointer capture retargets events to the SVG, so hit-test the release point
+        const hit  = document.elementFromPoint(e.clientX, e.clientY);
+        const node = hit && hit.closest('.graph-node');
+        if (!node) return;
+
+        closeGraphModal();
+        if (typeof handleNoteLinkClick === 'function') handleNoteLinkClick(Number(node.dataset.noteId));
+    });
+
+    svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const view = GRAPH_STATE.view;
+        const k    = Math.max(GRAPH_CONFIG.MIN_ZOOM, Math.min(GRAPH_CONFIG.MAX_ZOOM, view.k * (e.deltaY < 0 ? 1.1 : 0.9)));
+        const p    = graphClientToSvg(svg, e.clientX, e.clientY);
+
+        // Zoom around the cursor: keep the graph point under it fixed
+        view.x = p.x - (p.x - view.x) * (k / view.k);
+        view.y = p.y - (p.y - view.y) * (k / view.k);
+        view.k = k;
+        applyGraphView();
+    }, { passive: false });
+}
+
+document.addEventListener('DOMContentLoaded', initGraphView);
+
+window.openGraphModal  = openGraphModal;
+window.closeGraphModal = closeGraphModal;
@@ -552,7 +552,8 @@ function handleResizeStart(e, handle) {
         startScrollLeft: STATE.wrapperEl.scrollLeft,
         startScrollTop: STATE.wrapperEl.scrollTop,
         startRectLeft: rect.left,
-        startRectTop: rect.top
+        startRectTop: rect.top,
+        historyBefore: captureNoteGeometry([id])
     };
 
     STATE.isResizing = id;
@@ -701,6 +702,7 @@ function handleResizeEnd(e) {
     
     if (typeof fitNoteHeight === 'function') fitNoteHeight(id);
     if (typeof syncNotePosition === 'function') syncNotePosition(id, 'normal', 300);
+    recordGeometryHistory('Resize note', ctx.historyBefore);
 }
 
 /**
@@ -766,13 +768,17 @@ function toggleStickyMove(e, id) {
     
     // --- 2. Bulk Operation Baseline ---
     // If the picked note is part of a selection, we capture the relative baseline
-    // for all siblings to enable synchronized "swarm" movement.
-    if (STATE.selectedNoteIds.has(String(intId))) {
+    // for all siblings to enable synchronized "swarm" movement. An unselected frame
+    // or grouped note swarms with its contents / fellow members instead.
+    const swarm = STATE.selectedNoteIds.has(String(intId))
+        ? Array.from(STATE.selectedNoteIds)
+        : (window.getOrganizerSwarm?.(intId) || null);
+    if (swarm) {
         STATE.groupBaseline = new Map();
         
         // Z-Index Parity: When moving a swarm, promote ALL members to the foreground
         // to prevent them from slipping behind unselected notes during the move.
-        STATE.selectedNoteIds.forEach(sid => {
+        swarm.forEach(sid => {
             const snote = STATE.notes.find(n => n.id == sid);
             if (snote) {
                 STATE.groupBaseline.set(sid, { x: snote.x, y: snote.y, z: window.getNoteZIndex?.(snote) || snote.z_index });
@@ -802,7 +808,7 @@ function toggleStickyMove(e, id) {
     document.addEventListener('touchmove', updateStickyMove, { passive: false });
     document.addEventListener('touchend', handleStickyMoveTouchEnd);
     document.addEventListener('touchcancel', handleStickyMoveTouchEnd);
-    showToast(STATE.groupBaseline ? `Moving ${STATE.selectedNoteIds.size} notes` : 'Note picked up', 'info');
+    showToast(STATE.groupBaseline ? `Moving ${STATE.groupBaseline.size} notes` : 'Note picked up', 'info');
 }
 
 /**
@@ -1034,7 +1040,14 @@ function dropStickyNote() {
     
     // Capture context for persistence before clearing state
     const isGroupMove = !!STATE.groupBaseline;
-    const selection   = isGroupMove ? Array.from(STATE.selectedNoteIds) : null;
+    const selection   = isGroupMove ? Array.from(STATE.groupBaseline.keys()) : null;
+
+    // Undo baseline: pre-flight positions merged over the current (unchanged) size and colour
+    const baseline = isGroupMove ? STATE.groupBaseline : new Map([[String(id), STATE.originalPos]]);
+    const historyBefore = captureNoteGeometry(Array.from(baseline.keys())).map(snap => {
+        const pos = baseline.get(String(snap.id));
+        return pos ? { ...snap, x: pos.x, y: pos.y, z_index: pos.z ?? snap.z_index } : snap;
+    });
 
     STATE.pickedNoteId      = null;
     STATE.pickedTouchId     = null;
@@ -1064,6 +1077,7 @@ function dropStickyNote() {
     } else {
         if (typeof syncNotePosition === 'function') syncNotePosition(id, 'normal', 500);
     }
+    recordGeometryHistory(isGroupMove ? `Move ${historyBefore.length} notes` : 'Move note', historyBefore);
 
     document.removeEventListener('mousemove', updateStickyMove);
     document.removeEventListener('touchmove', updateStickyMove);
@@ -1145,26 +1159,6 @@ function cancelStickyMove() {
     showToast('Move cancelled', 'info');
 }
 
-/**
- * Releases the active edit lock on page unload via sendBeacon.
- */
-function releaseActiveEditLock() {
-    if (!STATE.isEditingNote) return;
-
-    const noteId = STATE.isEditingNote;
-    STATE.isEditingNote = null;
-
-    const params = new URLSearchParams();
-    params.append('id', noteId);
-    params.append('session_id', STATE.sessionId);
-
-    // Resilience: navigator.sendBeacon is the gold standard for reliable teardown transport
-    navigator.sendBeacon('/notes/api/unlock', params);
-}
-
-// Global Lifecycle Persistence: Use pagehide for teardown beacons
-window.addEventListener('pagehide', releaseActiveEditLock);
-
 /**
  * Global Click Orchestrator.
  * Handles drop logic for the 'Pick & Place' engine.
@@ -1193,8 +1187,9 @@ function handleGlobalClick(e) {
 /**
  * Global keyboard shortcut dispatcher.
  * Handles Ctrl+E (toggle edit mode, Shift for raw), Escape (abort edit, close modals,
- * clear selection, cancel move), Ctrl+A (select all notes), Ctrl+S (suppress browser
- * save dialog), Ctrl+F (find), and Ctrl+I (open in iframe).
+ * clear selection, cancel move), Ctrl+A (select all notes), Ctrl+Z / Ctrl+Shift+Z
+ * (undo/redo), Ctrl+S (suppress browser save dialog), Ctrl+F (find), and Ctrl+I
+ * (open in iframe).
  * @param {KeyboardEvent} e - The keydown event.
  * @returns {void}
  */
@@ -1306,6 +1301,18 @@ function handleGlobalKeydown(e) {
         }
     }
     
+    // Ctrl + Z / Ctrl + Shift + Z (or Ctrl + Y): Board history
+    // Guard: Inputs and inline editors keep their native text undo.
+    if (commandKey && (key === 'z' || key === 'y')) {
+        const isEntry = e.target.closest('input, textarea, [contenteditable="true"]');
+        if (!isEntry && !document.body.classList.contains('modal-open')) {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) redoLastAction();
+            else undoLastAction();
+            return;
+        }
+    }
+
     // Ctrl + S: Board-wide Save Interception
     // Prevents the annoying browser "Save Page" dialog from appearing while on the whiteboard.
     if (e.ctrlKey && key === 's') {
@@ -1680,6 +1687,9 @@ function getLocalViewport(canvasId, layerId) {
 
 /**
  * Reliability Guardian: Processes the synchronization queue to ensure no state is lost.
+ * Items without a url are viewport saves and retry until they land. Items with a url
+ * are undo/redo operations (see applyHistoryStep): they are sent in order, dropped
+ * after HISTORY_SYNC_ATTEMPTS failures, and trigger a state reload when flagged.
  */
 async function processSyncQueue() {
     if (STATE.isSyncing || STATE.syncQueue.length === 0) return;
@@ -1689,12 +1699,29 @@ async function processSyncQueue() {
     STATE.syncQueue = []; // Clear for processing
     
     const failedItems = [];
+    let needsReload = false;
     
     try {
         for (const item of items) {
             // Migration: NoteAPI handles CSRF and error management internally
-            const res = await NoteAPI.post('/notes/api/viewport', item.params, { keepalive: true, silent: true });
-            if (!res || !res.success) failedItems.push(item);
+            const res = await NoteAPI.post(item.url || '/notes/api/viewport', item.params, { keepalive: true, silent: true });
+            if (res && res.success) {
+                if (res.last_mutation && (!STATE.last_mutation || res.last_mutation > STATE.last_mutation)) {
+                    STATE.last_mutation = res.last_mutation;
+                }
+                if (item.reload) needsReload = true;
+                continue;
+            }
+
+            if (!item.url) {
+                failedItems.push(item);
+            } else if (res || ++item.attempts >= HISTORY_SYNC_ATTEMPTS) {
+                // Logical rejection (locked, missing, no access) or retries exhausted: resync with the server
+                showToast(res?.error ? `Undo/redo failed: ${res.error}` : 'Undo/redo could not be saved', 'error');
+                needsReload = true;
+            } else {
+                failedItems.push(item);
+            }
         }
         
         if (failedItems.length > 0) {
@@ -1703,6 +1730,8 @@ async function processSyncQueue() {
     } finally {
         STATE.isSyncing = false;
 
+        if (needsReload && !STATE.pendingContext) loadState();
+
         // Drain any context switch that was blocked by our isSyncing lock
         if (STATE.pendingContext) {
             const ctx = STATE.pendingContext;
@@ -1845,6 +1874,20 @@ function handleCanvasMouseDown(e) {
         return;
     }
 
+    // Connectors: Drag from a note's connect handle draws an arrow; clicking an arrow selects it
+    const connectHandle = e.target.closest('.note-connect-handle');
+    if (connectHandle && e.button === 0 && typeof startConnectorDrag === 'function') {
+        startConnectorDrag(e, connectHandle);
+        return;
+    }
+    const connectorEl = e.target.closest('.note-connector');
+    if (connectorEl && e.button === 0 && typeof selectConnector === 'function') {
+        e.preventDefault();
+        selectConnector(connectorEl.dataset.id);
+        return;
+    }
+    if (typeof clearConnectorSelection === 'function') clearConnectorSelection();
+
     if (e.button === 0) {
         const noteEl = e.target.closest('.sticky-note');
         if (noteEl) {
@@ -1853,14 +1896,16 @@ function handleCanvasMouseDown(e) {
             if (id) {
                 // --- 2A. Selection Management (Shift-Click / Note click) ---
                 if (e.shiftKey) {
-                    // Toggle Pattern: Shift-Click toggles inclusion in the selection
-                    if (STATE.selectedNoteIds.has(idStr)) {
-                        STATE.selectedNoteIds.delete(idStr);
-                        noteEl.classList.remove('is-selected');
-                    } else {
-                        STATE.selectedNoteIds.add(idStr);
-                        noteEl.classList.add('is-selected');
-                    }
+                    // Toggle Pattern: Shift-Click toggles inclusion in the selection.
+                    // Grouped notes toggle together with the rest of their group.
+                    const members  = window.getGroupMemberIds?.(idStr) || [];
+                    const toggled  = members.length ? members : [idStr];
+                    const deselect = STATE.selectedNoteIds.has(idStr);
+                    toggled.forEach(mid => {
+                        if (deselect) STATE.selectedNoteIds.delete(mid);
+                        else STATE.selectedNoteIds.add(mid);
+                        document.getElementById(`note-${mid}`)?.classList.toggle('is-selected', !deselect);
+                    });
                     e.preventDefault();
                     return; // Stop processing to avoid immediate drag initialization if clicking handle
                 } else if (!STATE.selectedNoteIds.has(idStr)) {
@@ -2704,6 +2749,10 @@ async function saveNoteInline(id, stayInEditMode = false) {
 
     flushActiveClickToEditEditor(el);
 
+    // Live Collaboration: Push pending keystrokes so the server copy is complete before saving
+    const collabActive = typeof NoteCollab !== 'undefined' && NoteCollab.isActive(id);
+    if (collabActive) await NoteCollab.flush(id);
+
     const titleInput = el.querySelector('.inline-title-input');
     const title      = titleInput ? titleInput.value : (note.title || 'Untitled Note');
     
@@ -2711,7 +2760,7 @@ async function saveNoteInline(id, stayInEditMode = false) {
     // Logic: If the editor is active (not readonly), prioritize the DOM. 
     // Otherwise (e.g. for checkbox toggles), use the RAM state (SSO).
     const isLiveEditor = textarea && !textarea.readOnly;
-    const content      = isLiveEditor ? textarea.value : note.content;
+    let content        = isLiveEditor ? textarea.value : note.content;
     
     const colorInput = el.querySelector('.inline-color-input');
     const color      = colorInput ? colorInput.value : (note.color || '#fef3c7');
@@ -2741,7 +2790,8 @@ async function saveNoteInline(id, stayInEditMode = false) {
         height: note.is_collapsed ? (note.height || el.offsetHeight) : el.offsetHeight,
         z_index: window.getNoteZIndex?.(note) || el.style.zIndex,
         is_collapsed: note.is_collapsed,
-        is_options_expanded: note.is_options_expanded ?? 0
+        is_options_expanded: note.is_options_expanded ?? 0,
+        collab: collabActive ? 1 : 0
     };
 
     let saveCommitted = false;
@@ -2751,7 +2801,7 @@ async function saveNoteInline(id, stayInEditMode = false) {
             saveCommitted = true;
             // State: Finalize UI before record merge
             if (!stayInEditMode && String(STATE.isEditingNote) === String(id)) {
-                // Collaborative Locking: Clear state FIRST to block teardown races
+                // Collaborative Session: Clear state FIRST to block teardown races
                 delete el.dataset.lockHeld;
                 STATE.isEditingNote = null;
                 
@@ -2766,14 +2816,7 @@ async function saveNoteInline(id, stayInEditMode = false) {
                     btnIcon.classList.remove('pulse-glow');
                 }
 
-                const unlockRes = await NoteAPI.unlock(id);
-                if (!unlockRes || !unlockRes.success) {
-                    console.warn('[NoteAPI] Post-save unlock failed for note', id, unlockRes?.error);
-                    // Schedule a retry to prevent the collaborative lock from being permanently stuck
-                    setTimeout(async () => {
-                        try { await NoteAPI.unlock(id); } catch (_) {}
-                    }, 3000);
-                }
+                if (collabActive) await NoteCollab.leave(id);
             }
 
             if (res.notes && typeof window.mergeNoteState === 'function') {
@@ -2783,6 +2826,14 @@ async function saveNoteInline(id, stayInEditMode = false) {
             }
             STATE.last_mutation = res.last_mutation;
 
+            // Live Collaboration: A continuing session keeps its local document; the server
+            // copy may already include remote ops this tab has not applied yet.
+            const savedNote = STATE.notes.find(n => n.id == id);
+            if (collabActive && savedNote) {
+                if (NoteCollab.isActive(id)) savedNote.content = content;
+                else content = savedNote.content || '';
+            }
+
             // Targeted DOM Update: Refresh viewer and title without board re-render
             const viewer = el.querySelector('.note-text-viewer');
             const slot   = el.querySelector('.note-title-slot');
@@ -2983,6 +3034,10 @@ function updateNoteAccent(input, id) {
                 if (res.last_mutation && (!STATE.last_mutation || res.last_mutation > STATE.last_mutation)) {
                     STATE.last_mutation = res.last_mutation;
                 }
+                if (typeof prevColor === 'string') {
+                    const before = captureNoteGeometry([id]).map(snap => ({ ...snap, color: prevColor }));
+                    recordGeometryHistory('Change colour', before);
+                }
             } else {
                 throw new Error(res?.error || 'Color save failed');
             }
@@ -3169,7 +3224,7 @@ function configureNoteTextEditMode(el, note, textarea, useRawEditor) {
 
 /**
  * Transitions a note between 'display' and 'edit' modes.
- * Handles collaborative lock acquisition, collapsed note expansion, content snapshot
+ * Handles collaborative session join/leave, collapsed note expansion, content snapshot
  * for abort, click-to-edit initialization, and mode switching between click-to-edit
  * and raw textarea editors. On exit, saves or aborts based on the isAbort flag.
  * @param {HTMLElement} btn - The trigger button.
@@ -3186,17 +3241,17 @@ async function toggleInlineEdit(btn, id, isAbort = false, useRawEditor = false)
     
     let lockAcquired = false;
 
-    // Collaborative Locking: Prevention & Acquisition
+    // Collaborative Session: Join the shared OT session instead of taking an exclusive lock.
     // Re-check class synchronously after the await to prevent double-entry
     // from concurrent calls that both passed the initial guard.
     if (!el.classList.contains('is-editing')) {
-        // Guard: Prevent any concurrent invocation from proceeding while lock is in-flight or held
+        // Guard: Prevent any concurrent invocation from proceeding while a join is in-flight or held
         if (el.dataset.lockPending === 'true' || el.dataset.lockHeld === 'true') return;
         el.dataset.lockPending = 'true';
         
         let lockRes;
         try {
-            lockRes = await NoteAPI.lock(id);
+            lockRes = await NoteCollab.join(id);
         } finally {
             delete el.dataset.lockPending;
         }
@@ -3205,14 +3260,14 @@ async function toggleInlineEdit(btn, id, isAbort = false, useRawEditor = false)
 
         // Re-check: another concurrent call may have entered edit mode while we awaited
         if (el.classList.contains('is-editing')) {
-            await NoteAPI.unlock(id);
+            await NoteCollab.leave(id);
             return;
         }
 
         el.dataset.lockHeld = 'true';
         lockAcquired = true;
     } else {
-        // Only allow toggle-off if a lock is actually held by this session
+        // Only allow toggle-off if this session actually joined
         if (!el.dataset.lockHeld) return;
     }
 
@@ -3229,7 +3284,7 @@ async function toggleInlineEdit(btn, id, isAbort = false, useRawEditor = false)
             el.classList.toggle('collapsed', !!collapsedBefore);
             const btn = el.querySelector('.btn-icon-collapse');
             if (btn) btn.innerHTML = collapsedBefore ? '🔻' : '🔺';
-            if (lockAcquired) await NoteAPI.unlock(id);
+            if (lockAcquired) await NoteCollab.leave(id);
             return;
         }
     }
@@ -3309,6 +3364,16 @@ async function toggleInlineEdit(btn, id, isAbort = false, useRawEditor = false)
         if (getNoteFind().noteId && String(getNoteFind().noteId) === String(id)) closeNoteFindBar(false);
         if (isAbort) {
             delete el.dataset.lockHeld;
+            // Live Collaboration: Roll back our ops; collaborators' edits (if any) are kept
+            if (el.dataset.originalContent !== undefined) {
+                const restored = await NoteCollab.abort(id, el.dataset.originalContent);
+                if (restored !== el.dataset.originalContent) {
+                    el.dataset.originalContent = restored;
+                    el.dataset.originalMapContent = restored;
+                }
+            } else {
+                await NoteCollab.leave(id);
+            }
             // UI State: Restore content from local state
             const txtArea = el.querySelector('.note-text-section > textarea[data-action="note-keydown"]');
             if (note && el.dataset.originalContent !== undefined) {
@@ -3399,14 +3464,6 @@ async function toggleInlineEdit(btn, id, isAbort = false, useRawEditor = false)
             fd.contentEditable = 'false';
             fd.classList.remove('is-editing-text');
         });
-
-        // Collaborative Locking: Explicit release for the Abort path.
-        if (isAbort) {
-            const unlockRes = await NoteAPI.unlock(id);
-            if (!unlockRes || !unlockRes.success) {
-                console.warn('[NoteAPI] Abort-path unlock failed for note', id, unlockRes?.error);
-            }
-        }
     }
     updateEditModeIndicators(id);
 }
@@ -5567,6 +5624,10 @@ function showLevelContextMenu(e) {
             <span class="item-icon">🚀</span>
             <span>Move Level to...</span>
         </div>
+        <div class="context-menu-item" onclick="showLevelLayoutMenu()">
+            <span class="item-icon">📐</span>
+            <span>Tidy Level...</span>
+        </div>
     `;
 
     document.body.appendChild(menu);
@@ -5583,6 +5644,7 @@ function showLevelContextMenu(e) {
 /**
  * Note Context Menu: Right-click menu for copy/move operations on a single note or a lasso group.
  * Group mode activates when the right-clicked note is part of the current multi-selection (2+ notes).
+ * Copy/move actions also take along the contents of frames and the members of groups involved.
  * @param {MouseEvent} e - The contextmenu event used for cursor positioning.
  * @param {string|number} noteId - ID of the right-clicked note.
  * @returns {void}
@@ -5594,9 +5656,17 @@ function showNoteContextMenu(e, noteId) {
 
     const idStr   = String(noteId);
     const isGroup = STATE.selectedNoteIds.has(idStr) && STATE.selectedNoteIds.size > 1;
-    const ids     = isGroup ? Array.from(STATE.selectedNoteIds).map(Number) : [Number(noteId)];
+    const picked  = isGroup ? Array.from(STATE.selectedNoteIds).map(Number) : [Number(noteId)];
+    const ids     = window.expandOrganizerIds ? window.expandOrganizerIds(picked) : picked;
     const label   = ids.length > 1 ? `${ids.length} notes` : 'note';
 
+    const pickedNotes = picked.map(id => STATE.notes.find(n => n.id == id)).filter(Boolean);
+    const isFrame     = !isGroup && window.isFenceNote?.(pickedNotes[0]);
+    const grouped     = pickedNotes.filter(n => n.group_id && (window.getGroupMemberIds?.(n.id) || []).length);
+    const canGroup    = picked.length > 1 && !pickedNotes.every(n => n.group_id && n.group_id == pickedNotes[0].group_id);
+    const onSlidePath = picked.length === 1
+        && (window.getPresentationPath?.().notes || []).some(n => n.id == picked[0]);
+
     const promptLevel = (operation) => {
         const cleanupModal = () => {
             const modalContent = document.getElementById('globalConfirmModalContent');
@@ -5706,6 +5776,33 @@ function showNoteContextMenu(e, noteId) {
         }
     };
 
+    const organizerItems = `
+        ${canGroup ? `
+        <div class="context-menu-item" data-action="group">
+            <span class="item-icon">⛓️</span>
+            <span>Group ${picked.length} notes</span>
+        </div>` : ''}
+        ${grouped.length ? `
+        <div class="context-menu-item" data-action="rename-group">
+            <span class="item-icon">✏️</span>
+            <span>Rename Group...</span>
+        </div>
+        <div class="context-menu-item" data-action="ungroup">
+            <span class="item-icon">✂️</span>
+            <span>Ungroup</span>
+        </div>` : ''}
+        ${!isFrame ? `
+        <div class="context-menu-item" data-action="frame">
+            <span class="item-icon">🖼️</span>
+            <span>Frame ${label}</span>
+        </div>` : ''}
+        ${picked.length === 1 && window.toggleSlide ? `
+        <div class="context-menu-item" data-action="slide-toggle">
+            <span class="item-icon">🎬</span>
+            <span>${onSlidePath ? 'Remove from Presentation' : 'Add to Presentation'}</span>
+        </div>` : ''}
+    `.trim();
+
     const menu = document.createElement('div');
     menu.className = 'context-menu context-menu--cursor';
     menu.innerHTML = `
@@ -5731,6 +5828,22 @@ function showNoteContextMenu(e, noteId) {
             <span class="item-icon">🎯</span>
             <span>Move ${label} to Center</span>
         </div>
+        ${picked.length > 1 && window.showLayoutMenu ? `
+        <div class="context-menu-item" data-action="arrange">
+            <span class="item-icon">📐</span>
+            <span>Arrange ${label}...</span>
+        </div>` : ''}
+        ${organizerItems ? `<div class="context-menu-divider"></div>${organizerItems}` : ''}
+        ${picked.length === 1 ? `
+        <div class="context-menu-divider"></div>
+        <div class="context-menu-item" data-action="history">
+            <span class="item-icon">🕘</span>
+            <span>History...</span>
+        </div>
+        <div class="context-menu-item" data-action="save-template">
+            <span class="item-icon">📑</span>
+            <span>Save as Template...</span>
+        </div>` : ''}
     `;
 
     menu.addEventListener('click', (ev) => {
@@ -5742,6 +5855,14 @@ function showNoteContextMenu(e, noteId) {
         else if (action === 'move-level')  promptLevel('move');
         else if (action === 'move-canvas') openMoveModal(null, ids[0], { ids, operation: 'move' });
         else if (action === 'move-center') moveNotesToCanvasCenter(ids);
+        else if (action === 'arrange')     showLayoutMenu(ev.clientX, ev.clientY, picked, label);
+        else if (action === 'group')       groupNotes(picked);
+        else if (action === 'ungroup')     ungroupNotes(grouped.map(n => n.id));
+        else if (action === 'rename-group') renameGroup(grouped[0].group_id);
+        else if (action === 'frame')       createFrameAround(ids);
+        else if (action === 'slide-toggle') toggleSlide(picked[0]);
+        else if (action === 'history')     openNoteHistoryModal(picked[0]);
+        else if (action === 'save-template') saveNoteAsTemplate(picked[0]);
     });
 
     document.body.appendChild(menu);
@@ -6002,6 +6123,9 @@ window.initRibbon = function() {
             const isOpen = menuEl.classList.contains('open');
             closeAllDropdowns();
             if (!isOpen) openDropdown(menuEl, trigger);
+            if (!isOpen && menuEl.id === 'ribbon-menu-templates' && typeof refreshRibbonTemplateMenu === 'function') {
+                refreshRibbonTemplateMenu();
+            }
             return;
         }
 
@@ -6038,6 +6162,9 @@ window.initRibbon = function() {
             applyRibbonInsert(ta, btn.dataset.text);
         } else if (action === 'date') {
             applyRibbonInsert(ta, '[date:' + new Date().toISOString().slice(0, 10) + ']');
+        } else if (action === 'template') {
+            const tpl = TEMPLATE_STATE.list.find(t => t.id == btn.dataset.templateId);
+            if (tpl) applyRibbonInsert(ta, expandTemplateVariables(tpl.content));
         }
 
         ta.focus();
@@ -0,0 +1,440 @@
+// /public/js/notes/layout.js
+
+/**
+ * Layout Module: Auto-layout and tidy-up commands for a selection or the active level.
+ *
+ * Commands work on layout units rather than raw notes: a frame moves with its contents
+ * and a group moves as one, so tidying never pulls an organiser apart. Every command
+ * snaps to the board grid, commits all moved notes through syncBatchNotePositions and
+ * records a single undo entry.
+ */
+
+const LAYOUT_GAP         = 40;    // Space kept between units
+const LAYOUT_CLUSTER_GAP = 160;   // Space between tag/colour clusters
+const LAYOUT_MAX_PASSES  = 500;   // Safety cap for the overlap resolver
+
+const LAYOUT_COMMANDS = [
+    { id: 'align-left',     icon: '⇤', label: 'Align left',              min: 2 },
+    { id: 'align-center',   icon: '↔', label: 'Align centres',           min: 2 },
+    { id: 'align-right',    icon: '⇥', label: 'Align right',             min: 2 },
+    { id: 'align-top',      icon: '⤒', label: 'Align top',               min: 2 },
+    { id: 'align-middle',   icon: '↕', label: 'Align middles',           min: 2 },
+    { id: 'align-bottom',   icon: '⤓', label: 'Align bottom',            min: 2 },
+    { divider: true },
+    { id: 'distribute-h',   icon: '⋯', label: 'Distribute horizontally', min: 3 },
+    { id: 'distribute-v',   icon: '⋮', label: 'Distribute vertically',   min: 3 },
+    { divider: true },
+    { id: 'pack-grid',      icon: '▦', label: 'Pack into grid',          min: 2 },
+    { id: 'by-tag',         icon: '🏷', label: 'Arrange by tag',          min: 2 },
+    { id: 'by-color',       icon: '🎨', label: 'Arrange by colour',       min: 2 },
+    { id: 'resolve',        icon: '🧹', label: 'Resolve overlaps',        min: 2 }
+];
+
+/**
+ * Rounds a coordinate to the board's snap grid.
+ * @param {number} value - Board coordinate.
+ * @returns {number}
+ */
+function snapLayoutValue(value) {
+    const snap = STATE.snapGrid || 10;
+    return Math.round(value / snap) * snap;
+}
+
+/**
+ * Returns the first [tag:...] label of a note, ignoring fenced code.
+ * @param {Object} note - Note record.
+ * @returns {string} Lower-cased tag, or '' when untagged.
+ */
+function getLayoutTag(note) {
+    const text = String(note?.content || '').replace(/```[\s\S]*?```/g, '');
+    const match = text.match(/\[tag:\s*([^\]|]+)/i);
+    return match ? match[1].trim().toLowerCase() : '';
+}
+
+/**
+ * Hue of a note's accent colour, for ordering colour clusters around the wheel.
+ * @param {string} hex - Canonical #rrggbb colour.
+ * @returns {number} Hue in degrees, or -1 for greys.
+ */
+function getColorHue(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const d = max - Math.min(r, g, b);
+    if (d < 0.08) return -1;
+    const h = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    return (h * 60 + 360) % 360;
+}
+
+/**
+ * Builds layout units from a set of notes on the active level.
+ * Each unit is a connected swarm (frame + contents, group members) with its bounding box.
+ * Units holding a note that someone else is editing are marked fixed.
+ * @param {Array<number|string>} ids - Notes chosen by the user.
+ * @returns {Array<{ids: string[], notes: Object[], x: number, y: number, w: number, h: number, fixed: boolean}>}
+ */
+function buildLayoutUnits(ids) {
+    const chosen = new Set(ids.map(String));
+    const owner  = new Map();   // note ID -> unit root
+    const find   = (id) => {
+        while (owner.get(id) !== id) id = owner.get(id);
+        return id;
+    };
+
+    const levelNotes = STATE.notes.filter(n => n.layer_id == STATE.activeLayerId);
+    const levelIds   = new Set(levelNotes.map(n => String(n.id)));
+
+    chosen.forEach(id => {
+        if (!levelIds.has(id)) return;
+        const members = (window.collectOrganizerMembers ? window.collectOrganizerMembers(id, true) : [id])
+            .filter(mid => levelIds.has(mid));
+        members.forEach(mid => { if (!owner.has(mid)) owner.set(mid, mid); });
+        members.forEach(mid => {
+            const a = find(id);
+            const b = find(mid);
+            if (a !== b) owner.set(b, a);
+        });
+    });
+
+    const units = new Map();
+    owner.forEach((_, id) => {
+        const root = find(id);
+        if (!units.has(root)) units.set(root, { ids: [], notes: [] });
+        const unit = units.get(root);
+        unit.ids.push(id);
+        unit.notes.push(levelNotes.find(n => String(n.id) === id));
+    });
+
+    return Array.from(units.values()).map(unit => {
+        const boxes = unit.notes.map(n => window.getNoteFootprint ? window.getNoteFootprint(n)
+            : { x: Number(n.x) || 0, y: Number(n.y) || 0, w: Number(n.width) || 280, h: Number(n.height) || 200 });
+        const x = Math.min(...boxes.map(b => b.x));
+        const y = Math.min(...boxes.map(b => b.y));
+        return {
+            ...unit,
+            x, y,
+            w: Math.max(...boxes.map(b => b.x + b.w)) - x,
+            h: Math.max(...boxes.map(b => b.y + b.h)) - y,
+            // Anchor: the frame (or first note) gives the unit its colour
+            anchor: unit.notes.find(n => window.isFenceNote?.(n)) || unit.notes[0],
+            fixed: unit.notes.some(n => n.locked_by_session_id && n.locked_by_session_id !== STATE.sessionId)
+        };
+    });
+}
+
+/**
+ * Bounding box of a list of units.
+ * @param {Array<Object>} units - Layout units.
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function getUnitsBounds(units) {
+    const x = Math.min(...units.map(u => u.x));
+    const y = Math.min(...units.map(u => u.y));
+    return {
+        x, y,
+        w: Math.max(...units.map(u => u.x + u.w)) - x,
+        h: Math.max(...units.map(u => u.y + u.h)) - y
+    };
+}
+
+/**
+ * Orders units top-to-bottom, left-to-right, treating units whose tops are within
+ * half a unit height of each other as one row.
+ * @param {Array<Object>} units - Layout units.
+ * @returns {Array<Object>} New sorted array.
+ */
+function sortUnitsReadingOrder(units) {
+    return [...units].sort((a, b) => {
+        const band = Math.min(a.h, b.h) / 2;
+        return Math.abs(a.y - b.y) > band ? a.y - b.y : a.x - b.x;
+    });
+}
+
+/**
+ * Packs units into a near-square grid whose columns and rows fit their widest and tallest unit.
+ * Sets each unit's target (tx, ty) relative to the given origin.
+ * @param {Array<Object>} units - Units in the order they should fill the grid.
+ * @param {number} originX - Left edge of the grid.
+ * @param {number} originY - Top edge of the grid.
+ * @returns {{w: number, h: number}} Size of the packed grid.
+ */
+function packUnitsGrid(units, originX, originY) {
+    const cols = Math.max(1, Math.ceil(Math.sqrt(units.length)));
+    const colW = [];
+    const rowH = [];
+    units.forEach((u, i) => {
+        const c = i % cols;
+        const r = Math.floor(i / cols);
+        colW[c] = Math.max(colW[c] || 0, u.w);
+        rowH[r] = Math.max(rowH[r] || 0, u.h);
+    });
+
+    const colX = colW.reduce((acc, w, i) => { acc.push(i ? acc[i - 1] + colW[i - 1] + LAYOUT_GAP : 0); return acc; }, []);
+    const rowY = rowH.reduce((acc, h, i) => { acc.push(i ? acc[i - 1] + rowH[i - 1] + LAYOUT_GAP : 0); return acc; }, []);
+
+    units.forEach((u, i) => {
+        u.tx = originX + colX[i % cols];
+        u.ty = originY + rowY[Math.floor(i / cols)];
+    });
+
+    return {
+        w: colX[colX.length - 1] + colW[colW.length - 1],
+        h: rowY[rowY.length - 1] + rowH[rowH.length - 1]
+    };
+}
+
+/**
+ * Lays clusters of units side by side, each packed as its own grid, tops aligned.
+ * @param {Array<Array<Object>>} clusters - Ordered clusters of units.
+ * @param {number} originX - Left edge of the arrangement.
+ * @param {number} originY - Top edge of the arrangement.
+ * @returns {void}
+ */
+function packUnitClusters(clusters, originX, originY) {
+    let x = originX;
+    clusters.forEach(cluster => {
+        const size = packUnitsGrid(sortUnitsReadingOrder(cluster), x, originY);
+        x += size.w + LAYOUT_CLUSTER_GAP;
+    });
+}
+
+/**
+ * Pushes movable units right or down, whichever is shorter, until nothing overlaps.
+ * Fixed units never move; units are settled in reading order so the top-left stays put.
+ * @param {Array<Object>} units - Layout units (targets are written to tx/ty).
+ * @returns {void}
+ */
+function resolveUnitOverlaps(units) {
+    const placed = units.filter(u => u.fixed).map(u => ({ unit: u, x: u.x, y: u.y }));
+
+    sortUnitsReadingOrder(units.filter(u => !u.fixed)).forEach(u => {
+        let x = u.x;
+        let y = u.y;
+        for (let pass = 0; pass < LAYOUT_MAX_PASSES; pass++) {
+            const hit = placed.find(p =>
+                x < p.x + p.unit.w + LAYOUT_GAP && x + u.w + LAYOUT_GAP > p.x &&
+                y < p.y + p.unit.h + LAYOUT_GAP && y + u.h + LAYOUT_GAP > p.y);
+            if (!hit) break;
+
+            const pushRight = hit.x + hit.unit.w + LAYOUT_GAP - x;
+            const pushDown  = hit.y + hit.unit.h + LAYOUT_GAP - y;
+            if (pushRight <= pushDown) x += pushRight;
+            else y += pushDown;
+        }
+        u.tx = x;
+        u.ty = y;
+        placed.push({ unit: u, x, y });
+    });
+}
+
+/**
+ * Computes target positions (tx, ty) for a layout command.
+ * @param {string} command - Command ID from LAYOUT_COMMANDS.
+ * @param {Array<Object>} units - Layout units.
+ * @returns {void}
+ */
+function planLayout(command, units) {
+    const movable = units.filter(u => !u.fixed);
+    const bounds  = getUnitsBounds(units);
+    units.forEach(u => { u.tx = u.x; u.ty = u.y; });
+
+    switch (command) {
+        case 'align-left':   movable.forEach(u => { u.tx = bounds.x; }); break;
+        case 'align-right':  movable.forEach(u => { u.tx = bounds.x + bounds.w - u.w; }); break;
+        case 'align-center': movable.forEach(u => { u.tx = bounds.x + (bounds.w - u.w) / 2; }); break;
+        case 'align-top':    movable.forEach(u => { u.ty = bounds.y; }); break;
+        case 'align-bottom': movable.forEach(u => { u.ty = bounds.y + bounds.h - u.h; }); break;
+        case 'align-middle': movable.forEach(u => { u.ty = bounds.y + (bounds.h - u.h) / 2; }); break;
+
+        case 'distribute-h':
+        case 'distribute-v': {
+            const horizontal = command === 'distribute-h';
+            const pos  = horizontal ? 'x' : 'y';
+            const size = horizontal ? 'w' : 'h';
+            const sorted = [...movable].sort((a, b) => (a[pos] + a[size] / 2) - (b[pos] + b[size] / 2));
+            if (sorted.length < 3) break;
+
+            const first = sorted[0];
+            const last  = sorted[sorted.length - 1];
+            const span  = last[pos] + last[size] - first[pos];
+            const used  = sorted.reduce((sum, u) => sum + u[size], 0);
+            const gap   = Math.max(LAYOUT_GAP / 2, (span - used) / (sorted.length - 1));
+
+            let cursor = first[pos];
+            sorted.forEach(u => {
+                u[horizontal ? 'tx' : 'ty'] = cursor;
+                cursor += u[size] + gap;
+            });
+            break;
+        }
+
+        case 'pack-grid':
+            packUnitsGrid(sortUnitsReadingOrder(movable), bounds.x, bounds.y);
+            break;
+
+        case 'by-tag': {
+            const clusters = new Map();
+            movable.forEach(u => {
+                const tag = u.notes.map(getLayoutTag).find(Boolean) || '';
+                if (!clusters.has(tag)) clusters.set(tag, []);
+                clusters.get(tag).push(u);
+            });
+            // Alphabetical clusters, untagged notes last
+            const keys = Array.from(clusters.keys()).sort((a, b) => (!a) - (!b) || a.localeCompare(b));
+            packUnitClusters(keys.map(k => clusters.get(k)), bounds.x, bounds.y);
+            break;
+        }
+
+        case 'by-color': {
+            const normalize = window.normalizeColorHex || (c => c);
+            const clusters = new Map();
+            movable.forEach(u => {
+                const color = normalize(u.anchor.color).toLowerCase();
+                if (!clusters.has(color)) clusters.set(color, []);
+                clusters.get(color).push(u);
+            });
+            const keys = Array.from(clusters.keys()).sort((a, b) => getColorHue(a) - getColorHue(b) || a.localeCompare(b));
+            packUnitClusters(keys.map(k => clusters.get(k)), bounds.x, bounds.y);
+            break;
+        }
+
+        case 'resolve':
+            resolveUnitOverlaps(units);
+            break;
+    }
+}
+
+/**
+ * Runs a layout command and commits the result as one batch and one undo step.
+ * @param {string} command - Command ID from LAYOUT_COMMANDS.
+ * @param {Array<number|string>} ids - Notes to lay out (organiser members are added automatically).
+ * @returns {Promise<boolean>} True when notes moved and were saved.
+ */
+async function applyNoteLayout(command, ids) {
+    const def = LAYOUT_COMMANDS.find(c => c.id === command);
+    if (!def) return false;
+
+    const board = STATE.canvases.find(c => c.id == STATE.canvas_id);
+    if (board && Number(board.can_edit) !== 1) {
+        showToast('You have view-only access to this board', 'error');
+        return false;
+    }
+
+    const units = buildLayoutUnits(ids);
+    if (units.length < def.min) {
+        showToast(`${def.label} needs at least ${def.min} notes, frames or groups`, 'info');
+        return false;
+    }
+
+    planLayout(command, units);
+
+    const moves = [];
+    units.forEach(u => {
+        if (u.fixed) return;
+        const dx = snapLayoutValue(u.tx) - u.x;
+        const dy = snapLayoutValue(u.ty) - u.y;
+        if (!dx && !dy) return;
+        u.notes.forEach(n => moves.push({
+            note: n,
+            x:    Math.max(0, Math.round((Number(n.x) || 0) + dx)),
+            y:    Math.max(0, Math.round((Number(n.y) || 0) + dy))
+        }));
+    });
+
+    if (!moves.length) {
+        showToast('Already tidy', 'info');
+        return false;
+    }
+
+    const movedIds = moves.map(m => m.note.id);
+    const before   = captureNoteGeometry(movedIds);
+
+    moves.forEach(({ note, x, y }) => {
+        note.x = x;
+        note.y = y;
+        const el = document.getElementById(`note-${note.id}`);
+        if (el) {
+            el.style.left = `${x}px`;
+            el.style.top  = `${y}px`;
+        }
+    });
+
+    const res = await syncBatchNotePositions(movedIds);
+    if (!res || !res.success) {
+        before.forEach(snap => applyGeometrySnapshot(snap));
+        return false;
+    }
+
+    const skipped = units.filter(u => u.fixed).length;
+    recordGeometryHistory(`${def.label} (${movedIds.length} notes)`, before);
+    if (typeof renderConnectors === 'function') renderConnectors();
+    if (typeof updateRadar === 'function') updateRadar();
+    showToast(skipped
+        ? `${def.label}: ${movedIds.length} notes moved, ${skipped} being edited left in place`
+        : `${def.label}: ${movedIds.length} notes moved`, 'success');
+    return true;
+}
+
+/**
+ * Opens the layout command menu at a screen position.
+ * @param {number} x - Client X.
+ * @param {number} y - Client Y.
+ * @param {Array<number|string>} ids - Notes the commands apply to.
+ * @param {string} scopeLabel - Menu heading, e.g. "4 notes" or "Level 2".
+ * @returns {void}
+ */
+function showLayoutMenu(x, y, ids, scopeLabel) {
+    document.querySelectorAll('.context-menu').forEach(m => m.remove());
+
+    const unitCount = buildLayoutUnits(ids).length;
+    const menu = document.createElement('div');
+    menu.className = 'context-menu context-menu--cursor layout-menu';
+    menu.innerHTML = `
+        <div class="layout-menu-title">📐 Arrange ${window.escapeHtml(scopeLabel)}</div>
+        ${LAYOUT_COMMANDS.map(c => c.divider ? '<div class="context-menu-divider"></div>' : `
+        <div class="context-menu-item ${unitCount < c.min ? 'is-disabled' : ''}" data-layout="${c.id}">
+            <span class="item-icon">${c.icon}</span>
+            <span>${c.label}</span>
+        </div>`).join('')}
+    `;
+
+    menu.addEventListener('click', (ev) => {
+        const item = ev.target.closest('[data-layout]');
+        if (!item || item.classList.contains('is-disabled')) return;
+        menu.remove();
+        applyNoteLayout(item.dataset.layout, ids);
+    });
+
+    document.body.appendChild(menu);
+
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(8, x + rect.width  > window.innerWidth  ? window.innerWidth  - rect.width  - 8 : x)}px`;
+    menu.style.top  = `${Math.max(8, y + rect.height > window.innerHeight ? window.innerHeight - rect.height - 8 : y)}px`;
+
+    const closeMenu = (ev) => {
+        if (ev?.type === 'click' && menu.contains(ev.target) && !ev.target.closest('[data-layout]:not(.is-disabled)')) return;
+        if (ev?.type === 'keydown' && ev.key !== 'Escape') return;
+        menu.remove();
+        document.removeEventListener('click',   closeMenu);
+        document.removeEventListener('keydown', closeMenu);
+    };
+    setTimeout(() => {
+        document.addEventListener('click',   closeMenu);
+        document.addEventListener('keydown', closeMenu);
+    }, 10);
+}
+
+/**
+ * Opens the layout menu for every note on the active level, next to the level pill.
+ * @returns {void}
+ */
+function showLevelLayoutMenu() {
+    const ids  = STATE.notes.filter(n => n.layer_id == STATE.activeLayerId).map(n => n.id);
+    const pill = document.getElementById('level-display');
+    const rect = pill ? pill.getBoundingClientRect() : { right: 0, top: 0 };
+    const alias = STATE.layer_map[STATE.activeLayerId];
+    showLayoutMenu(rect.right + 15, rect.top, ids, alias ? `Level ${STATE.activeLayerId} — ${alias}` : `Level ${STATE.activeLayerId}`);
+}
+
+window.applyNoteLayout     = applyNoteLayout;
+window.showLayoutMenu      = showLayoutMenu;
+window.showLevelLayoutMenu = showLevelLayoutMenu;
@@ -175,6 +175,8 @@ function closeCreateModal() {
         if (titleInput) titleInput.value = '';
         const preview = document.getElementById('footer-attachment-preview');
         if (preview) preview.innerHTML = '';
+        const templateMenu = document.getElementById('create-template-menu');
+        if (templateMenu) templateMenu.classList.add('hidden');
     }
 }
 
@@ -815,6 +817,10 @@ async function openBoardSettings(id) {
         container.removeEventListener('click', handleSecurityPanelClick);
         container.addEventListener('click', handleSecurityPanelClick);
     }
+
+    setupBoardPublicLinks(board, res.notes, res.layer_map);
+    setupBoardTransfer(board);
+    if (typeof setupBoardTemplates === 'function') setupBoardTemplates(board);
     
     modal.classList.add('show');
     modal.classList.add('active');
@@ -878,6 +884,234 @@ function handleSecurityPanelClick(e) {
     else if (action === 'clear')  clearBoardPassword(canvasId);
 }
 
+const PUBLIC_LINK_EXPIRY_OPTIONS = [
+    { days: 0,  label: 'Never expires' },
+    { days: 1,  label: 'Expires in 1 day' },
+    { days: 7,  label: 'Expires in 7 days' },
+    { days: 30, label: 'Expires in 30 days' },
+    { days: 90, label: 'Expires in 90 days' }
+];
+
+/**
+ * Public Links UI: Renders the create form and the board's active read-only links (Owner only).
+ * @param {Object} board - Board record from the state handshake.
+ * @param {Array} notes - The board's notes, used to offer its levels.
+ * @param {Object} layerMap - Level aliases { layer_id => alias }.
+ * @returns {Promise<void>}
+ */
+async function setupBoardPublicLinks(board, notes = [], layerMap = {}) {
+    const container = document.getElementById('board-public-links-content');
+    if (!container) return;
+
+    if (Number(board.is_owner) !== 1) {
+        container.innerHTML = '<p class="modal-instruction-text">Only the board owner can create public links.</p>';
+        return;
+    }
+    if (board.is_protected) {
+        container.innerHTML = '<p class="modal-instruction-text">Password-protected boards cannot be shared publicly. Remove the password to create a link.</p>';
+        return;
+    }
+
+    const levels = [...new Set([
+        ...(notes || []).map(n => Number(n.layer_id)),
+        ...Object.keys(layerMap || {}).map(Number)
+    ])].filter(Boolean).sort((a, b) => a - b);
+
+    container.innerHTML = `
+        <div class="security-item">
+            <h5>Create Public Link</h5>
+            <p>Share the whole board or a single level. Viewers can pan and zoom, but cannot edit or see your other boards.</p>
+            <div class="settings-vertical-stack">
+                <select id="public-link-level" class="board-template-select">
+                    <option value="">All levels</option>
+                    ${levels.map(l => `<option value="${l}">Level ${l}${layerMap?.[l] ? ` — ${window.escapeHtml(layerMap[l])}` : ''}</option>`).join('')}
+                </select>
+                <select id="public-link-expiry" class="board-template-select">
+                    ${PUBLIC_LINK_EXPIRY_OPTIONS.map(o => `<option value="${o.days}" ${o.days === 7 ? 'selected' : ''}>${o.label}</option>`).join('')}
+                </select>
+                <button class="btn-primary" data-action="create-public-link">🌐 Create Public Link</button>
+            </div>
+        </div>
+        <div id="public-link-list" class="share-list"></div>
+    `;
+
+    container.onclick = (e) => {
+        const btn = e.target.closest('button');
+        if (!btn) return;
+        if (btn.dataset.action === 'create-public-link') createBoardPublicLink(board.id, layerMap);
+        else if (btn.dataset.action === 'copy-public-link') copyBoardPublicLink(btn.dataset.token);
+        else if (btn.dataset.action === 'revoke-public-link') confirmRevokePublicLink(board.id, btn.dataset.linkId, layerMap);
+    };
+
+    const res = await NoteAPI.get(`/notes/api/canvas/public-links?canvas_id=${board.id}`);
+    if (res && res.success) renderPublicLinkList(res.links, layerMap);
+}
+
+/**
+ * Builds the absolute URL of a public link.
+ * @param {string} token - Link token.
+ * @returns {string}
+ */
+function publicLinkUrl(token) {
+    return `${window.location.origin}/notes/public/${token}`;
+}
+
+/**
+ * Renders a board's public links with their scope, expiry and copy/revoke actions.
+ * @param {Array} links - Link records from the server.
+ * @param {Object} layerMap - Level aliases { layer_id => alias }.
+ * @returns {void}
+ */
+function renderPublicLinkList(links, layerMap = {}) {
+    const list = document.getElementById('public-link-list');
+    if (!list) return;
+
+    if (!links || !links.length) {
+        list.innerHTML = '<p class="modal-instruction-text">No public links yet.</p>';
+        return;
+    }
+
+    list.innerHTML = links.map(link => {
+        const scope = link.layer_id
+            ? `Level ${link.layer_id}${layerMap?.[link.layer_id] ? ` — ${window.escapeHtml(layerMap[link.layer_id])}` : ''}`
+            : 'All levels';
+        const expiry = Number(link.is_expired)
+            ? '<span class="public-link-expired">Expired</span>'
+            : (link.expires_at ? `Until ${window.escapeHtml(String(link.expires_at).slice(0, 16))}` : 'No expiry');
+        const seen = link.last_accessed_at ? ` · Last viewed ${window.escapeHtml(String(link.last_accessed_at).slice(0, 16))}` : '';
+
+        return `
+            <div class="share-item public-link-item ${Number(link.is_expired) ? 'is-expired' : ''}">
+                <div class="public-link-info">
+                    <span class="public-link-url" title="${publicLinkUrl(link.token)}">/notes/public/${link.token.slice(0, 10)}…</span>
+                    <span class="public-link-meta">${scope} · ${expiry}${seen}</span>
+                </div>
+                <div class="share-actions">
+                    <button class="btn-icon-copy" data-action="copy-public-link" data-token="${link.token}" title="Copy Link" ${Number(link.is_expired) ? 'disabled' : ''}>📋</button>
+                    <button class="btn-icon-delete" data-action="revoke-public-link" data-link-id="${link.id}" title="Revoke Link">🗑️</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Issues a new public link with the chosen level and expiry, then copies it.
+ * @param {number} canvasId - Board ID.
+ * @param {Object} layerMap - Level aliases for the refreshed list.
+ * @returns {Promise<void>}
+ */
+async function createBoardPublicLink(canvasId, layerMap) {
+    const res = await NoteAPI.post('/notes/api/canvas/public-links/create', {
+        canvas_id:   canvasId,
+        layer_id:    document.getElementById('public-link-level')?.value || '',
+        expiry_days: document.getElementById('public-link-expiry')?.value || 0
+    });
+    if (!res || !res.success) return;
+
+    renderPublicLinkList(res.links, layerMap);
+    copyBoardPublicLink(res.link.token);
+}
+
+/**
+ * Copies a public link's URL to the clipboard.
+ * @param {string} token - Link token.
+ * @returns {Promise<void>}
+ */
+async function copyBoardPublicLink(token) {
+    const ok = await copyToClipboard(publicLinkUrl(token));
+    showToast(ok ? 'Public link copied' : 'Could not copy the link', ok ? 'success' : 'error');
+}
+
+/**
+ * Confirms and revokes a public link.
+ * @param {number} canvasId - Board ID.
+ * @param {number} linkId - Link ID.
+ * @param {Object} layerMap - Level aliases for the refreshed list.
+ * @returns {void}
+ */
+function confirmRevokePublicLink(canvasId, linkId, layerMap) {
+    window.showConfirmModal({
+        title: 'Revoke Public Link',
+        message: 'Anyone using this link will immediately lose access to the board.',
+        icon: '🌐',
+        danger: true,
+        hideCancel: true,
+        confirmText: 'REVOKE',
+        confirmIcon: '🗑️',
+        onConfirm: async () => {
+            const res = await NoteAPI.post('/notes/api/canvas/public-links/revoke', { canvas_id: canvasId, id: linkId });
+            if (res && res.success) {
+                renderPublicLinkList(res.links, layerMap);
+                showToast('Public link revoked', 'info');
+            }
+        }
+    });
+}
+
+/**
+ * Export & Import UI: Points the download link at the board and wires the import pickers.
+ * @param {Object} board - Board record from the state handshake.
+ */
+function setupBoardTransfer(board) {
+    const link = document.getElementById('board-export-link');
+    if (link) link.href = `/notes/api/canvas/export/${board.id}`;
+
+    const archiveInput = document.getElementById('board-import-archive');
+    const folderInput  = document.getElementById('board-import-folder');
+    if (archiveInput) archiveInput.onchange = () => importBoardBundle(archiveInput);
+    if (folderInput)  folderInput.onchange  = () => importBoardBundle(folderInput);
+
+    const container = document.getElementById('board-transfer-content');
+    if (container) {
+        container.onclick = (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            if (btn.dataset.action === 'import-archive') archiveInput?.click();
+            else if (btn.dataset.action === 'import-folder') folderInput?.click();
+        };
+    }
+}
+
+/**
+ * Uploads a zip bundle or a Markdown folder and switches to the newly created board.
+ * Folder uploads carry each file's relative path as its filename so levels survive.
+ * @param {HTMLInputElement} input - The file input that received the selection.
+ * @returns {Promise<void>}
+ */
+async function importBoardBundle(input) {
+    const files = Array.from(input.files || []);
+    input.value = '';
+    if (!files.length) return;
+
+    const formData = new FormData();
+    if (input.webkitdirectory) {
+        const markdown = files.filter(f => /\.(md|markdown)$/i.test(f.name));
+        if (!markdown.length) return showToast('No Markdown files in that folder', 'error');
+        markdown.forEach(f => formData.append('files', f, f.webkitRelativePath || f.name));
+    } else {
+        formData.append('archive', files[0]);
+    }
+
+    showLoadingOverlay('Importing board...');
+    let res;
+    try {
+        res = await NoteAPI.post('/notes/api/canvas/import', formData);
+    } finally {
+        hideLoadingOverlay();
+    }
+    if (!res || !res.success) return;
+
+    const modal = document.getElementById('canvas-settings-modal');
+    if (modal) {
+        modal.classList.remove('show');
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+    showToast(`Imported ${res.count} notes`, 'success');
+    await switchCanvas(res.canvas_id);
+}
+
 /**
  * Sets or updates the password protection on a board.
  * @param {number} canvasId - Board ID.
@@ -1152,6 +1386,8 @@ function showBoardInfo() {
                         <code class="guide-cs-code">[bg:color]...[/bg]</code>             <span class="guide-cs-preview"><span class="guide-preview-highlight">Highlight</span></span>
                         <code class="guide-cs-code">[progress:75|Label]</code>            <span class="guide-cs-preview">Progress Bar</span>
                         <code class="guide-cs-code">[date:YYYY-MM-DD]</code>              <span class="guide-cs-preview">📅 Date Tag</span>
+                        <code class="guide-cs-code">[date:YYYY-MM-DD HH:MM|remind=1h|cal]</code> <span class="guide-cs-preview">🗓️ Calendar event / 🔔 reminder</span>
+                        <code class="guide-cs-code">[slide:N]</code>                      <span class="guide-cs-preview">▶ Presentation slide N</span>
                         <code class="guide-cs-code">[tag:Label|color]</code>              <span class="guide-cs-preview"><span class="note-badge badge-info guide-preview-badge">Tag</span></span>
                         <code class="guide-cs-code">[divider:Title]</code>                <span class="guide-cs-preview">Labelled HR</span>
                         <code class="guide-cs-code">[spoiler:Title]...[/spoiler]</code>   <span class="guide-cs-preview">Accordion</span>
@@ -1522,9 +1758,12 @@ function renderShareList(id, shares = null) {
 
 let SEARCH_DEBOUNCE_TIMER = null;
 let CURRENT_SEARCH_RESULTS = [];
+let CURRENT_SEARCH_TERMS = [];
 
 /**
- * Discovery Engine: Orchestrates local filtering or global board-wide search.
+ * Discovery Engine: Runs the ranked server search, across all boards or scoped to the
+ * current one. Falls back to plain local filtering when the server is unreachable.
+ * Query syntax: words, "phrases", tag:, canvas:, level:, color:, type:, after:, before:.
  */
 async function filterSearch(queryText) {
     const globalToggle = document.getElementById('search-global-toggle');
@@ -1540,30 +1779,56 @@ async function filterSearch(queryText) {
     }
 
     SEARCH_DEBOUNCE_TIMER = setTimeout(async () => {
-        if (isGlobal) {
-            const data = await NoteAPI.get(`/notes/api/search?q=${encodeURIComponent(query)}`);
-            renderSearchResults(data || [], true);
-        } else {
-            const q = query.toLowerCase();
-            const results = (STATE.notes || []).filter(n => {
-                if (isFenceNote(n)) return false;
-                return (n.title && n.title.toLowerCase().includes(q)) ||
-                       (n.content && n.content.toLowerCase().includes(q)) ||
-                       (n.filename && n.filename.toLowerCase().includes(q));
-            });
-            renderSearchResults(results, false);
+        const scope = isGlobal ? '' : `&canvas_id=${encodeURIComponent(STATE.canvas_id)}`;
+        const data  = await NoteAPI.get(`/notes/api/search?q=${encodeURIComponent(query)}${scope}`, { silent: true });
+
+        // Ignore responses for queries the user has already typed past
+        if (document.getElementById('note-search-input')?.value.trim() !== query) return;
+
+        if (data && data.success) {
+            renderSearchResults(data.results || [], isGlobal, data.terms || []);
+            return;
         }
+
+        const q = query.toLowerCase();
+        const results = (STATE.notes || []).filter(n => {
+            if (isFenceNote(n)) return false;
+            return (n.title && n.title.toLowerCase().includes(q)) ||
+                   (n.content && n.content.toLowerCase().includes(q)) ||
+                   (n.filename && n.filename.toLowerCase().includes(q));
+        });
+        renderSearchResults(results, false, [query]);
     }, 250);
 }
 
+/**
+ * Escapes a snippet and wraps each search term occurrence in <mark>.
+ * @param {string} text - Plain snippet text.
+ * @param {string[]} terms - Terms to highlight.
+ * @returns {string} Safe HTML.
+ */
+function highlightSearchSnippet(text, terms) {
+    const needles = (terms || [])
+        .filter(Boolean)
+        .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .sort((a, b) => b.length - a.length);
+    if (!needles.length) return window.escapeHtml(text || '');
+
+    // Split on raw text so escaping never cuts through an entity; odd parts are the matches
+    return String(text || '').split(new RegExp(`(${needles.join('|')})`, 'gi'))
+        .map((part, i) => i % 2 ? `<mark class="search-hit">${window.escapeHtml(part)}</mark>` : window.escapeHtml(part))
+        .join('');
+}
+
 /**
  * Result Rendering Engine: Generates the search result grid with board context.
  */
-function renderSearchResults(results, isGlobal) {
+function renderSearchResults(results, isGlobal, terms = []) {
     const container = document.getElementById('search-results-container');
     if (!container) return;
 
     CURRENT_SEARCH_RESULTS = results || [];
+    CURRENT_SEARCH_TERMS = terms;
 
     if (CURRENT_SEARCH_RESULTS.length === 0) {
         container.innerHTML = `
@@ -1577,6 +1842,9 @@ function renderSearchResults(results, isGlobal) {
 
     container.innerHTML = CURRENT_SEARCH_RESULTS.map(note => {
         const accentColor = typeof normalizeColorHex === 'function' ? normalizeColorHex(note.color) : (note.color || '#3b82f6');
+        const rawSnippet  = note.snippet !== undefined ? note.snippet : (note.content || note.filename || '').substring(0, 80);
+        const snippetFrom = note.snippet_source === 'attachment'
+            ? `<span class="search-result-source">📎 ${window.escapeHtml(note.snippet_file || 'Attachment')}</span>` : '';
         return `
         <div class="search-result-item" style="--note-accent: ${accentColor}" onclick="handleSearchResultClick(${note.id})">
             <div class="search-result-icon">
@@ -1588,8 +1856,8 @@ function renderSearchResults(results, isGlobal) {
                     <span class="path-separator">❯</span> 
                     Level ${note.layer_id || 1}${note.layer_alias ? ` - ${window.escapeHtml(note.layer_alias)}` : ''} 
                 </div>
-                <div class="search-result-title">${window.escapeHtml(note.title || 'Untitled Note')}</div>
-                <div class="search-result-snippet">${window.escapeHtml(note.content || note.filename || '').substring(0, 80)}${(note.content || note.filename || '').length > 80 ? '...' : ''}</div>
+                <div class="search-result-title">${highlightSearchSnippet(note.title || 'Untitled Note', terms)}</div>
+                <div class="search-result-snippet">${snippetFrom}${highlightSearchSnippet(rawSnippet, terms)}</div>
             </div>
             <div class="search-result-action">
                 ${note.type === 'text' && note.content ? `<button class="search-result-copy-btn global-icon" onclick="copySearchResultContent(event, ${note.id})" title="Copy content">📋</button>` : ''}
@@ -1842,6 +2110,11 @@ async function showCreateNoteModal(type, data, editId = null, initialText = null
     // Initial Size Synchronizer: Trigger growth after content population and DOM insertion
     setTimeout(autoResize, 0);
 
+    // Blank new notes start from the board's default template, if any
+    if (!note && !data && !initialText && typeof applyBoardDefaultTemplate === 'function') {
+        applyBoardDefaultTemplate();
+    }
+
     // Fetch and clear the footer attachment wrapper
     const footerPreviewWrap = document.getElementById('footer-attachment-preview');
     if (footerPreviewWrap) footerPreviewWrap.innerHTML = '';
@@ -1969,6 +2242,243 @@ function confirmNotePurge(id) {
     });
 }
 
+/**
+ * --- Revision History ---
+ * Every note save is stored server-side as a revision. The history modal
+ * lists them newest-first and shows a side-by-side line diff of the selected
+ * revision against the note's current content, with one-click restore.
+ */
+const HISTORY_STATE = {
+    noteId: null,
+    current: null,      // { title, content } at the time the modal opened
+    selectedId: null
+};
+
+// Line-count product above which the LCS diff falls back to a plain listing.
+const HISTORY_DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Builds side-by-side diff rows from two texts using a line-level LCS.
+ * @param {string} oldText - Revision content (left).
+ * @param {string} newText - Current content (right).
+ * @returns {Array<{type: string, left: ?string, right: ?string}>} Rows typed 'same', 'del', 'add' or 'change'.
+ */
+function computeLineDiff(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+    const n = a.length;
+    const m = b.length;
+
+    if (n * m > HISTORY_DIFF_MAX_CELLS) {
+        const rows = [];
+        for (let i = 0; i < Math.max(n, m); i++) {
+            const left = i < n ? a[i] : null;
+            const right = i < m ? b[i] : null;
+            rows.push({ type: left === right ? 'same' : 'change', left, right });
+        }
+        return rows;
+    }
+
+    // LCS lengths table, filled from the end so the walk below reads forward
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) { ops.push({ type: 'same', left: a[i++], right: b[j++] }); }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) { ops.push({ type: 'del', left: a[i++], right: null }); }
+        else { ops.push({ type: 'add', left: null, right: b[j++] }); }
+    }
+    while (i < n) ops.push({ type: 'del', left: a[i++], right: null });
+    while (j < m) ops.push({ type: 'add', left: null, right: b[j++] });
+
+    // Pair adjacent deletions and additions into single 'change' rows
+    const rows = [];
+    for (let k = 0; k < ops.length;) {
+        if (ops[k].type === 'same') { rows.push(ops[k++]); continue; }
+        const dels = [], adds = [];
+        while (k < ops.length && ops[k].type !== 'same') {
+            (ops[k].type === 'del' ? dels : adds).push(ops[k++]);
+        }
+        for (let p = 0; p < Math.max(dels.length, adds.length); p++) {
+            const left = dels[p] ? dels[p].left : null;
+            const right = adds[p] ? adds[p].right : null;
+            rows.push({ type: left !== null && right !== null ? 'change' : (left !== null ? 'del' : 'add'), left, right });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Opens the revision history for a note.
+ * @param {number|string} noteId - Target note ID.
+ * @returns {Promise<void>}
+ */
+async function openNoteHistoryModal(noteId) {
+    if (STATE.isInitializing) return;
+    const modal = document.getElementById('note-history-modal');
+    const list  = document.getElementById('history-revision-list');
+    if (!modal || !list) return;
+
+    const note = STATE.notes.find(n => n.id == noteId);
+    HISTORY_STATE.noteId = noteId;
+    HISTORY_STATE.current = null;
+    HISTORY_STATE.selectedId = null;
+
+    document.getElementById('note-history-title').textContent = `🕘 History — ${note?.title || 'Untitled Note'}`;
+    document.getElementById('history-diff-container').innerHTML = '';
+    document.getElementById('btn-restore-revision').classList.add('hidden');
+    list.innerHTML = `<div class="loading-bin">⌛ Retrieving revisions...</div>`;
+
+    modal.classList.add('active');
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+
+    const data = await NoteAPI.get(`/notes/api/revisions/${encodeURIComponent(noteId)}`);
+    if (String(HISTORY_STATE.noteId) !== String(noteId)) return;
+    if (!data || !data.success) {
+        list.innerHTML = '<div class="bin-error">Failed to load history</div>';
+        return;
+    }
+
+    HISTORY_STATE.current = data.current || { title: '', content: '' };
+    const revisions = Array.isArray(data.revisions) ? data.revisions : [];
+    if (revisions.length === 0) {
+        list.innerHTML = `
+            <div class="bin-empty">
+                <span class="bin-icon">🕘</span>
+                <p>No saved revisions yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = revisions.map((rev, index) => `
+        <div class="history-revision-item" data-revision-id="${rev.id}">
+            <div class="history-revision-title">${window.escapeHtml(rev.title || 'Untitled Note')}</div>
+            <div class="history-revision-meta">
+                <span>${window.getUserIcon(rev.author)} ${window.escapeHtml(rev.author)}</span>
+                <span title="${window.escapeHtml(rev.created_at || '')}">${getTimeSince(Number(rev.created_epoch))}</span>
+                ${index === 0 ? '<span class="history-latest-badge">Latest</span>' : ''}
+            </div>
+        </div>
+    `).join('');
+
+    list.onclick = (event) => {
+        const item = event.target.closest('[data-revision-id]');
+        if (item) selectNoteRevision(item.dataset.revisionId);
+    };
+
+    selectNoteRevision(revisions[revisions.length > 1 ? 1 : 0].id);
+}
+
+/**
+ * Loads a revision and renders it side by side against the current content.
+ * @param {number|string} revisionId - Revision to compare.
+ * @returns {Promise<void>}
+ */
+async function selectNoteRevision(revisionId) {
+    HISTORY_STATE.selectedId = revisionId;
+    document.querySelectorAll('#history-revision-list .history-revision-item').forEach(el => {
+        el.classList.toggle('active', el.dataset.revisionId == revisionId);
+    });
+
+    const container  = document.getElementById('history-diff-container');
+    const restoreBtn = document.getElementById('btn-restore-revision');
+    container.innerHTML = `<div class="loading-bin">⌛ Loading revision...</div>`;
+    restoreBtn.classList.add('hidden');
+
+    const data = await NoteAPI.get(`/notes/api/revision/${encodeURIComponent(revisionId)}`);
+    if (String(HISTORY_STATE.selectedId) !== String(revisionId)) return;
+    if (!data || !data.success || !data.revision) {
+        container.innerHTML = '<div class="bin-error">Failed to load revision</div>';
+        return;
+    }
+
+    const rev     = data.revision;
+    const current = HISTORY_STATE.current || { title: '', content: '' };
+    document.getElementById('history-diff-left-label').textContent =
+        `${rev.author} • ${getTimeSince(Number(rev.created_epoch))}`;
+
+    const titleRow = (rev.title || '') === (current.title || '')
+        ? []
+        : [{ type: 'change', left: `# ${rev.title || ''}`, right: `# ${current.title || ''}` }];
+    const rows = titleRow.concat(computeLineDiff(rev.content, current.content));
+    const isIdentical = rows.every(row => row.type === 'same');
+
+    const cell = (text, side) => text === null
+        ? `<div class="history-diff-cell is-empty ${side}"></div>`
+        : `<div class="history-diff-cell ${side}">${window.escapeHtml(text) || '&nbsp;'}</div>`;
+
+    container.innerHTML = (isIdentical ? '<div class="history-diff-notice">This revision matches the current note.</div>' : '') +
+        rows.map(row => `
+            <div class="history-diff-row diff-${row.type}">
+                ${cell(row.left, 'left')}
+                ${cell(row.right, 'right')}
+            </div>
+        `).join('');
+
+    if (!isIdentical) {
+        restoreBtn.classList.remove('hidden');
+        restoreBtn.onclick = () => restoreNoteRevision(rev.id);
+    }
+}
+
+/**
+ * Restores the selected revision after confirmation.
+ * The restore is saved as a new revision, so it can itself be undone.
+ * @param {number|string} revisionId - Revision to restore.
+ * @returns {void}
+ */
+function restoreNoteRevision(revisionId) {
+    const noteId = HISTORY_STATE.noteId;
+    if (String(STATE.isEditingNote) === String(noteId)) {
+        showToast('Finish editing this note before restoring a revision', 'warning');
+        return;
+    }
+
+    window.showConfirmModal({
+        title: 'Restore Revision',
+        icon: '🔄',
+        message: 'Replace the note\'s current title and content with this revision?',
+        confirmText: 'RESTORE',
+        confirmIcon: '🔄',
+        hideCancel: true,
+        onConfirm: async () => {
+            showLoadingOverlay('Restoring revision...');
+            try {
+                const res = await NoteAPI.post('/notes/api/revisions/restore', { revision_id: revisionId });
+                if (res && res.success) {
+                    showToast('Revision restored', 'success');
+                    closeNoteHistoryModal();
+                    await loadState(false, STATE.canvas_id);
+                }
+            } finally {
+                hideLoadingOverlay();
+            }
+        }
+    });
+}
+
+/**
+ * Closes the revision history modal.
+ */
+function closeNoteHistoryModal() {
+    const modal = document.getElementById('note-history-modal');
+    if (modal) {
+        modal.classList.remove('show');
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+    HISTORY_STATE.noteId = null;
+    HISTORY_STATE.selectedId = null;
+}
+
 
 
 
@@ -1988,6 +2498,7 @@ window.openMoveModal = openMoveModal;
 window.closeMoveModal = closeMoveModal;
 window.openBoardSettings = openBoardSettings;
 window.closeBoardSettings = closeBoardSettings;
+window.importBoardBundle = importBoardBundle;
 window.renderShareList = renderShareList;
 window.setupUserSearch = setupUserSearch;
 window.addUserToBoard = addUserToBoard;
@@ -1999,6 +2510,10 @@ window.renderBinList = renderBinList;
 window.restoreNote = restoreNote;
 window.confirmNotePurge = confirmNotePurge;
 window.confirmEmptyBin = confirmEmptyBin;
+window.openNoteHistoryModal = openNoteHistoryModal;
+window.closeNoteHistoryModal = closeNoteHistoryModal;
+window.selectNoteRevision = selectNoteRevision;
+window.restoreNoteRevision = restoreNoteRevision;
 window.copyViewContent = copyViewContent;
 window.openJumpToLevelModal = openJumpToLevelModal;
 
@@ -100,6 +100,8 @@ const NoteParser = (() => {
 
     /**
      * Renders fenced code blocks without parsing note markup inside the block.
+     * Diagram languages (mermaid/flow, math/latex, chart) are drawn by NoteDiagrams;
+     * if that fails the raw code is shown with the parse error.
      * @param {string} code - Raw multiline code content.
      * @param {string} language - Optional fence language label.
      * @returns {string} Sanitized code block HTML.
@@ -108,7 +110,17 @@ const NoteParser = (() => {
         const lang = language.trim().toLowerCase().replace(/[^a-z0-9_+.#-]/g, '');
         const langAttr = lang ? ` data-language="${window.escapeHtml(lang)}"` : '';
         const lineAttr = (lineStart !== undefined && lineEnd !== undefined) ? ` data-line-start="${lineStart}" data-line-end="${lineEnd}"` : '';
-        const label = lang ? `<span class="note-code-block-lang">${window.escapeHtml(lang)}</span>` : '';
+        let label = lang ? `<span class="note-code-block-lang">${window.escapeHtml(lang)}</span>` : '';
+
+        if (lang && typeof NoteDiagrams !== 'undefined' && NoteDiagrams.supports(lang)) {
+            try {
+                const diagram = NoteDiagrams.render(code, lang);
+                return `<figure class="note-diagram note-diagram--${diagram.kind}"${langAttr}${lineAttr}>${diagram.html}</figure>`;
+            } catch (err) {
+                label += `<span class="note-code-block-error">⚠️ ${window.escapeHtml(err.message)}</span>`;
+            }
+        }
+
         return `<pre class="note-code-block" title="Click to copy"${langAttr}${lineAttr}>${label}<code>${window.escapeHtml(code)}</code></pre>`;
     };
 
@@ -136,6 +148,69 @@ const NoteParser = (() => {
         return `<span class="note-ref note-link-trigger" data-target-id="${match.id}" title="Jump to: ${safeTitle}"${style}>${safeTitle}</span>`;
     };
 
+    const REMIND_UNIT_MINUTES = { m: 1, h: 60, d: 1440 };
+    const MAX_REMIND_MINUTES  = 60 * 24 * 30;
+
+    /**
+     * Formats a reminder lead time in minutes as a compact label (e.g. 90 -> "1h 30m").
+     * @param {number} minutes - Lead time before the event.
+     * @returns {string} - Compact label.
+     */
+    const formatRemindLead = (minutes) => {
+        const d = Math.floor(minutes / 1440);
+        const h = Math.floor((minutes % 1440) / 60);
+        const m = minutes % 60;
+        return [d && `${d}d`, h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ') || '0m';
+    };
+
+    /**
+     * Renders the calendar/reminder badge of a [date:...|cal|remind=...] tag.
+     * The spec is normalized exactly as DB::Notes does on save so the tag can be
+     * matched to the event recorded in the note's calendar_links.
+     * @param {string} isoDate - YYYY-MM-DD.
+     * @param {string|null} time - HH:MM, or null for all-day tags.
+     * @param {string[]} params - Pipe parameters after the date.
+     * @param {number|string} noteId - Host note ID.
+     * @returns {string} - Badge HTML, or '' for purely decorative tags.
+     */
+    const renderDateLinkBadge = (isoDate, time, params, noteId) => {
+        let cal = false;
+        let remind = 0;
+        (params || []).forEach(raw => {
+            const p = raw.trim();
+            const remindMatch = p.match(/^remind=(\d{1,4})([mhd])$/i);
+            if (p.toLowerCase() === 'cal') cal = true;
+            else if (remindMatch) remind = Number(remindMatch[1]) * REMIND_UNIT_MINUTES[remindMatch[2].toLowerCase()];
+        });
+        remind = Math.min(remind, MAX_REMIND_MINUTES);
+        // Public read-only views carry no calendar links; the date alone is shown
+        if ((!cal && !remind) || STATE.publicToken) return '';
+
+        const spec = [
+            time ? `${isoDate} ${time}` : isoDate,
+            remind ? `remind=${remind}m` : null,
+            cal ? 'cal' : null
+        ].filter(Boolean).join('|');
+
+        const note = (STATE.notes || []).find(n => n.id == noteId);
+        const link = (note?.calendar_links || []).find(l => l.spec === spec);
+        const remindHtml = remind
+            ? `<span class="note-date-remind" title="Reminder ${formatRemindLead(remind)} before">🔔 ${formatRemindLead(remind)}</span>`
+            : '';
+
+        if (!link) {
+            return ` <span class="note-date-link note-date-link--pending" title="Not linked to the calendar yet">${cal ? '🗓️' : '🔔'}</span>`;
+        }
+
+        const kind = link.is_private == 1 ? 'Private reminder' : 'Calendar event';
+        const canOpen = link.is_private != 1 || link.created_by == STATE.user_id;
+        const inner = [cal ? '🗓️' : '', remindHtml].filter(Boolean).join(' ');
+        if (!canOpen) {
+            return ` <span class="note-date-link" title="${kind} #${Number(link.event_id)}">${inner}</span>`;
+        }
+        return ` <a href="/calendar/event/${Number(link.event_id)}" class="note-date-link" data-action="stop-propagation" title="${kind} — open in calendar">${inner}</a>`;
+    };
+
     const CALLOUT_META = {
         note:     { icon: '📝', label: 'Note'     },
         tip:      { icon: '💡', label: 'Tip'      },
@@ -355,7 +430,7 @@ const NoteParser = (() => {
             
             const attachments = meta ? (meta.attachments || []) : [];
             const blobId      = (meta && meta.blob_id) ? meta.blob_id : (attachments[0] ? attachments[0].blob_id : null);
-            const src         = blobId ? `/notes/attachment/serve/${blobId}` : `/notes/serve/${id}`;
+            const src         = blobId ? window.noteAttachmentUrl(blobId) : window.noteBlobUrl(id);
             const safeTitle   = meta   ? window.escapeHtml(meta.title || id) : `Image #${id}`;
 
             const att      = attachments[0] || {};
@@ -390,6 +465,10 @@ const NoteParser = (() => {
         'bookmarks': (pos, noteId) => {
             return renderBookmarks(pos, noteId);
         },
+        'tasks': (pos, noteId) => {
+            return typeof window.renderTaskListComponent === 'function'
+                ? window.renderTaskListComponent(pos, noteId) : null;
+        },
         'copy': (pos, noteId, rawContent, depth = 0, startLine = 0) => {
             if (pos.value !== '') {
                 let id = parseInt(pos.value, 10);
@@ -435,7 +514,7 @@ const NoteParser = (() => {
             const meta        = STATE.note_map[id];
             const attachments = meta ? (meta.attachments || []) : [];
             const blobId      = (meta && meta.blob_id) ? meta.blob_id : (attachments[0] ? attachments[0].blob_id : null);
-            const src         = blobId ? `/notes/attachment/serve/${blobId}` : `/notes/serve/${id}`;
+            const src         = blobId ? window.noteAttachmentUrl(blobId) : window.noteBlobUrl(id);
             const safeTitle   = meta   ? window.escapeHtml(meta.title || id) : `File #${id}`;
             return `<a href="${src}" class="note-ref" download data-action="stop-propagation"><span class="global-icon">📁</span> ${safeTitle}</a>`;
         },
@@ -535,6 +614,12 @@ const NoteParser = (() => {
             const label = data.value ? renderInline(data.value) : '';
             return `<div class="note-divider-wrap"><hr class="note-hr">${label ? `<span class="note-divider-label">${label}</span>` : ''}</div>`;
         },
+        'slide': (data) => {
+            // Presentation path marker (see presentation.js)
+            if (!/^\s*\d+\s*$/.test(data.value || '')) return null;
+            const n = parseInt(data.value, 10);
+            return `<span class="note-slide-badge" title="Presentation slide ${n}">▶ ${n}</span>`;
+        },
         'spoiler': (pos, noteId, rawContent, depth = 0, startLine = 0) => {
             const label = pos.value ? renderInline(pos.value) : 'Click to reveal';
             const closeTag = '[/spoiler]';
@@ -574,21 +659,26 @@ const NoteParser = (() => {
                 consumed: endIdx + closeTag.length
             };
         },
-        'date': (data) => {
+        'date': (data, noteId) => {
             const val = data.value.trim();
-            const match = val.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            const match = val.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/);
             if (!match) return `<span class="note-date-tag">📅 ${window.escapeHtml(val)}</span>`;
 
             const year  = Number(match[1]);
             const month = Number(match[2]);
             const day   = Number(match[3]);
-            const d     = new Date(year, month - 1, day);
+            const hasTime = match[4] !== undefined;
+            const hour    = hasTime ? Number(match[4]) : 0;
+            const minute  = hasTime ? Number(match[5]) : 0;
+            const d     = new Date(year, month - 1, day, hour, minute);
             const valid = d.getFullYear() === year
                 && d.getMonth() === month - 1
-                && d.getDate() === day;
+                && d.getDate() === day
+                && hour < 24 && minute < 60;
             if (!valid) return `<span class="note-date-tag">📅 ${window.escapeHtml(val)}</span>`;
 
-            const formatted = d.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+            let formatted = d.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+            if (hasTime) formatted += ` ${d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
 
             const nowDate    = new Date(); nowDate.setHours(0, 0, 0, 0);
             const targetDate = new Date(d.getFullYear(), d.getMonth(), d.getDate());
@@ -600,7 +690,11 @@ const NoteParser = (() => {
                            : diffDays > 1    ? `in ${diffDays}d`
                            :                   `${Math.abs(diffDays)}d ago`;
 
-            return `<span class="note-date-tag" title="${window.escapeHtml(val)}">📅 ${formatted} <span class="note-date-relative">(${relative})</span></span>`;
+            const isoDate = `${match[1]}-${match[2]}-${match[3]}`;
+            const time    = hasTime ? `${String(hour).padStart(2, '0')}:${match[5]}` : null;
+            const badge   = renderDateLinkBadge(isoDate, time, data.params, noteId);
+
+            return `<span class="note-date-tag" title="${window.escapeHtml(val)}">📅 ${formatted} <span class="note-date-relative">(${relative})</span>${badge}</span>`;
         },
         'table': (data, noteId, rawContent, depth = 0, startLine = 0) => {
             const closeTag = '[/table]';
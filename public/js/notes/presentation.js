@@ -0,0 +1,619 @@
+// /public/js/notes/presentation.js
+
+/**
+ * Presentation Module: Steps the viewport through an ordered path of notes.
+ *
+ * The path is every note carrying a [slide:N] tag, in N order. Boards without slide
+ * tags fall back to their frames in reading order (level, then top-to-bottom,
+ * left-to-right). Reordering the path in the side panel, or adding and removing
+ * notes from the context menu, rewrites the notes' [slide:N] tags on the server, so
+ * the order is shared with everyone on the board and can be undone.
+ *
+ * While presenting, editing chrome is hidden and the viewport flies between slides
+ * (zoom via atomicApplyScale). Keys follow what remote clickers send:
+ *   next: → ↓ PageDown Space Enter N     previous: ← ↑ PageUp Backspace P
+ *   Home / End: first / last slide      F: fullscreen     B or .: blank screen
+ *   Esc: un-blank, otherwise end the presentation.
+ */
+
+const PRESENT_ANIMATION_MS = 700;
+const PRESENT_MARGIN       = 0.06;   // Share of the viewport kept free around a slide on each side
+const PRESENT_MAX_SCALE    = 2;      // Small notes are not blown up past this zoom
+const SLIDE_TAG_RE         = /\[slide:\s*(\d+)\s*\]/;
+
+const PRESENT_STATE = {
+    active:      false,
+    path:        [],      // Note IDs (as strings) captured when the presentation starts
+    index:       0,
+    frame:       null,    // requestAnimationFrame handle of the running flight
+    restore:     null,    // { layerId, scale, left, top } viewport to return to on exit
+    fullscreen:  false,   // Fullscreen was entered by the presentation
+    resizeTimer: null
+};
+
+/**
+ * Reads a note's slide number from its first [slide:N] tag outside code fences.
+ * @param {Object} note - Note record.
+ * @returns {number|null} Slide number, or null when the note is not on the path.
+ */
+function getSlideNumber(note) {
+    let inFence = false;
+    for (const row of String(note?.content || '').split('\n')) {
+        if (/^\s*```/.test(row)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) continue;
+        const match = row.match(SLIDE_TAG_RE);
+        if (match) return parseInt(match[1], 10);
+    }
+    return null;
+}
+
+/**
+ * Orders notes by level, then top-to-bottom and left-to-right.
+ * @param {Object} a - Note record.
+ * @param {Object} b - Note record.
+ * @returns {number}
+ */
+function compareReadingOrder(a, b) {
+    return (a.layer_id - b.layer_id) || (a.y - b.y) || (a.x - b.x);
+}
+
+/**
+ * Resolves the board's presentation path.
+ * @returns {{notes: Object[], tagged: boolean}} Slides in order; tagged is false for the frame fallback.
+ */
+function getPresentationPath() {
+    const notes  = STATE.notes || [];
+    const tagged = notes
+        .map(note => ({ note, slide: getSlideNumber(note) }))
+        .filter(s => s.slide !== null)
+        .sort((a, b) => (a.slide - b.slide) || compareReadingOrder(a.note, b.note))
+        .map(s => s.note);
+    if (tagged.length) return { notes: tagged, tagged: true };
+
+    const frames = notes.filter(n => window.isFenceNote?.(n)).sort(compareReadingOrder);
+    return { notes: frames, tagged: false };
+}
+
+/**
+ * Whether the current user may change the board (and so its slide order).
+ * @returns {boolean}
+ */
+function canEditPresentation() {
+    const canvas = (STATE.canvases || []).find(c => c.id == STATE.canvas_id);
+    return canvas ? Number(canvas.can_edit) === 1 : true;
+}
+
+/**
+ * Saves a new presentation path as [slide:N] tags and records it for undo.
+ * @param {number[]} ids - Note IDs in presentation order ([] clears the path).
+ * @param {string} label - History label.
+ * @returns {Promise<boolean>} True on success.
+ */
+async function saveSlideOrder(ids, label) {
+    const current  = getPresentationPath();
+    const previous = current.tagged ? current.notes.map(n => Number(n.id)) : [];
+
+    const res = await NoteAPI.post('/notes/api/slides/order', {
+        canvas_id: STATE.canvas_id,
+        ids:       JSON.stringify(ids)
+    });
+    if (!res || !res.success) {
+        renderPresentationPanel();
+        return false;
+    }
+
+    window.recordHistory?.({
+        label,
+        undo: { requests: [{ url: '/notes/api/slides/order', params: { ids: JSON.stringify(previous) } }], reload: true },
+        redo: { requests: [{ url: '/notes/api/slides/order', params: { ids: JSON.stringify(ids) } }], reload: true }
+    });
+
+    if (res.notes && typeof window.mergeNoteState === 'function') {
+        window.mergeNoteState(res.notes);
+    } else if (res.notes) {
+        STATE.notes = res.notes;
+    }
+    if (res.last_mutation) STATE.last_mutation = res.last_mutation;
+    if (typeof renderUI === 'function') renderUI();
+    renderPresentationPanel();
+    return true;
+}
+
+/**
+ * Adds a note to the end of the path, or takes it off the path.
+ * @param {number|string} noteId - Note to toggle.
+ * @returns {Promise<boolean>} True on success.
+ */
+async function toggleSlide(noteId) {
+    const ids   = getPresentationPath().notes.map(n => Number(n.id));
+    const onIt  = ids.includes(Number(noteId));
+    const next  = onIt ? ids.filter(id => id !== Number(noteId)) : [...ids, Number(noteId)];
+
+    const ok = await saveSlideOrder(next, onIt ? 'Remove from presentation' : 'Add to presentation');
+    if (ok) showToast(onIt ? 'Removed from presentation' : `Added as slide ${next.length}`, 'success');
+    return ok;
+}
+
+// --- Side Panel ---
+
+/**
+ * Renders the slide list, honouring drag-reordering for editors.
+ * @returns {void}
+ */
+function renderPresentationPanel() {
+    const container = document.getElementById('presentation-path-container');
+    const modal     = document.getElementById('note-presentation-modal');
+    if (!container || !modal?.classList.contains('show')) return;
+
+    const { notes, tagged } = getPresentationPath();
+    const editable = canEditPresentation();
+
+    const stats = document.getElementById('presentation-stats');
+    if (stats) stats.textContent = `${notes.length} ${notes.length === 1 ? 'slide' : 'slides'}`;
+
+    const startBtn = document.getElementById('presentation-start');
+    if (startBtn) startBtn.disabled = !notes.length;
+
+    const hint = document.getElementById('presentation-hint');
+    if (hint) {
+        hint.textContent = !notes.length
+            ? 'Nothing to present yet — add [slide:N] to notes, right-click a note → Add to Presentation, or frame some notes.'
+            : tagged
+                ? (editable ? 'Drag to reorder. The order is saved as [slide:N] tags on the notes.' : 'Slides follow the [slide:N] tags on the notes.')
+                : `No [slide:N] tags yet — presenting frames in reading order.${editable ? ' Drag to save a custom order.' : ''}`;
+    }
+
+    const levelLabel = (lid) => {
+        const alias = STATE.layer_map?.[lid];
+        return `Level ${lid}${alias ? ` — ${window.escapeHtml(alias)}` : ''}`;
+    };
+
+    const rows = notes.map((note, i) => `
+        <div class="slide-item" data-note-id="${note.id}" draggable="${editable}" style="--frame-accent: ${window.normalizeColorHex(note.color)}">
+            ${editable ? '<span class="slide-drag-handle" title="Drag to reorder">⠿</span>' : ''}
+            <span class="slide-item-number">${i + 1}</span>
+            <span class="frame-nav-main" data-action="slide-jump">
+                <span class="frame-nav-title">${window.escapeHtml(window.displayNoteTitle(note))}</span>
+                <span class="frame-nav-meta">${window.isFenceNote(note) ? '🖼️ Frame' : '📝 Note'} • ${levelLabel(note.layer_id)}</span>
+            </span>
+            <button type="button" class="frame-nav-action" data-action="slide-present" title="Present from here">▶</button>
+            ${editable ? '<button type="button" class="frame-nav-action" data-action="slide-remove" title="Remove from presentation">✕</button>' : ''}
+        </div>
+    `);
+
+    // Frames that are not on a tagged path yet can be appended with one click
+    const onPath  = new Set(notes.map(n => String(n.id)));
+    const spare   = tagged && editable
+        ? (STATE.notes || []).filter(n => window.isFenceNote?.(n) && !onPath.has(String(n.id))).sort(compareReadingOrder)
+        : [];
+    const spareRows = spare.map(note => `
+        <div class="frame-nav-item" data-note-id="${note.id}" data-action="slide-add" style="--frame-accent: ${window.normalizeColorHex(note.color)}">
+            <span class="frame-nav-icon">🖼️</span>
+            <span class="frame-nav-main">
+                <span class="frame-nav-title">${window.escapeHtml(window.displayNoteTitle(note))}</span>
+                <span class="frame-nav-meta">${levelLabel(note.layer_id)}</span>
+            </span>
+            <span class="frame-nav-arrow" title="Add to presentation">➕</span>
+        </div>
+    `);
+
+    container.innerHTML = `
+        ${rows.join('')}
+        ${spareRows.length ? `<div class="frame-nav-heading">Frames not in the presentation</div>${spareRows.join('')}` : ''}
+    `;
+}
+
+/**
+ * Handles drag-reordering of the slide list (ID-based, like the board list).
+ * @param {HTMLElement} container - Slide list container.
+ * @returns {void}
+ */
+function bindSlideDragAndDrop(container) {
+    container.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.slide-item[draggable="true"]');
+        if (!item) return;
+        e.dataTransfer.setData('source-id', item.dataset.noteId);
+        item.classList.add('is-dragging');
+    });
+
+    container.addEventListener('dragend', () => {
+        container.querySelectorAll('.slide-item').forEach(el => el.classList.remove('is-dragging', 'drag-over'));
+    });
+
+    container.addEventListener('dragover', (e) => {
+        const item = e.target.closest('.slide-item');
+        if (!item) return;
+        e.preventDefault();
+        container.querySelectorAll('.slide-item.drag-over').forEach(el => el !== item && el.classList.remove('drag-over'));
+        item.classList.add('drag-over');
+    });
+
+    container.addEventListener('drop', (e) => {
+        const item = e.target.closest('.slide-item');
+        if (!item) return;
+        e.preventDefault();
+
+        const sourceId = e.dataTransfer.getData('source-id');
+        const targetId = item.dataset.noteId;
+        if (!sourceId || sourceId === targetId) return;
+
+        const ids         = getPresentationPath().notes.map(n => String(n.id));
+        const sourceIndex = ids.indexOf(sourceId);
+        const targetIndex = ids.indexOf(targetId);
+        if (sourceIndex === -1 || targetIndex === -1) return;
+
+        ids.splice(targetIndex, 0, ids.splice(sourceIndex, 1)[0]);
+        saveSlideOrder(ids.map(Number), 'Reorder slides');
+    });
+}
+
+/**
+ * Opens the presentation side panel.
+ * @returns {void}
+ */
+function openPresentationModal() {
+    if (STATE.isInitializing) return;
+    const modal = document.getElementById('note-presentation-modal');
+    if (!modal) return;
+
+    modal.classList.add('active');
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+    renderPresentationPanel();
+}
+
+/**
+ * Closes the presentation side panel.
+ * @returns {void}
+ */
+function closePresentationModal() {
+    const modal = document.getElementById('note-presentation-modal');
+    if (modal) {
+        modal.classList.remove('show');
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+}
+
+// --- Presenting ---
+
+/**
+ * Moves the viewport to a canvas point and scale, easing zoom in log space so
+ * large zoom changes feel even.
+ * @param {{cx: number, cy: number, scale: number}} target - Canvas centre point and zoom.
+ * @param {number} duration - Flight time in ms (0 jumps).
+ * @returns {void}
+ */
+function flyViewportTo(target, duration) {
+    const wrapper = STATE.wrapperEl;
+    if (!wrapper) return;
+    if (PRESENT_STATE.frame) cancelAnimationFrame(PRESENT_STATE.frame);
+
+    const from = {
+        scale: STATE.scale,
+        cx:    (wrapper.scrollLeft + wrapper.clientWidth  / 2) / STATE.scale,
+        cy:    (wrapper.scrollTop  + wrapper.clientHeight / 2) / STATE.scale
+    };
+    const start = performance.now();
+
+    const step = (now) => {
+        const t    = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+        const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+        const scale = from.scale * Math.pow(target.scale / from.scale, ease);
+        if (!atomicApplyScale(t < 1 ? scale : target.scale)) {
+            PRESENT_STATE.frame = null;
+            return;
+        }
+        const cx = from.cx + (target.cx - from.cx) * ease;
+        const cy = from.cy + (target.cy - from.cy) * ease;
+        wrapper.scrollLeft = cx * STATE.scale - wrapper.clientWidth  / 2;
+        wrapper.scrollTop  = cy * STATE.scale - wrapper.clientHeight / 2;
+
+        if (t < 1) {
+            PRESENT_STATE.frame = requestAnimationFrame(step);
+        } else {
+            PRESENT_STATE.frame = null;
+            if (typeof updateRadar === 'function') updateRadar();
+        }
+    };
+    PRESENT_STATE.frame = requestAnimationFrame(step);
+}
+
+/**
+ * Fits a note into the viewport.
+ * @param {Object} note - Slide note.
+ * @param {number} duration - Flight time in ms.
+ * @returns {void}
+ */
+function flyToSlide(note, duration) {
+    const wrapper = STATE.wrapperEl;
+    if (!wrapper) return;
+
+    const box    = getNoteFootprint(note);
+    const availW = wrapper.clientWidth  * (1 - 2 * PRESENT_MARGIN);
+    const availH = wrapper.clientHeight * (1 - 2 * PRESENT_MARGIN);
+    const fit    = Math.min(availW / box.w, availH / box.h, PRESENT_MAX_SCALE);
+    const scale  = Math.max(SCALE_MIN, Math.min(SCALE_MAX, Math.floor(fit * 100) / 100));
+
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    flyViewportTo({ cx: box.x + box.w / 2, cy: box.y + box.h / 2, scale }, reduceMotion ? 0 : duration);
+}
+
+/**
+ * Refreshes the presentation HUD counter and title.
+ * @returns {void}
+ */
+function updatePresentationHud() {
+    const total = PRESENT_STATE.path.length;
+    const note  = (STATE.notes || []).find(n => String(n.id) === PRESENT_STATE.path[PRESENT_STATE.index]);
+
+    const counter = document.getElementById('presentation-hud-counter');
+    if (counter) counter.textContent = `${PRESENT_STATE.index + 1} / ${total}`;
+    const title = document.getElementById('presentation-hud-title');
+    if (title) title.textContent = note ? window.displayNoteTitle(note) : '';
+
+    const prev = document.querySelector('#presentation-hud [data-present="prev"]');
+    const next = document.querySelector('#presentation-hud [data-present="next"]');
+    if (prev) prev.disabled = PRESENT_STATE.index <= 0;
+    if (next) next.disabled = PRESENT_STATE.index >= total - 1;
+}
+
+/**
+ * Shows a slide, switching level first when it lives elsewhere.
+ * @param {number} index - Position on the path (clamped).
+ * @param {number} [duration=PRESENT_ANIMATION_MS] - Flight time in ms.
+ * @returns {Promise<void>}
+ */
+async function goToSlide(index, duration = PRESENT_ANIMATION_MS) {
+    if (!PRESENT_STATE.active || !PRESENT_STATE.path.length) return;
+
+    index = Math.max(0, Math.min(PRESENT_STATE.path.length - 1, index));
+    PRESENT_STATE.index = index;
+    updatePresentationHud();
+
+    const id   = PRESENT_STATE.path[index];
+    const note = (STATE.notes || []).find(n => String(n.id) === id);
+    if (!note) return;
+
+    if (note.layer_id && note.layer_id != STATE.activeLayerId && typeof switchLevel === 'function') {
+        await switchLevel(note.layer_id);
+        // The presenter may have moved on while the level loaded
+        if (!PRESENT_STATE.active || PRESENT_STATE.index !== index) return;
+    }
+
+    const fresh = (STATE.notes || []).find(n => String(n.id) === id);
+    if (fresh) flyToSlide(fresh, duration);
+}
+
+/**
+ * Enters or leaves fullscreen for the presentation.
+ * @returns {void}
+ */
+function togglePresentationFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen?.().catch(() => {});
+        PRESENT_STATE.fullscreen = false;
+        return;
+    }
+    const request = document.documentElement.requestFullscreen?.();
+    if (!request) return;
+    request
+        .then(() => { PRESENT_STATE.fullscreen = true; })
+        .catch(() => showToast('Fullscreen is not available here', 'warning'));
+}
+
+/**
+ * Starts presenting the board's path.
+ * @param {number} [fromIndex=0] - Slide to open on.
+ * @returns {void}
+ */
+function startPresentation(fromIndex = 0) {
+    if (STATE.isInitializing || PRESENT_STATE.active) return;
+
+    const path = getPresentationPath().notes;
+    if (!path.length) {
+        showToast('Nothing to present — add [slide:N] tags or frames first', 'warning');
+        return;
+    }
+    if (STATE.isEditingNote || STATE.pickedNoteId) {
+        showToast('Finish editing or placing the note first', 'warning');
+        return;
+    }
+
+    const wrapper = STATE.wrapperEl;
+    if (!wrapper) return;
+
+    closePresentationModal();
+    if (typeof resetLasso === 'function') resetLasso(true);
+
+    PRESENT_STATE.restore = {
+        layerId: STATE.activeLayerId,
+        scale:   STATE.scale,
+        left:    wrapper.scrollLeft,
+        top:     wrapper.scrollTop
+    };
+    PRESENT_STATE.path   = path.map(n => String(n.id));
+    PRESENT_STATE.active = true;
+
+    document.body.classList.add('presentation-mode');
+    document.getElementById('presentation-hud')?.classList.remove('hidden');
+
+    if (document.getElementById('presentation-fullscreen')?.checked && !document.fullscreenElement) {
+        togglePresentationFullscreen();
+    }
+
+    goToSlide(fromIndex);
+}
+
+/**
+ * Ends the presentation and returns to the view it started from.
+ * @returns {Promise<void>}
+ */
+async function stopPresentation() {
+    if (!PRESENT_STATE.active) return;
+    PRESENT_STATE.active = false;
+
+    if (PRESENT_STATE.frame) cancelAnimationFrame(PRESENT_STATE.frame);
+    PRESENT_STATE.frame = null;
+    clearTimeout(PRESENT_STATE.resizeTimer);
+
+    document.body.classList.remove('presentation-mode', 'presentation-blank');
+    document.getElementById('presentation-hud')?.classList.add('hidden');
+
+    if (PRESENT_STATE.fullscreen && document.fullscreenElement) {
+        document.exitFullscreen?.().catch(() => {});
+    }
+    PRESENT_STATE.fullscreen = false;
+
+    const restore = PRESENT_STATE.restore;
+    PRESENT_STATE.restore = null;
+    if (!restore) return;
+
+    if (restore.layerId != STATE.activeLayerId && typeof switchLevel === 'function') {
+        await switchLevel(restore.layerId);
+    }
+    const wrapper = STATE.wrapperEl;
+    if (wrapper && atomicApplyScale(restore.scale)) {
+        wrapper.scrollLeft = restore.left;
+        wrapper.scrollTop  = restore.top;
+    }
+    if (typeof updateRadar === 'function') updateRadar();
+    if (typeof scheduleViewportSave === 'function') scheduleViewportSave();
+}
+
+/**
+ * Keyboard and remote-clicker navigation. Runs in the capture phase so board
+ * shortcuts (selection, undo, level switching) stay out of the way while presenting.
+ * @param {KeyboardEvent} e
+ * @returns {void}
+ */
+function handlePresentationKey(e) {
+    if (!PRESENT_STATE.active) return;
+    if (document.body.classList.contains('modal-open')) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const key   = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const blank = document.body.classList.contains('presentation-blank');
+    let handled = true;
+
+    if (['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter', 'n'].includes(key)) {
+        goToSlide(PRESENT_STATE.index + 1);
+    } else if (['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace', 'p'].includes(key)) {
+        goToSlide(PRESENT_STATE.index - 1);
+    } else if (key === 'Home') {
+        goToSlide(0);
+    } else if (key === 'End') {
+        goToSlide(PRESENT_STATE.path.length - 1);
+    } else if (key === 'f') {
+        togglePresentationFullscreen();
+    } else if (key === 'b' || key === '.') {
+        document.body.classList.toggle('presentation-blank');
+    } else if (key === 'Escape') {
+        if (blank) document.body.classList.remove('presentation-blank');
+        else stopPresentation();
+    } else if (key === 'F5') {
+        // Clickers send F5 to "start the show"; never let it reload the board mid-presentation
+    } else {
+        handled = false;
+    }
+
+    if (handled) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+}
+
+/**
+ * Keeps the board read-only while presenting: no edit-on-double-click, context
+ * menus or pick-and-place from the title bar. Links and embeds inside notes still work.
+ * @param {Event} e
+ * @returns {void}
+ */
+function blockPresentationEditing(e) {
+    if (!PRESENT_STATE.active || !e.target.closest?.('#canvas-wrapper')) return;
+    if (e.type === 'mousedown' && !e.target.closest('.note-header, .note-resize-handle, .note-connect-handle')) return;
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+/**
+ * Re-fits the current slide after the viewport changes size (fullscreen, rotation).
+ * @returns {void}
+ */
+function handlePresentationResize() {
+    if (!PRESENT_STATE.active) return;
+    clearTimeout(PRESENT_STATE.resizeTimer);
+    PRESENT_STATE.resizeTimer = setTimeout(() => goToSlide(PRESENT_STATE.index, 0), 150);
+}
+
+/**
+ * Wires the side panel, HUD and global presentation listeners.
+ * @returns {void}
+ */
+function initPresentation() {
+    const openBtn = document.getElementById('open-note-presentation');
+    if (openBtn) openBtn.addEventListener('click', openPresentationModal);
+
+    const startBtn = document.getElementById('presentation-start');
+    if (startBtn) startBtn.addEventListener('click', () => startPresentation(0));
+
+    const container = document.getElementById('presentation-path-container');
+    if (container) {
+        bindSlideDragAndDrop(container);
+        container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            const item   = e.target.closest('[data-note-id]');
+            if (!target || !item) return;
+            const noteId = item.dataset.noteId;
+            const action = target.dataset.action;
+
+            if (action === 'slide-present') {
+                const index = getPresentationPath().notes.findIndex(n => String(n.id) === noteId);
+                startPresentation(Math.max(0, index));
+            } else if (action === 'slide-remove') {
+                toggleSlide(noteId);
+            } else if (action === 'slide-add') {
+                const ids = getPresentationPath().notes.map(n => Number(n.id));
+                saveSlideOrder([...ids, Number(noteId)], 'Add to presentation');
+            } else if (action === 'slide-jump') {
+                closePresentationModal();
+                if (typeof centerOnNote === 'function') centerOnNote(noteId);
+            }
+        });
+    }
+
+    const hud = document.getElementById('presentation-hud');
+    if (hud) {
+        hud.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-present]')?.dataset.present;
+            if      (action === 'prev')       goToSlide(PRESENT_STATE.index - 1);
+            else if (action === 'next')       goToSlide(PRESENT_STATE.index + 1);
+            else if (action === 'fullscreen') togglePresentationFullscreen();
+            else if (action === 'exit')       stopPresentation();
+        });
+    }
+
+    document.addEventListener('keydown', handlePresentationKey, true);
+    document.addEventListener('dblclick', blockPresentationEditing, true);
+    document.addEventListener('contextmenu', blockPresentationEditing, true);
+    document.addEventListener('mousedown', blockPresentationEditing, true);
+    window.addEventListener('resize', handlePresentationResize);
+    document.addEventListener('fullscreenchange', () => {
+        if (!document.fullscreenElement) PRESENT_STATE.fullscreen = false;
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initPresentation);
+
+window.getSlideNumber         = getSlideNumber;
+window.getPresentationPath    = getPresentationPath;
+window.toggleSlide            = toggleSlide;
+window.startPresentation      = startPresentation;
+window.stopPresentation       = stopPresentation;
+window.openPresentationModal  = openPresentationModal;
+window.closePresentationModal = closePresentationModal;
@@ -0,0 +1,374 @@
+// /public/js/notes/public-board.js
+
+/**
+ * Public Board Module: Read-only viewer behind a public share link.
+ *
+ * Bootstraps the shared rendering pipeline (rendering.js, note-parser.js, diagrams.js,
+ * connectors.js) against a minimal STATE with no edit rights, session or live channel.
+ * Everything is fetched through the link token, so the page never touches the session
+ * routes and cannot reach notes, levels or boards outside the link's scope.
+ */
+
+const PUBLIC_SCALE_MIN  = 0.1;
+const PUBLIC_SCALE_MAX  = 3.0;
+const PUBLIC_SCALE_STEP = 0.1;
+const PUBLIC_FIT_MARGIN = 80;     // Screen pixels kept around the notes when fitting
+const PUBLIC_REFRESH_MS = 60000;  // Content refresh interval while the tab is visible
+
+/**
+ * Viewer state read by the shared renderers. The board is listed with can_edit 0 so
+ * notes and connectors render without edit affordances.
+ */
+const STATE = {
+    publicToken:   null,          // Link token; switches attachment URLs to the public routes
+    notes:         [],
+    note_map:      {},            // [note:#] / [[Title]] resolution, limited to the visible notes
+    embed_cache:   {},
+    layer_map:     {},
+    connectors:    [],
+    canvases:      [],
+    canvas_id:     null,
+    canvasSize:    50000,
+    scale:         1.0,
+    activeLayerId: 1,
+    levels:        [],            // Levels that hold notes, ascending
+    editMode:      false,
+    isLocked:      false,
+    user_id:       null,
+    sessionId:     null,
+    pickedNoteId:  null,
+    isResizing:    null,
+    groupBaseline: null,
+    floatingRailNoteId:  null,
+    selectedConnectorId: null,
+    selectedNoteIds: new Set(),
+    activeSyncs:     new Map(),
+    wrapperEl:     null,
+    canvasEl:      null,
+    pointers:      new Map(),     // Active pointers for drag-to-pan and pinch-zoom
+    pinch:         null,          // { dist, scale } baseline while two pointers are down
+    refreshTimer:  null
+};
+
+/**
+ * Applies STATE.scale to the canvas and resizes the scroll spacer to match.
+ * @returns {void}
+ */
+function applyPublicScale() {
+    const canvas  = STATE.canvasEl;
+    const wrapper = STATE.wrapperEl;
+    if (!canvas || !wrapper) return;
+
+    canvas.style.transform = `scale(${STATE.scale})`;
+    canvas.style.transformOrigin = '0 0';
+
+    let spacer = document.getElementById('canvas-scroll-spacer');
+    if (!spacer) {
+        spacer = document.createElement('div');
+        spacer.id = 'canvas-scroll-spacer';
+        wrapper.appendChild(spacer);
+    }
+    const scaledSize = Math.ceil(STATE.canvasSize * STATE.scale);
+    spacer.style.width  = scaledSize + 'px';
+    spacer.style.height = scaledSize + 'px';
+    void wrapper.scrollWidth;
+
+    const badge = document.getElementById('scale-badge');
+    if (badge) badge.textContent = Math.round(STATE.scale * 100) + '%';
+}
+
+/**
+ * Zooms to a scale while keeping the board point under a screen anchor fixed.
+ * @param {number} scale - Target scale, clamped to the viewer's limits.
+ * @param {number} [anchorX] - Anchor X relative to the wrapper (defaults to the centre).
+ * @param {number} [anchorY] - Anchor Y relative to the wrapper (defaults to the centre).
+ * @returns {void}
+ */
+function zoomPublicBoard(scale, anchorX, anchorY) {
+    const wrapper = STATE.wrapperEl;
+    if (!wrapper) return;
+
+    const ax = anchorX ?? wrapper.clientWidth  / 2;
+    const ay = anchorY ?? wrapper.clientHeight / 2;
+    const boardX = (wrapper.scrollLeft + ax) / STATE.scale;
+    const boardY = (wrapper.scrollTop  + ay) / STATE.scale;
+
+    STATE.scale = Math.min(PUBLIC_SCALE_MAX, Math.max(PUBLIC_SCALE_MIN, Math.round(scale * 100) / 100));
+    applyPublicScale();
+    wrapper.scrollLeft = boardX * STATE.scale - ax;
+    wrapper.scrollTop  = boardY * STATE.scale - ay;
+}
+
+/**
+ * Fits every note on the active level into the viewport, never zooming past 100%.
+ * @returns {void}
+ */
+function fitPublicBoard() {
+    const wrapper = STATE.wrapperEl;
+    const els = Array.from(STATE.canvasEl?.querySelectorAll('.sticky-note') || []);
+    if (!wrapper || !els.length) return;
+
+    const box = els.reduce((b, el) => ({
+        x1: Math.min(b.x1, el.offsetLeft),
+        y1: Math.min(b.y1, el.offsetTop),
+        x2: Math.max(b.x2, el.offsetLeft + el.offsetWidth),
+        y2: Math.max(b.y2, el.offsetTop  + el.offsetHeight)
+    }), { x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity });
+
+    const fit = Math.min(
+        (wrapper.clientWidth  - PUBLIC_FIT_MARGIN * 2) / Math.max(1, box.x2 - box.x1),
+        (wrapper.clientHeight - PUBLIC_FIT_MARGIN * 2) / Math.max(1, box.y2 - box.y1),
+        1
+    );
+    STATE.scale = Math.max(PUBLIC_SCALE_MIN, Math.floor(fit * 100) / 100);
+    applyPublicScale();
+    wrapper.scrollLeft = ((box.x1 + box.x2) / 2) * STATE.scale - wrapper.clientWidth  / 2;
+    wrapper.scrollTop  = ((box.y1 + box.y2) / 2) * STATE.scale - wrapper.clientHeight / 2;
+}
+
+/**
+ * Centres a visible note, switching to its level first.
+ * Notes outside the link's scope are not in STATE.notes and are ignored.
+ * @param {number|string} noteId - Target note ID.
+ * @returns {void}
+ */
+function focusPublicNote(noteId) {
+    const note = STATE.notes.find(n => n.id == noteId);
+    if (!note) return;
+    if (note.layer_id != STATE.activeLayerId) switchPublicLevel(Number(note.layer_id), false);
+
+    requestAnimationFrame(() => {
+        const el = document.getElementById(`note-${note.id}`);
+        const wrapper = STATE.wrapperEl;
+        if (!el || !wrapper) return;
+        wrapper.scrollLeft = (el.offsetLeft + el.offsetWidth  / 2) * STATE.scale - wrapper.clientWidth  / 2;
+        wrapper.scrollTop  = (el.offsetTop  + el.offsetHeight / 2) * STATE.scale - wrapper.clientHeight / 2;
+        el.classList.add('is-selected');
+        setTimeout(() => el.classList.remove('is-selected'), 1500);
+    });
+}
+
+/**
+ * Shows another shared level.
+ * @param {number} levelId - Level to show; must hold visible notes.
+ * @param {boolean} [fit=true] - Whether to fit the level into view afterwards.
+ * @returns {void}
+ */
+function switchPublicLevel(levelId, fit = true) {
+    if (!STATE.levels.includes(levelId)) return;
+    STATE.activeLayerId = levelId;
+    renderUI();
+    updateLevelDisplay();
+
+    const display = document.getElementById('level-display');
+    if (display) display.title = STATE.layer_map[levelId] ? `Level ${levelId}: ${STATE.layer_map[levelId]}` : `Level ${levelId}`;
+    if (fit) requestAnimationFrame(fitPublicBoard);
+}
+
+/**
+ * Steps to the previous or next shared level.
+ * @param {number} direction - -1 for previous, +1 for next.
+ * @returns {void}
+ */
+function stepPublicLevel(direction) {
+    const idx = STATE.levels.indexOf(STATE.activeLayerId);
+    const next = STATE.levels[idx + direction];
+    if (next !== undefined) switchPublicLevel(next);
+}
+
+/**
+ * Loads the link's notes and re-renders. Shows the expiry notice once the link stops resolving.
+ * @param {boolean} [initial=false] - Whether this is the first load (picks a level and fits).
+ * @returns {Promise<void>}
+ */
+async function loadPublicBoard(initial = false) {
+    let data = null;
+    try {
+        const res = await fetch(`/notes/public/${STATE.publicToken}/state`, { headers: { 'Accept': 'application/json' } });
+        data = await res.json();
+    } catch (e) {
+        if (initial) showPublicBoardError('The board could not be loaded. Please try again later.');
+        return;
+    }
+
+    if (!data?.success) {
+        showPublicBoardError(data?.error ? `${data.error}.` : 'This link has expired or been revoked.');
+        return;
+    }
+
+    STATE.notes      = data.notes || [];
+    STATE.layer_map  = data.layer_map || {};
+    STATE.connectors = data.connectors || [];
+    STATE.note_map   = {};
+    STATE.notes.forEach(n => {
+        STATE.note_map[n.id] = {
+            id: n.id, title: n.title, color: n.color, layer_id: n.layer_id,
+            attachments: n.attachments || [], canvas_name: data.canvas_name
+        };
+    });
+    STATE.levels = [...new Set(STATE.notes.map(n => Number(n.layer_id)))].sort((a, b) => a - b);
+
+    const switcher = document.getElementById('public-level-switcher');
+    if (switcher) switcher.classList.toggle('hidden', STATE.levels.length < 2);
+
+    if (!STATE.notes.length) {
+        showPublicBoardError('Nothing has been shared on this board yet.');
+        return;
+    }
+
+    if (initial || !STATE.levels.includes(STATE.activeLayerId)) {
+        switchPublicLevel(data.layer_id ? Number(data.layer_id) : STATE.levels[0]);
+    } else {
+        renderUI();
+    }
+}
+
+/**
+ * Replaces the board with a notice (expired link, empty board or load failure).
+ * @param {string} message - Notice text.
+ * @returns {void}
+ */
+function showPublicBoardError(message) {
+    clearInterval(STATE.refreshTimer);
+    STATE.notes = [];
+    STATE.connectors = [];
+    if (STATE.canvasEl) STATE.canvasEl.querySelectorAll('.sticky-note').forEach(el => el.remove());
+    if (typeof renderConnectors === 'function') renderConnectors();
+
+    const skeleton = document.getElementById('canvas-skeleton');
+    if (!skeleton) return;
+    skeleton.classList.remove('hidden');
+    skeleton.classList.add('notes-public-notice');
+    skeleton.innerHTML = `<span class="loading-icon-pulse">🔒</span><p class="loading-label">${window.escapeHtml(message)}</p>`;
+}
+
+/**
+ * Handles clicks inside notes: attachments open in a new tab, note references jump.
+ * @param {MouseEvent} e - Click event.
+ * @returns {void}
+ */
+function handlePublicBoardClick(e) {
+    const ref = e.target.closest('.note-link-trigger[data-target-id]');
+    if (ref) {
+        e.preventDefault();
+        focusPublicNote(ref.dataset.targetId);
+        return;
+    }
+
+    const att = e.target.closest('[data-action="view-attachment"], [data-action="open-attachment"], [data-action="view-note"]');
+    if (att) {
+        e.preventDefault();
+        const url = att.dataset.blobId ? noteAttachmentUrl(att.dataset.blobId) : noteBlobUrl(att.dataset.noteId);
+        window.open(url, '_blank', 'noopener');
+    }
+}
+
+/**
+ * Starts a drag-to-pan (one pointer) or pinch-zoom (two pointers).
+ * Pans do not start on links, buttons or note text so it stays selectable.
+ * @param {PointerEvent} e - Pointer event.
+ * @returns {void}
+ */
+function handlePublicPointerDown(e) {
+    if (e.button !== 0) return;
+    if (e.target.closest('a, button, summary, input, .note-text-viewer, .note-link-trigger, [data-action]')) return;
+
+    STATE.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    STATE.wrapperEl.setPointerCapture(e.pointerId);
+
+    if (STATE.pointers.size === 2) {
+        const [a, b] = [...STATE.pointers.values()];
+        STATE.pinch = { dist: Math.hypot(a.x - b.x, a.y - b.y), scale: STATE.scale };
+    }
+    STATE.wrapperEl.classList.add('is-panning-board');
+}
+
+/**
+ * Pans or pinch-zooms the board while pointers are down.
+ * @param {PointerEvent} e - Pointer event.
+ * @returns {void}
+ */
+function handlePublicPointerMove(e) {
+    const prev = STATE.pointers.get(e.pointerId);
+    if (!prev) return;
+    const wrapper = STATE.wrapperEl;
+    STATE.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (STATE.pinch && STATE.pointers.size === 2) {
+        const [a, b] = [...STATE.pointers.values()];
+        const rect = wrapper.getBoundingClientRect();
+        const dist = Math.hypot(a.x - b.x, a.y - b.y);
+        zoomPublicBoard(STATE.pinch.scale * dist / Math.max(1, STATE.pinch.dist),
+            (a.x + b.x) / 2 - rect.left, (a.y + b.y) / 2 - rect.top);
+        return;
+    }
+
+    wrapper.scrollLeft -= e.clientX - prev.x;
+    wrapper.scrollTop  -= e.clientY - prev.y;
+}
+
+/**
+ * Ends a pan or pinch for the released pointer.
+ * @param {PointerEvent} e - Pointer event.
+ * @returns {void}
+ */
+function handlePublicPointerUp(e) {
+    STATE.pointers.delete(e.pointerId);
+    if (STATE.pointers.size < 2) STATE.pinch = null;
+    if (!STATE.pointers.size) STATE.wrapperEl.classList.remove('is-panning-board');
+}
+
+/**
+ * Wheel scrolls the board; Ctrl/Cmd + wheel (and trackpad pinch) zooms around the cursor.
+ * @param {WheelEvent} e - Wheel event.
+ * @returns {void}
+ */
+function handlePublicWheel(e) {
+    e.preventDefault();
+    const wrapper = STATE.wrapperEl;
+    const unit = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? 16
+        : e.deltaMode === WheelEvent.DOM_DELTA_PAGE ? wrapper.clientHeight : 1;
+
+    if (e.ctrlKey || e.metaKey) {
+        const rect = wrapper.getBoundingClientRect();
+        zoomPublicBoard(STATE.scale * Math.exp(-e.deltaY * unit * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+        return;
+    }
+    wrapper.scrollLeft += (e.shiftKey && !e.deltaX ? e.deltaY : e.deltaX) * unit;
+    wrapper.scrollTop  += (e.shiftKey && !e.deltaX ? 0 : e.deltaY) * unit;
+}
+
+/**
+ * Initializes the viewer: wires navigation and loads the shared notes.
+ * @returns {void}
+ */
+function initPublicBoard() {
+    STATE.wrapperEl = document.getElementById('canvas-wrapper');
+    STATE.canvasEl  = document.getElementById('notes-canvas');
+    if (!STATE.wrapperEl || !STATE.canvasEl) return;
+
+    STATE.publicToken = STATE.wrapperEl.dataset.token;
+    STATE.canvas_id   = 'public';
+    STATE.canvases    = [{ id: 'public', can_edit: 0 }];
+    applyPublicScale();
+
+    STATE.wrapperEl.addEventListener('click', handlePublicBoardClick);
+    STATE.wrapperEl.addEventListener('pointerdown', handlePublicPointerDown);
+    STATE.wrapperEl.addEventListener('pointermove', handlePublicPointerMove);
+    STATE.wrapperEl.addEventListener('pointerup', handlePublicPointerUp);
+    STATE.wrapperEl.addEventListener('pointercancel', handlePublicPointerUp);
+    STATE.wrapperEl.addEventListener('wheel', handlePublicWheel, { passive: false });
+
+    document.getElementById('zoom-in')?.addEventListener('click', () => zoomPublicBoard(STATE.scale + PUBLIC_SCALE_STEP));
+    document.getElementById('zoom-out')?.addEventListener('click', () => zoomPublicBoard(STATE.scale - PUBLIC_SCALE_STEP));
+    document.getElementById('center-view')?.addEventListener('click', fitPublicBoard);
+    document.querySelector('#public-level-switcher .btn-level-up')?.addEventListener('click', () => stepPublicLevel(-1));
+    document.querySelector('#public-level-switcher .btn-level-down')?.addEventListener('click', () => stepPublicLevel(1));
+
+    loadPublicBoard(true);
+    STATE.refreshTimer = setInterval(() => {
+        if (!document.hidden) loadPublicBoard();
+    }, PUBLIC_REFRESH_MS);
+}
+
+document.addEventListener('DOMContentLoaded', initPublicBoard);
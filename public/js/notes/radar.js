@@ -64,6 +64,9 @@ function drawRadarPings() {
     STATE.notes.forEach(note => {
         if (note.layer_id != STATE.activeLayerId) return;
 
+        // Frames render as faint regions so the notes they hold stay legible
+        ctx.globalAlpha = window.isFenceNote?.(note) ? 0.25 : 0.9;
+
         // Chroma Pings: Mirror the actual note color for high-precision awareness (with fallback)
         const rawColor = typeof normalizeColorHex === 'function' ? normalizeColorHex(note.color) : note.color;
         ctx.fillStyle = (rawColor && rawColor.startsWith('#')) ? rawColor : (rawColor ? `#${rawColor}` : '#f59e0b');
@@ -81,6 +84,118 @@ function drawRadarPings() {
 
     // Reset alpha state to prevent leakage into subsequent canvas context operations
     ctx.globalAlpha = 1.0;
+
+    drawRadarConnectors(ctx, radarStartX, radarStartY, minimapScale);
+    drawRadarOrganizers(ctx, radarStartX, radarStartY, minimapScale);
+    drawRadarPeers(ctx, radarStartX, radarStartY, minimapScale);
+}
+
+/**
+ * Connector Overlay: Draws centre-to-centre lines for arrows between notes on the active level.
+ * @param {CanvasRenderingContext2D} ctx - Radar drawing context.
+ * @param {number} startX - Logical X of the radar window.
+ * @param {number} startY - Logical Y of the radar window.
+ * @param {number} miniScale - Logical-to-radar scale factor.
+ * @returns {void}
+ */
+function drawRadarConnectors(ctx, startX, startY, miniScale) {
+    const connectors = STATE.connectors || [];
+    if (!connectors.length) return;
+
+    const centerOf = (id) => {
+        const note = STATE.notes.find(n => n.id == id);
+        if (!note || note.layer_id != STATE.activeLayerId) return null;
+        return {
+            x: (note.x + (note.width  || 250) / 2 - startX) * miniScale,
+            y: (note.y + (note.height || 200) / 2 - startY) * miniScale
+        };
+    };
+
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = 0.7;
+    connectors.forEach(conn => {
+        const a = centerOf(conn.source_note_id);
+        const b = centerOf(conn.target_note_id);
+        if (!a || !b) return;
+        ctx.strokeStyle = /^#[0-9a-fA-F]{6}$/.test(conn.color || '') ? conn.color : '#94a3b8';
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+    });
+    ctx.globalAlpha = 1.0;
+}
+
+/**
+ * Organizer Overlay: Outlines frames and draws a dashed box around each group on the active level.
+ * @param {CanvasRenderingContext2D} ctx - Radar drawing context.
+ * @param {number} startX - Logical X of the radar window.
+ * @param {number} startY - Logical Y of the radar window.
+ * @param {number} miniScale - Logical-to-radar scale factor.
+ * @returns {void}
+ */
+function drawRadarOrganizers(ctx, startX, startY, miniScale) {
+    if (typeof window.listBoardOrganizers !== 'function') return;
+    const { frames, groups } = window.listBoardOrganizers();
+    const pad = 12;
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.globalAlpha = 0.6;
+    frames.forEach(({ note }) => {
+        if (note.layer_id != STATE.activeLayerId) return;
+        ctx.strokeRect(
+            (note.x - startX) * miniScale,
+            (note.y - startY) * miniScale,
+            Math.max(2, (note.width  || 250) * miniScale),
+            Math.max(2, (note.height || 200) * miniScale)
+        );
+    });
+
+    ctx.globalAlpha = 0.85;
+    ctx.strokeStyle = '#a78bfa';
+    ctx.setLineDash([3, 2]);
+    groups.forEach(({ members }) => {
+        const onLevel = members.filter(n => n.layer_id == STATE.activeLayerId);
+        if (onLevel.length < 2) return;
+        const minX = Math.min(...onLevel.map(n => n.x)) - pad;
+        const minY = Math.min(...onLevel.map(n => n.y)) - pad;
+        const maxX = Math.max(...onLevel.map(n => n.x + (n.width  || 250))) + pad;
+        const maxY = Math.max(...onLevel.map(n => n.y + (n.height || 200))) + pad;
+        ctx.strokeRect(
+            (minX - startX) * miniScale,
+            (minY - startY) * miniScale,
+            (maxX - minX) * miniScale,
+            (maxY - minY) * miniScale
+        );
+    });
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1.0;
+}
+
+/**
+ * Presence Overlay: Outlines the viewports of other people on the same level.
+ * @param {CanvasRenderingContext2D} ctx - Radar drawing context.
+ * @param {number} startX - Logical X of the radar window.
+ * @param {number} startY - Logical Y of the radar window.
+ * @param {number} miniScale - Logical-to-radar scale factor.
+ * @returns {void}
+ */
+function drawRadarPeers(ctx, startX, startY, miniScale) {
+    const peers = STATE.presencePeers || [];
+    if (!peers.length) return;
+
+    ctx.lineWidth = 1.5;
+    peers.forEach(peer => {
+        if (peer.layer_id != STATE.activeLayerId || !peer.view_w || !peer.view_h) return;
+        ctx.strokeStyle = typeof getPeerColor === 'function' ? getPeerColor(peer.user_id) : '#38bdf8';
+        ctx.strokeRect(
+            (peer.view_x - startX) * miniScale,
+            (peer.view_y - startY) * miniScale,
+            Math.max(4, peer.view_w * miniScale),
+            Math.max(4, peer.view_h * miniScale)
+        );
+    });
 }
 
 /**
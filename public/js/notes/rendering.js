@@ -40,9 +40,50 @@ function displayNoteTitle(note) {
     return isFenceNote(note) ? (title.replace(/^FENCE:\s*/, '') || 'Untitled Note') : title;
 }
 
+/**
+ * Marks a note element as a group member and labels it with the group name.
+ *
+ * @param {HTMLElement} el - Note element.
+ * @param {Object} note - Note record carrying group_id / group_name.
+ * @returns {void}
+ */
+function applyGroupMarker(el, note) {
+    const grouped = !!note?.group_id;
+    el.classList.toggle('is-grouped', grouped);
+    if (grouped) el.dataset.groupLabel = `⛓ ${note.group_name || 'Group'}`;
+    else delete el.dataset.groupLabel;
+}
+
+/**
+ * Resolves the URL an attachment is served from. Public read-only views
+ * (STATE.publicToken) fetch through their link instead of the session routes.
+ *
+ * @param {number|string} blobId - Attachment ID.
+ * @returns {string} Attachment URL.
+ */
+function noteAttachmentUrl(blobId) {
+    return STATE.publicToken
+        ? `/notes/public/${STATE.publicToken}/attachment/${blobId}`
+        : `/notes/attachment/serve/${blobId}`;
+}
+
+/**
+ * Resolves the URL of an image note's first attachment (legacy fallback).
+ *
+ * @param {number|string} noteId - Note ID.
+ * @returns {string} Blob URL.
+ */
+function noteBlobUrl(noteId) {
+    return STATE.publicToken
+        ? `/notes/public/${STATE.publicToken}/serve/${noteId}`
+        : `/notes/serve/${noteId}`;
+}
+
 window.isFenceNote = isFenceNote;
 window.getNoteZIndex = getNoteZIndex;
 window.displayNoteTitle = displayNoteTitle;
+window.noteAttachmentUrl = noteAttachmentUrl;
+window.noteBlobUrl = noteBlobUrl;
 
 /**
  * Renders all sticky notes and updates the UI state.
@@ -105,6 +146,7 @@ function renderUI() {
                 }
                 const zIndex = getNoteZIndex(note);
                 existing.classList.toggle('is-fence-note', fenceNote);
+                applyGroupMarker(existing, note);
                 if (curZ != zIndex) existing.style.zIndex = zIndex;
                 if ((widthChanged || (wasFenceNote && !fenceNote)) && !fenceNote && typeof fitNoteHeight === 'function') {
                     fitNoteHeight(note.id);
@@ -296,6 +338,9 @@ function renderUI() {
         if (typeof hideFloatingActionsRail === 'function') hideFloatingActionsRail();
     }
 
+    // Connectors: Re-route arrows against the reconciled note set
+    if (typeof renderConnectors === 'function') renderConnectors();
+
     // Radar Integration: Update the Birds-Eye perspective in atomic sync
     if (typeof updateRadar === 'function') updateRadar();
 }
@@ -364,6 +409,7 @@ function createNoteElement(note, canEdit = true) {
     div.className = `sticky-note ${note.is_collapsed ? 'collapsed' : ''} ${canEdit ? 'can-edit' : ''} ${isExternallyLocked ? 'is-externally-locked' : ''} ${isDashboard ? 'is-dashboard-note' : ''} ${isFenceNote(note) ? 'is-fence-note' : ''}`;
     div.id = `note-${note.id}`;
     div.dataset.id = note.id;
+    applyGroupMarker(div, note);
     // Atomic Context: Capture content baseline for reconciliation
     div.dataset.lastContent = note.content || '';
     
@@ -434,6 +480,7 @@ function createNoteElement(note, canEdit = true) {
         ${isFenceNote(note) ? '<div class="note-resize-handle n" ' + (canEdit ? '' : 'style="display:none;"') + '></div><div class="note-resize-handle s" ' + (canEdit ? '' : 'style="display:none;"') + '></div>' : ''}
         <div class="note-resize-handle w"  ${canEdit ? '' : 'style="display:none;"'}></div>
         <div class="note-resize-handle e"  ${canEdit ? '' : 'style="display:none;"'}></div>
+        <div class="note-connect-handle" title="Drag onto another note to connect" ${canEdit ? '' : 'style="display:none;"'}></div>
     `;
 
     if (isExternallyLocked) {
@@ -486,7 +533,7 @@ function generateNoteContentHtml(note, canEdit, isDashboard = null) {
             if (firstIsImg) {
                 attachmentHtml = `
                     <div class="note-hero-container" data-action="view-attachment" data-blob-id="${firstAtt.blob_id}">
-                        <img src="/notes/attachment/serve/${firstAtt.blob_id}" class="note-hero-img" alt="${window.escapeHtml(firstAtt.filename)}">
+                        <img src="${noteAttachmentUrl(firstAtt.blob_id)}" class="note-hero-img" alt="${window.escapeHtml(firstAtt.filename)}">
                         <div class="file-name-display" data-blob-id="${firstAtt.blob_id}" data-action="stop-propagation">${window.escapeHtml(firstAtt.filename)}</div>
                         <div class="attachment-float-controls">
                             ${isMultiItem ? `<button class="btn-icon-copy hero-action-btn" data-action="copy-attachment" data-blob-id="${firstAtt.blob_id}" title="Copy Image">📋</button>` : ''}
@@ -519,7 +566,7 @@ function generateNoteContentHtml(note, canEdit, isDashboard = null) {
                     attachmentHtml += `
                         <div class="attachment-item-stack attachment-item-stack--image"
                              data-action="view-attachment" data-blob-id="${att.blob_id}">
-                            <img src="/notes/attachment/serve/${att.blob_id}" class="attachment-full-img" alt="${window.escapeHtml(att.filename)}">
+                            <img src="${noteAttachmentUrl(att.blob_id)}" class="attachment-full-img" alt="${window.escapeHtml(att.filename)}">
                             <div class="file-name-display" data-blob-id="${att.blob_id}" data-action="stop-propagation">${window.escapeHtml(att.filename)}</div>
                             <div class="attachment-float-controls">
                                 <button class="btn-icon-copy reel-action-btn" data-action="copy-attachment" data-blob-id="${att.blob_id}" title="Copy Image">📋</button>
@@ -0,0 +1,395 @@
+// /public/js/notes/tasks.js
+
+/**
+ * Tasks Module: Checkbox tasks gathered from every note.
+ *
+ * The server scans all accessible notes for `[ ]` / `[x]` lines and reports each with
+ * its board, level, tags and first [date:...] as due date. The list backs both the
+ * Tasks panel and the `[tasks]` parser component. Toggling a task from either place
+ * is applied to the source note on the server as a text operation, so it works for
+ * notes on other boards and reaches anyone editing the note live.
+ *
+ * [tasks] syntax: [tasks] or [tasks:flag:param=value], colon-separated.
+ *   all        - Tasks from every board (default: this board only).
+ *   level      - Only tasks on the same level as the hosting note.
+ *   done       - Include completed tasks.
+ *   tag=x      - Task line or its note carries [tag:x].
+ *   due=x      - overdue | today | week | dated | none.
+ *   limit=N    - Show at most N tasks.
+ */
+
+const TASK_STATE = {
+    list:    null,    // Aggregated tasks, null until first load
+    loading: null,    // In-flight load promise
+    failed:  false    // Last load failed; components stop auto-retrying until the next state load
+};
+
+/**
+ * Fetches the aggregated task list. Concurrent callers share one request.
+ * @returns {Promise<void>}
+ */
+async function loadTaskList() {
+    if (TASK_STATE.loading) return TASK_STATE.loading;
+
+    TASK_STATE.loading = (async () => {
+        const res = await NoteAPI.get('/notes/api/tasks', { silent: true });
+        if (res && res.success) {
+            TASK_STATE.list   = res.tasks || [];
+            TASK_STATE.failed = false;
+        } else {
+            TASK_STATE.failed = true;
+        }
+    })();
+
+    try {
+        await TASK_STATE.loading;
+    } finally {
+        TASK_STATE.loading = null;
+    }
+}
+
+/**
+ * Classifies a YYYY-MM-DD due date relative to today.
+ * @param {string|null} due
+ * @returns {'overdue'|'today'|'week'|'later'|null}
+ */
+function taskDueStatus(due) {
+    if (!due) return null;
+    const [y, m, d] = due.split('-').map(Number);
+    const today = new Date(); today.setHours(0, 0, 0, 0);
+    const diff  = Math.round((new Date(y, m - 1, d) - today) / 86400000);
+    if (diff < 0)  return 'overdue';
+    if (diff === 0) return 'today';
+    if (diff <= 7) return 'week';
+    return 'later';
+}
+
+/**
+ * Applies board, level, tag, due and completion filters.
+ * @param {Array} tasks
+ * @param {{canvasId?: *, layerId?: *, tag?: string, due?: string, showDone?: boolean, excludeNoteId?: *}} f
+ * @returns {Array}
+ */
+function filterTasks(tasks, f) {
+    const tag = (f.tag || '').toLowerCase();
+    return tasks.filter(t => {
+        if (!f.showDone && t.done) return false;
+        if (f.excludeNoteId && t.note_id == f.excludeNoteId) return false;
+        if (f.canvasId && t.canvas_id != f.canvasId) return false;
+        if (f.layerId && t.layer_id != f.layerId) return false;
+        if (tag && !(t.tags || []).includes(tag) && !(t.note_tags || []).includes(tag)) return false;
+        if (f.due) {
+            const status = taskDueStatus(t.due);
+            if (f.due === 'none')    return !status;
+            if (f.due === 'dated')   return !!status;
+            if (f.due === 'overdue') return status === 'overdue';
+            if (f.due === 'today')   return status === 'overdue' || status === 'today';
+            if (f.due === 'week')    return status === 'overdue' || status === 'today' || status === 'week';
+        }
+        return true;
+    });
+}
+
+/**
+ * Sorts tasks: open first, then by due date (undated last), keeping source order otherwise.
+ * @param {Array} tasks
+ * @returns {Array}
+ */
+function sortTasks(tasks) {
+    return tasks
+        .map((t, i) => ({ t, i }))
+        .sort((a, b) => (a.t.done - b.t.done)
+            || ((a.t.due || '9999') < (b.t.due || '9999') ? -1 : (a.t.due || '9999') > (b.t.due || '9999') ? 1 : 0)
+            || a.i - b.i)
+        .map(x => x.t);
+}
+
+/**
+ * Renders a task's text without the [tag:] and [date:] tokens, which are shown as chips.
+ * @param {string} text
+ * @returns {string} Escaped HTML.
+ */
+function renderTaskText(text) {
+    const plain = String(text || '')
+        .replace(/\[(?:tag|date):[^\]]*\]/g, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+    return window.escapeHtml(plain || '(untitled task)');
+}
+
+/**
+ * Builds one task row.
+ * @param {Object} task
+ * @param {boolean} showSource - Whether to show the source note link.
+ * @param {string} jumpAttrs - Attributes that make the source link navigable in this context.
+ * @returns {string} HTML.
+ */
+function renderTaskRow(task, showSource, jumpAttrs) {
+    const checked = task.done ? 'checked' : '';
+    const status  = taskDueStatus(task.due);
+    const due     = task.due
+        ? `<span class="task-due task-due--${status}">📅 ${window.escapeHtml(task.due)}</span>` : '';
+    const tags    = (task.tags || []).map(t => `<span class="note-badge badge-info">${window.escapeHtml(t)}</span>`).join('');
+    const title   = window.escapeHtml(task.note_title || `Note #${task.note_id}`);
+    const source  = showSource
+        ? `<span class="note-ref task-source" ${jumpAttrs.replace('{id}', task.note_id)} title="Jump to: ${title}">${title}</span>` : '';
+
+    return `<div class="task-row ${checked}">` +
+        `<span class="checkbox-row-inline note-check-trigger task-aggregate-check ${checked}" data-note-id="${task.note_id}" data-index="${task.line}" data-task-text="${window.escapeHtml(task.text)}"><span class="cb ${checked}"></span></span>` +
+        `<span class="task-text">${renderTaskText(task.text)}</span>${tags}${due}${source}</div>`;
+}
+
+/**
+ * Parses [tasks:...] flags.
+ * @param {string} raw - Tag value after "tasks:".
+ * @returns {Object}
+ */
+function parseTaskFlags(raw) {
+    const flags = {};
+    String(raw || '').split(':').forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq !== -1) {
+            const key = part.substring(0, eq).trim().toLowerCase();
+            const val = part.substring(eq + 1).trim();
+            if (key === 'tag' || key === 'due') flags[key] = val.toLowerCase();
+            else if (key === 'limit') flags.limit = parseInt(val, 10) || 0;
+        } else {
+            const lower = part.trim().toLowerCase();
+            if (lower === 'all' || lower === 'level' || lower === 'done') flags[lower] = true;
+        }
+    });
+    return flags;
+}
+
+/**
+ * Parser component for [tasks:...]. Renders from the cached list and requests a
+ * load on first use; prefetchTaskLists re-renders hosting notes once data arrives.
+ * @param {{value: string}} pos - Parsed tag.
+ * @param {number|string} noteId - Hosting note.
+ * @returns {string} HTML.
+ */
+function renderTaskListComponent(pos, noteId) {
+    if (!TASK_STATE.list) {
+        if (!TASK_STATE.failed) setTimeout(prefetchTaskLists, 0);
+        return `<div class="note-task-list is-empty">${TASK_STATE.failed ? 'Tasks unavailable' : 'Loading tasks…'}</div>`;
+    }
+
+    const flags = parseTaskFlags(pos.value);
+    const host  = STATE.notes.find(n => n.id == noteId) || STATE.note_map?.[noteId];
+    let tasks   = sortTasks(filterTasks(TASK_STATE.list, {
+        canvasId:      flags.all ? null : STATE.canvas_id,
+        layerId:       flags.level && host ? host.layer_id : null,
+        tag:           flags.tag,
+        due:           flags.due,
+        showDone:      !!flags.done,
+        excludeNoteId: noteId
+    }));
+    if (flags.limit > 0) tasks = tasks.slice(0, flags.limit);
+
+    if (!tasks.length) return '<div class="note-task-list is-empty">No matching tasks 🎉</div>';
+
+    return `<div class="note-task-list">${tasks.map(t => renderTaskRow(t, true, 'class="note-link-trigger" data-target-id="{id}"')).join('')}</div>`;
+}
+
+/**
+ * Loads tasks when a note on this board uses [tasks] or the panel is open, then
+ * re-renders those notes. Called after every state load.
+ * @returns {Promise<void>}
+ */
+async function prefetchTaskLists() {
+    const hosts     = (STATE.notes || []).filter(n => (n.content || '').includes('[tasks'));
+    const panelOpen = document.getElementById('note-tasks-modal')?.classList.contains('show');
+    if (!hosts.length && !panelOpen) return;
+
+    await loadTaskList();
+
+    if (hosts.length) {
+        // renderUI skips notes whose dataset.lastContent matches, so clear it for hosts
+        hosts.forEach(note => {
+            const el = document.getElementById(`note-${note.id}`);
+            if (el) delete el.dataset.lastContent;
+        });
+        if (typeof renderUI === 'function') renderUI();
+    }
+    if (panelOpen) renderTasksPanel();
+}
+
+/**
+ * Toggles an aggregated task in its source note.
+ * @param {number|string} noteId - Source note.
+ * @param {number} line - Reported line index.
+ * @param {string} text - Reported task text.
+ * @returns {Promise<void>}
+ */
+async function toggleAggregatedTask(noteId, line, text) {
+    const res = await NoteAPI.post('/notes/api/tasks/toggle', { note_id: noteId, line, text });
+    if (!res || !res.success) {
+        // NoteAPI has already surfaced the error; refresh in case the note changed
+        await loadTaskList();
+        prefetchTaskLists();
+        return;
+    }
+
+    const task = (TASK_STATE.list || []).find(t => t.note_id == noteId && t.text === text);
+    if (task) task.done = res.done;
+
+    // Notes on this board (including the source, if here) reload with the new content
+    if (STATE.notes.some(n => n.id == noteId || (n.content || '').includes('[tasks'))) {
+        await loadState(false, STATE.canvas_id);
+    } else if (document.getElementById('note-tasks-modal')?.classList.contains('show')) {
+        renderTasksPanel();
+    }
+}
+
+/**
+ * Rebuilds the panel's board, level and tag dropdowns, keeping valid selections.
+ * @returns {void}
+ */
+function populateTaskFilters() {
+    const tasks     = TASK_STATE.list || [];
+    const canvasSel = document.getElementById('tasks-filter-canvas');
+    const levelSel  = document.getElementById('tasks-filter-level');
+    const tagSel    = document.getElementById('tasks-filter-tag');
+    if (!canvasSel || !levelSel || !tagSel) return;
+
+    const boards = new Map();
+    tasks.forEach(t => { if (!boards.has(t.canvas_id)) boards.set(t.canvas_id, t.canvas_name); });
+    const prevCanvas = canvasSel.value;
+    canvasSel.innerHTML = '<option value="">All Boards</option>' +
+        [...boards].map(([id, name]) => `<option value="${id}">${window.escapeHtml(name || `Board #${id}`)}</option>`).join('');
+    canvasSel.value = boards.has(Number(prevCanvas)) ? prevCanvas : '';
+
+    const scoped = tasks.filter(t => !canvasSel.value || t.canvas_id == canvasSel.value);
+    const levels = [...new Set(scoped.map(t => t.layer_id))].sort((a, b) => a - b);
+    const prevLevel = levelSel.value;
+    levelSel.innerHTML = '<option value="">All Levels</option>' +
+        levels.map(l => `<option value="${l}">Level ${l}</option>`).join('');
+    levelSel.value = levels.includes(Number(prevLevel)) ? prevLevel : '';
+
+    const tags = [...new Set(scoped.flatMap(t => [...(t.tags || []), ...(t.note_tags || [])]))].sort();
+    const prevTag = tagSel.value;
+    tagSel.innerHTML = '<option value="">All Tags</option>' +
+        tags.map(t => `<option value="${window.escapeHtml(t)}">${window.escapeHtml(t)}</option>`).join('');
+    tagSel.value = tags.includes(prevTag) ? prevTag : '';
+}
+
+/**
+ * Renders the Tasks panel grouped by source note.
+ * @returns {void}
+ */
+function renderTasksPanel() {
+    const container = document.getElementById('tasks-results-container');
+    const stats     = document.getElementById('tasks-stats');
+    if (!container) return;
+
+    if (!TASK_STATE.list) {
+        container.innerHTML = `<div class="search-empty-state"><p>${TASK_STATE.failed ? 'Failed to load tasks' : 'Loading tasks...'}</p></div>`;
+        return;
+    }
+
+    populateTaskFilters();
+    const tasks = sortTasks(filterTasks(TASK_STATE.list, {
+        canvasId: document.getElementById('tasks-filter-canvas')?.value,
+        layerId:  document.getElementById('tasks-filter-level')?.value,
+        tag:      document.getElementById('tasks-filter-tag')?.value,
+        due:      document.getElementById('tasks-filter-due')?.value,
+        showDone: document.getElementById('tasks-filter-done')?.checked
+    }));
+
+    const open = tasks.filter(t => !t.done).length;
+    if (stats) stats.textContent = `${open} open${tasks.length > open ? ` • ${tasks.length - open} done` : ''}`;
+
+    if (!tasks.length) {
+        container.innerHTML = '<div class="search-empty-state">✅<p>No tasks match these filters.</p></div>';
+        return;
+    }
+
+    const groups = new Map();
+    tasks.forEach(t => {
+        if (!groups.has(t.note_id)) groups.set(t.note_id, []);
+        groups.get(t.note_id).push(t);
+    });
+
+    container.innerHTML = [...groups.values()].map(group => {
+        const first = group[0];
+        const color = typeof window.normalizeColorHex === 'function' ? window.normalizeColorHex(first.color) : '';
+        return `
+            <div class="task-group" style="--task-accent: ${color}">
+                <div class="task-group-header" data-action="task-jump" data-note-id="${first.note_id}">
+                    <span class="task-group-title">${window.escapeHtml(first.note_title || `Note #${first.note_id}`)}</span>
+                    <span class="task-group-meta">${window.escapeHtml(first.canvas_name || '')} • Level ${first.layer_id}</span>
+                </div>
+                ${group.map(t => renderTaskRow(t, false, '')).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Opens the Tasks panel and refreshes the task list.
+ * @returns {Promise<void>}
+ */
+async function openTasksModal() {
+    if (STATE.isInitializing) return;
+    const modal = document.getElementById('note-tasks-modal');
+    if (!modal) return;
+
+    modal.classList.add('active');
+    modal.classList.add('show');
+    document.body.classList.add('modal-open');
+
+    renderTasksPanel();
+    await loadTaskList();
+    renderTasksPanel();
+}
+
+/**
+ * Closes the Tasks panel.
+ * @returns {void}
+ */
+function closeTasksModal() {
+    const modal = document.getElementById('note-tasks-modal');
+    if (modal) {
+        modal.classList.remove('show');
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+}
+
+/**
+ * Wires the panel's open button, filters, checkboxes and note links.
+ * @returns {void}
+ */
+function initTasksPanel() {
+    const openBtn = document.getElementById('open-note-tasks');
+    if (openBtn) openBtn.addEventListener('click', openTasksModal);
+
+    ['tasks-filter-canvas', 'tasks-filter-level', 'tasks-filter-tag', 'tasks-filter-due', 'tasks-filter-done'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', renderTasksPanel);
+    });
+
+    const container = document.getElementById('tasks-results-container');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const check = e.target.closest('.task-aggregate-check');
+        if (check) {
+            toggleAggregatedTask(check.dataset.noteId, parseInt(check.dataset.index, 10), check.dataset.taskText);
+            return;
+        }
+        const jump = e.target.closest('[data-action="task-jump"]');
+        if (jump) {
+            closeTasksModal();
+            if (typeof handleNoteLinkClick === 'function') handleNoteLinkClick(jump.dataset.noteId);
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initTasksPanel);
+
+window.renderTaskListComponent = renderTaskListComponent;
+window.prefetchTaskLists       = prefetchTaskLists;
+window.toggleAggregatedTask    = toggleAggregatedTask;
+window.openTasksModal          = openTasksModal;
+window.closeTasksModal         = closeTasksModal;
@@ -0,0 +1,355 @@
+// /public/js/notes/templates.js
+
+/**
+ * Templates Module: Reusable starting points for new notes.
+ *
+ * Any note can be saved as a template. Templates are applied from the picker in the
+ * create modal or inserted as snippets from the edit ribbon, with {{variables}}
+ * expanded at that moment. A board owner can pick a default template that every new
+ * note on the board starts from, including notes created by collaborators.
+ */
+
+const TEMPLATE_STATE = {
+    list:            [],     // The user's own templates
+    defaultTemplate: null,   // Default template of the board it was loaded for
+    loadedFor:       null,   // Canvas ID the default was resolved against
+    loading:         null    // In-flight load promise
+};
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ * @param {Date} d
+ * @returns {string}
+ */
+function formatTemplateDate(d) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Expands {{date}}, {{time}}, {{datetime}}, {{weekday}}, {{user}}, {{board}} and {{level}}.
+ * Unknown variables are left untouched so literal braces survive.
+ * @param {string} text - Template text.
+ * @returns {string}
+ */
+function expandTemplateVariables(text) {
+    const now   = new Date();
+    const time  = now.toTimeString().slice(0, 5);
+    const board = (STATE.canvases || []).find(c => c.id == STATE.canvas_id);
+    const vars  = {
+        date:     formatTemplateDate(now),
+        time,
+        datetime: `${formatTemplateDate(now)} ${time}`,
+        weekday:  now.toLocaleDateString(undefined, { weekday: 'long' }),
+        user:     STATE.username || '',
+        board:    board ? board.name : '',
+        level:    String(STATE.activeLayerId || 1)
+    };
+    return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => {
+        const k = key.toLowerCase();
+        return Object.prototype.hasOwnProperty.call(vars, k) ? vars[k] : m;
+    });
+}
+
+/**
+ * Loads the user's templates and the active board's default template.
+ * Concurrent callers share one request.
+ * @returns {Promise<void>}
+ */
+async function loadNoteTemplates() {
+    if (TEMPLATE_STATE.loading) return TEMPLATE_STATE.loading;
+
+    const canvasId = STATE.canvas_id;
+    TEMPLATE_STATE.loading = (async () => {
+        const res = await NoteAPI.get(`/notes/api/templates?canvas_id=${encodeURIComponent(canvasId || '')}`);
+        if (res && res.success) {
+            TEMPLATE_STATE.list            = res.templates || [];
+            TEMPLATE_STATE.defaultTemplate = res.default_template || null;
+            TEMPLATE_STATE.loadedFor       = canvasId;
+        }
+    })();
+
+    try {
+        await TEMPLATE_STATE.loading;
+    } finally {
+        TEMPLATE_STATE.loading = null;
+    }
+}
+
+/**
+ * Finds a loaded template by ID, including a board default owned by someone else.
+ * @param {number|string} id
+ * @returns {Object|null}
+ */
+function findNoteTemplate(id) {
+    const own = TEMPLATE_STATE.list.find(t => t.id == id);
+    if (own) return own;
+    const def = TEMPLATE_STATE.defaultTemplate;
+    return def && def.id == id ? def : null;
+}
+
+/**
+ * Fills the create modal from a template: content always, title only when blank, plus colour.
+ * @param {Object} tpl - Template record.
+ * @returns {void}
+ */
+function applyTemplateToDraft(tpl) {
+    const editor     = document.getElementById('create-note-editor');
+    const titleInput = document.getElementById('create-note-title');
+    if (!tpl || !editor) return;
+
+    editor.value = expandTemplateVariables(tpl.content);
+    editor.dispatchEvent(new Event('input'));
+
+    if (titleInput && !titleInput.value.trim() && tpl.title) {
+        titleInput.value = expandTemplateVariables(tpl.title);
+    }
+
+    if (tpl.color && typeof normalizeColorHex === 'function') {
+        const hex         = normalizeColorHex(tpl.color);
+        const colorPicker = document.getElementById('create-note-color');
+        const colorHex    = document.getElementById('create-note-color-hex');
+        if (colorPicker) colorPicker.value = hex;
+        if (colorHex)    colorHex.value    = hex.toUpperCase();
+    }
+}
+
+/**
+ * Starts a blank new-note draft from the board's default template, if one is set.
+ * Skips if the user has typed or the draft changed while the templates were loading.
+ * @returns {Promise<void>}
+ */
+async function applyBoardDefaultTemplate() {
+    const draft = DRAFT_NOTE;
+    if (!draft || draft.id) return;
+
+    if (TEMPLATE_STATE.loadedFor != STATE.canvas_id) await loadNoteTemplates();
+
+    const editor = document.getElementById('create-note-editor');
+    const tpl    = TEMPLATE_STATE.defaultTemplate;
+    if (!tpl || DRAFT_NOTE !== draft || !editor || editor.value) return;
+
+    applyTemplateToDraft(tpl);
+}
+
+/**
+ * Renders the template list inside the create modal's picker.
+ * @returns {void}
+ */
+function renderTemplatePicker() {
+    const menu = document.getElementById('create-template-menu');
+    if (!menu) return;
+
+    const def   = TEMPLATE_STATE.defaultTemplate;
+    const items = [...TEMPLATE_STATE.list];
+    if (def && !items.some(t => t.id == def.id)) items.unshift(def);
+
+    const rows = items.map(t => `
+        <div class="template-menu-item" data-template-id="${t.id}">
+            <span class="template-menu-name" data-action="apply-template">${def && def.id == t.id ? '⭐ ' : ''}${window.escapeHtml(t.name)}</span>
+            ${TEMPLATE_STATE.list.some(o => o.id == t.id)
+                ? `<button class="template-menu-delete" data-action="delete-template" title="Delete template">✕</button>`
+                : ''}
+        </div>
+    `).join('');
+
+    menu.innerHTML = (rows || '<div class="template-menu-empty">No templates yet</div>') +
+        '<div class="template-menu-divider"></div>' +
+        '<div class="template-menu-item" data-action="save-draft-template"><span class="template-menu-name">💾 Save current as template...</span></div>';
+}
+
+/**
+ * Opens or closes the create modal's template picker.
+ * @returns {Promise<void>}
+ */
+async function toggleTemplatePicker() {
+    const menu = document.getElementById('create-template-menu');
+    if (!menu) return;
+    if (!menu.classList.contains('hidden')) {
+        menu.classList.add('hidden');
+        return;
+    }
+    menu.innerHTML = '<div class="template-menu-empty">Loading...</div>';
+    menu.classList.remove('hidden');
+    await loadNoteTemplates();
+    renderTemplatePicker();
+}
+
+/**
+ * Prompts for a name and saves title/content/colour as a new template.
+ * @param {{title: string, content: string, color: string}} source
+ * @returns {void}
+ */
+function promptSaveTemplate(source) {
+    showConfirmModal({
+        title: 'Save as Template',
+        icon: '📑',
+        message: 'Name this template. Use {{date}}, {{time}}, {{user}}, {{board}} or {{level}} in the note to fill them in when it is used.',
+        input: { type: 'text', placeholder: 'Template name...', value: source.title || '', maxLength: 100 },
+        confirmText: 'SAVE',
+        confirmIcon: '💾',
+        onConfirm: async (name) => {
+            if (!String(name || '').trim()) {
+                showToast('Template name is required', 'error');
+                return;
+            }
+            const res = await NoteAPI.post('/notes/api/templates/save', {
+                name,
+                title:   source.title || '',
+                content: source.content || '',
+                color:   source.color || ''
+            });
+            if (res && res.success) {
+                TEMPLATE_STATE.list = res.templates || TEMPLATE_STATE.list;
+                showToast('Template saved', 'success');
+            } else {
+                showToast((res && res.error) || 'Failed to save template', 'error');
+            }
+        }
+    });
+}
+
+/**
+ * Saves an existing note as a template.
+ * @param {number|string} noteId
+ * @returns {void}
+ */
+function saveNoteAsTemplate(noteId) {
+    const note = STATE.notes.find(n => n.id == noteId);
+    if (!note) return;
+    promptSaveTemplate({ title: note.title, content: note.content, color: note.color });
+}
+
+/**
+ * Confirms and deletes one of the user's templates.
+ * @param {number|string} id
+ * @returns {void}
+ */
+function deleteNoteTemplate(id) {
+    const tpl = findNoteTemplate(id);
+    showConfirmModal({
+        title: 'Delete Template',
+        icon: '🗑️',
+        message: `Delete the template "${window.escapeHtml(tpl ? tpl.name : '')}"? Boards using it as their default will start blank.`,
+        danger: true,
+        confirmText: 'DELETE',
+        onConfirm: async () => {
+            const res = await NoteAPI.post('/notes/api/templates/delete', { id });
+            if (res && res.success) {
+                TEMPLATE_STATE.list = res.templates || [];
+                if (TEMPLATE_STATE.defaultTemplate && TEMPLATE_STATE.defaultTemplate.id == id) {
+                    TEMPLATE_STATE.defaultTemplate = null;
+                }
+                renderTemplatePicker();
+                showToast('Template deleted', 'success');
+            }
+        }
+    });
+}
+
+/**
+ * Rebuilds the edit ribbon's template dropdown, loading templates on first use.
+ * @returns {Promise<void>}
+ */
+async function refreshRibbonTemplateMenu() {
+    const menu = document.getElementById('ribbon-menu-templates');
+    if (!menu) return;
+
+    if (TEMPLATE_STATE.loadedFor != STATE.canvas_id) {
+        menu.innerHTML = '<span class="template-menu-empty">Loading...</span>';
+        await loadNoteTemplates();
+    }
+
+    menu.innerHTML = TEMPLATE_STATE.list.length
+        ? TEMPLATE_STATE.list.map(t =>
+            `<button class="ribbon-btn ribbon-template-btn" data-ribbon-action="template" data-template-id="${t.id}" title="Insert template">${window.escapeHtml(t.name)}</button>`
+          ).join('')
+        : '<span class="template-menu-empty">No templates yet</span>';
+}
+
+/**
+ * Populates the default-template selector in the board settings modal.
+ * Only the board owner can change it; collaborators see it read-only.
+ * @param {Object} board - Canvas record from the state payload.
+ * @returns {Promise<void>}
+ */
+async function setupBoardTemplates(board) {
+    const select = document.getElementById('board-default-template');
+    if (!select) return;
+
+    select.disabled = true;
+    await loadNoteTemplates();
+
+    const options = [...TEMPLATE_STATE.list];
+    const current = board.default_template_id;
+    if (current && !options.some(t => t.id == current) && TEMPLATE_STATE.defaultTemplate?.id == current) {
+        options.push(TEMPLATE_STATE.defaultTemplate);
+    }
+
+    select.innerHTML = '<option value="">Blank note</option>' +
+        options.map(t => `<option value="${t.id}">${window.escapeHtml(t.name)}</option>`).join('');
+    select.value    = current ? String(current) : '';
+    select.disabled = Number(board.is_owner) !== 1;
+
+    select.onchange = async () => {
+        const res = await NoteAPI.post('/notes/api/canvas/default-template', {
+            canvas_id:   board.id,
+            template_id: select.value
+        });
+        if (res && res.success) {
+            board.default_template_id = select.value ? Number(select.value) : null;
+            if (board.id == STATE.canvas_id) TEMPLATE_STATE.defaultTemplate = res.default_template || null;
+            showToast('Default template updated', 'success');
+        } else {
+            select.value = current ? String(current) : '';
+            showToast((res && res.error) || 'Failed to update default template', 'error');
+        }
+    };
+}
+
+/**
+ * Wires the create modal's template picker.
+ * @returns {void}
+ */
+function initNoteTemplates() {
+    const trigger = document.getElementById('create-template-trigger');
+    const menu    = document.getElementById('create-template-menu');
+    if (!trigger || !menu) return;
+
+    trigger.addEventListener('click', (e) => {
+        e.preventDefault();
+        toggleTemplatePicker();
+    });
+
+    menu.addEventListener('click', (e) => {
+        const actionEl = e.target.closest('[data-action]');
+        if (!actionEl) return;
+        const id = actionEl.closest('[data-template-id]')?.dataset.templateId;
+
+        if (actionEl.dataset.action === 'apply-template') {
+            menu.classList.add('hidden');
+            applyTemplateToDraft(findNoteTemplate(id));
+        } else if (actionEl.dataset.action === 'delete-template') {
+            deleteNoteTemplate(id);
+        } else if (actionEl.dataset.action === 'save-draft-template') {
+            menu.classList.add('hidden');
+            promptSaveTemplate({
+                title:   document.getElementById('create-note-title')?.value || '',
+                content: document.getElementById('create-note-editor')?.value || '',
+                color:   document.getElementById('create-note-color')?.value || ''
+            });
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target) && !trigger.contains(e.target)) menu.classList.add('hidden');
+    }, true);
+}
+
+document.addEventListener('DOMContentLoaded', initNoteTemplates);
+
+window.expandTemplateVariables   = expandTemplateVariables;
+window.applyBoardDefaultTemplate = applyBoardDefaultTemplate;
+window.saveNoteAsTemplate        = saveNoteAsTemplate;
+window.refreshRibbonTemplateMenu = refreshRibbonTemplateMenu;
+window.setupBoardTemplates       = setupBoardTemplates;
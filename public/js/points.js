@@ -28,9 +28,11 @@ let latestPointsStateRequest = 0;
 document.addEventListener('DOMContentLoaded', () => {
     loadState();
 
-    // Background Lifecycle: Synchronize ledger state every 5 seconds
+    // Background Lifecycle: Live ledger updates (chore approvals also award points),
+    // falling back to a 5 second poll while the channel is down.
     // Inhibition: Handled within loadState to prevent UI jumps during interaction
-    setInterval(() => loadState(), 5000);
+    subscribeLiveTopic('points', () => loadState(), 5000);
+    subscribeLiveTopic('chores', () => loadState(), 5000);
 
     setupGlobalModalClosing(['modal-overlay'], [closeTransactionModal]);
 });
@@ -52,6 +52,13 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initial state synchronization
     loadState(true);
 
+    // Deep link: /receipts/:id opens the receipt image (Back closes it)
+    registerRoute('/receipts/:id', {
+        open: ({ id }) => openReceiptModal(parseInt(id, 10)),
+        close: closeReceiptModal,
+        modal: 'image-viewer-modal'
+    });
+
     // Event Delegation: Real-time Ledger Filtering
     const filterIds = ['filterSearch', 'filterStore', 'filterTime', 'filterAI', 'filterUploader', 'filterMinAmount'];
     filterIds.forEach(id => {
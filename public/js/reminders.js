@@ -48,7 +48,7 @@ document.addEventListener('DOMContentLoaded', () => {
     setInterval(updateCountdowns, CONFIG.TICK_INTERVAL_MS);
     
     // Sync: Background refresh to stay aligned with server maintenance
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    subscribeLiveTopic('reminders', loadState, CONFIG.SYNC_INTERVAL_MS);
 
     // Modal: Configure unified closure behavior
     setupGlobalModalClosing(['modal-overlay'], [
@@ -91,7 +91,7 @@ const CONFIG = {
 
 document.addEventListener('DOMContentLoaded', () => {
     loadState();
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    subscribeLiveTopic('room', loadState, CONFIG.SYNC_INTERVAL_MS);
     setupUploadInput();
 
     // Global modal closure integration
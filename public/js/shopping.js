@@ -51,8 +51,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // Global modal behavior
     setupGlobalModalClosing(['modal-overlay'], [closeEditModal]);
 
-    // Background synchronization
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    // Live updates (falls back to interval polling while the channel is down)
+    subscribeLiveTopic('shopping', loadState, CONFIG.SYNC_INTERVAL_MS);
+
+    // Command palette actions
+    registerCommand({
+        id: 'shopping.add',
+        title: t('Add shopping item'),
+        shortcut: 'n',
+        keywords: 'new buy grocery',
+        run: () => document.querySelector('input[name="item_name"]')?.focus()
+    });
 });
 
 /**
@@ -105,8 +114,8 @@ function renderTable() {
     if (STATE.items.length === 0) {
         container.innerHTML = `
             <div class="empty-state">
-                <p>🛒 Your shopping list is empty!</p>
-                <p class="empty-hint">Add your first item above to get started.</p>
+                <p>🛒 ${t('Your shopping list is empty!')}</p>
+                <p class="empty-hint">${t('Add your first item above to get started.')}</p>
             </div>
         `;
         return;
@@ -119,7 +128,7 @@ function renderTable() {
 
     // Active Items
     if (unchecked.length > 0) {
-        html += `<h3 class="section-title">To Buy</h3>`;
+        html += `<h3 class="section-title">${t('To Buy')}</h3>`;
         html += unchecked.map(item => renderItemRow(item)).join('');
     }
 
@@ -128,9 +137,9 @@ function renderTable() {
         html += `
             <div class="checked-section">
                 <div class="checked-header">
-                    <h3 class="section-title">Checked Items</h3>
+                    <h3 class="section-title">${t('Checked Items')}</h3>
                     <button type="button" class="btn-clear-all" onclick="openClearAllModal()">
-                        Clear All
+                        ${t('Clear All')}
                     </button>
                 </div>
                 ${checked.map(item => renderItemRow(item)).join('')}
@@ -156,7 +165,7 @@ function renderItemRow(item) {
         <div class="shopping-item ${isChecked ? 'checked' : ''}" data-id="${item.id}">
             <div class="item-content">
                 <button type="button" class="checkbox-btn ${isChecked ? 'checked' : ''}" 
-                        onclick="toggleItem(${item.id})" title="${isChecked ? 'Uncheck' : 'Mark as bought'}">
+                        onclick="toggleItem(${item.id})" title="${isChecked ? t('Uncheck') : t('Mark as bought')}">
                     <span class="checkmark">${isChecked ? '✓' : ''}</span>
                 </button>
                 <div class="item-details">
@@ -167,19 +176,19 @@ function renderItemRow(item) {
                     ` : `
                         <span class="item-name">${nameEscaped}</span>
                     `}
-                    <small class="item-meta">Added by ${userEscaped}</small>
+                    <small class="item-meta">${t('Added by {name}', { name: userEscaped })}</small>
                 </div>
             </div>
             <div class="action-buttons">
                 ${!isChecked ? `
-                    <button type="button" class="btn-icon-edit" onclick="openEditModal(${item.id})" title="Edit Item">
+                    <button type="button" class="btn-icon-edit" onclick="openEditModal(${item.id})" title="${t('Edit Item')}">
                         ✎
                     </button>
                 ` : ''}
                 <button type="button" class="btn-icon-delete"
                         data-name="${escapeHtml(item.item_name)}"
                         onclick="confirmDeleteItem(${item.id}, this.dataset.name)"
-                        title="Remove Item">
+                        title="${t('Remove Item')}">
                     🗑️
                 </button>
             </div>
@@ -210,7 +219,7 @@ async function handleAddItem(event) {
     const btn = document.getElementById('addItemBtn');
     const originalHtml = btn.innerHTML;
     btn.disabled = true;
-    btn.innerHTML = `⌛ Adding...`;
+    btn.innerHTML = `⌛ ${t('Adding...')}`;
 
     try {
         const result = await apiPost('/shopping/api/add', { item_name: name });
@@ -248,11 +257,12 @@ async function toggleItem(id) {
     try {
         const item = STATE.items.find(i => i.id == id);
         const desired = item && item.is_checked ? 0 : 1;
-        const result = await apiPost(`/shopping/api/toggle/${id}`, { is_checked: desired });
+        // Safe to replay offline: the request carries the target state, not a flip
+        const result = await apiPost(`/shopping/api/toggle/${id}`, { is_checked: desired }, 30000, { queue: true });
         if (result && result.success) {
             latestMutationSeq = latestRefreshSeq + 1;
             if (item) {
-                item.is_checked = !!result.is_checked;
+                item.is_checked = result.queued ? !!desired : !!result.is_checked;
                 renderTable();
                 rendered = true;
             }
@@ -317,7 +327,7 @@ async function handleEditSubmit(event) {
     const btn = document.getElementById('editSaveBtn');
     const originalHtml = btn.innerHTML;
     btn.disabled = true;
-    btn.innerHTML = `⌛ Saving...`;
+    btn.innerHTML = `⌛ ${t('Saving...')}`;
 
     try {
         const result = await apiPost(`/shopping/api/edit/${id}`, { item_name: name });
@@ -343,10 +353,10 @@ async function handleEditSubmit(event) {
  */
 function confirmDeleteItem(id, itemName) {
     showConfirmModal({
-        title: 'Delete Item',
-        message: `Are you sure you want to remove \"<strong>${escapeHtml(itemName)}</strong>\"?`,
+        title: t('Delete Item'),
+        message: t('Are you sure you want to remove "{name}"?', { name: `<strong>${escapeHtml(itemName)}</strong>` }),
         danger: true,
-        confirmText: 'Delete',
+        confirmText: t('Delete'),
         hideCancel: true,
         alignment: 'center',
         onConfirm: async () => {
@@ -367,10 +377,10 @@ function confirmDeleteItem(id, itemName) {
  */
 function openClearAllModal() {
     showConfirmModal({
-        title: 'Clear Completed',
-        message: 'Are you sure you want to clear all checked items?',
+        title: t('Clear Completed'),
+        message: t('Are you sure you want to clear all checked items?'),
         danger: true,
-        confirmText: 'Clear All',
+        confirmText: t('Clear All'),
         hideCancel: true,
         alignment: 'center',
         onConfirm: async () => {
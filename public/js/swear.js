@@ -51,8 +51,8 @@ const SwearModule = {
             closeConfirmModal
         ]);
 
-        // Background sync
-        setInterval(() => this.loadState(), CONFIG.SYNC_INTERVAL);
+        // Background sync (live, with polling fallback)
+        subscribeLiveTopic('swear', () => this.loadState(), CONFIG.SYNC_INTERVAL);
     },
 
     /**
@@ -47,11 +47,25 @@ document.addEventListener('DOMContentLoaded', () => {
     // High-resolution local UI loop for smooth countdowns
     setInterval(updateLocalTimers, CONFIG.TICK_INTERVAL_MS);
 
-    // Background server synchronization
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    // Background server synchronization (live, with polling fallback)
+    subscribeLiveTopic('timers', loadState, CONFIG.SYNC_INTERVAL_MS);
 
     // Global modal closure integration
     setupGlobalModalClosing(['modal-overlay'], [closeRedeemModal]);
+
+    // Command palette: one start action per idle timer
+    registerCommandProvider('timers', () => STATE.timers
+        .filter(t => !t.is_running && !t.is_paused)
+        .map(t => ({
+            id: `timers.start.${t.id}`,
+            title: `Start timer for ${t.name}`,
+            keywords: t.category || '',
+            run: () => {
+                const btn = document.querySelector(`.timer-card[data-timer-id="${t.id}"] .btn-start`);
+                if (btn && !btn.disabled) handleStart(t.id, btn);
+                else showToast('Timer has no time remaining', 'warning');
+            }
+        })));
 });
 
 /**
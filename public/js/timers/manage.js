@@ -64,8 +64,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // High-resolution local UI loop
     setInterval(updateLocalTimers, CONFIG.TICK_INTERVAL_MS);
 
-    // Background synchronization
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    // Background synchronization (live, with polling fallback)
+    subscribeLiveTopic('timers', loadState, CONFIG.SYNC_INTERVAL_MS);
 });
 
 /**
@@ -66,7 +66,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     setupGlobalModalClosing(['modal-overlay'], [closeEditModal]);
 
-    setInterval(loadState, CONFIG.SYNC_INTERVAL_MS);
+    subscribeLiveTopic('todo', loadState, CONFIG.SYNC_INTERVAL_MS);
 });
 
 /**
@@ -116,8 +116,8 @@ function renderTable() {
     if (STATE.todos.length === 0) {
         container.innerHTML = `
             <div class="empty-state">
-                <p>📭 Your todo list is empty!</p>
-                <p class="empty-hint">Add your first task above to get started.</p>
+                <p>📭 ${t('Your todo list is empty!')}</p>
+                <p class="empty-hint">${t('Add your first task above to get started.')}</p>
             </div>`;
         return;
     }
@@ -133,7 +133,7 @@ function renderTable() {
     let html = '';
 
     if (active.length > 0) {
-        html += `<h3 class="section-title">Active Tasks</h3>`;
+        html += `<h3 class="section-title">${t('Active Tasks')}</h3>`;
         html += active.map(todo => renderTodoRow(todo)).join('');
     }
 
@@ -141,8 +141,8 @@ function renderTable() {
         html += `
             <div class="completed-section">
                 <div class="completed-header">
-                    <h3 class="section-title">Completed</h3>
-                    <button type="button" class="btn-clear-all" onclick="openClearCompletedModal()">🔄 Clear All</button>
+                    <h3 class="section-title">${t('Completed')}</h3>
+                    <button type="button" class="btn-clear-all" onclick="openClearCompletedModal()">🔄 ${t('Clear All')}</button>
                 </div>
                 ${completed.map(todo => renderTodoRow(todo)).join('')}
             </div>`;
@@ -165,7 +165,7 @@ function renderTodoRow(todo) {
         <div class="todo-item ${isCompleted ? 'completed' : ''}" data-id="${todo.id}">
             <div class="item-content">
                 <button type="button" class="checkbox-btn ${isCompleted ? 'completed' : ''}" 
-                        onclick="toggleTodo(${todo.id})" title="${isCompleted ? 'Re-open Task' : 'Complete Task'}">
+                        onclick="toggleTodo(${todo.id})" title="${isCompleted ? t('Re-open Task') : t('Complete Task')}">
                     <span class="checkmark">${isCompleted ? '✅' : ''}</span>
                 </button>
                 <div class="item-details">
@@ -174,11 +174,11 @@ function renderTodoRow(todo) {
             </div>
             <div class="action-buttons">
                 ${!isCompleted ? `
-                    <button type="button" class="btn-icon-edit" onclick="openEditModal(${todo.id})" title="Edit Task">
+                    <button type="button" class="btn-icon-edit" onclick="openEditModal(${todo.id})" title="${t('Edit Task')}">
                         ✎
                     </button>
                 ` : ''}
-                <button type="button" class="btn-icon-delete" onclick="confirmDeleteTodo(${todo.id})" title="Remove Task">
+                <button type="button" class="btn-icon-delete" onclick="confirmDeleteTodo(${todo.id})" title="${t('Remove Task')}">
                     🗑️
                 </button>
             </div>
@@ -207,7 +207,7 @@ async function handleAddTodo(event) {
     const btn = document.getElementById('addTaskBtn');
     const originalHtml = btn.innerHTML;
     btn.disabled = true;
-    btn.innerHTML = `⌛ Adding...`;
+    btn.innerHTML = `⌛ ${t('Adding...')}`;
 
     try {
         const result = await apiPost('/todo/api/add', { task_name: task_name });
@@ -306,7 +306,7 @@ async function handleEditSubmit(event) {
     const btn = document.getElementById('editSaveBtn');
     const originalHtml = btn.innerHTML;
     btn.disabled = true;
-    btn.innerHTML = `⌛ Saving...`;
+    btn.innerHTML = `⌛ ${t('Saving...')}`;
 
     try {
         const result = await apiPost(`/todo/api/edit/${id}`, { task_name: name });
@@ -333,10 +333,10 @@ function confirmDeleteTodo(id) {
     if (!todo) return;
 
     showConfirmModal({
-        title: 'Delete Task',
-        message: `Are you sure you want to remove \"<strong>${escapeHtml(todo.task_name)}</strong>\"?`,
+        title: t('Delete Task'),
+        message: t('Are you sure you want to remove "{name}"?', { name: `<strong>${escapeHtml(todo.task_name)}</strong>` }),
         danger: true,
-        confirmText: 'Delete',
+        confirmText: t('Delete'),
         hideCancel: true,
         alignment: 'center',
         onConfirm: async () => {
@@ -356,10 +356,10 @@ function confirmDeleteTodo(id) {
  */
 function openClearCompletedModal() {
     showConfirmModal({
-        title: 'Clear Completed',
-        message: 'Are you sure you want to clear all completed tasks?',
+        title: t('Clear Completed'),
+        message: t('Are you sure you want to clear all completed tasks?'),
         danger: true,
-        confirmText: 'Clear All',
+        confirmText: t('Clear All'),
         hideCancel: true,
         alignment: 'center',
         onConfirm: async () => {
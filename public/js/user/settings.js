@@ -12,9 +12,12 @@
  *   - Notification channel toggles (discord, email, fcm)
  *   - FCM push token registration via Firebase
  *   - Password change with current password verification
+ *   - Offline data overview with per-module purge and pre-warm
+ *   - Interface language preference (reloads to apply the new catalogue)
  *
  * Dependencies:
- *   - default.js: For apiPost helper and toast notifications
+ *   - default.js: For apiPost helper, toast notifications and the API cache
+ *     (listApiCacheModules, purgeApiCache, prewarmApiCache)
  */
 
 const STATE = { profile: null, prefs: null, has_fcm: false };
@@ -386,4 +389,137 @@ async function enablePwaPush() {
     }
 }
 
+/**
+ * Formats a byte count for the offline data card.
+ *
+ * @param {number} bytes - Raw byte count.
+ * @returns {string} - e.g. "12.4 KB"
+ */
+function formatCacheSize(bytes) {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Renders the cached module list and device storage usage.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderOfflineData() {
+    const list  = document.getElementById('offlineList');
+    const usage = document.getElementById('offlineUsage');
+    if (!list || !usage) return;
+
+    const modules = listApiCacheModules();
+    const total   = modules.reduce((sum, mod) => sum + mod.bytes, 0);
+    let usageText = `${modules.length} module${modules.length === 1 ? '' : 's'} cached · ${formatCacheSize(total)}`;
+
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            const est = await navigator.storage.estimate();
+            if (est.quota) usageText += ` · device storage ${formatCacheSize(est.usage)} of ${formatCacheSize(est.quota)}`;
+        } catch (_) { }
+    }
+    usage.textContent = usageText;
+
+    if (!modules.length) {
+        list.innerHTML = '<div class="empty-state"><p>No offline data cached yet. Open a module to cache it.</p></div>';
+        return;
+    }
+
+    list.innerHTML = modules.map(mod => `
+        <div class="offline-row">
+            <div class="offline-row-info">
+                <div class="pref-name">${escapeHtml(mod.module)}</div>
+                <div class="pref-desc">${getTimeSince(Math.floor(mod.timestamp / 1000))} · ${formatCacheSize(mod.bytes)} · ${mod.urls.length} endpoint${mod.urls.length === 1 ? '' : 's'}</div>
+            </div>
+            <div class="offline-row-actions" data-module="${escapeHtml(mod.module)}">
+                <button type="button" class="btn-icon-reset" title="Pre-warm" onclick="prewarmOfflineModule(this.parentElement.dataset.module, this)">🔄</button>
+                <button type="button" class="btn-icon-delete" title="Purge" onclick="purgeOfflineModule(this.parentElement.dataset.module)">🗑️</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Re-fetches cached endpoints for one module (or all) so they are fresh offline.
+ *
+ * @async
+ * @param {string|null}       module - Module key, or null for all.
+ * @param {HTMLButtonElement} btn    - Button to disable while running.
+ * @returns {Promise<void>}
+ */
+async function prewarmOfflineModule(module, btn) {
+    if (!navigator.onLine) {
+        showToast('You are offline. Pre-warm needs a connection.', 'error');
+        return;
+    }
+
+    const orig = btn.innerHTML;
+    btn.disabled  = true;
+    btn.innerHTML = '⌛';
+
+    try {
+        const result = await prewarmApiCache(module);
+        if (result.failed) {
+            showToast(`Refreshed ${result.ok}, ${result.failed} failed.`, 'warning');
+        } else {
+            showToast(`Refreshed ${result.ok} cached endpoint${result.ok === 1 ? '' : 's'}.`, 'success');
+        }
+    } finally {
+        btn.disabled  = false;
+        btn.innerHTML = orig;
+        renderOfflineData();
+    }
+}
+
+/**
+ * Deletes cached data for one module (or all) after confirmation.
+ *
+ * @param {string|null} module - Module key, or null for all.
+ * @returns {void}
+ */
+function purgeOfflineModule(module) {
+    showConfirmModal({
+        title: 'Purge Offline Data',
+        message: module
+            ? `Remove cached data for <strong>${escapeHtml(module)}</strong>? It will not be available offline until you open it again.`
+            : 'Remove all cached module data from this device?',
+        danger: true,
+        confirmText: 'Purge',
+        hideCancel: true,
+        alignment: 'center',
+        onConfirm: async () => {
+            const removed = await purgeApiCache(module);
+            showToast(`Removed ${removed} cached endpoint${removed === 1 ? '' : 's'}.`, 'success');
+            renderOfflineData();
+        }
+    });
+}
+
+/**
+ * Persists the interface language and reloads so every template and
+ * script picks up the new catalogue.
+ *
+ * @async
+ * @param {HTMLSelectElement} select - Language picker.
+ * @returns {Promise<void>}
+ */
+async function saveLocale(select) {
+    const previous = getLocale();
+    select.disabled = true;
+
+    const result = await apiPost('/user/settings/api/locale', { locale: select.value });
+    if (result) {
+        window.location.reload();
+        return;
+    }
+
+    select.value    = previous;
+    select.disabled = false;
+}
+
 document.addEventListener('DOMContentLoaded', loadState);
+document.addEventListener('DOMContentLoaded', renderOfflineData);
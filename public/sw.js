@@ -13,12 +13,19 @@
  *   - Runtime image caching with 50MB size cap
  *   - Offline fallback HTML for uncached navigation requests
  *   - Periodic cache cleanup and versioned cache naming
+ *   - Background Sync replay of the apiPost offline outbox (IndexedDB)
+ *   - API GETs answered from cache carry X-From-Cache (stored-at ms); the
+ *     offline 503 carries X-Offline so apiGet can fall back to its own cache
  */
 
-const CACHE_NAME = 'rendler-offline-v149';
+const CACHE_NAME = 'rendler-offline-v150';
 const MAX_RUNTIME_IMAGE_BYTES = 50 * 1024 * 1024;
 const OFFLINE_CACHE_PREFIX = 'rendler-offline-';
 const NAVIGATION_NETWORK_TIMEOUT_MS = 1500;
+const OUTBOX_DB_NAME = 'rendler-outbox';
+const OUTBOX_STORE = 'mutations';
+const OUTBOX_SYNC_TAG = 'rendler-outbox-sync';
+const OUTBOX_LOCK_NAME = 'rendler-outbox';
 
 const OFFLINE_HTML = `
 <!DOCTYPE html>
@@ -140,19 +147,38 @@ function fetchNavigation(request) {
     });
 }
 
+function withHeader(response, name, value) {
+    const headers = new Headers(response.headers);
+    headers.set(name, value);
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+}
+
 function apiGetResponse(event) {
     const request = event.request;
     const matchOpts = { ignoreSearch: false, ignoreVary: true };
 
     return fetchWithTimeout(request, NAVIGATION_NETWORK_TIMEOUT_MS)
-        .then(response => cacheResponse(request, response).then(() => response))
+        .then(response => {
+            if (!cacheableResponse(response, request)) return response;
+            // Stamp the stored copy so a later cache answer can report its age
+            const stamped = withHeader(response.clone(), 'X-Cached-At', String(Date.now()));
+            return cacheResponse(request, stamped).then(() => response);
+        })
         .catch(() => matchInOfflineCaches(request, matchOpts).then(cached => {
-            return cached || new Response(JSON.stringify({
+            if (cached) {
+                const storedAt = cached.headers.get('X-Cached-At') || String(Date.parse(cached.headers.get('Date')) || 0);
+                return withHeader(cached, 'X-From-Cache', storedAt);
+            }
+            return new Response(JSON.stringify({
                 success: 0,
                 error: 'Network unavailable'
             }), {
                 status: 503,
-                headers: { 'Content-Type': 'application/json' }
+                headers: { 'Content-Type': 'application/json', 'X-Offline': '1' }
             });
         }));
 }
@@ -185,6 +211,82 @@ function cacheStatusResponse() {
     });
 }
 
+function openOutboxDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function outboxRequest(db, mode, fn) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, mode);
+        const request = fn(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function buildOutboxRequest(entry) {
+    // The page's fetch hook is not present here, so the CSRF token captured at enqueue time is sent.
+    const headers = { 'X-CSRF-Token': entry.csrf || '' };
+    if (entry.body_type === 'form') {
+        const form = new FormData();
+        entry.body.forEach(([key, value]) => form.append(key, value));
+        return { method: 'POST', headers, body: form, credentials: 'same-origin' };
+    }
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    return { method: 'POST', headers, body: entry.body, credentials: 'same-origin' };
+}
+
+function replayOutbox() {
+    const run = () => openOutboxDb().then(db => {
+        return outboxRequest(db, 'readonly', store => store.getAll()).then(entries => {
+            const replayed = new Set();
+            const pending = entries.filter(e => e.status === 'pending');
+
+            // Sequential replay; a network failure rejects so the browser retries the sync later
+            return pending.reduce((promise, entry) => promise.then(() => {
+                return fetch(entry.url, buildOutboxRequest(entry)).then(response => {
+                    return response.text().then(text => {
+                        let result = null;
+                        try { result = JSON.parse(text); } catch (e) { }
+
+                        if (result && result.success) {
+                            replayed.add(entry.module);
+                            return outboxRequest(db, 'readwrite', store => store.delete(entry.id));
+                        }
+                        return outboxRequest(db, 'readwrite', store => store.put({
+                            ...entry,
+                            status: 'conflict',
+                            error: (result && result.error) || `Server responded with HTTP ${response.status}`,
+                            replayed_at: Date.now(),
+                        }));
+                    });
+                });
+            }), Promise.resolve()).then(() => Array.from(replayed));
+        });
+    });
+
+    const locked = self.navigator && self.navigator.locks
+        ? self.navigator.locks.request(OUTBOX_LOCK_NAME, run)
+        : run();
+
+    return locked.then(modules => {
+        return clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clientList => {
+            clientList.forEach(client => client.postMessage({ type: 'outbox-replayed', modules }));
+        });
+    });
+}
+
 self.addEventListener('install', (event) => {
     event.waitUntil(self.skipWaiting());
 });
@@ -224,6 +326,12 @@ self.addEventListener('push', (event) => {
     );
 });
 
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
     const targetUrl = new URL(event.notification.data?.url || '/quick', self.location.origin).href;